@@ -39,6 +39,10 @@ CREATE TABLE IF NOT EXISTS users (
     role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user','admin')),
     two_factor_enabled BOOLEAN DEFAULT FALSE,
     totp_secret VARCHAR(255),
+    withdrawal_whitelist_only BOOLEAN DEFAULT FALSE,
+    kyc_level INTEGER NOT NULL DEFAULT 0,
+    kyc_verified_at TIMESTAMP WITH TIME ZONE,
+    withdrawal_limit_override JSONB,
     reset_token VARCHAR(255),
     reset_token_expiry TIMESTAMP WITH TIME ZONE,
     last_login TIMESTAMP WITH TIME ZONE,
@@ -209,12 +213,25 @@ CREATE TABLE IF NOT EXISTS deposit_requests (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     currency VARCHAR(10) NOT NULL CHECK (currency IN ('BTC', 'ETH', 'USDT')),
+    network VARCHAR(20),
     amount DECIMAL(20, 8),
+    requested_amount DECIMAL(20, 8),
+    reference_code VARCHAR(20),
     wallet_address VARCHAR(255),
     transaction_hash VARCHAR(255),
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
+    pool_deposit_id UUID,
+    block_number BIGINT,
+    block_hash VARCHAR(255),
+    confirmations INTEGER,
+    required_confirmations INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirming', 'completed', 'failed', 'cancelled', 'reorged', 'expired')),
     admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
     admin_verified BOOLEAN DEFAULT false,
+    detected_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    credited_at TIMESTAMP WITH TIME ZONE,
+    reorged_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     completed_at TIMESTAMP WITH TIME ZONE
@@ -223,19 +240,39 @@ CREATE TABLE IF NOT EXISTS deposit_requests (
 -- ============================================================================
 -- WITHDRAWAL REQUESTS
 -- ============================================================================
+-- Every user withdrawal (withdrawalPipelineService). Status moves
+-- requested -> held -> approved -> broadcast -> confirmed, or to failed / rejected
+-- (a withdrawal sent on its own is claimed as `broadcasting` between approved and broadcast);
+-- each move is appended to status_history and checked by the
+-- withdrawal_requests_transition trigger. `source` records which table a row was
+-- first created in (pool_withdrawals and the legacy withdrawals table were merged in).
 
 CREATE TABLE IF NOT EXISTS withdrawal_requests (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     currency VARCHAR(10) NOT NULL CHECK (currency IN ('BTC', 'ETH', 'USDT')),
+    network VARCHAR(20),
     amount DECIMAL(20, 8) NOT NULL CHECK (amount > 0),
     destination_address VARCHAR(255) NOT NULL,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'completed', 'failed')),
+    fee DECIMAL(20, 8),
+    net_amount DECIMAL(20, 8),
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'held', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'failed', 'rejected')),
+    status_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    source VARCHAR(20) NOT NULL DEFAULT 'withdrawal_request',
     admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
     admin_notes TEXT,
+    rejection_reason TEXT,
     transaction_hash VARCHAR(255),
+    transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    requested_amount_usd DECIMAL(20, 2),
+    amount_usd DECIMAL(20, 2),
+    required_approvals INTEGER,
+    approvals JSONB NOT NULL DEFAULT '[]'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    approved_at TIMESTAMP WITH TIME ZONE,
+    broadcast_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE
 );
 
@@ -498,6 +535,902 @@ CREATE TABLE IF NOT EXISTS pool_addresses (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================================================
+-- DOUBLE-ENTRY LEDGER
+-- ============================================================================
+-- user_balances is a projection of the postings against 'user' accounts.
+-- Every journal entry nets to zero per currency.
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_code VARCHAR(120) UNIQUE NOT NULL,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('user', 'pool', 'fee', 'suspense', 'treasury')),
+    user_id UUID REFERENCES users(id) ON DELETE RESTRICT,
+    currency TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((account_type = 'user') = (user_id IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS ledger_journal_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    reference_type VARCHAR(50),
+    reference_id VARCHAR(255),
+    meta JSONB DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    journal_id UUID NOT NULL REFERENCES ledger_journal_entries(id) ON DELETE RESTRICT,
+    account_id UUID NOT NULL REFERENCES ledger_accounts(id) ON DELETE RESTRICT,
+    currency TEXT NOT NULL,
+    amount NUMERIC(38,18) NOT NULL CHECK (amount <> 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- BALANCE HOLDS
+-- ============================================================================
+-- Active holds reduce user_balances.available_balance; captured holds are
+-- posted to the ledger, released/expired holds give the availability back.
+
+CREATE TABLE IF NOT EXISTS balance_holds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency TEXT NOT NULL,
+    amount NUMERIC(38,18) NOT NULL CHECK (amount > 0),
+    reason VARCHAR(50) NOT NULL,
+    reference_type VARCHAR(50),
+    reference_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'captured', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution_note TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- IDEMPOTENCY KEYS
+-- ============================================================================
+-- First response of each (user, Idempotency-Key) pair, replayed on retries.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- refreshed while the request runs
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE(user_id, idempotency_key)
+);
+
+-- ============================================================================
+-- POOL DEPOSITS
+-- ============================================================================
+-- Transfers to a pool address that could not be matched to a deposit request;
+-- they wait here until an admin claims them for a user.
+
+CREATE TABLE IF NOT EXISTS pool_deposits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20),
+    amount DECIMAL(20,8) NOT NULL,
+    pool_address VARCHAR(255),
+    deposit_address VARCHAR(255),
+    transaction_hash VARCHAR(255) NOT NULL,
+    output_index INTEGER NOT NULL DEFAULT 0,
+    from_address VARCHAR(255),
+    block_number BIGINT,
+    block_hash VARCHAR(255),
+    memo VARCHAR(100),
+    suggested_matches JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    reorged_at TIMESTAMP WITH TIME ZONE,
+    swept_at TIMESTAMP WITH TIME ZONE,
+    sweep_tx_hash VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(currency, transaction_hash, output_index)
+);
+
+-- ============================================================================
+-- USER DEPOSIT ADDRESSES
+-- ============================================================================
+-- Per-user HD deposit addresses (DEPOSIT_ADDRESS_MODE=hd). Deposits to them are
+-- credited to the owner automatically and swept into the pool wallet.
+
+CREATE TABLE IF NOT EXISTS user_deposit_addresses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    key_family VARCHAR(10) NOT NULL,
+    account_index INTEGER NOT NULL CHECK (account_index > 0),
+    derivation_path VARCHAR(100) NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    last_sweep_status VARCHAR(20),
+    last_sweep_error TEXT,
+    last_sweep_tx_hash VARCHAR(255),
+    last_swept_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, currency, network),
+    UNIQUE(currency, network, address)
+);
+
+-- ============================================================================
+-- POOL WITHDRAWALS
+-- ============================================================================
+-- Superseded by withdrawal_requests (rows are copied there with source
+-- 'pool_withdrawal'); kept so older installs keep their history.
+
+CREATE TABLE IF NOT EXISTS pool_withdrawals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20),
+    amount DECIMAL(20,8) NOT NULL,
+    destination_address VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    admin_notes TEXT,
+    approved_by UUID REFERENCES users(id),
+    transaction_hash VARCHAR(255),
+    transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    requested_amount_usd DECIMAL(20,2),
+    amount_usd DECIMAL(20,2),
+    required_approvals INTEGER,
+    approvals JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- POOL TRANSFERS
+-- ============================================================================
+-- Admin-initiated sends from the pool wallet (/api/admin/pool-withdrawal). Like user
+-- withdrawals they need approvals from admins other than the requester.
+
+CREATE TABLE IF NOT EXISTS pool_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20),
+    amount DECIMAL(20,8) NOT NULL CHECK (amount > 0),
+    to_address VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'rejected')),
+    requested_by UUID NOT NULL REFERENCES users(id),
+    rejected_by UUID REFERENCES users(id),
+    notes TEXT,
+    amount_usd DECIMAL(20,2),
+    required_approvals INTEGER,
+    approvals JSONB NOT NULL DEFAULT '[]'::jsonb,
+    transaction_hash VARCHAR(255),
+    transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- POOL RECONCILIATION
+-- ============================================================================
+-- One report per reconciliation run; `currencies` holds the per-currency snapshot.
+
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('ok', 'partial', 'alert')),
+    solvency_threshold NUMERIC(10,4) NOT NULL,
+    min_solvency_ratio NUMERIC(20,8),
+    currencies JSONB NOT NULL DEFAULT '[]'::jsonb,
+    triggered_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- PROOF OF RESERVES
+-- ============================================================================
+-- One snapshot per published proof; `assets` holds the Merkle sum root, total and
+-- pool address per asset. The leaves are kept so users can fetch their inclusion proof.
+
+CREATE TABLE IF NOT EXISTS reserves_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assets JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reserves_snapshot_leaves (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    snapshot_id UUID NOT NULL REFERENCES reserves_snapshots(id) ON DELETE CASCADE,
+    asset VARCHAR(10) NOT NULL,
+    leaf_index INTEGER NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    nonce VARCHAR(64) NOT NULL,
+    amount_units NUMERIC(40,0) NOT NULL CHECK (amount_units >= 0),
+    UNIQUE(snapshot_id, asset, leaf_index)
+);
+
+-- ============================================================================
+-- WITHDRAWAL BATCHES
+-- ============================================================================
+-- Approved withdrawal requests paid together (withdrawal_requests.batch_id). `fee` is
+-- the network fee the batch paid and `individual_fee_estimate` what sending the same
+-- withdrawals one by one would have cost, both in fee_currency.
+
+CREATE TABLE IF NOT EXISTS withdrawal_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    method VARCHAR(20) CHECK (method IN ('multi_output', 'multisend', 'sequential')),
+    status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'completed', 'partial', 'failed')),
+    withdrawal_count INTEGER NOT NULL DEFAULT 0,
+    total_amount DECIMAL(20,8) NOT NULL DEFAULT 0,
+    fee DECIMAL(20,8),
+    fee_currency VARCHAR(10),
+    individual_fee_estimate DECIMAL(20,8),
+    transaction_hashes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    broadcast_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- POOL BROADCASTS
+-- ============================================================================
+-- Every transaction sent from the pool wallet, tracked until it confirms. `references_json`
+-- lists the withdrawals it pays ({type, id}); `replacement` is the adapter's payload for
+-- a fee bump and `replacements` the hashes it replaced, oldest first.
+
+CREATE TABLE IF NOT EXISTS pool_broadcasts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    tx_hash VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'stuck', 'confirmed')),
+    fee DECIMAL(20,8),
+    replacement JSONB,
+    replacements JSONB NOT NULL DEFAULT '[]'::jsonb,
+    references_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+    batch_id UUID REFERENCES withdrawal_batches(id) ON DELETE SET NULL,
+    confirmed_tx_hash VARCHAR(255),
+    broadcast_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    stuck_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- WITHDRAWAL ADDRESS BOOK
+-- ============================================================================
+-- A user's saved withdrawal addresses. New ones are confirmed with an emailed code
+-- plus TOTP and become usable at activates_at (after the cooling-off period).
+
+CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    label VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'removed')),
+    code_hash VARCHAR(64),
+    code_expires_at TIMESTAMP WITH TIME ZONE,
+    confirm_attempts INTEGER NOT NULL DEFAULT 0,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    activates_at TIMESTAMP WITH TIME ZONE,
+    removed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- AUDIT LOGS
+-- ============================================================================
+-- Security-relevant changes (login alerts, restrictions, address book changes).
+-- target_id is text because some entries point at an email rather than a row.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    target_table VARCHAR(100),
+    target_id VARCHAR(255),
+    diff JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- KYC SUBMISSIONS
+-- ============================================================================
+-- Documents a user submits for a verification level, reviewed by an admin. The files
+-- are stored encrypted outside the database (kycStorageService); kyc_documents keeps
+-- where they are and their SHA-256 so a tampered file is detected when it is viewed.
+
+CREATE TABLE IF NOT EXISTS kyc_submissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    requested_level INTEGER NOT NULL CHECK (requested_level > 0),
+    previous_level INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    review_notes TEXT,
+    rejection_reason TEXT,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS kyc_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('id_front', 'id_back', 'selfie', 'proof_of_address')),
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    storage_backend VARCHAR(10) NOT NULL CHECK (storage_backend IN ('local', 's3')),
+    storage_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- SANCTIONS SCREENING
+-- ============================================================================
+-- Potential sanctions/PEP list hits on a user's name or withdrawal address, for admin
+-- review (sanctionsScreeningService). One case per user, subject and set of matched
+-- list entries (match_fingerprint), so rescreening does not reopen a cleared case.
+-- screening_runs records each rescreen of the whole user base and the list version used.
+
+CREATE TABLE IF NOT EXISTS screening_cases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('name', 'address')),
+    subject_value TEXT NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL CHECK (triggered_by IN ('signup', 'name_change', 'withdrawal', 'rescreen')),
+    matches JSONB NOT NULL DEFAULT '[]'::jsonb,
+    top_score DECIMAL(5, 4) NOT NULL,
+    match_fingerprint VARCHAR(64) NOT NULL,
+    list_version VARCHAR(64),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'cleared', 'confirmed')),
+    reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    review_notes TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, subject_type, subject_value, match_fingerprint)
+);
+
+CREATE TABLE IF NOT EXISTS screening_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    list_version VARCHAR(64),
+    triggered_by VARCHAR(20) NOT NULL CHECK (triggered_by IN ('list_update', 'manual', 'command')),
+    started_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    users_screened INTEGER NOT NULL DEFAULT 0,
+    addresses_screened INTEGER NOT NULL DEFAULT 0,
+    cases_opened INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- AML MONITORING
+-- ============================================================================
+-- Deposits, exchanges and withdrawals (aml_events) are evaluated against configurable
+-- rules (aml_rules: a rule type from amlService plus its params). Each hit is an
+-- aml_alerts row on the user's one unresolved aml_cases row; status_history keeps every
+-- workflow move (open -> investigating -> escalated -> closed).
+
+CREATE TABLE IF NOT EXISTS aml_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    rule_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    severity VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high')),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS aml_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('deposit', 'exchange', 'withdrawal')),
+    subtype VARCHAR(30),
+    currency VARCHAR(10) NOT NULL,
+    amount DECIMAL(20, 8) NOT NULL,
+    amount_usd DECIMAL(20, 2),
+    reference_type VARCHAR(50),
+    reference_id VARCHAR(100),
+    occurred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    evaluated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS aml_cases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    severity VARCHAR(10) NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'investigating', 'escalated', 'closed')),
+    status_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    resolution VARCHAR(20) CHECK (resolution IN ('false_positive', 'no_action', 'reported')),
+    closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS aml_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    case_id UUID NOT NULL REFERENCES aml_cases(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES aml_rules(id) ON DELETE SET NULL,
+    rule_name VARCHAR(100) NOT NULL,
+    rule_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(10) NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_id UUID REFERENCES aml_events(id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default rules (tuned, disabled or added to from /api/admin/aml/rules)
+INSERT INTO aml_rules (name, rule_type, description, severity, params)
+VALUES
+    ('Deposit then withdraw', 'deposit_then_withdraw', 'Most of the last 24 hours of deposits withdrawn again', 'high',
+     '{"withinHours":24,"minDepositUsd":1000,"minRatio":0.8,"cooldownHours":24,"eventTypes":["withdrawal"]}'),
+    ('Structuring under $10,000', 'structuring', 'Three or more deposits or withdrawals within 10% under $10,000 in a day', 'high',
+     '{"thresholdUsd":10000,"marginPercent":10,"windowHours":24,"minCount":3,"cooldownHours":24,"eventTypes":["deposit","withdrawal"]}'),
+    ('Gold round trip', 'gold_round_trip', 'Gold bought and sold back within 24 hours', 'medium',
+     '{"withinHours":24,"minUsd":1000,"minCount":1,"cooldownHours":24,"eventTypes":["exchange"]}'),
+    ('New account volume', 'new_account_volume', 'Over $50,000 moved in the first 30 days', 'medium',
+     '{"accountAgeDays":30,"volumeUsd":50000,"cooldownHours":168,"eventTypes":["deposit","exchange","withdrawal"]}'),
+    ('Large transaction', 'large_transaction', 'A single transaction of $50,000 or more', 'low',
+     '{"minUsd":50000,"cooldownHours":0,"eventTypes":["deposit","exchange","withdrawal"]}')
+ON CONFLICT (name) DO NOTHING;
+
+-- ============================================================================
+-- COMPLIANCE CASES
+-- ============================================================================
+-- Login, VPN and geo-restriction alerts (also written to audit_logs) grouped on one
+-- unresolved case per email address. A case can freeze the user's account until an
+-- admin lifts it; status_history keeps workflow moves and freeze changes. Attachments
+-- are stored encrypted (kycStorageService), only their details live here.
+
+CREATE TABLE IF NOT EXISTS compliance_cases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    subject_email CITEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'investigating', 'escalated', 'closed')),
+    status_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    resolution VARCHAR(20) CHECK (resolution IN ('false_positive', 'no_action', 'reported')),
+    assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    account_frozen BOOLEAN NOT NULL DEFAULT FALSE,
+    frozen_reason TEXT,
+    frozen_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    frozen_at TIMESTAMP WITH TIME ZONE,
+    unfrozen_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    unfrozen_at TIMESTAMP WITH TIME ZONE,
+    closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS compliance_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    case_id UUID NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('login', 'vpn', 'geo')),
+    kind VARCHAR(50) NOT NULL,
+    audit_log_id UUID REFERENCES audit_logs(id) ON DELETE SET NULL,
+    ip_address VARCHAR(64),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS compliance_case_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    case_id UUID NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS compliance_case_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    case_id UUID NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(200) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    storage_backend VARCHAR(10) NOT NULL,
+    storage_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- TREASURY
+-- ============================================================================
+-- The pool (hot) wallet is kept inside a band per currency (treasury_policy setting).
+-- Excess is swept to the cold address; a shortfall raises a top-up, which admins
+-- approve and then fund with a transaction signed offline from the cold wallet.
+
+CREATE TABLE IF NOT EXISTS treasury_sweeps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    amount DECIMAL(20,8) NOT NULL CHECK (amount > 0),
+    from_address VARCHAR(255) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    hot_balance DECIMAL(20,8) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'broadcast', 'confirmed', 'failed')),
+    transaction_hash VARCHAR(255),
+    transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS treasury_top_ups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    amount DECIMAL(20,8) NOT NULL CHECK (amount > 0),
+    from_address VARCHAR(255) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'cancelled', 'failed')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    amount_usd DECIMAL(20,2),
+    required_approvals INTEGER,
+    approvals JSONB NOT NULL DEFAULT '[]'::jsonb,
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancellation_reason TEXT,
+    transaction_hash VARCHAR(255),
+    transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    broadcast_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- `broadcasting`: the signed transaction is recorded and being sent
+ALTER TABLE treasury_top_ups DROP CONSTRAINT IF EXISTS treasury_top_ups_status_check;
+ALTER TABLE treasury_top_ups ADD CONSTRAINT treasury_top_ups_status_check
+    CHECK (status IN ('pending', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'cancelled', 'failed'));
+
+-- ============================================================================
+-- WATCH-ONLY POOL
+-- ============================================================================
+-- With POOL_WALLET_MODE=watch_only the server holds no pool key. Each withdrawal gets
+-- an unsigned transaction (PSBT on Bitcoin, transaction JSON on EVM chains and Tron)
+-- that is signed offline and uploaded back for broadcast.
+
+CREATE TABLE IF NOT EXISTS pool_unsigned_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    currency VARCHAR(10) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    reference_type VARCHAR(50) NOT NULL,
+    reference_id UUID NOT NULL,
+    from_address VARCHAR(255) NOT NULL,
+    outputs JSONB NOT NULL,
+    format VARCHAR(20) NOT NULL,
+    payload TEXT NOT NULL,
+    fingerprint VARCHAR(255) NOT NULL,
+    holds JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fee DECIMAL(20,8),
+    status VARCHAR(20) NOT NULL DEFAULT 'awaiting_signature' CHECK (status IN ('awaiting_signature', 'broadcast', 'cancelled')),
+    tx_hash VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    broadcast_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- NETWORK COLUMNS (backward compatibility)
+-- ============================================================================
+-- A currency such as USDT can move on several networks (ethereum, tron, bsc).
+-- NULL means the currency's default network (rows created before networks existed).
+
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS network VARCHAR(20);
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS network VARCHAR(20);
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS fee DECIMAL(20, 8);
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS net_amount DECIMAL(20, 8);
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS network VARCHAR(20);
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS network VARCHAR(20);
+
+-- ============================================================================
+-- DEPOSIT CONFIRMATIONS AND REORGS (backward compatibility)
+-- ============================================================================
+-- Deposits keep the block they were mined in so a chain reorg can be detected;
+-- an orphaned deposit moves to 'reorged' and its credit is reversed.
+
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS block_hash VARCHAR(255);
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS confirmations INTEGER;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS required_confirmations INTEGER;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS detected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS credited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS reorged_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposit_requests DROP CONSTRAINT IF EXISTS deposit_requests_status_check;
+ALTER TABLE deposit_requests ADD CONSTRAINT deposit_requests_status_check
+    CHECK (status IN ('pending', 'confirming', 'completed', 'failed', 'cancelled', 'reorged', 'expired'));
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS reorged_at TIMESTAMP WITH TIME ZONE;
+
+-- Deposits to per-user HD addresses and their sweep into the pool
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS deposit_address VARCHAR(255);
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS swept_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS sweep_tx_hash VARCHAR(255);
+
+-- Deposit intents for the pool address: a unique exact amount (or memo) and an expiry;
+-- unmatched pool deposits keep the intents suggested to the admin
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS requested_amount DECIMAL(20, 8);
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS reference_code VARCHAR(20);
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposit_requests ADD COLUMN IF NOT EXISTS pool_deposit_id UUID;
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS memo VARCHAR(100);
+ALTER TABLE pool_deposits ADD COLUMN IF NOT EXISTS suggested_matches JSONB;
+
+-- ============================================================================
+-- WITHDRAWAL APPROVALS (backward compatibility)
+-- ============================================================================
+-- Maker-checker: admin approvals are recorded on the withdrawal and the number
+-- needed is fixed at the first approval (withdrawal_approval_policy setting).
+
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS amount_usd DECIMAL(20, 2);
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS required_approvals INTEGER;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS approvals JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS amount_usd DECIMAL(20,2);
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS required_approvals INTEGER;
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS approvals JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Legacy withdrawals table (only present on older installs)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'withdrawals') THEN
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS amount_usd DECIMAL(20,2);
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS required_approvals INTEGER;
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS approvals JSONB NOT NULL DEFAULT '[]'::jsonb;
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+    END IF;
+END $$;
+
+-- Approved withdrawal requests waiting for (or paid by) a withdrawal batch
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES withdrawal_batches(id) ON DELETE SET NULL;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS batch_queued_at TIMESTAMP WITH TIME ZONE;
+
+-- Approved withdrawals the hot wallet cannot pay yet; sent once the treasury tops it up
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS awaiting_liquidity_since TIMESTAMP WITH TIME ZONE;
+
+-- Watch-only pool: the BTC account xpub (and master key fingerprint) the pool address derives from
+ALTER TABLE pool_addresses ADD COLUMN IF NOT EXISTS xpub TEXT;
+ALTER TABLE pool_addresses ADD COLUMN IF NOT EXISTS master_fingerprint VARCHAR(8);
+
+-- Earlier hashes of a withdrawal's transaction (fee bumps and other replacements)
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE pool_transfers ADD COLUMN IF NOT EXISTS transaction_hash_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Withdrawals only to confirmed address book entries (per-account setting)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS withdrawal_whitelist_only BOOLEAN DEFAULT FALSE;
+
+-- Withdrawal limits: the user's verification level picks the limits, admins can override them,
+-- and each request keeps the USD value it counts against them
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_level INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS withdrawal_limit_override JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS requested_amount_usd DECIMAL(20, 2);
+ALTER TABLE pool_withdrawals ADD COLUMN IF NOT EXISTS requested_amount_usd DECIMAL(20,2);
+
+-- ============================================================================
+-- WITHDRAWAL PIPELINE (backward compatibility)
+-- ============================================================================
+-- One state machine for every withdrawal (see WITHDRAWAL REQUESTS). Old statuses
+-- are mapped (pending -> held, completed -> broadcast while its pool transaction is
+-- unconfirmed, otherwise confirmed) and pool_withdrawals / legacy withdrawals rows
+-- are copied into withdrawal_requests under the same id, with their holds and pool
+-- broadcasts pointed at the copy. Copied pool_withdrawals have no recorded fee and
+-- are sent in full. Safe to run more than once.
+
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS status_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'withdrawal_request';
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS broadcast_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE withdrawal_requests DROP CONSTRAINT IF EXISTS withdrawal_requests_status_check;
+
+DROP FUNCTION IF EXISTS pipeline_withdrawal_status(TEXT, TEXT) CASCADE;
+CREATE FUNCTION pipeline_withdrawal_status(old_status TEXT, sent_hash TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN CASE
+        WHEN old_status IN ('requested', 'held', 'approved', 'broadcast', 'confirmed', 'failed', 'rejected') THEN old_status
+        WHEN old_status = 'pending' THEN 'held'
+        WHEN old_status = 'completed' AND EXISTS (
+            SELECT 1 FROM pool_broadcasts pb WHERE pb.tx_hash = sent_hash AND pb.status IN ('pending', 'stuck')
+        ) THEN 'broadcast'
+        WHEN old_status = 'completed' THEN 'confirmed'
+        ELSE 'failed'
+    END;
+END;
+$$ language 'plpgsql';
+
+UPDATE withdrawal_requests
+SET status = pipeline_withdrawal_status(status, transaction_hash),
+    status_history = status_history || jsonb_build_array(jsonb_build_object(
+        'from', status, 'to', pipeline_withdrawal_status(status, transaction_hash), 'at', NOW(), 'note', 'migrated'
+    )),
+    broadcast_at = CASE WHEN status = 'completed' THEN COALESCE(broadcast_at, completed_at) ELSE broadcast_at END,
+    confirmed_at = CASE WHEN pipeline_withdrawal_status(status, transaction_hash) = 'confirmed' AND status = 'completed' THEN completed_at ELSE confirmed_at END,
+    completed_at = CASE WHEN pipeline_withdrawal_status(status, transaction_hash) = 'broadcast' THEN NULL ELSE completed_at END
+WHERE status NOT IN ('requested', 'held', 'approved', 'broadcast', 'confirmed', 'failed', 'rejected');
+
+INSERT INTO withdrawal_requests (
+    id, user_id, currency, network, amount, destination_address, status, status_history, source,
+    admin_id, admin_notes, transaction_hash, transaction_hash_history, requested_amount_usd,
+    amount_usd, required_approvals, approvals, created_at, updated_at, broadcast_at, confirmed_at, completed_at
+)
+SELECT
+    pw.id, pw.user_id, UPPER(pw.currency), pw.network, pw.amount, pw.destination_address,
+    pipeline_withdrawal_status(pw.status, pw.transaction_hash),
+    jsonb_build_array(jsonb_build_object(
+        'from', pw.status, 'to', pipeline_withdrawal_status(pw.status, pw.transaction_hash), 'at', NOW(), 'note', 'migrated from pool_withdrawals'
+    )),
+    'pool_withdrawal', pw.approved_by, pw.admin_notes, pw.transaction_hash, pw.transaction_hash_history,
+    pw.requested_amount_usd, pw.amount_usd, pw.required_approvals, pw.approvals,
+    pw.created_at, COALESCE(pw.completed_at, pw.created_at),
+    CASE WHEN pw.status = 'completed' THEN pw.completed_at END,
+    CASE WHEN pipeline_withdrawal_status(pw.status, pw.transaction_hash) = 'confirmed' THEN pw.completed_at END,
+    CASE WHEN pipeline_withdrawal_status(pw.status, pw.transaction_hash) = 'broadcast' THEN NULL ELSE pw.completed_at END
+FROM pool_withdrawals pw
+WHERE UPPER(pw.currency) IN ('BTC', 'ETH', 'USDT') AND pw.amount > 0
+ON CONFLICT (id) DO NOTHING;
+
+-- Legacy withdrawals table (only present on older installs); ids that are not UUIDs get a new one
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'withdrawals') THEN
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS network VARCHAR(20);
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS to_address VARCHAR(255);
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS tx_hash VARCHAR(255);
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+        ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+        INSERT INTO withdrawal_requests (
+            id, user_id, currency, network, amount, destination_address, status, status_history, source,
+            transaction_hash, transaction_hash_history, amount_usd, required_approvals, approvals,
+            created_at, updated_at, broadcast_at, confirmed_at, completed_at
+        )
+        SELECT
+            CASE WHEN w.id::text ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN w.id::text::uuid ELSE gen_random_uuid() END,
+            w.user_id, UPPER(w.currency), w.network, w.amount, w.to_address,
+            pipeline_withdrawal_status(w.status, w.tx_hash),
+            jsonb_build_array(jsonb_build_object(
+                'from', w.status, 'to', pipeline_withdrawal_status(w.status, w.tx_hash), 'at', NOW(),
+                'note', 'migrated from withdrawals', 'legacyId', w.id::text
+            )),
+            'withdrawals', w.tx_hash, w.transaction_hash_history, w.amount_usd, w.required_approvals, w.approvals,
+            w.created_at, COALESCE(w.completed_at, w.created_at),
+            CASE WHEN w.status = 'completed' THEN w.completed_at END,
+            CASE WHEN pipeline_withdrawal_status(w.status, w.tx_hash) = 'confirmed' THEN w.completed_at END,
+            CASE WHEN pipeline_withdrawal_status(w.status, w.tx_hash) = 'broadcast' THEN NULL ELSE w.completed_at END
+        FROM withdrawals w
+        JOIN users u ON u.id = w.user_id
+        WHERE UPPER(w.currency) IN ('BTC', 'ETH', 'USDT') AND w.amount > 0 AND w.to_address IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM withdrawal_requests wr
+              WHERE wr.source = 'withdrawals' AND wr.status_history -> 0 ->> 'legacyId' = w.id::text
+          )
+        ON CONFLICT (id) DO NOTHING;
+
+        COMMENT ON TABLE withdrawals IS 'Superseded by withdrawal_requests (source = withdrawals)';
+    END IF;
+END $$;
+
+COMMENT ON TABLE pool_withdrawals IS 'Superseded by withdrawal_requests (source = pool_withdrawal)';
+
+ALTER TABLE withdrawal_requests ADD CONSTRAINT withdrawal_requests_status_check
+    CHECK (status IN ('requested', 'held', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'failed', 'rejected'));
+ALTER TABLE withdrawal_requests ALTER COLUMN status SET DEFAULT 'requested';
+
+-- Holds and pool broadcasts of the copied rows now belong to withdrawal_requests
+UPDATE balance_holds SET reference_type = 'withdrawal_request'
+WHERE reference_type IN ('pool_withdrawal', 'withdrawals')
+  AND reference_id IN (SELECT id::text FROM withdrawal_requests);
+
+UPDATE pool_broadcasts
+SET references_json = (
+    SELECT jsonb_agg(CASE
+        WHEN ref ->> 'type' IN ('pool_withdrawal', 'withdrawals') THEN jsonb_set(ref, '{type}', '"withdrawal_request"')
+        ELSE ref
+    END)
+    FROM jsonb_array_elements(references_json) AS ref
+)
+WHERE EXISTS (
+    SELECT 1 FROM jsonb_array_elements(references_json) AS ref
+    WHERE ref ->> 'type' IN ('pool_withdrawal', 'withdrawals')
+);
+
+-- ============================================================================
+-- PLATFORM SETTINGS
+-- ============================================================================
+-- Admin-editable settings (/api/admin/crypto/settings). Values are text; JSON settings
+-- such as deposit_confirmation_policy are validated by the service that reads them.
+
+CREATE TABLE IF NOT EXISTS platform_settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value TEXT,
+    description TEXT,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Confirmations a deposit needs before it is credited, per currency (or currency:network) and amount tier
+INSERT INTO platform_settings (setting_key, setting_value, description)
+VALUES (
+    'deposit_confirmation_policy',
+    '{"BTC":[{"minAmount":0,"confirmations":2},{"minAmount":1,"confirmations":6}],"ETH":[{"minAmount":0,"confirmations":12},{"minAmount":50,"confirmations":32}],"USDT:ethereum":[{"minAmount":0,"confirmations":12},{"minAmount":100000,"confirmations":32}],"USDT:tron":[{"minAmount":0,"confirmations":20}],"USDT:bsc":[{"minAmount":0,"confirmations":15},{"minAmount":100000,"confirmations":45}]}',
+    'Deposit confirmations per currency (or currency:network) and amount tier'
+)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Admin approvals a withdrawal needs by USD value (the requester can never approve their own)
+INSERT INTO platform_settings (setting_key, setting_value, description)
+VALUES (
+    'withdrawal_approval_policy',
+    '{"tiers":[{"minUsd":0,"approvals":1},{"minUsd":10000,"approvals":2}]}',
+    'Admin approvals required per withdrawal USD value tier'
+)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Daily, weekly and monthly USD withdrawal limits per currency by verification level (null = no limit)
+INSERT INTO platform_settings (setting_key, setting_value, description)
+VALUES (
+    'withdrawal_limit_policy',
+    '{"levels":[{"level":0,"daily":1000,"weekly":5000,"monthly":10000},{"level":1,"daily":10000,"weekly":50000,"monthly":100000},{"level":2,"daily":100000,"weekly":500000,"monthly":1000000}]}',
+    'Withdrawal limits in USD per currency by user verification level'
+)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Verification level each KYC-gated feature needs (0 = open to everyone)
+INSERT INTO platform_settings (setting_key, setting_value, description)
+VALUES (
+    'kyc_requirements',
+    '{"gold_exchange":1,"withdrawals":1,"crowdfunding":1}',
+    'Minimum KYC verification level per feature (gold_exchange, withdrawals, crowdfunding)'
+)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Hot wallet band and cold address per currency (or currency:network); empty = no tiering
+INSERT INTO platform_settings (setting_key, setting_value, description)
+VALUES (
+    'treasury_policy',
+    '{}',
+    'Cold address and hot wallet band (min, target, max) per currency or currency:network'
+)
+ON CONFLICT (setting_key) DO NOTHING;
+
 -- ============================================================================
 -- INDEXES FOR PERFORMANCE
 -- ============================================================================
@@ -517,6 +1450,10 @@ CREATE INDEX IF NOT EXISTS idx_transactions_ledger_created_at ON transactions_le
 CREATE INDEX IF NOT EXISTS idx_deposit_requests_user_id ON deposit_requests(user_id);
 CREATE INDEX IF NOT EXISTS idx_deposit_requests_status ON deposit_requests(status);
 CREATE INDEX IF NOT EXISTS idx_deposit_requests_created_at ON deposit_requests(created_at);
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_block ON deposit_requests(currency, block_number);
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_open_intents ON deposit_requests(currency, amount) WHERE status = 'pending' AND transaction_hash IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deposit_requests_reference_code ON deposit_requests(reference_code) WHERE reference_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_pool_deposit_id ON deposit_requests(pool_deposit_id) WHERE pool_deposit_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_gold_holdings_user_id ON gold_holdings(user_id);
 CREATE INDEX IF NOT EXISTS idx_gold_holdings_skr ON gold_holdings(skr_reference);
 CREATE INDEX IF NOT EXISTS idx_gold_holdings_status ON gold_holdings(status);
@@ -525,6 +1462,12 @@ CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_user_id ON withdrawal_request
 CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_status ON withdrawal_requests(status);
 CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_created_at ON withdrawal_requests(created_at);
 CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_currency ON withdrawal_requests(currency);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_user_created ON withdrawal_requests(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_batch_queue ON withdrawal_requests(currency, batch_queued_at) WHERE status = 'approved' AND batch_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_batch_id ON withdrawal_requests(batch_id) WHERE batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_withdrawal_batches_created_at ON withdrawal_batches(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pool_broadcasts_open ON pool_broadcasts(broadcast_at) WHERE status IN ('pending', 'stuck');
+CREATE INDEX IF NOT EXISTS idx_pool_broadcasts_tx_hash ON pool_broadcasts(tx_hash);
 CREATE INDEX IF NOT EXISTS idx_user_referral_codes_user_id ON user_referral_codes(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_referral_codes_code ON user_referral_codes(referral_code);
 CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals(referrer_id);
@@ -554,6 +1497,57 @@ CREATE INDEX IF NOT EXISTS idx_risk_limits_user_id ON risk_limits(user_id);
 CREATE INDEX IF NOT EXISTS idx_exchange_accounts_user_id ON exchange_accounts(user_id);
 CREATE INDEX IF NOT EXISTS idx_bot_performance_bot_id ON bot_performance(bot_id);
 CREATE INDEX IF NOT EXISTS idx_bot_performance_date ON bot_performance(date);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_type_currency ON ledger_accounts(account_type, currency);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_reference ON ledger_journal_entries(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_created_at ON ledger_journal_entries(created_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_id ON ledger_postings(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+CREATE INDEX IF NOT EXISTS idx_balance_holds_user_status ON balance_holds(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_balance_holds_reference ON balance_holds(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_balance_holds_expires_at ON balance_holds(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_pool_withdrawals_user_id ON pool_withdrawals(user_id);
+CREATE INDEX IF NOT EXISTS idx_pool_withdrawals_user_created ON pool_withdrawals(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_pool_deposits_status ON pool_deposits(status);
+CREATE INDEX IF NOT EXISTS idx_pool_deposits_block ON pool_deposits(currency, block_number);
+CREATE INDEX IF NOT EXISTS idx_pool_deposits_deposit_address ON pool_deposits(deposit_address) WHERE deposit_address IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_deposit_addresses_account ON user_deposit_addresses(key_family, account_index);
+CREATE INDEX IF NOT EXISTS idx_pool_withdrawals_status ON pool_withdrawals(status);
+CREATE INDEX IF NOT EXISTS idx_pool_transfers_status ON pool_transfers(status);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_created_at ON reconciliation_reports(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reserves_snapshots_created_at ON reserves_snapshots(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reserves_snapshot_leaves_user ON reserves_snapshot_leaves(snapshot_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_status ON kyc_submissions(status, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_user_id ON kyc_submissions(user_id, submitted_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_submissions_one_pending ON kyc_submissions(user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_kyc_documents_submission_id ON kyc_documents(submission_id);
+CREATE INDEX IF NOT EXISTS idx_screening_cases_status ON screening_cases(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_screening_cases_user_unresolved ON screening_cases(user_id) WHERE status IN ('open', 'confirmed');
+CREATE INDEX IF NOT EXISTS idx_screening_runs_started_at ON screening_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_aml_events_pending ON aml_events(occurred_at) WHERE evaluated_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_aml_events_user_type ON aml_events(user_id, event_type, occurred_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_aml_cases_one_unresolved ON aml_cases(user_id) WHERE status != 'closed';
+CREATE INDEX IF NOT EXISTS idx_aml_cases_status ON aml_cases(status, severity);
+CREATE INDEX IF NOT EXISTS idx_aml_alerts_case_id ON aml_alerts(case_id);
+CREATE INDEX IF NOT EXISTS idx_aml_alerts_rule_user ON aml_alerts(rule_id, user_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_cases_one_unresolved ON compliance_cases(subject_email) WHERE status != 'closed';
+CREATE INDEX IF NOT EXISTS idx_compliance_cases_status ON compliance_cases(status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_compliance_cases_frozen ON compliance_cases(user_id) WHERE account_frozen = true;
+CREATE INDEX IF NOT EXISTS idx_compliance_alerts_case_id ON compliance_alerts(case_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_compliance_case_notes_case_id ON compliance_case_notes(case_id);
+CREATE INDEX IF NOT EXISTS idx_compliance_case_attachments_case_id ON compliance_case_attachments(case_id);
+CREATE INDEX IF NOT EXISTS idx_treasury_sweeps_created_at ON treasury_sweeps(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_treasury_top_ups_status ON treasury_top_ups(status, created_at DESC);
+DROP INDEX IF EXISTS idx_treasury_top_ups_one_open;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_treasury_top_ups_one_open ON treasury_top_ups(currency, network) WHERE status IN ('pending', 'approved', 'broadcasting', 'broadcast');
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_awaiting_liquidity ON withdrawal_requests(currency, network, awaiting_liquidity_since) WHERE awaiting_liquidity_since IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pool_unsigned_transactions_status ON pool_unsigned_transactions(status, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pool_unsigned_transactions_one_open ON pool_unsigned_transactions(reference_type, reference_id) WHERE status = 'awaiting_signature';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_withdrawal_addresses_user_address ON withdrawal_addresses(user_id, currency, network, address) WHERE status != 'removed';
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_user_id ON audit_logs(actor_user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action_created_at ON audit_logs(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs(target_table, target_id);
 
 -- ============================================================================
 -- TRIGGERS AND FUNCTIONS
@@ -681,6 +1675,60 @@ BEGIN
     END IF;
 END $$;
 
+-- Ledger postings and journal entries are append-only; corrections are posted as reversals
+DROP FUNCTION IF EXISTS prevent_ledger_mutation() CASCADE;
+CREATE FUNCTION prevent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger rows are append-only (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ language 'plpgsql';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'ledger_postings_append_only') THEN
+        CREATE TRIGGER ledger_postings_append_only
+            BEFORE UPDATE OR DELETE ON ledger_postings
+            FOR EACH ROW
+            EXECUTE FUNCTION prevent_ledger_mutation();
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'ledger_journal_entries_append_only') THEN
+        CREATE TRIGGER ledger_journal_entries_append_only
+            BEFORE UPDATE OR DELETE ON ledger_journal_entries
+            FOR EACH ROW
+            EXECUTE FUNCTION prevent_ledger_mutation();
+    END IF;
+END $$;
+
+-- Withdrawal status may only move along the pipeline (mirrors withdrawalPipelineService TRANSITIONS)
+DROP FUNCTION IF EXISTS enforce_withdrawal_transition() CASCADE;
+CREATE FUNCTION enforce_withdrawal_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+        (OLD.status = 'requested' AND NEW.status IN ('held', 'rejected', 'failed')) OR
+        (OLD.status = 'held' AND NEW.status IN ('approved', 'rejected', 'failed')) OR
+        (OLD.status = 'approved' AND NEW.status IN ('broadcasting', 'broadcast', 'failed')) OR
+        (OLD.status = 'broadcasting' AND NEW.status IN ('approved', 'broadcast', 'failed')) OR
+        (OLD.status = 'broadcast' AND NEW.status = 'confirmed')
+    ) THEN
+        RAISE EXCEPTION 'Illegal withdrawal status transition: % -> %', OLD.status, NEW.status;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'withdrawal_requests_transition') THEN
+        CREATE TRIGGER withdrawal_requests_transition
+            BEFORE UPDATE OF status ON withdrawal_requests
+            FOR EACH ROW
+            EXECUTE FUNCTION enforce_withdrawal_transition();
+    END IF;
+END $$;
+
 -- Function to calculate bot performance metrics
 DROP FUNCTION IF EXISTS calculate_bot_performance(UUID, DATE) CASCADE;
 CREATE FUNCTION calculate_bot_performance(p_bot_id UUID, p_date DATE)
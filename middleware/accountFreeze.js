@@ -0,0 +1,20 @@
+const complianceCaseService = require('../services/complianceCaseService');
+
+/**
+ * Refuse the request while a compliance case has frozen the user's account.
+ * Read-only routes stay available; mount this on routes that move value.
+ * Must run after authentication.
+ */
+const rejectFrozenAccount = async (req, res, next) => {
+  try {
+    if (await complianceCaseService.isAccountFrozen(req.user.id)) {
+      return res.status(403).json({ message: complianceCaseService.frozenMessage });
+    }
+    next();
+  } catch (error) {
+    console.error('Account freeze check error:', error);
+    res.status(500).json({ message: 'Failed to check account status' });
+  }
+};
+
+module.exports = { rejectFrozenAccount };
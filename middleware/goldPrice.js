@@ -0,0 +1,24 @@
+const goldPriceOracleService = require('../services/goldPriceOracleService');
+
+/**
+ * Refuse gold trades while the oracle's price is stale or contested. On success the
+ * price the check passed on is left in req.goldPrice, so the trade uses that price
+ * rather than fetching another.
+ */
+const requireTradableGoldPrice = async (req, res, next) => {
+  let snapshot;
+  try {
+    snapshot = await goldPriceOracleService.getPrice();
+  } catch (error) {
+    console.error('Gold price check error:', error);
+    return res.status(500).json({ message: 'Failed to check the gold price' });
+  }
+
+  if (snapshot.status !== 'ok') {
+    return res.status(503).json({ message: goldPriceOracleService.pausedMessage(snapshot), priceStatus: snapshot.status });
+  }
+  req.goldPrice = snapshot;
+  next();
+};
+
+module.exports = { requireTradableGoldPrice };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+/**
+ * Idempotency-Key support for money-moving endpoints
+ *
+ * The first request with a given key (per user) is executed and its response is stored.
+ * A retry with the same key and the same body gets the stored response replayed; a retry
+ * with a different body is rejected. Only JSON responses below 500 are stored: a server error,
+ * or a response sent any other way (send, end, sendStatus, a stream), releases the key so the
+ * request can be retried.
+ *
+ * While the handler runs, the key's lock is refreshed every LOCK_HEARTBEAT_SECONDS. A retry only
+ * takes over an in-progress key whose lock has not been refreshed for LOCK_TIMEOUT_SECONDS,
+ * i.e. when the process that held it is gone.
+ */
+
+const HEADER = 'idempotency-key';
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const LOCK_TIMEOUT_SECONDS = 300; // An in-progress key not refreshed for this long is considered abandoned
+const LOCK_HEARTBEAT_SECONDS = 60;
+
+// Serialise with sorted keys so that property order does not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Build the middleware. Must run after authentication (keys are scoped per user).
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - reject requests without an Idempotency-Key header
+ */
+const idempotency = (options = {}) => {
+  const { required = false } = options;
+
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    if (!key) {
+      if (required) {
+        return res.status(400).json({ message: 'Idempotency-Key header is required' });
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({ message: 'Access token required' });
+    }
+
+    const userId = req.user.id;
+    const requestHash = fingerprint(req);
+    const requestPath = `${req.baseUrl}${req.path}`;
+
+    try {
+      const inserted = await query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash, status, expires_at)
+         VALUES ($1, $2, $3, $4, $5, 'in_progress', NOW() + ($6 || ' hours')::interval)
+         ON CONFLICT (user_id, idempotency_key) DO NOTHING
+         RETURNING id`,
+        [userId, key, req.method, requestPath, requestHash, String(KEY_TTL_HOURS)]
+      );
+
+      let recordId = inserted.rows[0]?.id;
+
+      if (!recordId) {
+        const existingResult = await query(
+          `SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2`,
+          [userId, key]
+        );
+        const existing = existingResult.rows[0];
+
+        if (!existing) {
+          // Purged between the insert and the lookup - let the client retry
+          return res.status(409).json({ message: 'Idempotency-Key conflict, please retry' });
+        }
+
+        if (existing.request_hash !== requestHash || existing.request_path !== requestPath) {
+          return res.status(422).json({
+            message: 'Idempotency-Key has already been used with a different request'
+          });
+        }
+
+        if (existing.status === 'completed') {
+          console.log(`🔁 Replaying idempotent response for ${requestPath} (key ${key})`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response_status).json(existing.response_body);
+        }
+
+        // Still in progress: only take over if the original request was abandoned
+        const takeover = await query(
+          `UPDATE idempotency_keys
+           SET locked_at = NOW()
+           WHERE id = $1 AND status = 'in_progress'
+             AND locked_at < NOW() - ($2 || ' seconds')::interval
+           RETURNING id`,
+          [existing.id, String(LOCK_TIMEOUT_SECONDS)]
+        );
+
+        if (takeover.rows.length === 0) {
+          return res.status(409).json({
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        recordId = takeover.rows[0].id;
+      }
+
+      // Keep the lock while the handler runs, however long it takes, and stop once a response is sent
+      const heartbeat = setInterval(() => {
+        query(
+          `UPDATE idempotency_keys SET locked_at = NOW() WHERE id = $1 AND status = 'in_progress'`,
+          [recordId]
+        ).catch(error => console.error('Failed to refresh Idempotency-Key lock:', error.message));
+      }, LOCK_HEARTBEAT_SECONDS * 1000);
+      heartbeat.unref();
+
+      const originalEnd = res.end.bind(res);
+      res.end = (...args) => {
+        clearInterval(heartbeat);
+        return originalEnd(...args);
+      };
+
+      // Capture the first response so retries can be answered from the store
+      let settled = false;
+      const release = () => query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        if (settled) {
+          return originalJson(body);
+        }
+        settled = true;
+
+        const statusCode = res.statusCode;
+        const persist = statusCode >= 500
+          ? release()
+          : query(
+            `UPDATE idempotency_keys
+             SET status = 'completed', response_status = $2, response_body = $3, completed_at = NOW()
+             WHERE id = $1`,
+            [recordId, statusCode, JSON.stringify(body === undefined ? null : body)]
+          );
+
+        persist
+          .catch(error => console.error('Failed to store idempotent response:', error.message))
+          .finally(() => originalJson(body));
+
+        return res;
+      };
+
+      // Anything that finishes without going through res.json cannot be replayed. A client
+      // that disconnects first leaves the key in progress: the handler may still complete
+      // (and store its response); once it has responded the lock lapses and the key can be taken over.
+      res.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        release().catch(error => console.error('Failed to release Idempotency-Key:', error.message));
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      res.status(500).json({ message: 'Failed to process Idempotency-Key' });
+    }
+  };
+};
+
+/**
+ * Delete expired idempotency keys
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+  const result = await query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+  if (result.rowCount > 0) {
+    console.log(`🧹 Purged ${result.rowCount} expired idempotency key(s)`);
+  }
+  return result.rowCount;
+};
+
+module.exports = {
+  idempotency,
+  purgeExpiredIdempotencyKeys,
+};
@@ -0,0 +1,44 @@
+const kycService = require('../services/kycService');
+
+/**
+ * Verification-level gate for KYC-restricted features
+ *
+ * The level each feature needs comes from the kyc_requirements platform setting. The
+ * user's level is read from the database on every request rather than from the JWT, so
+ * an approval (or a downgrade) applies straight away.
+ */
+
+/**
+ * Build the middleware. Must run after authentication.
+ * @param {string} feature - one of kycService.features (e.g. 'withdrawals')
+ */
+const requireKycLevel = (feature) => {
+  if (!kycService.features.includes(feature)) {
+    throw new Error(`Unknown KYC feature: ${feature}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const requiredLevel = await kycService.getRequiredLevel(feature);
+      if (requiredLevel === 0) {
+        return next();
+      }
+
+      const currentLevel = await kycService.getUserLevel(req.user.id);
+      if (currentLevel < requiredLevel) {
+        return res.status(403).json({
+          message: `Identity verification level ${requiredLevel} is required for this feature`,
+          requiredLevel,
+          currentLevel
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('KYC gate error:', error);
+      res.status(500).json({ message: 'Failed to check identity verification' });
+    }
+  };
+};
+
+module.exports = { requireKycLevel };
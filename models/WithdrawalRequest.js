@@ -1,19 +1,35 @@
 const { Pool } = require('pg');
 const pool = require('../config/database');
 
+// Read-only view of withdrawal_requests; every change goes through withdrawalPipelineService
 class WithdrawalRequest {
   constructor(data) {
     this.id = data.id;
     this.userId = data.user_id;
     this.currency = data.currency;
+    this.network = data.network; // null for requests created before networks (default network)
     this.amount = data.amount;
     this.destinationAddress = data.destination_address;
-    this.status = data.status; // 'pending', 'approved', 'rejected', 'completed', 'failed'
+    this.status = data.status; // 'requested', 'held', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'failed', 'rejected'
+    this.statusHistory = data.status_history || []; // Every state change (see withdrawalPipelineService)
+    this.source = data.source; // Where the row was first created: withdrawal_request, pool_withdrawal or withdrawals
     this.adminId = data.admin_id;
     this.adminNotes = data.admin_notes;
+    this.rejectionReason = data.rejection_reason;
     this.transactionHash = data.transaction_hash;
+    this.fee = data.fee;
+    this.netAmount = data.net_amount;
+    this.approvals = data.approvals || []; // Admin approvals so far (maker-checker)
+    this.requiredApprovals = data.required_approvals;
+    this.requestedAmountUsd = data.requested_amount_usd; // USD value counted against the user's withdrawal limits
+    this.batchId = data.batch_id; // Withdrawal batch that paid (or will pay) this request
+    this.batchQueuedAt = data.batch_queued_at;
+    this.awaitingLiquiditySince = data.awaiting_liquidity_since; // Approved but waiting for the hot wallet to be topped up
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
+    this.approvedAt = data.approved_at;
+    this.broadcastAt = data.broadcast_at;
+    this.confirmedAt = data.confirmed_at;
     this.completedAt = data.completed_at;
     
     // User information (when joined with users table)
@@ -21,30 +37,6 @@ class WithdrawalRequest {
     this.email = data.email;
   }
 
-  static async create(data) {
-    const query = `
-      INSERT INTO withdrawal_requests (
-        user_id, currency, amount, destination_address, status, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, 'pending', NOW(), NOW())
-      RETURNING *
-    `;
-    
-    const values = [
-      data.userId,
-      data.currency,
-      data.amount,
-      data.destinationAddress
-    ];
-
-    try {
-      const result = await pool.query(query, values);
-      return new WithdrawalRequest(result.rows[0]);
-    } catch (error) {
-      console.error('Error creating withdrawal request:', error);
-      throw error;
-    }
-  }
-
   static async findByUserId(userId, limit = 50, offset = 0) {
     const query = `
       SELECT wr.*, u.full_name, u.email
@@ -109,27 +101,6 @@ class WithdrawalRequest {
     }
   }
 
-  static async updateStatus(id, status, adminId = null, adminNotes = null, transactionHash = null) {
-    const query = `
-      UPDATE withdrawal_requests 
-      SET status = $1, admin_id = $2, admin_notes = $3, transaction_hash = $4, updated_at = NOW()
-      ${status === 'completed' ? ', completed_at = NOW()' : ''}
-      WHERE id = $5
-      RETURNING *
-    `;
-    
-    const values = [status, adminId, adminNotes, transactionHash, id];
-
-    try {
-      const result = await pool.query(query, values);
-      if (result.rows.length === 0) return null;
-      return new WithdrawalRequest(result.rows[0]);
-    } catch (error) {
-      console.error('Error updating withdrawal request status:', error);
-      throw error;
-    }
-  }
-
   static async getStats() {
     const query = `
       SELECT 
@@ -149,30 +120,6 @@ class WithdrawalRequest {
       throw error;
     }
   }
-
-  async save() {
-    const query = `
-      UPDATE withdrawal_requests 
-      SET user_id = $1, currency = $2, amount = $3, destination_address = $4, 
-          status = $5, admin_id = $6, admin_notes = $7, transaction_hash = $8, 
-          updated_at = NOW()
-      WHERE id = $9
-      RETURNING *
-    `;
-    
-    const values = [
-      this.userId, this.currency, this.amount, this.destinationAddress,
-      this.status, this.adminId, this.adminNotes, this.transactionHash, this.id
-    ];
-
-    try {
-      const result = await pool.query(query, values);
-      return new WithdrawalRequest(result.rows[0]);
-    } catch (error) {
-      console.error('Error saving withdrawal request:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = WithdrawalRequest;
@@ -4,6 +4,7 @@ const bcrypt = require('bcrypt');
 const { query } = require('../config/database');
 const authRoutes = require('./auth');
 const { authenticateToken, requireAdmin } = authRoutes;
+const sanctionsScreeningService = require('../services/sanctionsScreeningService');
 
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
@@ -11,7 +12,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     const result = await query(
-      'SELECT id, full_name, email, role, created_at, last_login FROM users WHERE id = $1',
+      'SELECT id, full_name, email, role, kyc_level, kyc_verified_at, created_at, last_login FROM users WHERE id = $1',
       [userId]
     );
     
@@ -31,6 +32,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         email: user.email,
         phone: user.phone || '', // Handle missing phone column
         role: user.role,
+        kycLevel: user.kyc_level,
+        kycVerifiedAt: user.kyc_verified_at,
         createdAt: user.created_at,
         lastLogin: user.last_login,
         isEmailVerified: true, // Placeholder
@@ -69,6 +72,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
         throw phoneError;
       }
     }
+
+    // A new name is screened like one given at signup
+    try {
+      await sanctionsScreeningService.screenUser(userId, fullName, 'name_change');
+    } catch (screeningError) {
+      console.error('Sanctions screening error (non-blocking):', screeningError);
+    }
     
     res.json({
       success: true,
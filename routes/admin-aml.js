@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const amlService = require('../services/amlService');
+const amlCaseService = require('../services/amlCaseService');
+const auditLogService = require('../services/auditLogService');
+
+// Get AML cases (status may list several, e.g. "open,investigating")
+router.get('/cases', async (req, res) => {
+  try {
+    const { status, severity, userId, limit = 50, offset = 0 } = req.query;
+    const cases = await amlCaseService.listCases({
+      status: status || null,
+      severity: severity || null,
+      userId: userId || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(cases);
+  } catch (error) {
+    console.error('Get AML cases error:', error);
+    res.status(500).json({ message: 'Failed to fetch AML cases' });
+  }
+});
+
+// Get one case with its alerts
+router.get('/cases/:id', async (req, res) => {
+  try {
+    const amlCase = await amlCaseService.getCase(req.params.id);
+    if (!amlCase) {
+      return res.status(404).json({ message: 'AML case not found' });
+    }
+    res.json(amlCase);
+  } catch (error) {
+    console.error('Get AML case error:', error);
+    res.status(500).json({ message: 'Failed to fetch AML case' });
+  }
+});
+
+// Move a case along its workflow
+// Body: { status: investigating|escalated|closed, note, resolution (when closing) }
+router.post('/cases/:id/status', async (req, res) => {
+  try {
+    const { status, note, resolution } = req.body;
+    const amlCase = await amlCaseService.transition(req.params.id, req.user.id, {
+      status,
+      note: note || null,
+      resolution: resolution || null
+    }, req);
+    res.json({ message: `AML case is now ${amlCase.status}`, case: amlCase });
+  } catch (error) {
+    console.error('Update AML case error:', error);
+    res.status(error.message === 'AML case not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Get the rule types the engine supports, with their default params
+router.get('/rule-types', (req, res) => {
+  res.json(amlService.listRuleTypes());
+});
+
+// Get all rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await amlService.listRules();
+    res.json(rules);
+  } catch (error) {
+    console.error('Get AML rules error:', error);
+    res.status(500).json({ message: 'Failed to fetch AML rules' });
+  }
+});
+
+// Create a rule. Body: { name, ruleType, description, severity, enabled, params }
+router.post('/rules', async (req, res) => {
+  try {
+    const rule = await amlService.createRule(req.body, req.user.id);
+
+    await auditLogService.log({
+      actorUserId: req.user.id,
+      action: 'aml.rule_created',
+      targetTable: 'aml_rules',
+      targetId: rule.id,
+      diff: { after: rule },
+      req
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Create AML rule error:', error);
+    res.status(error.code === '23505' ? 409 : 400).json({
+      message: error.code === '23505' ? 'A rule with this name already exists' : error.message
+    });
+  }
+});
+
+// Update a rule (params are merged into the current ones; the type cannot change)
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const { before, after } = await amlService.updateRule(req.params.id, req.body, req.user.id);
+
+    await auditLogService.log({
+      actorUserId: req.user.id,
+      action: 'aml.rule_updated',
+      targetTable: 'aml_rules',
+      targetId: after.id,
+      diff: { before, after },
+      req
+    });
+
+    res.json(after);
+  } catch (error) {
+    console.error('Update AML rule error:', error);
+    if (error.message === 'AML rule not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(error.code === '23505' ? 409 : 400).json({
+      message: error.code === '23505' ? 'A rule with this name already exists' : error.message
+    });
+  }
+});
+
+module.exports = router;
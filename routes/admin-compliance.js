@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const complianceCaseService = require('../services/complianceCaseService');
+const exportService = require('../services/exportService');
+
+const NOT_FOUND_ERRORS = ['Compliance case not found', 'Attachment not found'];
+
+// Admin mistakes get a 400; anything else (database, storage) is a 500
+const sendError = (res, error, fallback) => {
+  if (NOT_FOUND_ERRORS.includes(error.message)) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.code || error.message.startsWith('KYC') || error.message.includes('integrity check')) {
+    return res.status(500).json({ message: fallback });
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Get compliance cases
+// Query: status (may list several), assigneeId ("none" for unassigned), userId, frozen
+router.get('/cases', async (req, res) => {
+  try {
+    const { status, assigneeId, userId, frozen, limit = 50, offset = 0 } = req.query;
+    const cases = await complianceCaseService.listCases({
+      status: status || null,
+      assigneeId: assigneeId || null,
+      userId: userId || null,
+      frozen: frozen === undefined ? null : frozen === 'true',
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(cases);
+  } catch (error) {
+    console.error('Get compliance cases error:', error);
+    res.status(500).json({ message: 'Failed to fetch compliance cases' });
+  }
+});
+
+// Get one case with its alerts, notes and attachments
+router.get('/cases/:id', async (req, res) => {
+  try {
+    const complianceCase = await complianceCaseService.getCase(req.params.id);
+    if (!complianceCase) {
+      return res.status(404).json({ message: 'Compliance case not found' });
+    }
+    res.json(complianceCase);
+  } catch (error) {
+    console.error('Get compliance case error:', error);
+    res.status(500).json({ message: 'Failed to fetch compliance case' });
+  }
+});
+
+// Move a case along its workflow
+// Body: { status: investigating|escalated|closed, note, resolution (when closing) }
+router.post('/cases/:id/status', async (req, res) => {
+  try {
+    const { status, note, resolution } = req.body;
+    const complianceCase = await complianceCaseService.transition(req.params.id, req.user.id, {
+      status,
+      note: note || null,
+      resolution: resolution || null
+    }, req);
+    res.json({ message: `Compliance case is now ${complianceCase.status}`, case: complianceCase });
+  } catch (error) {
+    console.error('Update compliance case error:', error);
+    sendError(res, error, 'Failed to update compliance case');
+  }
+});
+
+// Assign a case. Body: { assigneeId } (null to unassign)
+router.post('/cases/:id/assign', async (req, res) => {
+  try {
+    const complianceCase = await complianceCaseService.assign(req.params.id, req.user.id, req.body.assigneeId || null, req);
+    res.json({ message: complianceCase.assignee_id ? 'Case assigned' : 'Case unassigned', case: complianceCase });
+  } catch (error) {
+    console.error('Assign compliance case error:', error);
+    sendError(res, error, 'Failed to assign compliance case');
+  }
+});
+
+// Add a note. Body: { body }
+router.post('/cases/:id/notes', async (req, res) => {
+  try {
+    const note = await complianceCaseService.addNote(req.params.id, req.user.id, req.body.body, req);
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Add compliance note error:', error);
+    sendError(res, error, 'Failed to add note');
+  }
+});
+
+// Attach a file. Body: { fileName, contentType, data (base64 or data: URL) }
+router.post('/cases/:id/attachments', async (req, res) => {
+  try {
+    const { fileName, contentType, data } = req.body;
+    const attachment = await complianceCaseService.addAttachment(req.params.id, req.user.id, { fileName, contentType, data }, req);
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error('Add compliance attachment error:', error);
+    sendError(res, error, 'Failed to store attachment');
+  }
+});
+
+// Download an attachment (decrypted on the fly; every view is audited)
+router.get('/cases/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { attachment, content } = await complianceCaseService.getAttachment(
+      req.params.id, req.params.attachmentId, req.user.id, req
+    );
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Disposition': `attachment; filename="${attachment.file_name}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Get compliance attachment error:', error);
+    sendError(res, error, 'Failed to load attachment');
+  }
+});
+
+// Freeze the user's account. Body: { reason }
+router.post('/cases/:id/freeze', async (req, res) => {
+  try {
+    const complianceCase = await complianceCaseService.freeze(req.params.id, req.user.id, { reason: req.body.reason }, req);
+    res.json({ message: 'Account frozen', case: complianceCase });
+  } catch (error) {
+    console.error('Freeze account error:', error);
+    sendError(res, error, 'Failed to freeze account');
+  }
+});
+
+// Lift this case's freeze. Body: { note }
+router.post('/cases/:id/unfreeze', async (req, res) => {
+  try {
+    const complianceCase = await complianceCaseService.unfreeze(req.params.id, req.user.id, { note: req.body.note }, req);
+    res.json({ message: 'Account unfrozen', case: complianceCase });
+  } catch (error) {
+    console.error('Unfreeze account error:', error);
+    sendError(res, error, 'Failed to unfreeze account');
+  }
+});
+
+// Export a suspicious-activity report. Query: format=pdf|json (default json)
+router.get('/cases/:id/sar', async (req, res) => {
+  try {
+    const format = req.query.format === 'pdf' ? 'pdf' : 'json';
+    const report = await complianceCaseService.exportSar(req.params.id, req.user.id, format, req);
+
+    if (format === 'pdf') {
+      const pdfBuffer = await exportService.generateSarPDF(report);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${report.reference}.pdf"`,
+        'Cache-Control': 'no-store'
+      });
+      return res.send(pdfBuffer);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(report);
+  } catch (error) {
+    console.error('Export SAR error:', error);
+    if (error.message === 'Compliance case not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to export suspicious activity report' });
+  }
+});
+
+module.exports = router;
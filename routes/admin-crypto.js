@@ -4,6 +4,12 @@ const GoldSecurity = require('../models/GoldSecurity');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const { query } = require('../config/database');
+const confirmationPolicyService = require('../services/confirmationPolicyService');
+const withdrawalApprovalService = require('../services/withdrawalApprovalService');
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const kycService = require('../services/kycService');
+const treasuryService = require('../services/treasuryService');
 
 // ============================================
 // GOLD SECURITIES MANAGEMENT
@@ -171,70 +177,31 @@ router.post('/deposits/:id/approve', async (req, res) => {
 router.get('/withdrawals', async (req, res) => {
   try {
     const { status } = req.query;
-    let sql = `
-      SELECT wr.*, u.email, u.full_name
-      FROM withdrawal_requests wr
-      JOIN users u ON wr.user_id = u.id
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (status) {
-      sql += ` AND wr.status = $1`;
-      params.push(status);
-    }
-
-    sql += ` ORDER BY wr.created_at DESC LIMIT 100`;
-
-    const result = await query(sql, params);
-    res.json(result.rows);
+    const withdrawals = await withdrawalPipelineService.list({ status: status || null });
+    res.json(withdrawals);
   } catch (error) {
     console.error('Get withdrawals error:', error);
     res.status(500).json({ message: 'Failed to fetch withdrawals' });
   }
 });
 
-// Approve withdrawal
+// Approve withdrawal (sends it, or queues it for a batch, once the approval policy is met)
 router.post('/withdrawals/:id/approve', async (req, res) => {
   try {
-    const { transactionHash } = req.body;
-
-    // Get withdrawal request
-    const withdrawalResult = await query(
-      'SELECT * FROM withdrawal_requests WHERE id = $1',
-      [req.params.id]
-    );
-
-    if (withdrawalResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Withdrawal request not found' });
+    let result;
+    try {
+      result = await withdrawalPipelineService.approve(req.params.id, req.user.id);
+    } catch (approvalError) {
+      const status = approvalError.message === 'Withdrawal request not found' ? 404 : 400;
+      return res.status(status).json({ message: approvalError.message });
     }
 
-    const withdrawal = withdrawalResult.rows[0];
-
-    if (withdrawal.status !== 'pending') {
-      return res.status(400).json({ message: 'Withdrawal already processed' });
+    const summary = withdrawalPipelineService.summarizeApproval(result);
+    if (!result.approval.policyMet || result.queued) {
+      return res.status(202).json(summary);
     }
 
-    // Update withdrawal status
-    await query(
-      `UPDATE withdrawal_requests 
-       SET status = 'completed', admin_approved = true, admin_id = $1,
-           transaction_hash = $2, approved_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
-       WHERE id = $3`,
-      [req.user.id, transactionHash, req.params.id]
-    );
-
-    // Deduct from user wallet (already deducted when request created)
-    // Just create transaction record
-    await query(
-      `INSERT INTO transactions (
-        user_id, type, from_currency, from_amount, status, transaction_hash,
-        admin_id, completed_at
-      ) VALUES ($1, 'withdrawal', $2, $3, 'completed', $4, $5, CURRENT_TIMESTAMP)`,
-      [withdrawal.user_id, withdrawal.currency, withdrawal.amount, transactionHash, req.user.id]
-    );
-
-    res.json({ message: 'Withdrawal approved successfully' });
+    res.json({ ...summary, message: 'Withdrawal approved successfully' });
   } catch (error) {
     console.error('Approve withdrawal error:', error);
     res.status(500).json({ message: 'Failed to approve withdrawal' });
@@ -246,35 +213,13 @@ router.post('/withdrawals/:id/reject', async (req, res) => {
   try {
     const { reason } = req.body;
 
-    // Get withdrawal request
-    const withdrawalResult = await query(
-      'SELECT * FROM withdrawal_requests WHERE id = $1',
-      [req.params.id]
-    );
-
-    if (withdrawalResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Withdrawal request not found' });
+    try {
+      await withdrawalPipelineService.reject(req.params.id, req.user.id, reason);
+    } catch (rejectError) {
+      const status = rejectError.message === 'Withdrawal request not found' ? 404 : 400;
+      return res.status(status).json({ message: rejectError.message });
     }
 
-    const withdrawal = withdrawalResult.rows[0];
-
-    // Refund amount to user wallet
-    const currencyColumn = `${withdrawal.currency.toLowerCase()}_balance`;
-    await query(
-      `UPDATE wallets 
-       SET ${currencyColumn} = ${currencyColumn} + $1
-       WHERE user_id = $2`,
-      [withdrawal.amount, withdrawal.user_id]
-    );
-
-    // Update withdrawal status
-    await query(
-      `UPDATE withdrawal_requests 
-       SET status = 'rejected', admin_id = $1, rejection_reason = $2
-       WHERE id = $3`,
-      [req.user.id, reason, req.params.id]
-    );
-
     res.json({ message: 'Withdrawal rejected and funds refunded' });
   } catch (error) {
     console.error('Reject withdrawal error:', error);
@@ -345,7 +290,24 @@ router.get('/settings', async (req, res) => {
 // Update platform setting
 router.put('/settings/:key', async (req, res) => {
   try {
-    const { value } = req.body;
+    let { value } = req.body;
+
+    // Deposit confirmation, withdrawal approval, withdrawal limit tiers, KYC requirements and the treasury bands are checked and stored as normalised JSON
+    try {
+      if (req.params.key === confirmationPolicyService.settingKey) {
+        value = JSON.stringify(confirmationPolicyService.validatePolicy(value));
+      } else if (req.params.key === withdrawalApprovalService.settingKey) {
+        value = JSON.stringify(withdrawalApprovalService.validatePolicy(value));
+      } else if (req.params.key === withdrawalLimitService.settingKey) {
+        value = JSON.stringify(withdrawalLimitService.validatePolicy(value));
+      } else if (req.params.key === kycService.settingKey) {
+        value = JSON.stringify(kycService.validatePolicy(value));
+      } else if (req.params.key === treasuryService.settingKey) {
+        value = JSON.stringify(treasuryService.validatePolicy(value));
+      }
+    } catch (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
 
     const result = await query(
       `UPDATE platform_settings 
@@ -359,6 +321,18 @@ router.put('/settings/:key', async (req, res) => {
       return res.status(404).json({ message: 'Setting not found' });
     }
 
+    if (req.params.key === confirmationPolicyService.settingKey) {
+      confirmationPolicyService.clearCache();
+    } else if (req.params.key === withdrawalApprovalService.settingKey) {
+      withdrawalApprovalService.clearCache();
+    } else if (req.params.key === withdrawalLimitService.settingKey) {
+      withdrawalLimitService.clearCache();
+    } else if (req.params.key === kycService.settingKey) {
+      kycService.clearCache();
+    } else if (req.params.key === treasuryService.settingKey) {
+      treasuryService.clearCache();
+    }
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Update setting error:', error);
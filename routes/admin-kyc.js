@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const kycService = require('../services/kycService');
+
+// Get the review queue (pending, oldest first) or submissions in another status ("all" for every one)
+router.get('/submissions', async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+    const submissions = await kycService.listSubmissions({
+      status: status === 'all' ? null : status,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(submissions);
+  } catch (error) {
+    console.error('Get KYC submissions error:', error);
+    res.status(500).json({ message: 'Failed to fetch KYC submissions' });
+  }
+});
+
+// Get one submission with its document list
+router.get('/submissions/:id', async (req, res) => {
+  try {
+    const submission = await kycService.getSubmission(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'KYC submission not found' });
+    }
+    res.json(submission);
+  } catch (error) {
+    console.error('Get KYC submission error:', error);
+    res.status(500).json({ message: 'Failed to fetch KYC submission' });
+  }
+});
+
+// View a document (decrypted on the fly; each view is audited)
+router.get('/documents/:id', async (req, res) => {
+  try {
+    const { document, content } = await kycService.getDocument(req.params.id, req.user.id, req);
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `inline; filename="${document.document_type}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Get KYC document error:', error);
+    if (error.message === 'Document not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to load KYC document' });
+  }
+});
+
+// Approve a submission and raise the user's level
+router.post('/submissions/:id/approve', async (req, res) => {
+  try {
+    const submission = await kycService.approve(req.params.id, req.user.id, { notes: req.body.notes || null }, req);
+    res.json({
+      message: `Verification approved. User is now at level ${submission.new_level}.`,
+      submission
+    });
+  } catch (error) {
+    console.error('Approve KYC submission error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Reject a submission
+router.post('/submissions/:id/reject', async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: 'Rejection reason is required' });
+    }
+
+    const submission = await kycService.reject(req.params.id, req.user.id, { reason, notes: notes || null }, req);
+    res.json({
+      message: 'Verification rejected',
+      submission
+    });
+  } catch (error) {
+    console.error('Reject KYC submission error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Set a user's level directly
+router.put('/users/:id/level', async (req, res) => {
+  try {
+    const { level, reason } = req.body;
+    const result = await kycService.setLevel(req.params.id, level, req.user.id, { reason }, req);
+    res.json({
+      message: `KYC level set to ${result.level}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Set KYC level error:', error);
+    res.status(error.message === 'User not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
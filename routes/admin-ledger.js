@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const ledgerService = require('../services/ledgerService');
+
+// Prove the books balance per currency and report drift against user_balances
+router.get('/audit', async (req, res) => {
+  try {
+    const audit = await ledgerService.audit();
+    res.json(audit);
+  } catch (error) {
+    console.error('Ledger audit error:', error);
+    res.status(500).json({ message: 'Failed to audit ledger' });
+  }
+});
+
+// Get journal entries with their postings
+router.get('/journal', async (req, res) => {
+  try {
+    const { userId, limit = 50, offset = 0 } = req.query;
+    const entries = await ledgerService.getJournal({
+      userId: userId || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Get ledger journal error:', error);
+    res.status(500).json({ message: 'Failed to fetch ledger journal' });
+  }
+});
+
+// Record opening balances for user_balances rows the ledger does not yet explain
+router.post('/opening-balances', async (req, res) => {
+  try {
+    const posted = await ledgerService.postOpeningBalances(req.user.id);
+    res.json({
+      success: true,
+      message: `Opening balances posted for ${posted.length} balance(s)`,
+      data: posted
+    });
+  } catch (error) {
+    console.error('Post opening balances error:', error);
+    res.status(500).json({ message: 'Failed to post opening balances' });
+  }
+});
+
+// Rebuild user_balances from the ledger
+router.post('/rebuild', async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    const result = await ledgerService.rebuildUserBalances({ userId: userId || null });
+    res.json({
+      success: true,
+      message: 'User balances rebuilt from ledger',
+      data: result
+    });
+  } catch (error) {
+    console.error('Rebuild user balances error:', error);
+    res.status(500).json({ message: 'Failed to rebuild user balances' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
-const poolWithdrawalService = require('../services/poolWithdrawalService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
 const poolBlockchainMonitor = require('../services/poolBlockchainMonitor');
 const poolWalletService = require('../services/poolWalletService');
+const reconciliationService = require('../services/reconciliationService');
+const proofOfReservesService = require('../services/proofOfReservesService');
+const depositAddressService = require('../services/depositAddressService');
+const depositSweeperService = require('../services/depositSweeperService');
+const withdrawalBatchService = require('../services/withdrawalBatchService');
+const broadcastTrackerService = require('../services/broadcastTrackerService');
+const signerClientService = require('../services/signerClientService');
+const secretEncryptionService = require('../services/secretEncryptionService');
+const chainAdapters = require('../services/chainAdapters');
 const auth = require('./auth'); // For admin middleware
 
 // Get pool wallet balances (Admin only)
@@ -17,7 +26,7 @@ router.get('/balances', auth.authenticateToken, auth.requireAdmin, async (req, r
   }
 });
 
-// Get pending pool deposits (Admin only)
+// Get pending pool deposits with suggested deposit intent matches (Admin only)
 router.get('/deposits/pending', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
     const deposits = await poolBlockchainMonitor.getPendingPoolDeposits();
@@ -28,17 +37,17 @@ router.get('/deposits/pending', auth.authenticateToken, auth.requireAdmin, async
   }
 });
 
-// Claim pool deposit for a user (Admin only)
+// Claim pool deposit for a user, or for one of its suggested deposit intents (Admin only)
 router.post('/deposits/:depositId/claim', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
     const { depositId } = req.params;
-    const { userId } = req.body;
+    const { userId, intentId } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
+    if (!userId && !intentId) {
+      return res.status(400).json({ message: 'User ID or deposit intent ID is required' });
     }
 
-    const result = await poolBlockchainMonitor.claimPoolDeposit(depositId, userId);
+    const result = await poolBlockchainMonitor.claimPoolDeposit(depositId, userId || null, intentId || null);
     res.json(result);
   } catch (error) {
     console.error('Claim deposit error:', error);
@@ -46,10 +55,110 @@ router.post('/deposits/:depositId/claim', auth.authenticateToken, auth.requireAd
   }
 });
 
+// Get per-user deposit addresses with sweep status (Admin only)
+router.get('/deposit-addresses', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { currency, network, limit = 100, offset = 0 } = req.query;
+    const addresses = await depositAddressService.listAddresses({
+      currency: currency ? currency.toUpperCase() : null,
+      network: network ? chainAdapters.normalizeNetwork(network) : null,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json({
+      mode: depositAddressService.isEnabled() ? 'hd' : 'pool',
+      addresses
+    });
+  } catch (error) {
+    console.error('Get deposit addresses error:', error);
+    res.status(500).json({ message: 'Failed to fetch deposit addresses' });
+  }
+});
+
+// Sweep user deposit addresses into the pool now (Admin only)
+router.post('/sweeps/run', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const results = await depositSweeperService.sweepAll();
+    res.json({ results });
+  } catch (error) {
+    console.error('Run sweep error:', error);
+    res.status(500).json({ message: error.message || 'Failed to run sweep' });
+  }
+});
+
+// Get withdrawal batches with the withdrawals each one paid (Admin only)
+router.get('/withdrawal-batches', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const batches = await withdrawalBatchService.listBatches({
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    res.json({ batches });
+  } catch (error) {
+    console.error('Get withdrawal batches error:', error);
+    res.status(500).json({ message: 'Failed to fetch withdrawal batches' });
+  }
+});
+
+// Pay the queued withdrawals now instead of waiting for the batch window (Admin only)
+router.post('/withdrawal-batches/run', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const batches = await withdrawalBatchService.runBatches();
+    res.json({ batches });
+  } catch (error) {
+    console.error('Run withdrawal batches error:', error);
+    res.status(500).json({ message: error.message || 'Failed to run withdrawal batches' });
+  }
+});
+
+// Get pool transactions being tracked, optionally filtered by status (Admin only)
+router.get('/broadcasts', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { status = null, limit = 50, offset = 0 } = req.query;
+    const broadcasts = await broadcastTrackerService.listBroadcasts({
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    res.json({ broadcasts, stuckThresholdMinutes: broadcastTrackerService.stuckThresholdMinutes });
+  } catch (error) {
+    console.error('Get pool broadcasts error:', error);
+    res.status(500).json({ message: 'Failed to fetch pool broadcasts' });
+  }
+});
+
+// Check the unconfirmed pool transactions now (Admin only)
+router.post('/broadcasts/check', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const summary = await broadcastTrackerService.checkAll();
+    res.json(summary);
+  } catch (error) {
+    console.error('Check pool broadcasts error:', error);
+    res.status(500).json({ message: error.message || 'Failed to check pool broadcasts' });
+  }
+});
+
+// Re-broadcast a pending or stuck pool transaction with a higher fee (Admin only)
+router.post('/broadcasts/:broadcastId/bump-fee', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+    const { feeMultiplier } = req.body;
+
+    const broadcast = await broadcastTrackerService.bumpFee(broadcastId, req.user.id, {
+      feeMultiplier: feeMultiplier !== undefined ? parseFloat(feeMultiplier) : null
+    }, req);
+    res.json({ message: 'Transaction re-broadcast with a higher fee', broadcast });
+  } catch (error) {
+    console.error('Bump pool broadcast fee error:', error);
+    res.status(400).json({ message: error.message || 'Failed to bump transaction fee' });
+  }
+});
+
 // Get pending withdrawals (Admin only)
 router.get('/withdrawals/pending', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
-    const withdrawals = await poolWithdrawalService.getPendingWithdrawals();
+    const withdrawals = await withdrawalPipelineService.list({ status: 'held', oldestFirst: true, limit: 500 });
     res.json(withdrawals);
   } catch (error) {
     console.error('Get pending withdrawals error:', error);
@@ -63,8 +172,10 @@ router.post('/withdrawals/:withdrawalId/approve', auth.authenticateToken, auth.r
     const { withdrawalId } = req.params;
     const adminUserId = req.user.id;
 
-    const result = await poolWithdrawalService.approveWithdrawal(withdrawalId, adminUserId);
-    res.json(result);
+    const result = await withdrawalPipelineService.approve(withdrawalId, adminUserId);
+    // 202 while the withdrawal still waits for other approvers or for its batch
+    res.status(['held', 'approved'].includes(result.withdrawal.status) ? 202 : 200)
+      .json(withdrawalPipelineService.summarizeApproval(result));
   } catch (error) {
     console.error('Approve withdrawal error:', error);
     res.status(400).json({ message: error.message });
@@ -82,8 +193,12 @@ router.post('/withdrawals/:withdrawalId/reject', auth.authenticateToken, auth.re
       return res.status(400).json({ message: 'Rejection reason is required' });
     }
 
-    const result = await poolWithdrawalService.rejectWithdrawal(withdrawalId, adminUserId, reason);
-    res.json(result);
+    const withdrawal = await withdrawalPipelineService.reject(withdrawalId, adminUserId, reason);
+    res.json({
+      message: 'Withdrawal request rejected and funds released.',
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status
+    });
   } catch (error) {
     console.error('Reject withdrawal error:', error);
     res.status(400).json({ message: error.message });
@@ -93,7 +208,12 @@ router.post('/withdrawals/:withdrawalId/reject', auth.authenticateToken, auth.re
 // Get all withdrawals (Admin only)
 router.get('/withdrawals', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
-    const withdrawals = await poolWithdrawalService.getAllWithdrawals();
+    const { status, limit = 100, offset = 0 } = req.query;
+    const withdrawals = await withdrawalPipelineService.list({
+      status: status || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
     res.json(withdrawals);
   } catch (error) {
     console.error('Get all withdrawals error:', error);
@@ -101,6 +221,111 @@ router.get('/withdrawals', auth.authenticateToken, auth.requireAdmin, async (req
   }
 });
 
+// Get the watch-only mode, the registered pool keys and how many transactions await a signature (Admin only)
+router.get('/watch-only', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const status = await poolWalletService.getWatchOnlyStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Get watch-only pool error:', error);
+    res.status(500).json({ message: 'Failed to fetch watch-only pool status' });
+  }
+});
+
+// Register the watch-only pool keys (Admin only).
+// Body: { btcXpub, ethAddress, accountPath, masterFingerprint } - an account xpub (P2PKH) or
+// zpub (P2WPKH); accountPath defaults to m/44'/0'/0' or m/84'/0'/0'
+router.put('/watch-only', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { btcXpub, ethAddress, accountPath, masterFingerprint } = req.body;
+    const status = await poolWalletService.registerWatchOnly(
+      { btcXpub, ethAddress, accountPath: accountPath || null, masterFingerprint: masterFingerprint || null },
+      { adminId: req.user.id, req }
+    );
+
+    // Watch the new addresses from now on
+    poolBlockchainMonitor.startMonitoring().catch(error => {
+      console.error('Blockchain monitor restart error (non-fatal):', error);
+    });
+
+    res.json({ message: 'Watch-only pool keys registered', ...status });
+  } catch (error) {
+    console.error('Register watch-only pool error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get unsigned pool transactions (optionally one status: awaiting_signature, broadcast, cancelled) (Admin only)
+router.get('/unsigned-transactions', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    const transactions = await poolWalletService.listUnsignedTransactions({
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(transactions);
+  } catch (error) {
+    console.error('Get unsigned pool transactions error:', error);
+    res.status(500).json({ message: 'Failed to fetch unsigned transactions' });
+  }
+});
+
+// Get the unsigned transaction of an approved withdrawal, to sign offline (Admin only)
+router.get('/withdrawals/:withdrawalId/unsigned-tx', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const unsigned = await poolWalletService.getOpenUnsignedTransaction('withdrawal_request', req.params.withdrawalId);
+    if (!unsigned) {
+      return res.status(404).json({ message: 'No unsigned transaction is awaiting a signature for this withdrawal' });
+    }
+    res.json(unsigned);
+  } catch (error) {
+    console.error('Get unsigned withdrawal transaction error:', error);
+    res.status(500).json({ message: 'Failed to fetch the unsigned transaction' });
+  }
+});
+
+// Prepare the unsigned transaction of an approved withdrawal again, replacing the one
+// awaiting a signature (e.g. once a Tron transaction has expired) (Admin only)
+router.post('/withdrawals/:withdrawalId/unsigned-tx', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    if (!poolWalletService.isWatchOnly()) {
+      return res.status(400).json({ message: 'The pool wallet is not watch-only' });
+    }
+    const withdrawal = await withdrawalPipelineService.send(req.params.withdrawalId, req.user.id);
+    const unsigned = await poolWalletService.getOpenUnsignedTransaction('withdrawal_request', withdrawal.id);
+    if (!unsigned) {
+      return res.status(409).json({ message: 'Withdrawal is waiting for the hot wallet to be topped up', withdrawal });
+    }
+    res.json({ message: 'Unsigned transaction prepared', unsigned });
+  } catch (error) {
+    console.error('Prepare unsigned withdrawal transaction error:', error);
+    res.status(error.message === 'Withdrawal request not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Upload the offline-signed transaction of an approved withdrawal and broadcast it (Admin only).
+// Body: { signedTransaction } - a signed PSBT (base64 or hex) or raw hex on Bitcoin, serialized
+// hex on EVM chains, the signed transaction JSON on Tron
+router.post('/withdrawals/:withdrawalId/signed-tx', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const withdrawal = await withdrawalPipelineService.submitSignedTransaction(
+      req.params.withdrawalId,
+      req.user.id,
+      req.body.signedTransaction
+    );
+    res.json({
+      message: 'Withdrawal broadcast',
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status,
+      transactionHash: withdrawal.transaction_hash
+    });
+  } catch (error) {
+    console.error('Submit signed withdrawal transaction error:', error);
+    res.status(error.message === 'Withdrawal request not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
 // Get pool wallet configuration (Admin only)
 router.get('/config', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
@@ -122,6 +347,31 @@ router.get('/config', auth.authenticateToken, auth.requireAdmin, async (req, res
   }
 });
 
+// Get the pool signer's keys, spending policies and today's spend (Admin only)
+router.get('/signer', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    if (!signerClientService.enabled) {
+      return res.json({ enabled: false });
+    }
+    const status = await signerClientService.getStatus();
+    res.json({ enabled: true, ...status });
+  } catch (error) {
+    console.error('Get pool signer status error:', error);
+    res.status(500).json({ message: error.message || 'Failed to reach the pool signer' });
+  }
+});
+
+// Count stored wallet secrets per encryption key, and how many are not on the current one (Admin only)
+router.get('/secrets/encryption', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const status = await secretEncryptionService.getStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Get secret encryption status error:', error);
+    res.status(500).json({ message: error.message || 'Failed to fetch secret encryption status' });
+  }
+});
+
 // Update pool wallet configuration (Admin only)
 router.put('/config', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
   try {
@@ -167,30 +417,34 @@ router.get('/stats', auth.authenticateToken, auth.requireAdmin, async (req, res)
        GROUP BY currency`
     );
     
-    // Get total pending withdrawals
+    // Get total withdrawals not yet sent (awaiting approval or queued for a batch)
     const pendingWithdrawals = await query(
       `SELECT currency, COUNT(*) as count, SUM(amount) as total_amount 
-       FROM pool_withdrawals 
-       WHERE status = 'pending' 
+       FROM withdrawal_requests 
+       WHERE status IN ('held', 'approved', 'broadcasting') 
        GROUP BY currency`
     );
     
-    // Get total completed withdrawals (last 24 hours)
+    // Get total sent withdrawals (last 24 hours)
     const dailyWithdrawals = await query(
       `SELECT currency, COUNT(*) as count, SUM(amount) as total_amount 
-       FROM pool_withdrawals 
-       WHERE status = 'completed' 
-       AND completed_at >= NOW() - INTERVAL '24 hours'
+       FROM withdrawal_requests 
+       WHERE status IN ('broadcast', 'confirmed') 
+       AND broadcast_at >= NOW() - INTERVAL '24 hours'
        GROUP BY currency`
     );
 
+    // Queued batch withdrawals and network fees saved by batching
+    const batching = await withdrawalBatchService.getStats();
+
     res.json({
       users: {
         total: parseInt(usersCount.rows[0].count)
       },
       pendingDeposits: pendingDeposits.rows,
       pendingWithdrawals: pendingWithdrawals.rows,
-      dailyWithdrawals: dailyWithdrawals.rows
+      dailyWithdrawals: dailyWithdrawals.rows,
+      batching
     });
   } catch (error) {
     console.error('Get pool stats error:', error);
@@ -198,4 +452,67 @@ router.get('/stats', auth.authenticateToken, auth.requireAdmin, async (req, res)
   }
 });
 
+// Get reconciliation report history (Admin only)
+router.get('/reconciliation', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const { limit = 30, offset = 0, status } = req.query;
+    const reports = await reconciliationService.getReports({
+      limit: Math.min(parseInt(limit) || 30, 365),
+      offset: parseInt(offset) || 0,
+      status: status || null
+    });
+    res.json(reports);
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({ message: 'Failed to fetch reconciliation reports' });
+  }
+});
+
+// Run a reconciliation now (Admin only)
+router.post('/reconciliation/run', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const report = await reconciliationService.runReconciliation(req.user.id);
+    res.status(201).json(report);
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ message: error.message || 'Failed to run reconciliation' });
+  }
+});
+
+// Get a single reconciliation report (Admin only)
+router.get('/reconciliation/:reportId', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: 'Reconciliation report not found' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({ message: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// List proof-of-reserves snapshots (Admin only)
+router.get('/reserves-snapshots', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const snapshots = await proofOfReservesService.getSnapshots(Math.min(parseInt(req.query.limit) || 30, 365));
+    res.json(snapshots);
+  } catch (error) {
+    console.error('Get reserves snapshots error:', error);
+    res.status(500).json({ message: 'Failed to fetch reserves snapshots' });
+  }
+});
+
+// Generate and publish a proof-of-reserves snapshot (Admin only)
+router.post('/reserves-snapshot', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+  try {
+    const snapshot = await proofOfReservesService.generateSnapshot(req.user.id);
+    res.status(201).json(snapshot);
+  } catch (error) {
+    console.error('Generate reserves snapshot error:', error);
+    res.status(500).json({ message: error.message || 'Failed to generate reserves snapshot' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const sanctionsScreeningService = require('../services/sanctionsScreeningService');
+const sanctionsListService = require('../services/sanctionsListService');
+
+// Get screening cases (open ones oldest first; status "all" for every case)
+router.get('/cases', async (req, res) => {
+  try {
+    const { status = 'open', userId, limit = 50, offset = 0 } = req.query;
+    const cases = await sanctionsScreeningService.listCases({
+      status: status === 'all' ? null : status,
+      userId: userId || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(cases);
+  } catch (error) {
+    console.error('Get screening cases error:', error);
+    res.status(500).json({ message: 'Failed to fetch screening cases' });
+  }
+});
+
+// Get one case with its list matches
+router.get('/cases/:id', async (req, res) => {
+  try {
+    const screeningCase = await sanctionsScreeningService.getCase(req.params.id);
+    if (!screeningCase) {
+      return res.status(404).json({ message: 'Screening case not found' });
+    }
+    res.json(screeningCase);
+  } catch (error) {
+    console.error('Get screening case error:', error);
+    res.status(500).json({ message: 'Failed to fetch screening case' });
+  }
+});
+
+// Clear a case as a false positive
+router.post('/cases/:id/clear', async (req, res) => {
+  try {
+    const screeningCase = await sanctionsScreeningService.resolveCase(req.params.id, req.user.id, {
+      decision: 'cleared',
+      notes: req.body.notes
+    }, req);
+    res.json({ message: 'Screening case cleared', case: screeningCase });
+  } catch (error) {
+    console.error('Clear screening case error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Confirm a match (the user's withdrawals stay on hold)
+router.post('/cases/:id/confirm', async (req, res) => {
+  try {
+    const screeningCase = await sanctionsScreeningService.resolveCase(req.params.id, req.user.id, {
+      decision: 'confirmed',
+      notes: req.body.notes
+    }, req);
+    res.json({ message: 'Screening match confirmed', case: screeningCase });
+  } catch (error) {
+    console.error('Confirm screening case error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get the loaded lists and recent rescreen runs
+router.get('/lists', async (req, res) => {
+  try {
+    await sanctionsListService.ensureLoaded();
+    res.json({
+      ...sanctionsListService.getStatus(),
+      runs: await sanctionsScreeningService.listRuns()
+    });
+  } catch (error) {
+    console.error('Get sanctions lists error:', error);
+    res.status(500).json({ message: 'Failed to load sanctions lists' });
+  }
+});
+
+// Rescreen every user against the current lists
+router.post('/rescreen', async (req, res) => {
+  try {
+    const result = await sanctionsScreeningService.rescreenAll({ trigger: 'manual', actorId: req.user.id });
+    res.json({ message: 'Rescreen complete', ...result });
+  } catch (error) {
+    console.error('Rescreen error:', error);
+    res.status(error.message === 'A rescreen is already running' ? 409 : 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
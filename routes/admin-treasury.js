@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const treasuryService = require('../services/treasuryService');
+
+const NOT_FOUND = ['Top-up not found', 'Withdrawal request not found'];
+
+// Get each chain's band, hot balance, pending outflow and open top-up
+router.get('/status', async (req, res) => {
+  try {
+    const status = await treasuryService.getStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Get treasury status error:', error);
+    res.status(500).json({ message: 'Failed to fetch treasury status' });
+  }
+});
+
+// Run a treasury check now (send waiting withdrawals, then sweep or raise top-ups)
+router.post('/run', async (req, res) => {
+  try {
+    const results = await treasuryService.checkAll();
+    res.json({ message: 'Treasury check finished', results });
+  } catch (error) {
+    console.error('Treasury check error:', error);
+    res.status(500).json({ message: 'Treasury check failed' });
+  }
+});
+
+// Get recent sweeps to cold storage
+router.get('/sweeps', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const sweeps = await treasuryService.listSweeps({
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(sweeps);
+  } catch (error) {
+    console.error('Get treasury sweeps error:', error);
+    res.status(500).json({ message: 'Failed to fetch treasury sweeps' });
+  }
+});
+
+// Get top-ups (optionally one status: pending, approved, broadcast, confirmed, cancelled, failed)
+router.get('/top-ups', async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    const topUps = await treasuryService.listTopUps({
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(topUps);
+  } catch (error) {
+    console.error('Get treasury top-ups error:', error);
+    res.status(500).json({ message: 'Failed to fetch treasury top-ups' });
+  }
+});
+
+// Raise a top-up by hand. Body: { currency, network, amount, reason }
+router.post('/top-ups', async (req, res) => {
+  try {
+    const { currency, network, amount, reason } = req.body;
+    if (!currency || !amount) {
+      return res.status(400).json({ message: 'currency and amount are required' });
+    }
+
+    const topUp = await treasuryService.requestTopUp(currency, network || null, {
+      amount,
+      reason: reason || null,
+      requestedBy: req.user.id,
+      req
+    });
+    res.status(201).json({ message: 'Top-up raised; it needs admin approval', topUp });
+  } catch (error) {
+    console.error('Raise top-up error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Approve a top-up. Body: { notes }
+router.post('/top-ups/:id/approve', async (req, res) => {
+  try {
+    const { topUp, approval } = await treasuryService.approveTopUp(req.params.id, req.user.id, {
+      notes: req.body.notes || null,
+      req
+    });
+    res.json({
+      message: approval.policyMet
+        ? 'Top-up approved. Upload the transaction signed by the cold wallet.'
+        : `Approval recorded (${approval.approvalCount} of ${approval.requiredApprovals}). Awaiting further approval.`,
+      topUp,
+      approvals: approval.approvals,
+      requiredApprovals: approval.requiredApprovals
+    });
+  } catch (error) {
+    console.error('Approve top-up error:', error);
+    res.status(NOT_FOUND.includes(error.message) ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Upload the cold wallet's signed transaction for an approved top-up and broadcast it.
+// Body: { signedTransaction } - raw hex or a signed PSBT on Bitcoin, serialized hex on EVM
+// chains, the signed transaction JSON on Tron
+router.post('/top-ups/:id/signed-tx', async (req, res) => {
+  try {
+    const topUp = await treasuryService.submitSignedTransaction(req.params.id, req.user.id, req.body.signedTransaction, { req });
+    res.json({ message: 'Top-up broadcast', topUp, transactionHash: topUp.transaction_hash });
+  } catch (error) {
+    console.error('Submit top-up transaction error:', error);
+    res.status(NOT_FOUND.includes(error.message) ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Cancel a top-up that has not been broadcast. Body: { reason }
+router.post('/top-ups/:id/cancel', async (req, res) => {
+  try {
+    const topUp = await treasuryService.cancelTopUp(req.params.id, req.user.id, { reason: req.body.reason || null, req });
+    res.json({ message: 'Top-up cancelled', topUp });
+  } catch (error) {
+    console.error('Cancel top-up error:', error);
+    res.status(NOT_FOUND.includes(error.message) ? 404 : 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
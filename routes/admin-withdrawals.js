@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const withdrawalService = require('../services/withdrawalService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
 
-// Get all pending withdrawals
+// Get all withdrawals awaiting approval
 router.get('/pending', async (req, res) => {
   try {
-    const withdrawals = await withdrawalService.getPendingWithdrawals();
+    const withdrawals = await withdrawalPipelineService.list({ status: 'held', oldestFirst: true, limit: 500 });
     res.json(withdrawals);
   } catch (error) {
     console.error('Get pending withdrawals error:', error);
@@ -17,8 +17,10 @@ router.get('/pending', async (req, res) => {
 router.post('/:id/approve', async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await withdrawalService.approveWithdrawal(id, req.user.id);
-    res.json(result);
+    const result = await withdrawalPipelineService.approve(id, req.user.id, { notes: req.body.notes || null });
+    // 202 while the withdrawal still waits for other approvers or for its batch
+    res.status(['held', 'approved'].includes(result.withdrawal.status) ? 202 : 200)
+      .json(withdrawalPipelineService.summarizeApproval(result));
   } catch (error) {
     console.error('Approve withdrawal error:', error);
     res.status(400).json({ message: error.message });
@@ -30,43 +32,29 @@ router.post('/:id/reject', async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
-    
+
     if (!reason) {
       return res.status(400).json({ message: 'Rejection reason is required' });
     }
-    
-    const result = await withdrawalService.rejectWithdrawal(id, req.user.id, reason);
-    res.json(result);
+
+    const withdrawal = await withdrawalPipelineService.reject(id, req.user.id, reason);
+    res.json({
+      message: 'Withdrawal request rejected and funds released.',
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status
+    });
   } catch (error) {
     console.error('Reject withdrawal error:', error);
     res.status(400).json({ message: error.message });
   }
 });
 
-// Get all withdrawals (with filters)
+// Get all withdrawals (with filters; status may list several states, e.g. "held,approved")
 router.get('/', async (req, res) => {
   try {
     const { status, limit = 100 } = req.query;
-    const { query } = require('../config/database');
-    
-    let sql = `
-      SELECT w.*, u.full_name, u.email 
-      FROM withdrawal_requests w
-      JOIN users u ON w.user_id = u.id
-    `;
-    
-    const params = [];
-    
-    if (status) {
-      sql += ' WHERE w.status = $1';
-      params.push(status);
-    }
-    
-    sql += ' ORDER BY w.created_at DESC LIMIT $' + (params.length + 1);
-    params.push(parseInt(limit));
-    
-    const result = await query(sql, params);
-    res.json(result.rows);
+    const withdrawals = await withdrawalPipelineService.list({ status: status || null, limit: parseInt(limit) });
+    res.json(withdrawals);
   } catch (error) {
     console.error('Get withdrawals error:', error);
     res.status(500).json({ message: 'Failed to fetch withdrawals' });
@@ -74,4 +62,3 @@ router.get('/', async (req, res) => {
 });
 
 module.exports = router;
-
@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const poolWalletService = require('../services/poolWalletService');
+const blockchainService = require('../services/blockchainService');
+const withdrawalApprovalService = require('../services/withdrawalApprovalService');
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const chainAdapters = require('../services/chainAdapters');
 const Receipt = require('../models/Receipt');
 const User = require('../models/User');
 const GoldHolding = require('../models/GoldHolding');
@@ -280,6 +285,45 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// Get a user's withdrawal limits and what is left of them (admin only)
+router.get('/users/:id/withdrawal-limits', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limits = await withdrawalLimitService.getUserLimits(id);
+    const allowances = await withdrawalLimitService.getAllowances(id);
+    res.json({ ...limits, allowances });
+  } catch (error) {
+    console.error('Get user withdrawal limits error:', error);
+    res.status(error.message === 'User not found' ? 404 : 500).json({ message: error.message || 'Failed to fetch withdrawal limits' });
+  }
+});
+
+// Override a user's withdrawal limits; amounts left out keep the user's level defaults (admin only)
+router.put('/users/:id/withdrawal-limits', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { daily, weekly, monthly, reason } = req.body;
+
+    const limits = await withdrawalLimitService.setOverride(id, { daily, weekly, monthly }, req.user.id, { reason: reason || null, req });
+    res.json({ message: 'Withdrawal limits updated', ...limits });
+  } catch (error) {
+    console.error('Override user withdrawal limits error:', error);
+    res.status(error.message === 'User not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Remove a user's withdrawal limit override (admin only)
+router.delete('/users/:id/withdrawal-limits', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limits = await withdrawalLimitService.setOverride(id, null, req.user.id, { req });
+    res.json({ message: 'Withdrawal limit override removed', ...limits });
+  } catch (error) {
+    console.error('Remove user withdrawal limit override error:', error);
+    res.status(error.message === 'User not found' ? 404 : 500).json({ message: error.message || 'Failed to remove override' });
+  }
+});
+
 // Suspend/Unsuspend user (admin only)
 router.patch('/users/:id/status', async (req, res) => {
   try {
@@ -551,6 +595,21 @@ router.get('/gold-prices', async (req, res) => {
   }
 });
 
+// Get the gold price oracle's status, settings and the quotes of its last refresh.
+// Query: force=true to refresh from every source first
+router.get('/gold-price-oracle', async (req, res) => {
+  try {
+    const goldPriceOracleService = require('../services/goldPriceOracleService');
+    if (req.query.force === 'true' || req.query.force === '1') {
+      await goldPriceOracleService.refresh();
+    }
+    res.json(goldPriceOracleService.getDetails());
+  } catch (error) {
+    console.error('Get gold price oracle error:', error);
+    res.status(500).json({ message: 'Failed to fetch gold price oracle status' });
+  }
+});
+
 // Get gold pricing settings
 router.get('/gold-settings', async (req, res) => {
   try {
@@ -864,29 +923,15 @@ router.get('/recent-activities', async (req, res) => {
   }
 });
 
-// Get all withdrawal requests (admin)
+// Get all withdrawal requests (admin); status may list several states ("held,approved")
 router.get('/withdrawals', async (req, res) => {
   try {
-    const { status } = req.query;
-    const { query } = require('../config/database');
-    
-    let sql = `
-      SELECT wr.*, u.email, u.full_name
-      FROM withdrawal_requests wr
-      JOIN users u ON wr.user_id = u.id
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (status) {
-      sql += ` AND wr.status = $1`;
-      params.push(status);
-    }
-
-    sql += ` ORDER BY wr.created_at DESC LIMIT 100`;
-
-    const result = await query(sql, params);
-    res.json(result.rows);
+    const { status, limit = 100 } = req.query;
+    const withdrawals = await withdrawalPipelineService.list({
+      status: status && status !== 'all' ? status : null,
+      limit: parseInt(limit)
+    });
+    res.json(withdrawals);
   } catch (error) {
     console.error('Get withdrawals error:', error);
     res.status(500).json({ message: 'Failed to fetch withdrawals' });
@@ -927,24 +972,20 @@ router.get('/pool-wallets', async (req, res) => {
   }
 });
 
-// Get pending withdrawal requests
+// Get withdrawal requests awaiting approval
 router.get('/withdrawal-requests', async (req, res) => {
   try {
-    const result = await query(`
-      SELECT 
-        w.id,
-        w.user_id as "userId",
-        w.currency,
-        w.amount,
-        w.to_address as "toAddress",
-        w.status,
-        w.created_at as "createdAt"
-      FROM withdrawals w
-      WHERE w.status = 'pending'
-      ORDER BY w.created_at DESC
-    `);
+    const withdrawals = await withdrawalPipelineService.list({ status: 'held', limit: 500 });
     
-    res.json(result.rows);
+    res.json(withdrawals.map(w => ({
+      id: w.id,
+      userId: w.user_id,
+      currency: w.currency,
+      amount: w.amount,
+      toAddress: w.destination_address,
+      status: w.status,
+      createdAt: w.created_at
+    })));
   } catch (error) {
     console.error('Get withdrawal requests error:', error);
     res.status(500).json({ message: 'Failed to get withdrawal requests' });
@@ -955,8 +996,9 @@ router.get('/withdrawal-requests', async (req, res) => {
 router.post('/pool-withdrawal', async (req, res) => {
   try {
     const { currency, amount, toAddress } = req.body;
+    const network = req.body.network || null;
     
-    console.log('🏦 Admin withdrawal request:', { currency, amount, toAddress });
+    console.log('🏦 Admin withdrawal request:', { currency, amount, toAddress, network });
     
     // Validate required fields
     if (!currency || !amount || !toAddress) {
@@ -980,51 +1022,154 @@ router.post('/pool-withdrawal', async (req, res) => {
       });
     }
     
-    // Validate address format (basic validation)
-    if (currency.toUpperCase() === 'BTC' && !toAddress.match(/^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/)) {
+    // Validate address format for the network the funds are sent on
+    if (!blockchainService.validateAddress(toAddress, currency, network)) {
       return res.status(400).json({ 
-        message: 'Invalid Bitcoin address format' 
+        message: `Invalid ${currency.toUpperCase()} address format${network ? ` for network ${network}` : ''}` 
       });
     }
     
-    if (['ETH', 'USDT'].includes(currency.toUpperCase()) && !toAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ 
-        message: 'Invalid Ethereum address format' 
+    // Maker-checker: the transfer is recorded and sent once other admins have approved it
+    const adapter = chainAdapters.get(currency, network);
+    const result = await query(
+      `INSERT INTO pool_transfers (currency, network, amount, to_address, requested_by, notes, status)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+       RETURNING *`,
+      [adapter.currency, adapter.network, numericAmount, adapter.normalizeAddress(toAddress), req.user.id, req.body.notes || null]
+    );
+    const transfer = result.rows[0];
+
+    console.log(`🏦 Pool transfer ${transfer.id} recorded by ${req.user.id}; awaiting approval`);
+
+    res.status(202).json({ 
+      message: 'Pool transfer recorded. Another admin must approve it before it is sent.',
+      transferId: transfer.id,
+      currency: transfer.currency,
+      network: transfer.network,
+      amount: numericAmount,
+      toAddress: transfer.to_address,
+      status: transfer.status
+    });
+  } catch (error) {
+    console.error('❌ Pool withdrawal error:', error);
+    res.status(500).json({ 
+      message: 'Failed to record pool withdrawal',
+      error: error.message 
+    });
+  }
+});
+
+// List admin pool transfers with their approvals
+router.get('/pool-transfers', async (req, res) => {
+  try {
+    const { status, limit = 100 } = req.query;
+    const result = await query(`
+      SELECT pt.*, r.email as requested_by_email
+      FROM pool_transfers pt
+      LEFT JOIN users r ON pt.requested_by = r.id
+      WHERE ($1::text IS NULL OR pt.status = $1)
+      ORDER BY pt.created_at DESC
+      LIMIT $2
+    `, [status && status !== 'all' ? status : null, parseInt(limit)]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get pool transfers error:', error);
+    res.status(500).json({ message: 'Failed to fetch pool transfers' });
+  }
+});
+
+// Approve an admin pool transfer; the approval that meets the policy sends it
+router.post('/pool-transfers/:id/approve', async (req, res) => {
+  try {
+    let approval;
+    try {
+      approval = await withdrawalApprovalService.recordApproval('pool_transfer', req.params.id, req.user.id, {
+        notes: req.body.notes || null
       });
+    } catch (approvalError) {
+      return res.status(400).json({ message: approvalError.message });
     }
-    
-    // Send from pool wallet
-    const txHash = await poolWalletService.sendFromPool(currency, toAddress, numericAmount);
-    
+
+    if (!approval.policyMet) {
+      return res.status(202).json({
+        message: `Approval recorded (${approval.approvalCount} of ${approval.requiredApprovals}). Awaiting further approval.`,
+        approvals: approval.approvals,
+        requiredApprovals: approval.requiredApprovals
+      });
+    }
+
+    const transfer = approval.withdrawal;
+    let txHash;
+    try {
+      txHash = await poolWalletService.sendFromPool(
+        transfer.currency,
+        transfer.to_address,
+        parseFloat(transfer.amount),
+        transfer.network,
+        { referenceType: 'pool_transfer', referenceId: transfer.id }
+      );
+    } catch (sendError) {
+      await query(
+        `UPDATE pool_transfers SET status = 'failed', error_message = $1 WHERE id = $2`,
+        [sendError.message, transfer.id]
+      );
+
+      // Provide specific error messages
+      let errorMessage = 'Failed to process withdrawal';
+      
+      if (sendError.message.includes('Insufficient pool balance')) {
+        errorMessage = sendError.message;
+      } else if (sendError.message.includes('Failed to send')) {
+        errorMessage = sendError.message;
+      } else if (sendError.message.includes('Unsupported currency')) {
+        errorMessage = sendError.message;
+      }
+      
+      return res.status(500).json({ 
+        message: errorMessage,
+        error: sendError.message 
+      });
+    }
+
+    await query(
+      `UPDATE pool_transfers SET status = 'completed', transaction_hash = $1, completed_at = NOW() WHERE id = $2`,
+      [txHash, transfer.id]
+    );
+
     console.log('✅ Admin withdrawal successful:', txHash);
-    
+
     res.json({ 
       message: 'Withdrawal processed successfully',
       txHash: txHash,
-      currency: currency.toUpperCase(),
-      amount: numericAmount,
-      toAddress: toAddress
+      currency: transfer.currency,
+      amount: parseFloat(transfer.amount),
+      toAddress: transfer.to_address
     });
   } catch (error) {
-    console.error('❌ Pool withdrawal error:', error);
-    
-    // Provide specific error messages
-    let errorMessage = 'Failed to process withdrawal';
-    
-    if (error.message.includes('Insufficient pool balance')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Failed to send')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Missing required parameters')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Unsupported currency')) {
-      errorMessage = error.message;
+    console.error('❌ Pool transfer approval error:', error);
+    res.status(500).json({ message: 'Failed to approve pool transfer', error: error.message });
+  }
+});
+
+// Reject an admin pool transfer
+router.post('/pool-transfers/:id/reject', async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE pool_transfers SET status = 'rejected', rejected_by = $1, notes = COALESCE($2, notes), completed_at = NOW()
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      [req.user.id, req.body.reason || null, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pool transfer not found or already processed' });
     }
-    
-    res.status(500).json({ 
-      message: errorMessage,
-      error: error.message 
-    });
+
+    res.json({ message: 'Pool transfer rejected', transfer: result.rows[0] });
+  } catch (error) {
+    console.error('Reject pool transfer error:', error);
+    res.status(500).json({ message: 'Failed to reject pool transfer' });
   }
 });
 
@@ -1088,89 +1233,31 @@ router.get('/transactions', async (req, res) => {
   }
 });
 
-// Get all withdrawals for admin view
-router.get('/withdrawals', async (req, res) => {
-  try {
-    const { status, limit = 100 } = req.query;
-    
-    const result = await query(`
-      SELECT 
-        w.*,
-        u.full_name as user_name,
-        u.email as user_email
-      FROM withdrawals w
-      LEFT JOIN users u ON w.user_id = u.id
-      WHERE 1=1
-      ${status && status !== 'all' ? `AND w.status = $1` : ''}
-      ORDER BY w.created_at DESC
-      LIMIT $${status && status !== 'all' ? '2' : '1'}
-    `, [
-      ...(status && status !== 'all' ? [status] : []),
-      parseInt(limit)
-    ]);
-    
-    // Format withdrawals for admin view
-    const withdrawals = result.rows.map(w => ({
-      id: w.id,
-      user_id: w.user_id,
-      user_name: w.user_name || 'Unknown User',
-      user_email: w.user_email || 'unknown@example.com',
-      currency: w.currency,
-      amount: parseFloat(w.amount),
-      destination_address: w.destination_address,
-      status: w.status,
-      created_at: w.created_at,
-      fee: parseFloat(w.fee || 0),
-      net_amount: parseFloat(w.net_amount || w.amount),
-      transaction_hash: w.transaction_hash
-    }));
-    
-    res.json(withdrawals);
-  } catch (error) {
-    console.error('Get admin withdrawals error:', error);
-    res.status(500).json({ message: 'Failed to fetch withdrawals' });
-  }
-});
-
 router.post('/approve-withdrawal/:requestId', async (req, res) => {
   try {
     const { requestId } = req.params;
-    
-    // Get withdrawal request details
-    const result = await query(`
-      SELECT * FROM withdrawals WHERE id = $1 AND status = 'pending'
-    `, [requestId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Withdrawal request not found' });
+
+    // Maker-checker: the pipeline records this admin's approval and only sends once the policy is met
+    let result;
+    try {
+      result = await withdrawalPipelineService.approve(requestId, req.user.id);
+    } catch (approvalError) {
+      const status = approvalError.message === 'Withdrawal request not found' ? 404 : 400;
+      return res.status(status).json({ message: approvalError.message });
+    }
+
+    const { withdrawal, approval, queued } = result;
+    if (!approval.policyMet || queued) {
+      return res.status(202).json({
+        message: withdrawalPipelineService.summarizeApproval(result).message,
+        approvals: approval.approvals,
+        requiredApprovals: approval.requiredApprovals
+      });
     }
-    
-    const withdrawal = result.rows[0];
-    
-    // Send from pool wallet
-    const txHash = await poolWalletService.sendFromPool(
-      withdrawal.currency,
-      withdrawal.to_address,
-      withdrawal.amount
-    );
-    
-    // Update withdrawal status
-    await query(`
-      UPDATE withdrawals 
-      SET status = 'completed', tx_hash = $1, completed_at = now()
-      WHERE id = $2
-    `, [txHash, requestId]);
-    
-    // Deduct from user balance
-    await query(`
-      UPDATE user_balances 
-      SET balance = balance - $1, available_balance = available_balance - $1
-      WHERE user_id = $2 AND currency = $3
-    `, [withdrawal.amount, withdrawal.user_id, withdrawal.currency]);
     
     res.json({ 
       message: 'Withdrawal approved and processed',
-      txHash: txHash
+      txHash: withdrawal.transaction_hash
     });
   } catch (error) {
     console.error('Approve withdrawal error:', error);
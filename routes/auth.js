@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const LoginTrackingService = require('../services/loginTrackingService');
 const GeoRestrictionService = require('../services/geoRestrictionService');
+const sanctionsScreeningService = require('../services/sanctionsScreeningService');
 const { query } = require('../config/database');
 
 // Register new user
@@ -84,6 +85,14 @@ router.post('/signup', async (req, res) => {
             role: 'user'  // Always 'user' role for new signups
         });
 
+        // Screen the name against sanctions and PEP lists; a potential hit opens a review case
+        // (and holds withdrawals) but does not stop the account being created
+        try {
+            await sanctionsScreeningService.screenUser(newUser.id, newUser.full_name, 'signup');
+        } catch (screeningError) {
+            console.error('Sanctions screening error (non-blocking):', screeningError);
+        }
+
         // Process referral if referral code provided
         const { referralCode } = req.body;
         if (referralCode) {
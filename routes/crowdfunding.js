@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const ledgerService = require('../services/ledgerService');
+const { idempotency } = require('../middleware/idempotency');
+const { requireKycLevel } = require('../middleware/kyc');
+const { rejectFrozenAccount } = require('../middleware/accountFreeze');
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -404,7 +408,7 @@ router.delete('/contracts/:id', authenticateToken, requireAdmin, async (req, res
 });
 
 // Make investment using wallet balance
-router.post('/invest', authenticateToken, async (req, res) => {
+router.post('/invest', authenticateToken, rejectFrozenAccount, requireKycLevel('crowdfunding'), idempotency(), async (req, res) => {
   try {
     const { contract_id, amount } = req.body;
     const userId = req.user.id;
@@ -449,58 +453,68 @@ router.post('/invest', authenticateToken, async (req, res) => {
       });
     }
     
-    // Check user's wallet balance
+    // Check user's available wallet balance (excludes funds on hold)
     const balanceResult = await query(`
-      SELECT balance FROM user_balances 
+      SELECT available_balance FROM user_balances 
       WHERE user_id = $1 AND currency = $2
     `, [userId, contract.currency]);
     
-    if (balanceResult.rows.length === 0 || parseFloat(balanceResult.rows[0].balance) < investmentAmount) {
+    if (balanceResult.rows.length === 0 || parseFloat(balanceResult.rows[0].available_balance) < investmentAmount) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient wallet balance'
       });
     }
     
-    // Start transaction
-    await query('BEGIN');
-    
+    let investment;
     try {
-      // Deduct from user's wallet balance
-      await query(`
-        UPDATE user_balances 
-        SET balance = balance - $1, available_balance = available_balance - $1
-        WHERE user_id = $2 AND currency = $3
-      `, [investmentAmount, userId, contract.currency]);
-      
-      // Create investment record
-      const investmentResult = await query(`
-        INSERT INTO crowdfunding_investments (
-          contract_id, user_id, amount, currency, payment_method, status
-        ) VALUES ($1, $2, $3, $4, 'wallet_balance', 'confirmed')
-        RETURNING *
-      `, [contract_id, userId, investmentAmount, contract.currency]);
-      
-      // Update contract current amount (this will trigger profit distribution if target is reached)
-      await query(`
-        UPDATE crowdfunding_contracts 
-        SET current_amount = current_amount + $1
-        WHERE id = $2
-      `, [investmentAmount, contract_id]);
-      
-      await query('COMMIT');
-      
-      res.status(201).json({
-        success: true,
-        data: investmentResult.rows[0],
-        message: 'Investment successful! Your funds have been invested in the contract.'
+      investment = await transaction(async (client) => {
+        // Move the funds from the user's wallet into the platform treasury
+        await ledgerService.postJournal({
+          entryType: 'crowdfunding_invest',
+          description: `Investment in contract ${contract.title || contract_id}`,
+          referenceType: 'crowdfunding_contract',
+          referenceId: contract_id,
+          createdBy: userId,
+          postings: [
+            { account: 'user', userId, currency: contract.currency, amount: -investmentAmount },
+            { account: 'treasury', currency: contract.currency, amount: investmentAmount }
+          ]
+        }, client);
+        
+        // Create investment record
+        const investmentResult = await client.query(`
+          INSERT INTO crowdfunding_investments (
+            contract_id, user_id, amount, currency, payment_method, status
+          ) VALUES ($1, $2, $3, $4, 'wallet_balance', 'confirmed')
+          RETURNING *
+        `, [contract_id, userId, investmentAmount, contract.currency]);
+        
+        // Update contract current amount (this will trigger profit distribution if target is reached)
+        await client.query(`
+          UPDATE crowdfunding_contracts 
+          SET current_amount = current_amount + $1
+          WHERE id = $2
+        `, [investmentAmount, contract_id]);
+        
+        return investmentResult.rows[0];
       });
-      
     } catch (error) {
-      await query('ROLLBACK');
+      if (error.message && error.message.startsWith('Insufficient')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient wallet balance'
+        });
+      }
       throw error;
     }
     
+    res.status(201).json({
+      success: true,
+      data: investment,
+      message: 'Investment successful! Your funds have been invested in the contract.'
+    });
+    
   } catch (error) {
     console.error('Make investment error:', error);
     res.status(500).json({ 
@@ -725,30 +739,31 @@ router.post('/admin/pay-profits/:contractId', authenticateToken, requireAdmin, a
     // Process each investment
     for (const investment of investmentsResult.rows) {
       try {
-        await query('BEGIN');
-        
-        // Add profit to user's wallet balance
-        await query(`
-          INSERT INTO user_balances (user_id, currency, balance, available_balance)
-          VALUES ($1, $2, $3, $3)
-          ON CONFLICT (user_id, currency)
-          DO UPDATE SET 
-            balance = user_balances.balance + $3,
-            available_balance = user_balances.available_balance + $3
-        `, [investment.user_id, investment.currency, investment.profit_amount]);
-        
-        // Mark profit as paid
-        await query(`
-          UPDATE crowdfunding_investments 
-          SET profit_paid = TRUE, profit_paid_date = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [investment.id]);
+        await transaction(async (client) => {
+          // Pay the profit out of the platform treasury
+          await ledgerService.postJournal({
+            entryType: 'crowdfunding_profit',
+            description: `Profit payout for contract ${contract.title || contractId}`,
+            referenceType: 'crowdfunding_investment',
+            referenceId: investment.id,
+            createdBy: req.user.id,
+            postings: [
+              { account: 'treasury', currency: investment.currency, amount: -parseFloat(investment.profit_amount) },
+              { account: 'user', userId: investment.user_id, currency: investment.currency, amount: parseFloat(investment.profit_amount) }
+            ]
+          }, client);
+          
+          // Mark profit as paid
+          await client.query(`
+            UPDATE crowdfunding_investments 
+            SET profit_paid = TRUE, profit_paid_date = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [investment.id]);
+        });
         
-        await query('COMMIT');
         successCount++;
         
       } catch (error) {
-        await query('ROLLBACK');
         errorCount++;
         errors.push(`Investment ${investment.id}: ${error.message}`);
       }
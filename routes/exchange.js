@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { query, transaction } = require('../config/database');
-const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const GoldHolding = require('../models/GoldHolding');
 const noonesApi = require('../services/noonesApiService');
+const amlService = require('../services/amlService');
+const balanceHoldService = require('../services/balanceHoldService');
+const { idempotency } = require('../middleware/idempotency');
+const { rejectFrozenAccount } = require('../middleware/accountFreeze');
 
 // POST /api/exchange/quote
 // body: { cryptoSymbol: 'USDT'|'BTC', cryptoAmount: number, target: 'GOLD_GRAMS' }
@@ -61,9 +64,21 @@ router.post('/quote', async (req, res) => {
   }
 });
 
+// Pay for a trade with its hold: the crypto leaves the user's balance for the treasury
+const captureTradeHold = async (client, hold, holding) => {
+  await balanceHoldService.attachReference(hold.id, 'gold_holding', holding.id, client);
+  return balanceHoldService.captureHold(hold.id, {
+    entryType: 'buy_gold',
+    contraAccount: 'treasury',
+    description: `Bought ${holding.weight_grams} g gold with ${hold.amount} ${hold.currency}`,
+    createdBy: hold.user_id
+  }, client);
+};
+
 // POST /api/exchange/trade
 // body: { cryptoSymbol, cryptoAmount, goldGrams, goldSecurityId? }
-router.post('/trade', async (req, res) => {
+router.post('/trade', rejectFrozenAccount, idempotency(), async (req, res) => {
+  let hold = null;
   try {
     const userId = req.user.id;
     const { cryptoSymbol, cryptoAmount, goldGrams, goldSecurityId = null } = req.body;
@@ -73,6 +88,17 @@ router.post('/trade', async (req, res) => {
 
     const symbol = cryptoSymbol.toUpperCase();
 
+    // Reserve the crypto while the trade is executed; it is captured when the trade completes
+    hold = await balanceHoldService.placeHold({
+      userId,
+      currency: symbol,
+      amount: cryptoAmount,
+      reason: 'buy_gold',
+      referenceType: 'exchange_trade',
+      expiresInHours: 1,
+      createdBy: userId
+    });
+
     // Try Noones API first for trade execution
     try {
       const noonesTrade = await noonesApi.createExchange(userId, symbol, cryptoAmount, goldGrams);
@@ -96,6 +122,7 @@ router.post('/trade', async (req, res) => {
             paymentCurrency: symbol,
             paymentAmount: cryptoAmount
           });
+          await captureTradeHold(client, hold, holding);
 
           // Create transaction record
           const tx = await Transaction.create({
@@ -112,6 +139,17 @@ router.post('/trade', async (req, res) => {
             status: 'completed'
           });
 
+          await amlService.recordEvent({
+            userId,
+            eventType: 'exchange',
+            subtype: 'buy_gold',
+            currency: symbol,
+            amount: cryptoAmount,
+            amountUsd: totalUsd,
+            referenceType: 'gold_holding',
+            referenceId: holding.id
+          }, client);
+
           return { holding, tx, noonesTrade };
         });
 
@@ -127,17 +165,6 @@ router.post('/trade', async (req, res) => {
 
     // Fallback: local transaction
     const result = await transaction(async (client) => {
-      // Ensure wallet exists and has enough balance for crypto (if non-custodial deposit logic is used, skip check)
-      const wallet = await Wallet.getOrCreate(userId);
-      const column = `${symbol.toLowerCase()}_balance`;
-      const currentBal = Number(wallet[column] || 0);
-      if (currentBal < Number(cryptoAmount)) {
-        throw new Error('Insufficient balance');
-      }
-
-      // Deduct crypto from wallet
-      await client.query(`UPDATE wallets SET ${column} = ${column} - $1 WHERE user_id = $2`, [cryptoAmount, userId]);
-
       // Get gold price
       const gold = await client.query(`SELECT id, price_per_gram_usd FROM gold_securities WHERE is_active = true ORDER BY price_per_gram_usd LIMIT 1`);
       const goldPrice = Number(gold.rows[0]?.price_per_gram_usd || 70);
@@ -155,6 +182,7 @@ router.post('/trade', async (req, res) => {
         paymentCurrency: symbol,
         paymentAmount: cryptoAmount
       });
+      await captureTradeHold(client, hold, holding);
 
       // Create transaction record
       const tx = await Transaction.create({
@@ -171,12 +199,27 @@ router.post('/trade', async (req, res) => {
         status: 'completed'
       });
 
+      await amlService.recordEvent({
+        userId,
+        eventType: 'exchange',
+        subtype: 'buy_gold',
+        currency: symbol,
+        amount: cryptoAmount,
+        amountUsd: totalUsd,
+        referenceType: 'gold_holding',
+        referenceId: holding.id
+      }, client);
+
       return { holding, tx };
     });
 
     res.status(201).json({ message: 'Exchange completed', ...result });
   } catch (error) {
     console.error('Trade error:', error);
+    if (hold) {
+      await balanceHoldService.releaseHold(hold.id, { note: 'Trade failed' })
+        .catch(releaseError => console.error(`Failed to release trade hold ${hold.id}:`, releaseError.message));
+    }
     res.status(400).json({ message: error.message || 'Failed to complete trade' });
   }
 });
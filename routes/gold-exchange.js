@@ -2,48 +2,69 @@ const express = require('express');
 const router = express.Router();
 const { query, transaction } = require('../config/database');
 const auth = require('./auth');
-const goldPriceService = require('../services/goldPriceService');
 const cryptoPriceService = require('../services/cryptoPriceService');
 const Wallet = require('../models/Wallet');
+const ledgerService = require('../services/ledgerService');
+const balanceHoldService = require('../services/balanceHoldService');
+const amlService = require('../services/amlService');
+const { idempotency } = require('../middleware/idempotency');
+const { requireKycLevel } = require('../middleware/kyc');
+const { requireTradableGoldPrice } = require('../middleware/goldPrice');
 
 /**
  * Exchange crypto to gold credits
  * POST /api/gold-exchange/crypto-to-gold
  */
-router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
-  const client = await require('../config/database').pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-
-    const { cryptoCurrency, cryptoAmount } = req.body;
-    const userId = req.user.id;
+router.post('/crypto-to-gold', auth.authenticateToken, requireKycLevel('gold_exchange'), idempotency(), requireTradableGoldPrice, async (req, res) => {
+  const { cryptoCurrency, cryptoAmount } = req.body;
+  const userId = req.user.id;
 
-    // Validation
-    if (!cryptoCurrency || !cryptoAmount || cryptoAmount <= 0) {
-      return res.status(400).json({ message: 'Invalid crypto currency or amount' });
-    }
-
-    // Check platform balance from user_balances (off-chain credits)
-    const upperSymbol = (cryptoCurrency || '').toUpperCase();
-    if (!['BTC', 'ETH', 'USDT'].includes(upperSymbol)) {
-      return res.status(400).json({ message: `Unsupported crypto currency: ${cryptoCurrency}` });
-    }
+  // Validation
+  if (!cryptoCurrency || !cryptoAmount || cryptoAmount <= 0) {
+    return res.status(400).json({ message: 'Invalid crypto currency or amount' });
+  }
 
-    const balanceResult = await query(
-      `SELECT balance FROM user_balances WHERE user_id = $1 AND currency = $2`,
-      [userId, upperSymbol]
-    );
-    const cryptoBalance = parseFloat(balanceResult.rows[0]?.balance || 0);
+  // Check platform balance from user_balances (off-chain credits)
+  const upperSymbol = (cryptoCurrency || '').toUpperCase();
+  if (!['BTC', 'ETH', 'USDT'].includes(upperSymbol)) {
+    return res.status(400).json({ message: `Unsupported crypto currency: ${cryptoCurrency}` });
+  }
 
-    if (cryptoBalance < cryptoAmount) {
+  // Reserve the crypto while the prices are fetched; the hold is captured once the gold is credited
+  let hold;
+  try {
+    hold = await balanceHoldService.placeHold({
+      userId,
+      currency: upperSymbol,
+      amount: cryptoAmount,
+      reason: 'buy_gold',
+      referenceType: 'gold_exchange',
+      expiresInHours: 1,
+      createdBy: userId
+    });
+  } catch (holdError) {
+    try {
+      const balanceResult = await query(
+        `SELECT available_balance FROM user_balances WHERE user_id = $1 AND currency = $2`,
+        [userId, upperSymbol]
+      );
       return res.status(400).json({
-        message: `Insufficient ${upperSymbol} balance`,
-        available: cryptoBalance,
+        message: holdError.message,
+        available: parseFloat(balanceResult.rows[0]?.available_balance || 0),
         requested: cryptoAmount
       });
+    } catch (error) {
+      console.error('Crypto to gold exchange error:', error);
+      return res.status(500).json({ message: 'Exchange failed', error: error.message });
     }
+  }
 
+  // Give the reservation back when the exchange does not go through
+  const releaseHold = () => balanceHoldService.releaseHold(hold.id, { note: 'Exchange failed' })
+    .catch(releaseError => console.error(`Failed to release exchange hold ${hold.id}:`, releaseError.message));
+
+  let client = null;
+  try {
     // Get current prices
     const cryptoPrices = await cryptoPriceService.getCurrentPrices();
     const cryptoPriceUSD =
@@ -52,14 +73,19 @@ router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
       upperSymbol === 'USDT' ? cryptoPrices.USDT : undefined;
 
     if (!cryptoPriceUSD || cryptoPriceUSD <= 0) {
+      await releaseHold();
       return res.status(400).json({ message: `Price unavailable for ${upperSymbol}` });
     }
 
-    const goldPricePerGram = await goldPriceService.getCurrentGoldPrice();
+    const goldPricePerGram = req.goldPrice.pricePerGram;
     if (!goldPricePerGram || goldPricePerGram <= 0) {
+      await releaseHold();
       return res.status(400).json({ message: 'Gold price unavailable' });
     }
 
+    client = await require('../config/database').pool.connect();
+    await client.query('BEGIN');
+
     // Calculate exchange
     const cryptoValueUSD = cryptoAmount * cryptoPriceUSD;
     const goldGrams = cryptoValueUSD / goldPricePerGram;
@@ -69,26 +95,6 @@ router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
     const fee = goldGrams * feeRate;
     const netGoldGrams = goldGrams - fee;
 
-    // Ensure balance row exists then deduct crypto from user_balances
-    await client.query(
-      `INSERT INTO user_balances (user_id, currency, balance, available_balance, updated_at)
-       VALUES ($1, $2, 0, 0, NOW())
-       ON CONFLICT (user_id, currency) DO NOTHING`,
-      [userId, upperSymbol]
-    );
-
-    const updateResult = await client.query(
-      `UPDATE user_balances 
-       SET balance = balance - $1, available_balance = available_balance - $1, updated_at = NOW()
-       WHERE user_id = $2 AND currency = $3`,
-      [cryptoAmount, userId, upperSymbol]
-    );
-
-    if ((updateResult.rowCount || 0) === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ message: 'Failed to debit balance' });
-    }
-
     // Add gold credits (stored in gold_holdings table) - align with live schema requiring skr_reference
     const feeUsd = fee * goldPricePerGram;
     const totalPaidUsd = cryptoValueUSD - feeUsd;
@@ -116,6 +122,27 @@ router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
       ]
     );
 
+    // Capture the hold through the ledger: the platform treasury takes the crypto in exchange for gold
+    await balanceHoldService.attachReference(hold.id, 'gold_holding', goldHolding.rows[0].id, client);
+    await balanceHoldService.captureHold(hold.id, {
+      entryType: 'buy_gold',
+      contraAccount: 'treasury',
+      description: `Bought ${netGoldGrams.toFixed(6)} g gold with ${cryptoAmount} ${upperSymbol}`,
+      createdBy: userId,
+      meta: { goldGrams: netGoldGrams, goldPricePerGram, cryptoPriceUSD }
+    }, client);
+
+    await amlService.recordEvent({
+      userId,
+      eventType: 'exchange',
+      subtype: 'buy_gold',
+      currency: upperSymbol,
+      amount: cryptoAmount,
+      amountUsd: cryptoValueUSD,
+      referenceType: 'gold_holding',
+      referenceId: goldHolding.rows[0].id
+    }, client);
+
     // Create transaction record (ledger) using meta JSON
     const transactionResult = await client.query(
       `INSERT INTO transactions_ledger (
@@ -170,11 +197,16 @@ router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    await releaseHold();
     console.error('Crypto to gold exchange error:', error);
     res.status(500).json({ message: 'Exchange failed', error: error.message });
   } finally {
-    client.release();
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -182,7 +214,7 @@ router.post('/crypto-to-gold', auth.authenticateToken, async (req, res) => {
  * Exchange gold credits back to crypto
  * POST /api/gold-exchange/gold-to-crypto
  */
-router.post('/gold-to-crypto', auth.authenticateToken, async (req, res) => {
+router.post('/gold-to-crypto', auth.authenticateToken, requireKycLevel('gold_exchange'), requireTradableGoldPrice, async (req, res) => {
   const client = await require('../config/database').pool.connect();
   
   try {
@@ -225,7 +257,7 @@ router.post('/gold-to-crypto', auth.authenticateToken, async (req, res) => {
       return res.status(400).json({ message: `Unsupported crypto currency: ${cryptoCurrency}` });
     }
 
-    const goldPricePerGram = await goldPriceService.getCurrentGoldPrice();
+    const goldPricePerGram = req.goldPrice.pricePerGram;
 
     // Calculate exchange
     const goldValueUSD = goldGrams * goldPricePerGram;
@@ -269,14 +301,33 @@ router.post('/gold-to-crypto', auth.authenticateToken, async (req, res) => {
       remainingGold -= deductAmount;
     }
 
-    // Add crypto to user_balances
-    await client.query(
-      `INSERT INTO user_balances (user_id, currency, balance, available_balance, updated_at)
-       VALUES ($1, $2, $3, $3, NOW())
-       ON CONFLICT (user_id, currency)
-       DO UPDATE SET balance = user_balances.balance + $3, available_balance = user_balances.available_balance + $3, updated_at = NOW()`,
-      [userId, upperSymbol, netCryptoAmount]
-    );
+    // Credit crypto via the ledger: treasury pays out the net amount and books the fee
+    const creditedAmount = ledgerService.roundAmount(netCryptoAmount);
+    const feeAmount = ledgerService.roundAmount(fee);
+    const postings = [
+      { account: 'user', userId, currency: upperSymbol, amount: creditedAmount },
+      { account: 'treasury', currency: upperSymbol, amount: -(creditedAmount + feeAmount) }
+    ];
+    if (feeAmount > 0) {
+      postings.push({ account: 'fee', currency: upperSymbol, amount: feeAmount });
+    }
+    await ledgerService.postJournal({
+      entryType: 'sell_gold',
+      description: `Sold ${goldGrams.toFixed(6)} g gold for ${creditedAmount.toFixed(8)} ${upperSymbol}`,
+      referenceType: 'gold_exchange',
+      createdBy: userId,
+      meta: { goldGrams, goldPricePerGram, cryptoPriceUSD },
+      postings
+    }, client);
+
+    await amlService.recordEvent({
+      userId,
+      eventType: 'exchange',
+      subtype: 'sell_gold',
+      currency: upperSymbol,
+      amount: netCryptoAmount,
+      amountUsd: goldValueUSD
+    }, client);
 
     // Create transaction record (ledger) using meta JSON
     const transactionResult = await client.query(
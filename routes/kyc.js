@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const kycService = require('../services/kycService');
+
+// Errors from submit() that are the user's to fix
+const SUBMISSION_CONFLICTS = ['You already have a verification submission under review', 'Your account is already verified'];
+
+// Get the user's verification level and latest submission
+router.get('/status', async (req, res) => {
+  try {
+    const status = await kycService.getStatus(req.user.id);
+    res.json(status);
+  } catch (error) {
+    console.error('Get KYC status error:', error);
+    res.status(500).json({ message: 'Failed to fetch verification status' });
+  }
+});
+
+// Submit documents for a verification level
+// Body: { level, documents: [{ type, contentType, data (base64 or data: URL) }] }
+router.post('/submissions', async (req, res) => {
+  try {
+    const { level, documents } = req.body;
+    const submission = await kycService.submit(req.user.id, { level, documents }, req);
+    res.status(201).json({
+      message: 'Documents submitted for review',
+      submission
+    });
+  } catch (error) {
+    console.error('Submit KYC documents error:', error);
+    if (SUBMISSION_CONFLICTS.some(prefix => error.message.startsWith(prefix))) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.message.startsWith('KYC') || error.code) {
+      return res.status(500).json({ message: 'Failed to submit documents' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const proofOfReservesService = require('../services/proofOfReservesService');
+
+// Get the latest published proof-of-reserves snapshot (roots, totals, pool and cold storage addresses)
+router.get('/latest', async (req, res) => {
+  try {
+    const snapshot = await proofOfReservesService.getLatestSnapshot();
+    if (!snapshot) {
+      return res.status(404).json({ message: 'No proof-of-reserves snapshot has been published yet' });
+    }
+    res.json({
+      snapshotId: snapshot.id,
+      createdAt: snapshot.created_at,
+      format: 'merkle-sum-sha256-v1',
+      assets: snapshot.assets
+    });
+  } catch (error) {
+    console.error('Get latest reserves snapshot error:', error);
+    res.status(500).json({ message: 'Failed to fetch reserves snapshot' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const GoldHolding = require('../models/GoldHolding');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const { transaction } = require('../config/database');
+const { rejectFrozenAccount } = require('../middleware/accountFreeze');
 
 // Get all available gold securities
 router.get('/', async (req, res) => {
@@ -59,7 +60,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Purchase gold with crypto
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', rejectFrozenAccount, async (req, res) => {
   try {
     const { goldSecurityId, quantity, paymentCurrency } = req.body;
 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const GoldHolding = require('../models/GoldHolding');
 const { query } = require('../config/database');
+const { rejectFrozenAccount } = require('../middleware/accountFreeze');
 
 // Get all user's SKRs
 router.get('/', async (req, res) => {
@@ -87,7 +88,7 @@ router.get('/:skrReference', async (req, res) => {
 });
 
 // Sell gold back to platform
-router.post('/:id/sell', async (req, res) => {
+router.post('/:id/sell', rejectFrozenAccount, async (req, res) => {
   try {
     const result = await GoldHolding.sellGold(req.params.id, req.user.id);
 
@@ -105,7 +106,7 @@ router.post('/:id/sell', async (req, res) => {
 });
 
 // Withdraw profit only
-router.post('/:id/withdraw-profit', async (req, res) => {
+router.post('/:id/withdraw-profit', rejectFrozenAccount, async (req, res) => {
   try {
     const result = await GoldHolding.withdrawProfit(req.params.id, req.user.id);
 
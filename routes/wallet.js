@@ -4,7 +4,13 @@ const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const { query } = require('../config/database');
 const poolWalletService = require('../services/poolWalletService');
-const poolWithdrawalService = require('../services/poolWithdrawalService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const balanceHoldService = require('../services/balanceHoldService');
+const proofOfReservesService = require('../services/proofOfReservesService');
+const depositIntentService = require('../services/depositIntentService');
+const chainAdapters = require('../services/chainAdapters');
+const { idempotency } = require('../middleware/idempotency');
+const { requireKycLevel } = require('../middleware/kyc');
 const { ethers } = require('ethers');
 
 // Get user's wallet with current values
@@ -87,64 +93,79 @@ router.get('/balances', async (req, res) => {
       WHERE user_id = $1
     `, [req.user.id]);
 
-    // Initialize with default values
-    const balances = {
-      BTC: 0,
-      ETH: 0,
-      USDT: 0
-    };
-
-    // Update with actual balances from database
-    result.rows.forEach(row => {
-      if (balances.hasOwnProperty(row.currency)) {
-        balances[row.currency] = parseFloat(row.balance);
-      }
-    });
+    // Funds reserved for pending withdrawals and trades
+    const holds = await balanceHoldService.getActiveHolds(req.user.id);
+
+    const symbols = { BTC: '₿', ETH: 'Ξ', USDT: '₮' };
 
     // Return in the format expected by frontend
-    res.json([
-      {
-        currency: 'BTC',
-        balance: balances.BTC,
-        symbol: '₿',
-        valueUsd: 0 // Will be calculated on frontend with real-time prices
-      },
-      {
-        currency: 'ETH',
-        balance: balances.ETH,
-        symbol: 'Ξ',
+    res.json(Object.keys(symbols).map(currency => {
+      const row = result.rows.find(r => r.currency === currency);
+      const currencyHolds = holds.filter(h => h.currency === currency);
+      return {
+        currency,
+        balance: row ? parseFloat(row.balance) : 0,
+        availableBalance: row ? parseFloat(row.available_balance) : 0,
+        onHold: currencyHolds.reduce((sum, h) => sum + parseFloat(h.amount), 0),
+        holds: currencyHolds.map(h => ({
+          id: h.id,
+          amount: parseFloat(h.amount),
+          reason: h.reason,
+          referenceType: h.reference_type,
+          referenceId: h.reference_id,
+          expiresAt: h.expires_at,
+          createdAt: h.created_at
+        })),
+        symbol: symbols[currency],
         valueUsd: 0 // Will be calculated on frontend with real-time prices
-      },
-      {
-        currency: 'USDT',
-        balance: balances.USDT,
-        symbol: '₮',
-        valueUsd: 0 // Will be calculated on frontend with real-time prices
-      }
-    ]);
+      };
+    }));
   } catch (error) {
     console.error('Get user balances error:', error);
     res.status(500).json({ message: 'Failed to fetch user balances' });
   }
 });
 
-// Get pool wallet address for a given currency (for direct MetaMask deposits)
+// Get the networks each currency can be deposited and withdrawn on
+router.get('/networks', async (req, res) => {
+  try {
+    const networks = {};
+    const currencies = [...new Set(chainAdapters.list().map(adapter => adapter.currency))];
+    for (const currency of currencies) {
+      networks[currency] = chainAdapters.forCurrency(currency).map((entry, index) => ({
+        network: entry.network,
+        isDefault: index === 0,
+        requiredConfirmations: entry.requiredConfirmations,
+        withdrawalFeeRate: entry.withdrawalFeeRate,
+        feeCurrency: entry.feeCurrency || entry.currency
+      }));
+    }
+
+    res.json({ networks });
+  } catch (error) {
+    console.error('Get networks error:', error);
+    res.status(500).json({ message: 'Failed to fetch networks' });
+  }
+});
+
+// Get pool wallet address for a given currency (for direct MetaMask deposits); ?network= picks the chain
 router.get('/pool-address/:currency', async (req, res) => {
   try {
     const { currency } = req.params;
-    if (!['BTC', 'ETH', 'USDT'].includes(currency.toUpperCase())) {
-      return res.status(400).json({ message: 'Invalid currency' });
+    const network = req.query.network || null;
+    if (!chainAdapters.has(currency, network)) {
+      return res.status(400).json({ message: network ? `${currency.toUpperCase()} is not supported on network ${network}` : 'Invalid currency' });
     }
 
     await poolWalletService.initializePoolWallets();
-    const poolAddresses = poolWalletService.getPoolAddresses();
-    const address = poolAddresses[currency.toUpperCase()];
+    const adapter = chainAdapters.get(currency, network);
+    const address = poolWalletService.getPoolAddress(currency, network);
 
     if (!address) {
       return res.status(500).json({ message: 'Pool address unavailable' });
     }
 
-    return res.json({ currency: currency.toUpperCase(), address });
+    return res.json({ currency: currency.toUpperCase(), network: adapter.network, address });
   } catch (error) {
     console.error('Get pool address error:', error);
     res.status(500).json({ message: 'Failed to get pool address' });
@@ -152,36 +173,46 @@ router.get('/pool-address/:currency', async (req, res) => {
 });
 
 // Create a deposit intent (off-chain record that user will deposit to pool)
+// The user must send the exact amount returned (unique among open intents) before it expires
 router.post('/deposit-intent', async (req, res) => {
   try {
     const { currency, amount } = req.body;
+    const network = req.body.network || null;
 
-    if (!['BTC', 'ETH', 'USDT'].includes((currency || '').toUpperCase())) {
-      return res.status(400).json({ message: 'Invalid currency' });
+    if (!chainAdapters.has(currency, network)) {
+      return res.status(400).json({ message: 'Invalid currency or network' });
     }
     const numericAmount = parseFloat(amount);
     if (!numericAmount || numericAmount <= 0) {
       return res.status(400).json({ message: 'Invalid amount' });
     }
 
-    // Record intent for visibility/audit (no on-chain tx here)
+    // Record intent so the pool monitor can credit the deposit automatically (no on-chain tx here)
     await poolWalletService.initializePoolWallets();
-    const poolAddresses = poolWalletService.getPoolAddresses();
-    const poolAddress = poolAddresses[currency.toUpperCase()];
-    
-    await query(
-      `INSERT INTO deposit_requests (user_id, currency, amount, wallet_address, status)
-       VALUES ($1, $2, $3, $4, 'pending')`,
-      [
-        req.user.id,
-        currency.toUpperCase(),
-        numericAmount,
-        poolAddress
-      ]
+    const poolAddress = poolWalletService.getPoolAddress(currency, network);
+    if (!poolAddress) {
+      return res.status(500).json({ message: 'Pool address unavailable' });
+    }
+
+    const { intent, adapter } = await depositIntentService.createIntent(
+      req.user.id,
+      currency,
+      numericAmount,
+      network,
+      poolAddress
     );
 
     return res.status(201).json({
-      message: 'Deposit intent recorded. Send funds to the pool address to complete.',
+      message: `Deposit intent recorded. Send exactly ${intent.amount} ${intent.currency} to the pool address before it expires.`,
+      id: intent.id,
+      currency: intent.currency,
+      network: adapter.network,
+      address: poolAddress,
+      amount: intent.amount,
+      requestedAmount: intent.requested_amount,
+      referenceCode: intent.reference_code,
+      memo: adapter.supportsMemo ? intent.reference_code : null,
+      expiresAt: intent.expires_at,
       status: 'pending'
     });
   } catch (error) {
@@ -315,11 +346,13 @@ router.get('/transactions', async (req, res) => {
 router.get('/deposit-address/:currency', async (req, res) => {
   try {
     const { currency } = req.params;
+    const network = req.query.network || null;
     const QRCode = require('qrcode');
     
-    if (!['BTC', 'ETH', 'USDT'].includes(currency.toUpperCase())) {
-      return res.status(400).json({ message: 'Invalid currency' });
+    if (!chainAdapters.has(currency, network)) {
+      return res.status(400).json({ message: 'Invalid currency or network' });
     }
+    const adapter = chainAdapters.get(currency, network);
 
     // Get user's wallet (create if doesn't exist)
     let wallet = await Wallet.findByUserId(req.user.id);
@@ -329,7 +362,7 @@ router.get('/deposit-address/:currency', async (req, res) => {
     }
 
     // Get unique user address for this currency (display only - money goes to pool)
-    const address = await poolWalletService.getUserDepositAddress(req.user.id, currency);
+    const address = await poolWalletService.getUserDepositAddress(req.user.id, currency, adapter.network);
 
     if (!address) {
       return res.status(500).json({ message: 'User address not available' });
@@ -340,9 +373,10 @@ router.get('/deposit-address/:currency', async (req, res) => {
 
     res.json({
       currency: currency.toUpperCase(),
+      network: adapter.network,
       address,
       qrCode,
-      message: `Send ${currency} to this address. Funds will be automatically forwarded to pool wallet and credited to your account.`
+      message: `Send ${currency} on the ${adapter.network} network to this address. Funds will be automatically forwarded to pool wallet and credited to your account.`
     });
   } catch (error) {
     console.error('Get deposit address error:', error);
@@ -384,18 +418,24 @@ router.post('/deposit', async (req, res) => {
 });
 
 // Request withdrawal (from pool wallet)
-router.post('/withdrawal', async (req, res) => {
+router.post('/withdrawal', requireKycLevel('withdrawals'), idempotency(), async (req, res) => {
   try {
     const { currency, amount, destinationAddress } = req.body;
 
-    const result = await poolWithdrawalService.createWithdrawalRequest(
-      req.user.id,
-      currency.toUpperCase(),
-      parseFloat(amount),
-      destinationAddress
-    );
+    const withdrawal = await withdrawalPipelineService.create(req.user.id, {
+      currency: currency.toUpperCase(),
+      amount: parseFloat(amount),
+      destinationAddress,
+      network: req.body.network || null
+    });
 
-    res.status(201).json(result);
+    res.status(201).json({
+      message: 'Withdrawal request submitted. Awaiting admin approval.',
+      withdrawalId: withdrawal.id,
+      fee: parseFloat(parseFloat(withdrawal.fee).toFixed(8)),
+      netAmount: parseFloat(parseFloat(withdrawal.net_amount).toFixed(8)),
+      status: withdrawal.status
+    });
   } catch (error) {
     console.error('Withdrawal request error:', error);
     res.status(400).json({ message: error.message });
@@ -433,6 +473,20 @@ router.get('/withdrawals', async (req, res) => {
   }
 });
 
+// Get the user's inclusion proof in the latest (or a given) proof-of-reserves snapshot
+router.get('/reserves-proof', async (req, res) => {
+  try {
+    const proof = await proofOfReservesService.getUserProof(req.user.id, req.query.snapshotId || null);
+    if (!proof) {
+      return res.status(404).json({ message: 'No proof-of-reserves snapshot has been published yet' });
+    }
+    res.json(proof);
+  } catch (error) {
+    console.error('Get reserves proof error:', error);
+    res.status(500).json({ message: 'Failed to build reserves proof' });
+  }
+});
+
 module.exports = router;
 
 
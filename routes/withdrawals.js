@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const WithdrawalRequest = require('../models/WithdrawalRequest');
-const User = require('../models/User');
-const Wallet = require('../models/Wallet');
-const poolWalletService = require('../services/poolWalletService');
 const authRoutes = require('./auth');
 const { authenticateToken, requireAdmin } = authRoutes;
 const { query } = require('../config/database');
+const withdrawalAddressService = require('../services/withdrawalAddressService');
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const { idempotency } = require('../middleware/idempotency');
+const { requireKycLevel } = require('../middleware/kyc');
+
+// Address book and limit refusals are 403s rather than bad input
+const FORBIDDEN_ERRORS = ['Withdrawal limit', 'Withdrawals are limited', 'This address can be used', 'Withdrawals are on hold', 'Your account is on hold'];
 
 // Get user's withdrawal requests
 router.get('/user', authenticateToken, async (req, res) => {
@@ -19,10 +24,12 @@ router.get('/user', authenticateToken, async (req, res) => {
       parseInt(limit), 
       parseInt(offset)
     );
+    const limits = await withdrawalLimitService.getAllowances(req.user.id);
 
     res.json({
       success: true,
       data: requests,
+      limits,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -38,10 +45,142 @@ router.get('/user', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's withdrawal address book
+router.get('/addresses', authenticateToken, async (req, res) => {
+  try {
+    const addresses = await withdrawalAddressService.listAddresses(req.user.id);
+    const whitelistOnly = await withdrawalAddressService.isWhitelistOnly(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        addresses,
+        whitelistOnly,
+        coolingOffHours: withdrawalAddressService.coolingOffHours
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching withdrawal addresses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawal addresses'
+    });
+  }
+});
+
+// Add a withdrawal address (a confirmation code is emailed)
+router.post('/addresses', authenticateToken, async (req, res) => {
+  try {
+    const { currency, network, address, label } = req.body;
+
+    if (!currency || !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency and address are required'
+      });
+    }
+
+    const entry = await withdrawalAddressService.addAddress(req.user.id, {
+      currency,
+      network: network || null,
+      address,
+      label: label || null
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added. Confirm it with the code sent to your email and your authenticator code.',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding withdrawal address:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to add withdrawal address'
+    });
+  }
+});
+
+// Turn whitelist-only withdrawals on or off (turning it off requires a TOTP code)
+router.put('/addresses/settings', authenticateToken, async (req, res) => {
+  try {
+    const { whitelistOnly, totpCode } = req.body;
+
+    if (typeof whitelistOnly !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'whitelistOnly must be true or false'
+      });
+    }
+
+    const settings = await withdrawalAddressService.setWhitelistOnly(req.user.id, whitelistOnly, { totpCode }, req);
+
+    res.json({
+      success: true,
+      message: whitelistOnly ? 'Withdrawals are now limited to your address book' : 'Address whitelist disabled',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error updating withdrawal address settings:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update withdrawal address settings'
+    });
+  }
+});
+
+// Confirm a pending withdrawal address with the emailed code and a TOTP code
+router.post('/addresses/:id/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { emailCode, totpCode } = req.body;
+
+    if (!emailCode || !totpCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email code and authenticator code are required'
+      });
+    }
+
+    const entry = await withdrawalAddressService.confirmAddress(req.user.id, req.params.id, { emailCode, totpCode }, req);
+
+    res.json({
+      success: true,
+      message: `Address confirmed. It can be used for withdrawals after ${withdrawalAddressService.coolingOffHours} hours.`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error confirming withdrawal address:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to confirm withdrawal address'
+    });
+  }
+});
+
+// Remove a withdrawal address
+router.delete('/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await withdrawalAddressService.removeAddress(req.user.id, req.params.id, req);
+
+    res.json({
+      success: true,
+      message: 'Address removed',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error removing withdrawal address:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Failed to remove withdrawal address'
+    });
+  }
+});
+
 // Create new withdrawal request
-router.post('/request', authenticateToken, async (req, res) => {
+router.post('/request', authenticateToken, requireKycLevel('withdrawals'), idempotency(), async (req, res) => {
   try {
     const { currency, amount, destinationAddress } = req.body;
+    const network = req.body.network || null;
 
     // Validate input
     if (!currency || !amount || !destinationAddress) {
@@ -65,14 +204,14 @@ router.post('/request', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check user's balance from user_balances table (same as frontend)
+    // Check user's available balance (balance minus funds already on hold)
     const balanceResult = await query(`
-      SELECT balance 
+      SELECT available_balance 
       FROM user_balances 
       WHERE user_id = $1 AND currency = $2
     `, [req.user.id, currency]);
     
-    const balance = balanceResult.rows.length > 0 ? parseFloat(balanceResult.rows[0].balance || 0) : 0;
+    const balance = balanceResult.rows.length > 0 ? parseFloat(balanceResult.rows[0].available_balance || 0) : 0;
     
     if (balance < amount) {
       return res.status(400).json({
@@ -81,73 +220,34 @@ router.post('/request', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create withdrawal request
-    // Deduct amount from user's balance immediately (pending status)
-    const userBalanceResult = await query(`
-      SELECT balance FROM user_balances 
-      WHERE user_id = $1 AND currency = $2
-    `, [req.user.id, currency]);
-    
-    if (userBalanceResult.rows.length > 0) {
-      const currentBalance = parseFloat(userBalanceResult.rows[0].balance);
-      const newBalance = currentBalance - parseFloat(amount);
-      
-      if (newBalance >= 0) {
-        // Update user's balance
-        await query(`
-          UPDATE user_balances 
-          SET balance = $1, available_balance = $1, updated_at = NOW()
-          WHERE user_id = $2 AND currency = $3
-        `, [newBalance, req.user.id, currency]);
-        
-        console.log(`✅ User ${req.user.id} ${currency} balance deducted: ${currentBalance} → ${newBalance}`);
-      } else {
-        return res.status(400).json({
+    // Create the request and put its amount on hold until it is approved or rejected
+    let withdrawalRequest;
+    try {
+      withdrawalRequest = await withdrawalPipelineService.create(req.user.id, {
+        currency,
+        amount: parseFloat(amount),
+        destinationAddress,
+        network
+      });
+    } catch (error) {
+      if (FORBIDDEN_ERRORS.some(prefix => error.message?.startsWith(prefix))) {
+        return res.status(403).json({
           success: false,
-          message: `Insufficient ${currency} balance. Available: ${currentBalance}, Requested: ${amount}`
+          message: error.message
         });
       }
-    } else {
       return res.status(400).json({
         success: false,
-        message: `No ${currency} balance found for user`
+        message: error.message?.startsWith('Insufficient')
+          ? `Insufficient ${currency} balance. Available: ${balance}, Requested: ${amount}`
+          : error.message
       });
     }
 
-    const withdrawalRequest = await WithdrawalRequest.create({
-      userId: req.user.id,
-      currency,
-      amount: parseFloat(amount),
-      destinationAddress
-    });
-
-    // Log withdrawal request to transactions_ledger for recent activities
-    try {
-      await query(`
-        INSERT INTO transactions_ledger (
-          user_id, type, currency, amount, reference_id, meta, created_at
-        ) VALUES ($1, 'withdrawal_request', $2, $3, $4, $5, NOW())
-      `, [
-        req.user.id,
-        currency,
-        parseFloat(amount),
-        withdrawalRequest.id,
-        JSON.stringify({
-          description: `Withdrawal request for ${amount} ${currency}`,
-          status: 'pending',
-          destination_address: destinationAddress,
-          withdrawal_id: withdrawalRequest.id
-        })
-      ]);
-    } catch (logError) {
-      console.error('Error logging withdrawal request:', logError);
-      // Don't fail the withdrawal request if logging fails
-    }
-
     res.status(201).json({
       success: true,
       message: 'Withdrawal request submitted successfully',
-      data: withdrawalRequest
+      data: new WithdrawalRequest(withdrawalRequest)
     });
   } catch (error) {
     console.error('Error creating withdrawal request:', error);
@@ -231,7 +331,7 @@ router.get('/admin/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Approve withdrawal request (admin only)
+// Approve withdrawal request (admin only); sends it (or queues it for a batch) once the approval policy is met
 router.post('/admin/:id/approve', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { adminNotes } = req.body;
@@ -244,94 +344,47 @@ router.post('/admin/:id/approve', authenticateToken, requireAdmin, async (req, r
       });
     }
 
-    if (request.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Withdrawal request is not pending'
-      });
-    }
-
-    // Validate destination address (basic validation)
-    if (!request.destinationAddress || request.destinationAddress.length < 10) {
-      return res.status(400).json({
+    let result;
+    try {
+      result = await withdrawalPipelineService.approve(request.id, req.user.id, { notes: adminNotes || null });
+    } catch (approvalError) {
+      const sendFailed = approvalError.message.startsWith('Failed to process withdrawal');
+      return res.status(sendFailed ? 500 : 400).json({
         success: false,
-        message: 'Invalid destination address'
+        message: approvalError.message
       });
     }
 
-    try {
-      // Execute REAL blockchain transaction using existing pool wallet service
-      const transactionHash = await poolWalletService.sendFromPool(
-        request.currency,
-        request.destinationAddress,
-        request.amount
-      );
-
-      // Update withdrawal request with transaction details
-      const updatedRequest = await WithdrawalRequest.updateStatus(
-        req.params.id,
-        'completed',
-        req.user.id,
-        adminNotes,
-        transactionHash
-      );
-
-        // Deduct from pool wallet balance
-        try {
-          // Get current pool balance for the currency
-          const balanceResult = await query(`
-            SELECT balance FROM user_balances 
-            WHERE user_id = (SELECT id FROM users WHERE email = 'pool@uobsecurity.com' LIMIT 1)
-            AND currency = $1
-          `, [request.currency]);
-          
-          if (balanceResult.rows.length > 0) {
-            const currentBalance = parseFloat(balanceResult.rows[0].balance);
-            const newBalance = currentBalance - parseFloat(request.amount);
-            
-            if (newBalance >= 0) {
-              // Update pool wallet balance
-              await query(`
-                UPDATE user_balances 
-                SET balance = $1, updated_at = NOW()
-                WHERE user_id = (SELECT id FROM users WHERE email = 'pool@uobsecurity.com' LIMIT 1)
-                AND currency = $2
-              `, [newBalance, request.currency]);
-              
-              console.log(`✅ Pool wallet ${request.currency} balance updated: ${currentBalance} → ${newBalance}`);
-            } else {
-              console.error(`❌ Insufficient pool wallet balance: ${currentBalance} < ${request.amount}`);
-            }
-          }
-        } catch (balanceError) {
-          console.error('Error updating pool wallet balance:', balanceError);
-          // Don't fail the transaction, just log the error
-        }
-
-      res.json({
+    const { withdrawal, approval, queued } = result;
+    if (!approval.policyMet) {
+      return res.status(202).json({
         success: true,
-        message: 'Withdrawal approved and completed successfully',
+        message: `Approval recorded (${approval.approvalCount} of ${approval.requiredApprovals}). Awaiting further approval.`,
         data: {
-          ...updatedRequest,
-          transactionHash: transactionHash
+          id: request.id,
+          status: withdrawal.status,
+          approvals: approval.approvals,
+          requiredApprovals: approval.requiredApprovals
         }
       });
-    } catch (transactionError) {
-      console.error('Blockchain transaction error:', transactionError);
-      
-      // Update status to failed
-      await WithdrawalRequest.updateStatus(
-        req.params.id,
-        'failed',
-        req.user.id,
-        adminNotes + ' - Transaction error: ' + transactionError.message
-      );
-
-      res.status(500).json({
-        success: false,
-        message: 'Transaction failed: ' + transactionError.message
+    }
+
+    if (queued) {
+      return res.status(202).json({
+        success: true,
+        message: 'Withdrawal approved and queued for the next batch',
+        data: new WithdrawalRequest(withdrawal)
       });
     }
+
+    res.json({
+      success: true,
+      message: 'Withdrawal approved and broadcast successfully',
+      data: {
+        ...new WithdrawalRequest(withdrawal),
+        transactionHash: withdrawal.transaction_hash
+      }
+    });
   } catch (error) {
     console.error('Error approving withdrawal request:', error);
     res.status(500).json({
@@ -354,74 +407,20 @@ router.post('/admin/:id/reject', authenticateToken, requireAdmin, async (req, re
       });
     }
 
-    if (request.status !== 'pending') {
+    let rejected;
+    try {
+      rejected = await withdrawalPipelineService.reject(request.id, req.user.id, adminNotes || 'Withdrawal rejected');
+    } catch (rejectError) {
       return res.status(400).json({
         success: false,
-        message: 'Withdrawal request is not pending'
+        message: rejectError.message
       });
     }
 
-    // Refund user's balance since withdrawal is rejected
-    try {
-      const userBalanceResult = await query(`
-        SELECT balance FROM user_balances 
-        WHERE user_id = $1 AND currency = $2
-      `, [request.userId, request.currency]);
-      
-      if (userBalanceResult.rows.length > 0) {
-        const currentBalance = parseFloat(userBalanceResult.rows[0].balance);
-        const refundedBalance = currentBalance + parseFloat(request.amount);
-        
-        // Refund user's balance
-        await query(`
-          UPDATE user_balances 
-          SET balance = $1, available_balance = $1, updated_at = NOW()
-          WHERE user_id = $2 AND currency = $3
-        `, [refundedBalance, request.userId, request.currency]);
-        
-        console.log(`✅ User ${request.userId} ${request.currency} balance refunded: ${currentBalance} → ${refundedBalance}`);
-      }
-    } catch (balanceError) {
-      console.error('Error refunding user balance:', balanceError);
-      // Don't fail the rejection, just log the error
-    }
-
-    // Update status to rejected
-    const updatedRequest = await WithdrawalRequest.updateStatus(
-      req.params.id,
-      'rejected',
-      req.user.id,
-      adminNotes
-    );
-
-    // Log rejected withdrawal to transactions_ledger for recent activities
-    try {
-      await query(`
-        INSERT INTO transactions_ledger (
-          user_id, type, currency, amount, reference_id, meta, created_at
-        ) VALUES ($1, 'withdrawal_rejected', $2, $3, $4, $5, NOW())
-      `, [
-        request.userId,
-        request.currency,
-        parseFloat(request.amount),
-        request.id,
-        JSON.stringify({
-          description: `Withdrawal rejected: ${request.amount} ${request.currency}`,
-          status: 'rejected',
-          admin_notes: adminNotes,
-          destination_address: request.destinationAddress,
-          withdrawal_id: request.id
-        })
-      ]);
-    } catch (logError) {
-      console.error('Error logging rejected withdrawal:', logError);
-      // Don't fail the rejection if logging fails
-    }
-
     res.json({
       success: true,
       message: 'Withdrawal request rejected',
-      data: updatedRequest
+      data: new WithdrawalRequest(rejected)
     });
   } catch (error) {
     console.error('Error rejecting withdrawal request:', error);
@@ -432,10 +431,9 @@ router.post('/admin/:id/reject', authenticateToken, requireAdmin, async (req, re
   }
 });
 
-// Complete withdrawal request (admin only) - This triggers the actual blockchain transaction
+// Send an approved withdrawal that is not waiting for a batch (admin only)
 router.post('/admin/:id/complete', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { transactionHash } = req.body;
     const request = await WithdrawalRequest.findById(req.params.id);
     
     if (!request) {
@@ -445,172 +443,51 @@ router.post('/admin/:id/complete', authenticateToken, requireAdmin, async (req,
       });
     }
 
-    if (request.status !== 'approved') {
+    // A broadcasting withdrawal is sent again only to finish recording its broadcast
+    if (!['approved', 'broadcasting'].includes(request.status)) {
       return res.status(400).json({
         success: false,
         message: 'Withdrawal request must be approved before completion'
       });
     }
 
-    // Validate destination address
-    if (!blockchainService.validateAddress(request.destinationAddress, request.currency)) {
+    if (request.batchQueuedAt) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid destination address'
+        message: 'Withdrawal request is queued for a batch and will be sent with it'
       });
     }
 
-    // Check if pool wallet has sufficient funds
-    const hasSufficientFunds = await blockchainService.checkSufficientFunds(
-      request.currency, 
-      request.amount
-    );
-
-    if (!hasSufficientFunds) {
-      return res.status(400).json({
+    let sent;
+    try {
+      sent = await withdrawalPipelineService.send(request.id, req.user.id);
+    } catch (sendError) {
+      console.error('Blockchain transaction error:', sendError);
+      return res.status(500).json({
         success: false,
-        message: 'Insufficient funds in pool wallet'
+        message: 'Blockchain transaction failed',
+        error: sendError.message
       });
     }
 
-    try {
-      // Simulate blockchain transaction (in production, use real blockchain service)
-      const transactionResult = await blockchainService.simulateTransaction(
-        request.currency,
-        request.amount,
-        request.destinationAddress,
-        'pool-wallet-address' // This would be the actual pool wallet address
-      );
-
-      if (transactionResult.success) {
-        // Update withdrawal request with transaction details
-        const updatedRequest = await WithdrawalRequest.updateStatus(
-          req.params.id,
-          'completed',
-          req.user.id,
-          null,
-          transactionResult.transactionHash
-        );
-
-        // Log completed withdrawal to transactions_ledger for recent activities
-        try {
-          await query(`
-            INSERT INTO transactions_ledger (
-              user_id, type, currency, amount, reference_id, meta, created_at
-            ) VALUES ($1, 'withdrawal_completed', $2, $3, $4, $5, NOW())
-          `, [
-            request.userId,
-            request.currency,
-            parseFloat(request.amount),
-            request.id,
-            JSON.stringify({
-              description: `Withdrawal completed: ${request.amount} ${request.currency}`,
-              status: 'completed',
-              transaction_hash: transactionResult.transactionHash,
-              destination_address: request.destinationAddress,
-              withdrawal_id: request.id
-            })
-          ]);
-        } catch (logError) {
-          console.error('Error logging completed withdrawal:', logError);
-          // Don't fail the completion if logging fails
-        }
-
-        // Deduct from user's balance and update pool wallet balance
-        try {
-          // 1. Deduct from user's balance (this should have been done when request was created, but let's ensure it)
-          const userBalanceResult = await query(`
-            SELECT balance FROM user_balances 
-            WHERE user_id = $1 AND currency = $2
-          `, [request.userId, request.currency]);
-          
-          if (userBalanceResult.rows.length > 0) {
-            const currentUserBalance = parseFloat(userBalanceResult.rows[0].balance);
-            const newUserBalance = currentUserBalance - parseFloat(request.amount);
-            
-            if (newUserBalance >= 0) {
-              // Update user's balance
-              await query(`
-                UPDATE user_balances 
-                SET balance = $1, available_balance = $1, updated_at = NOW()
-                WHERE user_id = $2 AND currency = $3
-              `, [newUserBalance, request.userId, request.currency]);
-              
-              console.log(`✅ User ${request.userId} ${request.currency} balance updated: ${currentUserBalance} → ${newUserBalance}`);
-            } else {
-              console.error(`❌ Insufficient user balance: ${currentUserBalance} < ${request.amount}`);
-            }
-          }
-          
-          // 2. Deduct from pool wallet balance
-          const poolBalanceResult = await query(`
-            SELECT balance FROM user_balances 
-            WHERE user_id = (SELECT id FROM users WHERE email = 'pool@uobsecurity.com' LIMIT 1)
-            AND currency = $1
-          `, [request.currency]);
-          
-          if (poolBalanceResult.rows.length > 0) {
-            const currentPoolBalance = parseFloat(poolBalanceResult.rows[0].balance);
-            const newPoolBalance = currentPoolBalance - parseFloat(request.amount);
-            
-            if (newPoolBalance >= 0) {
-              // Update pool wallet balance
-              await query(`
-                UPDATE user_balances 
-                SET balance = $1, updated_at = NOW()
-                WHERE user_id = (SELECT id FROM users WHERE email = 'pool@uobsecurity.com' LIMIT 1)
-                AND currency = $2
-              `, [newPoolBalance, request.currency]);
-              
-              console.log(`✅ Pool wallet ${request.currency} balance updated: ${currentPoolBalance} → ${newPoolBalance}`);
-            } else {
-              console.error(`❌ Insufficient pool wallet balance: ${currentPoolBalance} < ${request.amount}`);
-            }
-          }
-        } catch (balanceError) {
-          console.error('Error updating balances:', balanceError);
-          // Don't fail the transaction, just log the error
-        }
-
-        res.json({
-          success: true,
-          message: 'Withdrawal completed successfully',
-          data: {
-            ...updatedRequest,
-            transactionDetails: transactionResult
-          }
-        });
-      } else {
-        // Mark as failed
-        await WithdrawalRequest.updateStatus(
-          req.params.id,
-          'failed',
-          req.user.id,
-          'Blockchain transaction failed'
-        );
-
-        res.status(400).json({
-          success: false,
-          message: 'Blockchain transaction failed'
-        });
-      }
-    } catch (blockchainError) {
-      console.error('Blockchain transaction error:', blockchainError);
-      
-      // Mark as failed
-      await WithdrawalRequest.updateStatus(
-        req.params.id,
-        'failed',
-        req.user.id,
-        `Blockchain error: ${blockchainError.message}`
-      );
-
-      res.status(500).json({
-        success: false,
-        message: 'Blockchain transaction failed',
-        error: blockchainError.message
+    if (sent.status === 'approved') {
+      return res.json({
+        success: true,
+        message: sent.awaiting_liquidity_since
+          ? 'Withdrawal is waiting for the hot wallet to be topped up and will be sent then'
+          : `Withdrawal awaits its offline signature; upload it to /api/admin/pool/withdrawals/${sent.id}/signed-tx`,
+        data: new WithdrawalRequest(sent)
       });
     }
+
+    res.json({
+      success: true,
+      message: 'Withdrawal broadcast successfully',
+      data: {
+        ...new WithdrawalRequest(sent),
+        transactionHash: sent.transaction_hash
+      }
+    });
   } catch (error) {
     console.error('Error completing withdrawal request:', error);
     res.status(500).json({
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt stored wallet secrets under the current key
+ *
+ * Usage:
+ *   node scripts/reencrypt-secrets.js [--dry-run]
+ *
+ * Run it after adding a key to WALLET_ENCRYPTION_KEYS and making it current with
+ * WALLET_ENCRYPTION_KEY_ID. Every wallet private key not yet on that key (including ones
+ * in the pre-envelope format) is moved to it; keep the old key configured until the run
+ * reports no failures and GET /api/admin/pool/secrets/encryption shows nothing outdated.
+ * With --dry-run every secret is opened and re-encrypted in memory, but nothing is written.
+ */
+require('dotenv').config();
+const { pool } = require('../config/database');
+const secretEncryptionService = require('../services/secretEncryptionService');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const summary = await secretEncryptionService.reencryptAll({ dryRun });
+  for (const failure of summary.failed) {
+    console.error(`Could not re-encrypt ${failure.table} ${failure.id} (key ${failure.keyId}): ${failure.error}`);
+  }
+  console.log(`${dryRun ? 'Dry run: would re-encrypt' : 'Re-encrypted'} ${summary.migrated} secret(s) to key ${summary.currentKeyId}; ${summary.skipped} changed during the run, ${summary.failed.length} failed.`);
+
+  const status = await secretEncryptionService.getStatus();
+  console.log(`Secrets by key: ${Object.entries(status.byKey).map(([keyId, count]) => `${keyId}=${count}`).join(', ') || 'none'}`);
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('Re-encryption failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
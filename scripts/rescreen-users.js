@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Rescreen every user against the sanctions and PEP lists
+ *
+ * Usage:
+ *   node scripts/rescreen-users.js [--if-changed]
+ *
+ * Run it after updating the list files in SANCTIONS_LIST_DIR. Every user name and saved
+ * withdrawal address is screened again; potential hits open review cases. With
+ * --if-changed nothing is done when the lists match the last completed rescreen.
+ */
+require('dotenv').config();
+const { pool } = require('../config/database');
+const sanctionsScreeningService = require('../services/sanctionsScreeningService');
+
+const main = async () => {
+  const ifChanged = process.argv.includes('--if-changed');
+
+  const result = ifChanged
+    ? await sanctionsScreeningService.rescreenIfListsChanged()
+    : await sanctionsScreeningService.rescreenAll({ trigger: 'command' });
+
+  if (!result) {
+    console.log('Sanctions lists are unchanged since the last rescreen (or none are loaded); nothing to do.');
+  } else {
+    console.log(`Screened ${result.usersScreened} users and ${result.addressesScreened} addresses against list version ${result.listVersion.slice(0, 12)}: ${result.casesOpened} new case(s).`);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('Rescreen failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Offline proof-of-reserves verifier
+ *
+ * Usage:
+ *   node scripts/verify-reserves-proof.js <proof.json> [published.json]
+ *
+ * proof.json     - response of GET /api/wallet/reserves-proof
+ * published.json - response of GET /api/reserves/latest (optional; when given, the roots
+ *                  and totals in the proof are also checked against the published ones)
+ *
+ * Only Node's built-in crypto module is used, so this file can be copied and run on its own.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FORMAT = 'merkle-sum-sha256-v1';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const toBigInt = (value, label) => {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`${label} must be a non-negative integer, got ${value}`);
+  }
+  return BigInt(value);
+};
+
+/**
+ * Recompute the root of one asset's inclusion proof
+ */
+const verifyAssetProof = (proof) => {
+  const { asset, leaf } = proof;
+  const units = toBigInt(leaf.amountUnits, 'leaf amount');
+
+  const userHash = sha256(`${leaf.userId}:${leaf.nonce}`);
+  let node = { hash: sha256(`leaf:${asset}:${userHash}:${units}`), sum: units };
+
+  if (leaf.hash && leaf.hash !== node.hash) {
+    return { ok: false, reason: 'leaf hash does not match the user id, nonce and amount' };
+  }
+
+  for (const step of proof.path) {
+    const sibling = { hash: step.hash, sum: toBigInt(step.sum, 'sibling sum') };
+    const [left, right] = step.position === 'left' ? [sibling, node] : [node, sibling];
+    node = {
+      hash: sha256(`node:${left.hash}:${left.sum}:${right.hash}:${right.sum}`),
+      sum: left.sum + right.sum
+    };
+  }
+
+  if (node.hash !== proof.root) {
+    return { ok: false, reason: `computed root ${node.hash} does not match ${proof.root}` };
+  }
+  if (node.sum.toString() !== String(proof.totalUnits)) {
+    return { ok: false, reason: `computed total ${node.sum} does not match ${proof.totalUnits}` };
+  }
+  return { ok: true };
+};
+
+const main = () => {
+  const [proofFile, publishedFile] = process.argv.slice(2);
+  if (!proofFile) {
+    console.error('Usage: node scripts/verify-reserves-proof.js <proof.json> [published.json]');
+    process.exit(2);
+  }
+
+  const proof = readJson(proofFile);
+  const published = publishedFile ? readJson(publishedFile) : null;
+
+  if (proof.format && proof.format !== FORMAT) {
+    console.error(`Unsupported proof format: ${proof.format}`);
+    process.exit(2);
+  }
+  if (published && published.snapshotId !== proof.snapshotId) {
+    console.error(`Proof is for snapshot ${proof.snapshotId} but the published snapshot is ${published.snapshotId}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const assetProof of proof.proofs || []) {
+    let result;
+    try {
+      result = verifyAssetProof(assetProof);
+    } catch (error) {
+      result = { ok: false, reason: error.message };
+    }
+
+    if (result.ok && published) {
+      const publishedAsset = (published.assets || {})[assetProof.asset];
+      if (!publishedAsset || publishedAsset.root !== assetProof.root) {
+        result = { ok: false, reason: 'root does not match the published root' };
+      } else if (String(publishedAsset.totalUnits) !== String(assetProof.totalUnits)) {
+        result = { ok: false, reason: 'total does not match the published total' };
+      }
+    }
+
+    if (result.ok) {
+      console.log(`✅ ${assetProof.asset}: ${assetProof.leaf.amount} included (total liabilities ${assetProof.total})`);
+    } else {
+      failed++;
+      console.log(`❌ ${assetProof.asset}: ${result.reason}`);
+    }
+  }
+
+  if (!proof.proofs || proof.proofs.length === 0) {
+    console.log('No balances included in this snapshot.');
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
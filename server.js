@@ -20,7 +20,8 @@ const PORT = process.env.PORT || 5000;
 // Security middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Body parsing middleware
@@ -90,6 +91,7 @@ poolWalletService.initializePoolWallets().then(() => {
 
 // Authentication middleware
 const authRoutes = require('./routes/auth');
+const { rejectFrozenAccount } = require('./middleware/accountFreeze');
 
 // Start crypto price updates
 const cryptoPriceService = require('./services/cryptoPriceService');
@@ -99,6 +101,16 @@ cryptoPriceService.startPriceUpdates(60000); // Update every minute
 // const marketDataService = require('./services/marketDataService');
 // marketDataService.startDataCollection(['BTCUSDT', 'ETHUSDT'], '1h');
 
+// Expire balance holds that were never captured or released
+const balanceHoldService = require('./services/balanceHoldService');
+balanceHoldService.startExpiryJob(5 * 60 * 1000); // Check every 5 minutes
+
+// Purge expired idempotency keys
+const { purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+setInterval(() => {
+  purgeExpiredIdempotencyKeys().catch(err => console.error('Idempotency key purge error:', err.message));
+}, 60 * 60 * 1000); // Every hour
+
 // Initialize AI trading bot engine
 const botEngineService = require('./services/botEngineService');
 botEngineService.initializeBotEngine();
@@ -116,6 +128,46 @@ setTimeout(() => {
   });
 }, 10000);
 
+// Sweep per-user deposit addresses into the pool (only when DEPOSIT_ADDRESS_MODE=hd)
+const depositSweeperService = require('./services/depositSweeperService');
+depositSweeperService.startScheduledSweeps(
+  (parseFloat(process.env.DEPOSIT_SWEEP_INTERVAL_MINUTES) || 30) * 60 * 1000
+);
+
+// Pay approved withdrawals in batches (only when WITHDRAWAL_BATCH_WINDOW_MINUTES is set)
+const withdrawalBatchService = require('./services/withdrawalBatchService');
+withdrawalBatchService.startScheduledBatches();
+
+// Watch pool transactions until they confirm and flag the stuck ones for a fee bump
+const broadcastTrackerService = require('./services/broadcastTrackerService');
+broadcastTrackerService.startScheduledChecks(
+  (parseFloat(process.env.STUCK_TX_CHECK_INTERVAL_MINUTES) || 10) * 60 * 1000
+);
+
+// Keep the hot wallet inside its band: sweep excess to cold storage, raise top-ups, send waiting withdrawals
+const treasuryService = require('./services/treasuryService');
+treasuryService.startScheduledChecks(
+  (parseFloat(process.env.TREASURY_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000
+);
+
+// Reconcile pool on-chain balances against user liabilities
+const reconciliationService = require('./services/reconciliationService');
+reconciliationService.startScheduledReconciliation(
+  (parseFloat(process.env.RECONCILIATION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+);
+
+// Rescreen users against the sanctions lists whenever the list files change
+const sanctionsScreeningService = require('./services/sanctionsScreeningService');
+sanctionsScreeningService.startScheduledChecks(
+  (parseFloat(process.env.SANCTIONS_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000
+);
+
+// Evaluate deposits, exchanges and withdrawals against the AML rules
+const amlService = require('./services/amlService');
+amlService.startScheduledProcessing(
+  (parseFloat(process.env.AML_EVALUATION_INTERVAL_SECONDS) || 60) * 1000
+);
+
 // Initialize WebSocket notifications
 const notificationService = require('./services/notificationService');
 notificationService.initialize(io);
@@ -133,12 +185,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/receipts', require('./routes/receipts'));
 app.use('/api/prices', require('./routes/prices')); // Crypto & gold prices
 app.use('/api/password-reset', require('./routes/password-reset'));
+app.use('/api/reserves', require('./routes/reserves')); // Published proof-of-reserves roots
 
 // Protected user routes (authentication required)
 app.use('/api/wallet', authRoutes.authenticateToken, require('./routes/wallet'));
 app.use('/api/securities', authRoutes.authenticateToken, require('./routes/securities'));
 app.use('/api/exchange', authRoutes.authenticateToken, require('./routes/exchange'));
-app.use('/api/gold-exchange', authRoutes.authenticateToken, require('./routes/gold-exchange'));
+app.use('/api/gold-exchange', authRoutes.authenticateToken, rejectFrozenAccount, require('./routes/gold-exchange'));
 app.use('/api/skrs', authRoutes.authenticateToken, require('./routes/skrs'));
 app.use('/api/exports', authRoutes.authenticateToken, require('./routes/exports'));
 app.use('/api/crowdfunding', require('./routes/crowdfunding'));
@@ -147,12 +200,19 @@ app.use('/api/user', require('./routes/account-settings'));
 app.use('/api/admin', require('./routes/account-settings'));
 app.use('/api/referrals', require('./routes/referrals'));
 app.use('/api/ai-trading', authRoutes.authenticateToken, require('./routes/aiTrading'));
+app.use('/api/kyc', authRoutes.authenticateToken, require('./routes/kyc'));
 
 // Protected admin routes (authentication + admin role required)
 app.use('/api/admin', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin'));
 app.use('/api/admin/crypto', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-crypto'));
 app.use('/api/admin/withdrawals', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-withdrawals'));
 app.use('/api/admin/pool', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-pool'));
+app.use('/api/admin/ledger', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-ledger'));
+app.use('/api/admin/kyc', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-kyc'));
+app.use('/api/admin/screening', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-screening'));
+app.use('/api/admin/aml', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-aml'));
+app.use('/api/admin/compliance', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-compliance'));
+app.use('/api/admin/treasury', authRoutes.authenticateToken, authRoutes.requireAdmin, require('./routes/admin-treasury'));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
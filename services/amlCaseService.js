@@ -0,0 +1,200 @@
+const { query, transaction } = require('../config/database');
+const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
+
+// Case workflow: open -> investigating -> escalated -> closed (closing needs a resolution)
+const TRANSITIONS = {
+  open: ['investigating', 'closed'],
+  investigating: ['escalated', 'closed'],
+  escalated: ['investigating', 'closed'],
+  closed: []
+};
+const RESOLUTIONS = ['false_positive', 'no_action', 'reported'];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * AML cases
+ *
+ * Rule hits (alerts) are collected on one unresolved case per user, so an investigator
+ * sees everything flagged about a customer together. A case moves through TRANSITIONS;
+ * each move is kept in `status_history`. Its severity is the highest of its alerts, and
+ * an unresolved high-severity case stops that user's withdrawals from being approved.
+ */
+class AmlCaseService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.resolutions = RESOLUTIONS;
+  }
+
+  /**
+   * Record a rule hit on the user's unresolved case (opening one if needed).
+   * Runs inside the evaluation transaction; resolves with the alert and its case.
+   */
+  async raiseAlert(client, { rule, event, details }) {
+    const existing = await client.query(
+      `SELECT * FROM aml_cases WHERE user_id = $1 AND status != 'closed' FOR UPDATE`,
+      [event.user_id]
+    );
+
+    let amlCase = existing.rows[0];
+    let opened = false;
+    if (!amlCase) {
+      const inserted = await client.query(
+        `INSERT INTO aml_cases (user_id, severity, status, status_history)
+         VALUES ($1, $2, 'open', $3)
+         ON CONFLICT (user_id) WHERE status != 'closed' DO NOTHING
+         RETURNING *`,
+        [event.user_id, rule.severity, JSON.stringify([{ from: null, to: 'open', at: new Date().toISOString(), actorId: null, note: `Rule: ${rule.name}` }])]
+      );
+      amlCase = inserted.rows[0] || (await client.query(
+        `SELECT * FROM aml_cases WHERE user_id = $1 AND status != 'closed' FOR UPDATE`,
+        [event.user_id]
+      )).rows[0];
+      opened = inserted.rows.length > 0;
+    } else if (SEVERITY_RANK[rule.severity] > SEVERITY_RANK[amlCase.severity]) {
+      const raised = await client.query(
+        'UPDATE aml_cases SET severity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [rule.severity, amlCase.id]
+      );
+      amlCase = raised.rows[0];
+    } else {
+      await client.query('UPDATE aml_cases SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [amlCase.id]);
+    }
+
+    const alert = await client.query(
+      `INSERT INTO aml_alerts (case_id, rule_id, rule_name, rule_type, severity, user_id, event_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [amlCase.id, rule.id, rule.name, rule.rule_type, rule.severity, event.user_id, event.id, JSON.stringify(details)]
+    );
+
+    console.log(`🚩 AML rule "${rule.name}" hit for user ${event.user_id} (case ${amlCase.id}${opened ? ', new' : ''})`);
+    return { alert: alert.rows[0], amlCase, opened };
+  }
+
+  /**
+   * Tell admins about alerts once their transaction has committed
+   */
+  notifyAlerts(alerts) {
+    for (const { alert, amlCase, opened } of alerts) {
+      notificationService.notifyAdmins({
+        type: alert.severity === 'high' ? 'error' : 'warning',
+        title: opened ? 'New AML Case' : 'AML Alert',
+        message: `Rule "${alert.rule_name}" flagged a user (${alert.severity} severity)`,
+        data: { caseId: amlCase.id, alertId: alert.id, userId: alert.user_id, ruleType: alert.rule_type },
+        action: {
+          label: 'Review Case',
+          url: '/admin/aml'
+        }
+      });
+    }
+  }
+
+  /**
+   * True while the user has an unresolved high-severity case
+   */
+  async hasBlockingCase(userId) {
+    const result = await query(
+      `SELECT 1 FROM aml_cases WHERE user_id = $1 AND status != 'closed' AND severity = 'high' LIMIT 1`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async listCases({ status = null, severity = null, userId = null, limit = 50, offset = 0 } = {}) {
+    const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : null;
+    const result = await query(
+      `SELECT c.*, u.full_name, u.email,
+              (SELECT COUNT(*) FROM aml_alerts a WHERE a.case_id = c.id)::int AS alert_count
+       FROM aml_cases c
+       JOIN users u ON c.user_id = u.id
+       WHERE ($1::text[] IS NULL OR c.status = ANY($1))
+         AND ($2::text IS NULL OR c.severity = $2)
+         AND ($3::uuid IS NULL OR c.user_id = $3)
+       ORDER BY CASE c.severity WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, c.updated_at DESC
+       LIMIT $4 OFFSET $5`,
+      [statuses, severity, userId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * A case with its alerts and the events that triggered them
+   */
+  async getCase(caseId) {
+    const result = await query(
+      `SELECT c.*, u.full_name, u.email, u.created_at AS user_created_at
+       FROM aml_cases c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.id = $1`,
+      [caseId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const alerts = await query(
+      `SELECT a.*, e.event_type, e.subtype, e.currency, e.amount, e.amount_usd, e.reference_type, e.reference_id, e.occurred_at
+       FROM aml_alerts a
+       LEFT JOIN aml_events e ON a.event_id = e.id
+       WHERE a.case_id = $1
+       ORDER BY a.created_at`,
+      [caseId]
+    );
+    return { ...result.rows[0], alerts: alerts.rows };
+  }
+
+  /**
+   * Move a case to another status; closing needs a resolution
+   */
+  async transition(caseId, adminId, { status, note = null, resolution = null }, req = null) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Status must be one of ${Object.keys(TRANSITIONS).join(', ')}`);
+    }
+    if (status === 'closed' && !RESOLUTIONS.includes(resolution)) {
+      throw new Error(`Closing a case needs a resolution: ${RESOLUTIONS.join(', ')}`);
+    }
+    if (status === 'closed' && !note) {
+      throw new Error('A note is required to close a case');
+    }
+
+    const { before, after } = await transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM aml_cases WHERE id = $1 FOR UPDATE', [caseId]);
+      const amlCase = locked.rows[0];
+      if (!amlCase) {
+        throw new Error('AML case not found');
+      }
+      if (!TRANSITIONS[amlCase.status].includes(status)) {
+        throw new Error(`AML case is ${amlCase.status} and cannot become ${status}`);
+      }
+
+      const history = [...(amlCase.status_history || []), { from: amlCase.status, to: status, at: new Date().toISOString(), actorId: adminId, note }];
+      const updated = await client.query(
+        `UPDATE aml_cases
+         SET status = $1, status_history = $2, resolution = $3,
+             closed_by = $4, closed_at = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING *`,
+        [
+          status, JSON.stringify(history), status === 'closed' ? resolution : null,
+          status === 'closed' ? adminId : null, status === 'closed' ? new Date() : null, caseId
+        ]
+      );
+      return { before: amlCase, after: updated.rows[0] };
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: `aml.case_${status}`,
+      targetTable: 'aml_cases',
+      targetId: caseId,
+      diff: { userId: after.user_id, before: { status: before.status }, after: { status, resolution: after.resolution }, note },
+      req
+    });
+
+    console.log(`🚩 AML case ${caseId} ${before.status} -> ${status} by ${adminId}`);
+    return after;
+  }
+}
+
+module.exports = new AmlCaseService();
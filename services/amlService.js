@@ -0,0 +1,389 @@
+const { query, transaction } = require('../config/database');
+const cryptoPriceService = require('./cryptoPriceService');
+const amlCaseService = require('./amlCaseService');
+
+const EVENT_TYPES = ['deposit', 'exchange', 'withdrawal'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const BATCH_SIZE = 100;
+
+/**
+ * Rule types the engine knows. Each `aml_rules` row picks a type and sets its params
+ * (defaults below), so rules are added and tuned from the admin API without code changes.
+ * `evaluate` resolves with details of the hit, or null.
+ */
+const RULE_TYPES = {
+  deposit_then_withdraw: {
+    description: 'A withdrawal of most of what was deposited within the last few hours',
+    eventTypes: ['withdrawal'],
+    params: { withinHours: 24, minDepositUsd: 1000, minRatio: 0.8 },
+    async evaluate(client, event, params) {
+      const result = await client.query(
+        `SELECT COALESCE(SUM(amount_usd), 0) AS deposits_usd, COUNT(*)::int AS deposits
+         FROM aml_events
+         WHERE user_id = $1 AND event_type = 'deposit'
+           AND occurred_at BETWEEN $2::timestamptz - ($3::float8 * INTERVAL '1 hour') AND $2`,
+        [event.user_id, event.occurred_at, params.withinHours]
+      );
+      const depositsUsd = parseFloat(result.rows[0].deposits_usd);
+      const withdrawalUsd = parseFloat(event.amount_usd);
+      if (depositsUsd < params.minDepositUsd || withdrawalUsd < depositsUsd * params.minRatio) {
+        return null;
+      }
+      return { depositsUsd, deposits: result.rows[0].deposits, withdrawalUsd, withinHours: params.withinHours };
+    }
+  },
+
+  structuring: {
+    description: 'Repeated transactions just under a reporting or limit threshold',
+    eventTypes: ['deposit', 'withdrawal'],
+    params: { thresholdUsd: 10000, marginPercent: 10, windowHours: 24, minCount: 3 },
+    async evaluate(client, event, params) {
+      const lowerUsd = params.thresholdUsd * (1 - params.marginPercent / 100);
+      const amountUsd = parseFloat(event.amount_usd);
+      if (amountUsd < lowerUsd || amountUsd >= params.thresholdUsd) {
+        return null;
+      }
+
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count, COALESCE(SUM(amount_usd), 0) AS total_usd
+         FROM aml_events
+         WHERE user_id = $1 AND event_type = $2
+           AND amount_usd >= $3 AND amount_usd < $4
+           AND occurred_at BETWEEN $5::timestamptz - ($6::float8 * INTERVAL '1 hour') AND $5`,
+        [event.user_id, event.event_type, lowerUsd, params.thresholdUsd, event.occurred_at, params.windowHours]
+      );
+      const { count } = result.rows[0];
+      if (count < params.minCount) {
+        return null;
+      }
+      return { count, totalUsd: parseFloat(result.rows[0].total_usd), bandUsd: [lowerUsd, params.thresholdUsd], windowHours: params.windowHours };
+    }
+  },
+
+  gold_round_trip: {
+    description: 'Gold bought and sold back (or the reverse) within a short time',
+    eventTypes: ['exchange'],
+    params: { withinHours: 24, minUsd: 1000, minCount: 1 },
+    async evaluate(client, event, params) {
+      const opposite = { buy_gold: 'sell_gold', sell_gold: 'buy_gold' }[event.subtype];
+      if (!opposite || parseFloat(event.amount_usd) < params.minUsd) {
+        return null;
+      }
+
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count, COALESCE(SUM(amount_usd), 0) AS total_usd
+         FROM aml_events
+         WHERE user_id = $1 AND event_type = 'exchange' AND subtype = $2 AND amount_usd >= $3
+           AND occurred_at BETWEEN $4::timestamptz - ($5::float8 * INTERVAL '1 hour') AND $4`,
+        [event.user_id, opposite, params.minUsd, event.occurred_at, params.withinHours]
+      );
+      const { count } = result.rows[0];
+      if (count < params.minCount) {
+        return null;
+      }
+      return { roundTrips: count, oppositeUsd: parseFloat(result.rows[0].total_usd), tradeUsd: parseFloat(event.amount_usd), withinHours: params.withinHours };
+    }
+  },
+
+  new_account_volume: {
+    description: 'A new account moving a large volume',
+    eventTypes: ['deposit', 'exchange', 'withdrawal'],
+    params: { accountAgeDays: 30, volumeUsd: 50000 },
+    async evaluate(client, event, params) {
+      const result = await client.query(
+        `SELECT u.created_at, COALESCE(SUM(e.amount_usd), 0) AS volume_usd
+         FROM users u
+         LEFT JOIN aml_events e ON e.user_id = u.id AND e.occurred_at <= $2
+         WHERE u.id = $1 AND u.created_at >= $2::timestamptz - ($3::float8 * INTERVAL '1 day')
+         GROUP BY u.created_at`,
+        [event.user_id, event.occurred_at, params.accountAgeDays]
+      );
+      const account = result.rows[0];
+      if (!account || parseFloat(account.volume_usd) < params.volumeUsd) {
+        return null;
+      }
+      return { accountCreatedAt: account.created_at, volumeUsd: parseFloat(account.volume_usd), accountAgeDays: params.accountAgeDays };
+    }
+  },
+
+  large_transaction: {
+    description: 'A single transaction above a USD amount',
+    eventTypes: ['deposit', 'exchange', 'withdrawal'],
+    params: { minUsd: 50000 },
+    async evaluate(client, event, params) {
+      const amountUsd = parseFloat(event.amount_usd);
+      return amountUsd >= params.minUsd ? { amountUsd, minUsd: params.minUsd } : null;
+    }
+  }
+};
+
+/**
+ * AML transaction monitoring
+ *
+ * Deposits, gold exchanges and withdrawals are recorded in `aml_events` inside the same
+ * database transaction as the money movement (recordEvent), so a rolled-back operation
+ * leaves no event. A worker evaluates new events against the enabled `aml_rules` shortly
+ * afterwards; each hit becomes an alert on the user's AML case (amlCaseService).
+ *
+ * Every rule has a type (RULE_TYPES), numeric params, a severity, the event types it
+ * runs on and `cooldownHours`: the same rule does not alert on the same user again
+ * within that time.
+ */
+class AmlService {
+  constructor() {
+    this.ruleTypes = RULE_TYPES;
+    this.eventTypes = EVENT_TYPES;
+    this.severities = SEVERITIES;
+    this.interval = null;
+    this.kickTimer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Record a monitored event. Pass the caller's transaction client so the event commits
+   * (or rolls back) with the operation. Never throws: monitoring must not block a payment.
+   */
+  async recordEvent({ userId, eventType, subtype = null, currency, amount, amountUsd = null, referenceType = null, referenceId = null }, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const savepoint = client ? 'aml_record_event' : null;
+    try {
+      // A savepoint keeps a failed insert from aborting the caller's transaction
+      if (savepoint) await run(`SAVEPOINT ${savepoint}`);
+      await run(
+        `INSERT INTO aml_events (user_id, event_type, subtype, currency, amount, amount_usd, reference_type, reference_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [userId, eventType, subtype, currency, amount, amountUsd, referenceType, referenceId !== null ? String(referenceId) : null]
+      );
+      if (savepoint) await run(`RELEASE SAVEPOINT ${savepoint}`);
+      this.kick();
+    } catch (error) {
+      if (savepoint) await run(`ROLLBACK TO SAVEPOINT ${savepoint}`).catch(() => null);
+      console.error(`❌ Failed to record AML ${eventType} event:`, error.message);
+    }
+  }
+
+  // Evaluate soon after an event is recorded (after the caller has had time to commit)
+  kick() {
+    if (this.kickTimer) return;
+    this.kickTimer = setTimeout(() => {
+      this.kickTimer = null;
+      this.processPendingEvents().catch(err => console.error('AML evaluation error:', err.message));
+    }, 2000);
+  }
+
+  /**
+   * Check and normalise a rule from the admin API; throws with a message fit for the admin
+   */
+  validateRule({ name, ruleType, description = null, severity = 'medium', enabled = true, params = {} }, existing = null) {
+    ruleType = ruleType || existing?.rule_type;
+    const definition = RULE_TYPES[ruleType];
+    if (!definition) {
+      throw new Error(`Rule type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+
+    name = (name ?? existing?.name ?? '').trim();
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof params === 'string') {
+      try {
+        params = JSON.parse(params);
+      } catch (error) {
+        throw new Error('Rule params must be valid JSON');
+      }
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('Rule params must be an object');
+    }
+
+    const normalized = { cooldownHours: 24, eventTypes: definition.eventTypes, ...definition.params };
+    for (const [key, value] of Object.entries(params)) {
+      if (key === 'eventTypes') {
+        if (!Array.isArray(value) || value.length === 0 || value.some(type => !definition.eventTypes.includes(type))) {
+          throw new Error(`eventTypes for ${ruleType} must be a list drawn from ${definition.eventTypes.join(', ')}`);
+        }
+        normalized.eventTypes = [...new Set(value)];
+      } else if (key in normalized) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+          throw new Error(`${key} must be a non-negative number`);
+        }
+        normalized[key] = number;
+      } else {
+        throw new Error(`Unknown param for ${ruleType}: ${key}`);
+      }
+    }
+
+    return { name, ruleType, description, severity, enabled: enabled !== false, params: normalized };
+  }
+
+  /**
+   * Rule types with their default params (for the admin UI)
+   */
+  listRuleTypes() {
+    return Object.entries(RULE_TYPES).map(([type, definition]) => ({
+      type,
+      description: definition.description,
+      eventTypes: definition.eventTypes,
+      params: { cooldownHours: 24, eventTypes: definition.eventTypes, ...definition.params }
+    }));
+  }
+
+  async listRules() {
+    const result = await query('SELECT * FROM aml_rules ORDER BY created_at');
+    return result.rows;
+  }
+
+  async createRule(rule, adminId) {
+    const valid = this.validateRule(rule);
+    const result = await query(
+      `INSERT INTO aml_rules (name, rule_type, description, severity, enabled, params, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+       RETURNING *`,
+      [valid.name, valid.ruleType, valid.description, valid.severity, valid.enabled, JSON.stringify(valid.params), adminId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Change a rule; resolves with { before, after }
+   */
+  async updateRule(ruleId, changes, adminId) {
+    const existing = await query('SELECT * FROM aml_rules WHERE id = $1', [ruleId]);
+    const before = existing.rows[0];
+    if (!before) {
+      throw new Error('AML rule not found');
+    }
+
+    const valid = this.validateRule({
+      name: changes.name ?? before.name,
+      ruleType: before.rule_type,
+      description: changes.description !== undefined ? changes.description : before.description,
+      severity: changes.severity ?? before.severity,
+      enabled: changes.enabled ?? before.enabled,
+      // Params not mentioned keep their current values
+      params: { ...before.params, ...(changes.params || {}) }
+    });
+
+    const result = await query(
+      `UPDATE aml_rules
+       SET name = $1, description = $2, severity = $3, enabled = $4, params = $5, updated_by = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [valid.name, valid.description, valid.severity, valid.enabled, JSON.stringify(valid.params), adminId, ruleId]
+    );
+    return { before, after: result.rows[0] };
+  }
+
+  /**
+   * Evaluate recorded events that have not been evaluated yet
+   */
+  async processPendingEvents() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let processed = 0;
+    try {
+      const rules = (await this.listRules()).filter(rule => rule.enabled && RULE_TYPES[rule.rule_type]);
+      const prices = await cryptoPriceService.getCurrentPrices().catch(() => ({}));
+
+      for (;;) {
+        const alerts = await transaction(async (client) => {
+          const pending = await client.query(
+            `SELECT * FROM aml_events
+             WHERE evaluated_at IS NULL
+             ORDER BY occurred_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED`,
+            [BATCH_SIZE]
+          );
+
+          const raised = [];
+          for (const event of pending.rows) {
+            // Deposits are priced here rather than inside the crediting transaction
+            if (event.amount_usd === null) {
+              const price = parseFloat(prices?.[event.currency]);
+              event.amount_usd = Number.isFinite(price) ? parseFloat(event.amount) * price : null;
+            }
+
+            if (event.amount_usd !== null) {
+              for (const rule of rules) {
+                const alert = await this.evaluateRule(client, rule, event);
+                if (alert) raised.push(alert);
+              }
+            }
+
+            await client.query(
+              'UPDATE aml_events SET amount_usd = $1, evaluated_at = NOW() WHERE id = $2',
+              [event.amount_usd, event.id]
+            );
+          }
+
+          processed += pending.rows.length;
+          return pending.rows.length === 0 ? null : raised;
+        });
+
+        if (alerts === null) break;
+        amlCaseService.notifyAlerts(alerts);
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return processed;
+  }
+
+  async evaluateRule(client, rule, event) {
+    const params = rule.params || {};
+    const eventTypes = params.eventTypes || RULE_TYPES[rule.rule_type].eventTypes;
+    if (!eventTypes.includes(event.event_type)) {
+      return null;
+    }
+
+    // A rule alerts on the same user at most once per cooldown
+    if (params.cooldownHours > 0) {
+      const recent = await client.query(
+        `SELECT 1 FROM aml_alerts
+         WHERE rule_id = $1 AND user_id = $2 AND created_at >= NOW() - ($3::float8 * INTERVAL '1 hour')
+         LIMIT 1`,
+        [rule.id, event.user_id, params.cooldownHours]
+      );
+      if (recent.rows.length > 0) {
+        return null;
+      }
+    }
+
+    const details = await RULE_TYPES[rule.rule_type].evaluate(client, event, { ...RULE_TYPES[rule.rule_type].params, ...params });
+    if (!details) {
+      return null;
+    }
+    return amlCaseService.raiseAlert(client, { rule, event, details });
+  }
+
+  /**
+   * Evaluate new events every `intervalMs` (events are also picked up right after they are recorded)
+   */
+  startScheduledProcessing(intervalMs = 60 * 1000) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.processPendingEvents().catch(err => {
+        console.error('Scheduled AML evaluation error:', err.message);
+      });
+    }, intervalMs);
+
+    console.log('✅ AML monitoring scheduled (every', intervalMs / 1000, 'seconds)');
+  }
+
+  stopScheduledProcessing() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new AmlService();
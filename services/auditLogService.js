@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+const LoginTrackingService = require('./loginTrackingService');
+
+/**
+ * Audit log writer
+ *
+ * One row in `audit_logs` per security-relevant change: who did it, what it
+ * touched and the before/after details in `diff`. Failures are logged and
+ * swallowed so an audit outage never blocks the action itself.
+ */
+class AuditLogService {
+  /**
+   * Record an action; `req` (optional) supplies the IP and user agent
+   */
+  async log({ actorUserId = null, action, targetTable, targetId = null, diff = {}, req = null }) {
+    try {
+      const result = await query(
+        `INSERT INTO audit_logs (actor_user_id, action, target_table, target_id, diff, ip, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, created_at`,
+        [
+          actorUserId,
+          action,
+          targetTable,
+          targetId !== null ? String(targetId) : null,
+          JSON.stringify(diff),
+          req ? LoginTrackingService.getClientIP(req) : null,
+          req ? (req.headers['user-agent'] || 'Unknown') : null
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error(`❌ Failed to write audit log (${action}):`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,318 @@
+const { query, transaction } = require('../config/database');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Balance holds
+ *
+ * A hold reserves part of a user's balance for a pending operation (withdrawal, trade).
+ * It lowers `user_balances.available_balance` but leaves `balance` untouched until the
+ * hold is captured, at which point the amount is posted to the ledger. Released and
+ * expired holds simply give the availability back.
+ */
+class BalanceHoldService {
+  constructor() {
+    this.defaultTtlHours = parseInt(process.env.BALANCE_HOLD_TTL_HOURS) || 72;
+    this.expiryInterval = null;
+  }
+
+  /**
+   * Place a hold. Fails if the available balance does not cover it.
+   * Holds expire after BALANCE_HOLD_TTL_HOURS unless `expiresInHours` is given;
+   * `expiresInHours: null` places a hold that never expires.
+   */
+  async placeHold({ userId, currency, amount, reason, referenceType = null, referenceId = null, expiresInHours = undefined, createdBy = null }, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.placeHold({ userId, currency, amount, reason, referenceType, referenceId, expiresInHours, createdBy }, txClient));
+    }
+
+    const upperCurrency = currency.toUpperCase();
+    const holdAmount = ledgerService.roundAmount(amount);
+    if (!holdAmount || holdAmount <= 0) {
+      throw new Error('Hold amount must be positive');
+    }
+
+    const reserved = await client.query(
+      `UPDATE user_balances
+       SET available_balance = available_balance - $3::numeric, updated_at = NOW()
+       WHERE user_id = $1 AND currency = $2 AND available_balance >= $3::numeric
+       RETURNING available_balance`,
+      [userId, upperCurrency, holdAmount]
+    );
+
+    if (reserved.rows.length === 0) {
+      throw new Error(`Insufficient ${upperCurrency} balance`);
+    }
+
+    const ttlHours = expiresInHours === undefined ? this.defaultTtlHours : expiresInHours;
+    const result = await client.query(
+      `INSERT INTO balance_holds (user_id, currency, amount, reason, reference_type, reference_id, status, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW() + ($7 || ' hours')::interval, $8)
+       RETURNING *`,
+      [
+        userId,
+        upperCurrency,
+        holdAmount,
+        reason,
+        referenceType,
+        referenceId !== null && referenceId !== undefined ? String(referenceId) : null,
+        ttlHours === null ? null : String(ttlHours), // NULL: no expiry
+        createdBy
+      ]
+    );
+
+    console.log(`🔒 Hold placed: ${holdAmount} ${upperCurrency} for user ${userId} (${reason})`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Attach a hold to the record it reserves funds for (when the record is created after the hold)
+   */
+  async attachReference(holdId, referenceType, referenceId, client = null) {
+    const result = await (client || { query }).query(
+      `UPDATE balance_holds SET reference_type = $2, reference_id = $3
+       WHERE id = $1
+       RETURNING *`,
+      [holdId, referenceType, String(referenceId)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find the latest hold for a reference, whatever its status (locked for update when a client is given)
+   */
+  async findHold(referenceType, referenceId, client = null) {
+    const result = await (client || { query }).query(
+      `SELECT * FROM balance_holds
+       WHERE reference_type = $1 AND reference_id = $2
+       ORDER BY created_at DESC
+       LIMIT 1
+       ${client ? 'FOR UPDATE' : ''}`,
+      [referenceType, String(referenceId)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Release a hold and give the reserved amount back to the available balance
+   */
+  async releaseHold(holdId, { status = 'released', note = null } = {}, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.releaseHold(holdId, { status, note }, txClient));
+    }
+
+    const result = await client.query(
+      `UPDATE balance_holds
+       SET status = $2, resolved_at = NOW(), resolution_note = $3
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [holdId, status, note]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Hold not found or already resolved');
+    }
+
+    const hold = result.rows[0];
+    await client.query(
+      `UPDATE user_balances
+       SET available_balance = available_balance + $3::numeric, updated_at = NOW()
+       WHERE user_id = $1 AND currency = $2`,
+      [hold.user_id, hold.currency, hold.amount]
+    );
+
+    console.log(`🔓 Hold ${status}: ${hold.amount} ${hold.currency} for user ${hold.user_id}`);
+
+    return hold;
+  }
+
+  /**
+   * Capture a hold: the reserved amount leaves the user's balance through the ledger.
+   * An optional fee is booked to the fee account instead of the contra account.
+   */
+  async captureHold(holdId, { entryType, contraAccount = 'pool', fee = 0, description = '', createdBy = null, meta = {} } = {}, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.captureHold(holdId, { entryType, contraAccount, fee, description, createdBy, meta }, txClient));
+    }
+
+    const result = await client.query(
+      `UPDATE balance_holds
+       SET status = 'captured', resolved_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [holdId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Hold not found or already resolved');
+    }
+
+    const hold = result.rows[0];
+
+    // Give back the reservation, then post the debit (which takes it out of both balances)
+    await client.query(
+      `UPDATE user_balances
+       SET available_balance = available_balance + $3::numeric, updated_at = NOW()
+       WHERE user_id = $1 AND currency = $2`,
+      [hold.user_id, hold.currency, hold.amount]
+    );
+
+    const journal = await ledgerService.postJournal({
+      entryType: entryType || hold.reason,
+      description,
+      referenceType: hold.reference_type,
+      referenceId: hold.reference_id,
+      createdBy,
+      meta: { ...meta, hold_id: hold.id },
+      allowNegative: true,
+      postings: this.capturePostings(hold, contraAccount, fee)
+    }, client);
+
+    console.log(`✅ Hold captured: ${hold.amount} ${hold.currency} for user ${hold.user_id}`);
+
+    return { hold, journal };
+  }
+
+  /**
+   * Postings for capturing a hold, split between the contra account and fees
+   */
+  capturePostings(hold, contraAccount, fee = 0) {
+    const amount = parseFloat(hold.amount);
+    const feeAmount = ledgerService.roundAmount(fee || 0);
+    const postings = [
+      { account: 'user', userId: hold.user_id, currency: hold.currency, amount: -amount },
+      { account: contraAccount, currency: hold.currency, amount: ledgerService.roundAmount(amount - feeAmount) }
+    ];
+    if (feeAmount > 0) {
+      postings.push({ account: 'fee', currency: hold.currency, amount: feeAmount });
+    }
+    return postings;
+  }
+
+  /**
+   * Capture the hold backing a reference once its funds have left (e.g. the withdrawal was sent).
+   * If the hold was already released or expired its reservation is gone, so the debit is only
+   * posted if the user's available balance still covers it.
+   * Returns null when the reference has no hold (records created before holds existed).
+   */
+  async captureForReference(referenceType, referenceId, options = {}, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.captureForReference(referenceType, referenceId, options, txClient));
+    }
+
+    const hold = await this.findHold(referenceType, referenceId, client);
+    if (!hold) {
+      return null;
+    }
+
+    if (hold.status === 'active') {
+      return this.captureHold(hold.id, options, client);
+    }
+
+    if (hold.status === 'captured') {
+      throw new Error('Hold already captured');
+    }
+
+    console.log(`⚠️ Hold ${hold.id} was ${hold.status} before capture; posting the debit against the available balance`);
+
+    const journal = await ledgerService.postJournal({
+      entryType: options.entryType || hold.reason,
+      description: options.description || '',
+      referenceType,
+      referenceId,
+      createdBy: options.createdBy || null,
+      meta: { ...(options.meta || {}), hold_id: hold.id, hold_status: hold.status },
+      postings: this.capturePostings(hold, options.contraAccount || 'pool', options.fee || 0)
+    }, client);
+
+    return { hold, journal };
+  }
+
+  /**
+   * Release the hold backing a reference if it is still active.
+   * Returns null when the reference has no hold (records created before holds existed).
+   */
+  async releaseForReference(referenceType, referenceId, { note = null } = {}, client = null) {
+    const hold = await this.findHold(referenceType, referenceId, client);
+    if (!hold) {
+      return null;
+    }
+
+    if (hold.status !== 'active') {
+      return hold;
+    }
+
+    return this.releaseHold(hold.id, { status: 'released', note }, client);
+  }
+
+  /**
+   * Get a user's active holds
+   */
+  async getActiveHolds(userId) {
+    const result = await query(
+      `SELECT id, currency, amount, reason, reference_type, reference_id, expires_at, created_at
+       FROM balance_holds
+       WHERE user_id = $1 AND status = 'active'
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Release every active hold past its expiry. Holds backing a withdrawal that is still
+   * live (requested, held, approved or being broadcast) are kept: it may still be paid.
+   */
+  async expireHolds() {
+    const expired = await query(
+      `SELECT h.id FROM balance_holds h
+       WHERE h.status = 'active' AND h.expires_at IS NOT NULL AND h.expires_at <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM withdrawal_requests wr
+           WHERE h.reference_type = 'withdrawal_request' AND wr.id::text = h.reference_id
+             AND wr.status IN ('requested', 'held', 'approved', 'broadcasting')
+         )`
+    );
+
+    let count = 0;
+    for (const row of expired.rows) {
+      try {
+        await this.releaseHold(row.id, { status: 'expired', note: 'Hold expired' });
+        count++;
+      } catch (error) {
+        // Resolved concurrently - nothing to do
+        console.error(`Failed to expire hold ${row.id}:`, error.message);
+      }
+    }
+
+    if (count > 0) {
+      console.log(`⏰ Expired ${count} balance hold(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * Start the periodic expiry job
+   */
+  startExpiryJob(intervalMs = 5 * 60 * 1000) {
+    if (this.expiryInterval) return;
+
+    this.expiryInterval = setInterval(() => {
+      this.expireHolds().catch(error => console.error('Balance hold expiry error:', error.message));
+    }, intervalMs);
+
+    console.log(`⏰ Balance hold expiry job started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the periodic expiry job
+   */
+  stopExpiryJob() {
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+      this.expiryInterval = null;
+    }
+  }
+}
+
+module.exports = new BalanceHoldService();
@@ -1,9 +1,11 @@
 const { ethers } = require('ethers');
 const axios = require('axios');
 const { query } = require('../config/database');
-const Wallet = require('../models/Wallet');
 const poolWalletService = require('./poolWalletService');
 const walletAddressService = require('./walletAddressService');
+const chainAdapters = require('./chainAdapters');
+const confirmationPolicyService = require('./confirmationPolicyService');
+const depositReorgService = require('./depositReorgService');
 
 class BlockchainMonitorService {
   constructor() {
@@ -74,8 +76,8 @@ class BlockchainMonitorService {
               // New deposit detected!
               await this.processNewBTCDeposit(user_id, btc_address, tx);
             } else {
-              // Update confirmations for existing deposit
-              await this.updateBTCConfirmations(tx.txid, tx.confirmations);
+              // Update confirmations (and the block, which a reorg may change) for existing deposit
+              await this.updateBTCConfirmations(tx.txid, tx.confirmations, tx.blockNumber, tx.blockHash);
             }
           }
         } catch (error) {
@@ -131,6 +133,7 @@ class BlockchainMonitorService {
     try {
       const response = await axios.get(`${this.btcApiUrl}/address/${address}/txs`);
       const txs = response.data;
+      const tipHeight = parseInt((await axios.get(`${this.btcApiUrl}/blocks/tip/height`)).data);
       
       // Filter for transactions that sent BTC to this address
       return txs.map(tx => {
@@ -144,7 +147,9 @@ class BlockchainMonitorService {
             txid: tx.txid,
             amount: output.value / 100000000, // Convert satoshis to BTC
             confirmations: tx.status.confirmed ? 
-              (tx.status.block_height ? 1 : 0) : 0,
+              (tipHeight - tx.status.block_height + 1) : 0,
+            blockNumber: tx.status.confirmed ? tx.status.block_height : null,
+            blockHash: tx.status.confirmed ? tx.status.block_hash : null,
             time: tx.status.block_time
           };
         }
@@ -162,23 +167,30 @@ class BlockchainMonitorService {
     try {
       console.log(`💰 New BTC deposit detected: ${tx.amount} BTC to ${address}`);
 
-      // Create deposit request
+      const requiredConfirmations = await confirmationPolicyService.getRequiredConfirmations(
+        chainAdapters.get('BTC'),
+        tx.amount
+      );
+
+      // Create deposit request (with its block, so a reorg can be detected later)
       await query(
         `INSERT INTO deposit_requests 
-         (user_id, currency, amount, wallet_address, transaction_hash, confirmations, required_confirmations, status, detected_at)
-         VALUES ($1, 'BTC', $2, $3, $4, $5, 6, $6, NOW())`,
+         (user_id, currency, amount, wallet_address, transaction_hash, confirmations, required_confirmations, block_number, block_hash, status, detected_at)
+         VALUES ($1, 'BTC', $2, $3, $4, $5, $6, $7, $8, 'confirming', NOW())`,
         [
           userId,
           tx.amount,
           address,
           tx.txid,
           tx.confirmations,
-          tx.confirmations >= 6 ? 'completed' : 'confirming'
+          requiredConfirmations,
+          tx.blockNumber,
+          tx.blockHash
         ]
       );
 
-      // If already has 6+ confirmations, credit immediately
-      if (tx.confirmations >= 6) {
+      // If it already has enough confirmations, credit immediately
+      if (tx.confirmations >= requiredConfirmations) {
         await this.creditUserBalance(userId, 'BTC', tx.amount, tx.txid);
       }
     } catch (error) {
@@ -187,22 +199,40 @@ class BlockchainMonitorService {
   }
 
   /**
-   * Update Bitcoin confirmations
+   * Update Bitcoin confirmations and the block the deposit is in.
+   * A credited deposit that is no longer in any block was reorged out: its credit is reversed.
    */
-  async updateBTCConfirmations(txHash, confirmations) {
+  async updateBTCConfirmations(txHash, confirmations, blockNumber = null, blockHash = null) {
     try {
+      if (!blockHash) {
+        const credited = await query(
+          `SELECT id FROM deposit_requests WHERE transaction_hash = $1 AND status = 'completed' AND block_hash IS NOT NULL`,
+          [txHash]
+        );
+        for (const row of credited.rows) {
+          await depositReorgService.markReorged('deposit_requests', row.id, 'Transaction is no longer in a block');
+        }
+      }
+
+      // A reorg may move the transaction to another block; keep the block current for later checks
+      await query(
+        `UPDATE deposit_requests SET block_number = $1, block_hash = $2
+         WHERE transaction_hash = $3 AND $2::text IS NOT NULL AND block_hash IS DISTINCT FROM $2::text AND status != 'reorged'`,
+        [blockNumber, blockHash, txHash]
+      );
+
       const result = await query(
         `UPDATE deposit_requests 
          SET confirmations = $1,
              status = CASE 
-               WHEN confirmations >= required_confirmations THEN 'completed'
+               WHEN $1 >= required_confirmations THEN 'completed'
                ELSE 'confirming'
              END,
              confirmed_at = CASE
-               WHEN confirmations >= required_confirmations AND confirmed_at IS NULL THEN NOW()
+               WHEN $1 >= required_confirmations AND confirmed_at IS NULL THEN NOW()
                ELSE confirmed_at
              END
-         WHERE transaction_hash = $2 AND status != 'completed'
+         WHERE transaction_hash = $2 AND status NOT IN ('completed', 'reorged')
          RETURNING *`,
         [confirmations, txHash]
       );
@@ -358,19 +388,29 @@ class BlockchainMonitorService {
     try {
       console.log(`💳 Crediting ${amount} ${currency} to user ${userId}`);
 
-      // Update wallet balance
-      await Wallet.updateBalance(userId, currency, amount, 'add');
-
       // Mark deposit as credited
+      let depositId = null;
       if (txHash) {
-        await query(
+        const updated = await query(
           `UPDATE deposit_requests 
            SET credited_at = NOW(), status = 'completed'
-           WHERE transaction_hash = $1`,
+           WHERE transaction_hash = $1
+           RETURNING id`,
           [txHash]
         );
+        depositId = updated.rows[0]?.id || null;
       }
 
+      // Credit through the ledger so a reorg can reverse it
+      const userBalanceService = require('./userBalanceService');
+      await userBalanceService.creditUserBalance(
+        userId,
+        currency,
+        amount,
+        `Deposit detected: ${txHash || 'balance change'}`,
+        { referenceType: depositId ? 'deposit_request' : undefined, referenceId: depositId || undefined }
+      );
+
       console.log(`✅ Successfully credited ${amount} ${currency}`);
     } catch (error) {
       console.error('Error crediting user balance:', error);
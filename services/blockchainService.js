@@ -1,119 +1,30 @@
-const axios = require('axios');
+const chainAdapters = require('./chainAdapters');
 
+/**
+ * Chain-agnostic helpers for withdrawals; the per-chain work is done by the chain adapters
+ */
 class BlockchainService {
-  constructor() {
-    this.networks = {
-      ethereum: {
-        name: 'Ethereum',
-        rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
-        chainId: 1
-      },
-      bitcoin: {
-        name: 'Bitcoin',
-        rpcUrl: process.env.BITCOIN_RPC_URL || 'https://api.blockcypher.com/v1/btc/main',
-        chainId: 0
-      }
-    };
-  }
-
   /**
    * Validate a blockchain address
    */
-  validateAddress(address, currency) {
+  validateAddress(address, currency, network = null) {
     try {
-      switch (currency.toUpperCase()) {
-        case 'BTC':
-          // Basic Bitcoin address validation
-          return /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^bc1[a-z0-9]{39,59}$/.test(address);
-        case 'ETH':
-        case 'USDT':
-          // Ethereum address validation (40 hex characters)
-          return /^0x[a-fA-F0-9]{40}$/.test(address);
-        default:
-          return false;
+      if (!chainAdapters.has(currency, network)) {
+        return false;
       }
+      return chainAdapters.get(currency, network).validateAddress(address);
     } catch (error) {
       console.error('Address validation error:', error);
       return false;
     }
   }
 
-  /**
-   * Get current gas price for Ethereum transactions
-   */
-  async getGasPrice() {
-    try {
-      const response = await axios.get('https://api.etherscan.io/api', {
-        params: {
-          module: 'gastracker',
-          action: 'gasoracle',
-          apikey: process.env.ETHERSCAN_API_KEY || ''
-        }
-      });
-
-      if (response.data.status === '1') {
-        return {
-          slow: parseInt(response.data.result.SafeGasPrice),
-          standard: parseInt(response.data.result.ProposeGasPrice),
-          fast: parseInt(response.data.result.FastGasPrice)
-        };
-      }
-      
-      // Fallback gas price
-      return {
-        slow: 20,
-        standard: 30,
-        fast: 50
-      };
-    } catch (error) {
-      console.error('Error fetching gas price:', error);
-      return {
-        slow: 20,
-        standard: 30,
-        fast: 50
-      };
-    }
-  }
-
   /**
    * Estimate transaction fee
    */
-  async estimateTransactionFee(currency, amount, destinationAddress) {
+  async estimateTransactionFee(currency, amount, destinationAddress, network = null) {
     try {
-      switch (currency.toUpperCase()) {
-        case 'ETH':
-          const gasPrice = await this.getGasPrice();
-          const gasLimit = 21000; // Standard ETH transfer
-          const feeInWei = gasPrice.standard * gasLimit;
-          const feeInEth = feeInWei / Math.pow(10, 18);
-          return {
-            currency: 'ETH',
-            amount: feeInEth,
-            gasPrice: gasPrice.standard,
-            gasLimit: gasLimit
-          };
-        case 'USDT':
-          // USDT on Ethereum uses more gas
-          const usdtGasPrice = await this.getGasPrice();
-          const usdtGasLimit = 65000; // USDT transfer gas limit
-          const usdtFeeInWei = usdtGasPrice.standard * usdtGasLimit;
-          const usdtFeeInEth = usdtFeeInWei / Math.pow(10, 18);
-          return {
-            currency: 'ETH',
-            amount: usdtFeeInEth,
-            gasPrice: usdtGasPrice.standard,
-            gasLimit: usdtGasLimit
-          };
-        case 'BTC':
-          // Bitcoin transaction fee estimation
-          return {
-            currency: 'BTC',
-            amount: 0.0001, // Approximate fee
-            satoshisPerByte: 10
-          };
-        default:
-          throw new Error(`Unsupported currency: ${currency}`);
-      }
+      return await chainAdapters.get(currency, network).estimateFee(amount, destinationAddress);
     } catch (error) {
       console.error('Error estimating transaction fee:', error);
       throw error;
@@ -124,10 +35,10 @@ class BlockchainService {
    * Simulate a blockchain transaction (for testing)
    * In production, this would integrate with actual blockchain services
    */
-  async simulateTransaction(currency, amount, destinationAddress, poolWalletAddress) {
+  async simulateTransaction(currency, amount, destinationAddress, poolWalletAddress, network = null) {
     try {
       // Validate inputs
-      if (!this.validateAddress(destinationAddress, currency)) {
+      if (!this.validateAddress(destinationAddress, currency, network)) {
         throw new Error('Invalid destination address');
       }
 
@@ -150,7 +61,7 @@ class BlockchainService {
           transactionHash: mockTxHash,
           blockNumber: Math.floor(Math.random() * 1000000) + 18000000,
           gasUsed: currency === 'BTC' ? null : (currency === 'USDT' ? 65000 : 21000),
-          fee: await this.estimateTransactionFee(currency, amount, destinationAddress)
+          fee: await this.estimateTransactionFee(currency, amount, destinationAddress, network)
         };
       } else {
         throw new Error('Transaction failed: Insufficient funds or network error');
@@ -164,35 +75,24 @@ class BlockchainService {
   /**
    * Get transaction status from blockchain
    */
-  async getTransactionStatus(transactionHash, currency) {
+  async getTransactionStatus(transactionHash, currency, network = null) {
     try {
-      switch (currency.toUpperCase()) {
-        case 'ETH':
-        case 'USDT':
-          const response = await axios.get('https://api.etherscan.io/api', {
-            params: {
-              module: 'proxy',
-              action: 'eth_getTransactionByHash',
-              txhash: transactionHash,
-              apikey: process.env.ETHERSCAN_API_KEY || ''
-            }
-          });
-
-          if (response.data.result) {
-            return {
-              status: 'confirmed',
-              blockNumber: parseInt(response.data.result.blockNumber, 16),
-              gasUsed: parseInt(response.data.result.gas, 16)
-            };
-          } else {
-            return { status: 'pending' };
-          }
-        case 'BTC':
-          // Bitcoin transaction status check would go here
-          return { status: 'confirmed' };
-        default:
-          return { status: 'unknown' };
+      if (!chainAdapters.has(currency, network)) {
+        return { status: 'unknown' };
       }
+
+      const adapter = chainAdapters.get(currency, network);
+      const confirmations = await adapter.getConfirmations(transactionHash);
+
+      if (confirmations === null || confirmations === 0) {
+        return { status: 'pending', confirmations: confirmations || 0 };
+      }
+
+      return {
+        status: confirmations >= adapter.requiredConfirmations ? 'confirmed' : 'confirming',
+        confirmations,
+        requiredConfirmations: adapter.requiredConfirmations
+      };
     } catch (error) {
       console.error('Error checking transaction status:', error);
       return { status: 'error' };
@@ -0,0 +1,290 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const notificationService = require('./notificationService');
+const withdrawalApprovalService = require('./withdrawalApprovalService');
+const auditLogService = require('./auditLogService');
+
+/**
+ * Broadcast tracker for outgoing pool transactions
+ *
+ * Every transaction the pool wallet broadcasts is recorded in `pool_broadcasts` with
+ * the withdrawals it pays. The tracker polls them until one of their hashes confirms;
+ * any still unconfirmed after STUCK_TX_THRESHOLD_MINUTES is flagged `stuck` and the
+ * admins are told. An admin can fee-bump a pending or stuck transaction: replace-by-fee
+ * on Bitcoin, a same-nonce replacement on EVM chains. Each replacement is kept on the
+ * broadcast (`replacements`) and in the withdrawals' `transaction_hash_history`.
+ */
+class BroadcastTrackerService {
+  constructor() {
+    this.stuckThresholdMinutes = parseFloat(process.env.STUCK_TX_THRESHOLD_MINUTES || '60');
+    this.minFeeMultiplier = 1.1; // Nodes only accept replacements paying at least ~10% more
+    this.interval = null;
+    this.running = false;
+  }
+
+  /**
+   * Record a transaction the pool just broadcast (one entry of a sendBatch() result).
+   * Never throws: the funds have already left, so a tracking failure is only logged.
+   */
+  async track(adapter, tx, { references = [], batchId = null } = {}) {
+    try {
+      const result = await query(
+        `INSERT INTO pool_broadcasts (currency, network, tx_hash, fee, replacement, references_json, batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          adapter.currency,
+          adapter.network,
+          tx.txHash,
+          tx.fee,
+          tx.replacement ? JSON.stringify(tx.replacement) : null,
+          JSON.stringify(references.filter(reference => reference.type && reference.id)),
+          batchId
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error(`❌ Failed to track pool broadcast ${tx.txHash}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The broadcast a hash belongs to, whether it is the current hash or one it replaced
+   */
+  async findByHash(txHash) {
+    const result = await query(
+      `SELECT * FROM pool_broadcasts
+       WHERE tx_hash = $1 OR replacements @> $2::jsonb
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [txHash, JSON.stringify([{ txHash }])]
+    );
+    return result.rows[0] || null;
+  }
+
+  async listBroadcasts({ status = null, limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT * FROM pool_broadcasts
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY broadcast_at DESC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Check every unconfirmed broadcast once: mark the confirmed ones and flag the stuck ones
+   */
+  async checkAll() {
+    if (this.running) {
+      return { confirmed: 0, stuck: 0 };
+    }
+
+    this.running = true;
+    const summary = { confirmed: 0, stuck: 0 };
+    try {
+      const result = await query(
+        `SELECT * FROM pool_broadcasts WHERE status IN ('pending', 'stuck') ORDER BY broadcast_at`
+      );
+
+      for (const broadcast of result.rows) {
+        try {
+          const outcome = await this.check(broadcast);
+          if (outcome) summary[outcome]++;
+        } catch (error) {
+          console.error(`❌ Error checking pool broadcast ${broadcast.tx_hash}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.confirmed > 0 || summary.stuck > 0) {
+      console.log(`📡 Pool broadcasts: ${summary.confirmed} confirmed, ${summary.stuck} newly stuck`);
+    }
+    return summary;
+  }
+
+  /**
+   * Returns 'confirmed', 'stuck' or null (nothing changed)
+   */
+  async check(broadcast) {
+    if (!chainAdapters.has(broadcast.currency, broadcast.network)) {
+      return null;
+    }
+    const adapter = chainAdapters.get(broadcast.currency, broadcast.network);
+
+    // Any hash of the broadcast may be the one that got mined (a replaced one can still win)
+    const hashes = [broadcast.tx_hash, ...(broadcast.replacements || []).map(entry => entry.txHash)];
+    for (const txHash of hashes) {
+      const confirmations = await adapter.getConfirmations(txHash);
+      if (confirmations && confirmations > 0) {
+        await this.markConfirmed(broadcast, txHash);
+        return 'confirmed';
+      }
+    }
+
+    const ageMinutes = (Date.now() - new Date(broadcast.broadcast_at).getTime()) / 60000;
+    if (broadcast.status === 'pending' && ageMinutes >= this.stuckThresholdMinutes) {
+      await query(
+        `UPDATE pool_broadcasts SET status = 'stuck', stuck_at = NOW() WHERE id = $1`,
+        [broadcast.id]
+      );
+      console.warn(`⚠️ Pool ${broadcast.currency} (${broadcast.network}) transaction unconfirmed for ${Math.round(ageMinutes)} minutes: ${broadcast.tx_hash}`);
+
+      notificationService.notifyAdmins({
+        type: 'warning',
+        title: 'Stuck Pool Transaction',
+        message: `${broadcast.currency} (${broadcast.network}) transaction ${broadcast.tx_hash} has been unconfirmed for ${Math.round(ageMinutes)} minutes`,
+        data: { broadcastId: broadcast.id, txHash: broadcast.tx_hash, canBump: !!broadcast.replacement }
+      });
+      return 'stuck';
+    }
+
+    return null;
+  }
+
+  async markConfirmed(broadcast, confirmedHash) {
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE pool_broadcasts SET status = 'confirmed', confirmed_tx_hash = $1, confirmed_at = NOW() WHERE id = $2`,
+        [confirmedHash, broadcast.id]
+      );
+
+      // An earlier hash was mined instead of the replacement: point the withdrawals back at it
+      if (confirmedHash !== broadcast.tx_hash) {
+        await this.recordHashChange(client, broadcast, broadcast.tx_hash, confirmedHash, 'replaced_transaction_confirmed');
+      }
+
+      // Withdrawals it paid move from broadcast to confirmed
+      const withdrawalPipelineService = require('./withdrawalPipelineService');
+      const withdrawalIds = (broadcast.references_json || [])
+        .filter(reference => reference.type === 'withdrawal_request')
+        .map(reference => reference.id);
+      await withdrawalPipelineService.markConfirmed(client, withdrawalIds, confirmedHash);
+
+      // As do treasury sweeps and top-ups
+      const treasuryService = require('./treasuryService');
+      await treasuryService.markConfirmed(client, broadcast.references_json || []);
+    });
+  }
+
+  /**
+   * Re-broadcast a pending or stuck transaction with a higher fee
+   */
+  async bumpFee(broadcastId, adminId, { feeMultiplier = null } = {}, req = null) {
+    const poolWalletService = require('./poolWalletService');
+
+    if (feeMultiplier !== null && !(feeMultiplier >= this.minFeeMultiplier)) {
+      throw new Error(`feeMultiplier must be at least ${this.minFeeMultiplier}`);
+    }
+
+    const updated = await transaction(async (client) => {
+      const locked = await client.query(`SELECT * FROM pool_broadcasts WHERE id = $1 FOR UPDATE`, [broadcastId]);
+      const broadcast = locked.rows[0];
+      if (!broadcast) {
+        throw new Error('Pool broadcast not found');
+      }
+      if (!['pending', 'stuck'].includes(broadcast.status)) {
+        throw new Error(`Pool broadcast is ${broadcast.status}`);
+      }
+      if (!broadcast.replacement) {
+        throw new Error(`Fee bumping is not supported for ${broadcast.currency} on ${broadcast.network}`);
+      }
+
+      const adapter = chainAdapters.get(broadcast.currency, broadcast.network);
+      const keys = await poolWalletService.signingKeysFor(adapter, broadcast.references_json || []);
+      const bumped = await adapter.bumpFee({
+        ...keys,
+        replacement: broadcast.replacement,
+        ...(feeMultiplier !== null ? { feeMultiplier } : {})
+      });
+
+      const replacements = [...(broadcast.replacements || []), {
+        txHash: broadcast.tx_hash,
+        fee: broadcast.fee !== null ? parseFloat(broadcast.fee) : null,
+        replacedBy: bumped.txHash,
+        replacedAt: new Date().toISOString(),
+        adminId
+      }];
+
+      const result = await client.query(
+        `UPDATE pool_broadcasts
+         SET tx_hash = $1, fee = $2, replacement = $3, replacements = $4,
+             status = 'pending', stuck_at = NULL, broadcast_at = NOW()
+         WHERE id = $5
+         RETURNING *`,
+        [bumped.txHash, bumped.fee, JSON.stringify(bumped.replacement), JSON.stringify(replacements), broadcast.id]
+      );
+
+      await this.recordHashChange(client, broadcast, broadcast.tx_hash, bumped.txHash, 'fee_bump', adminId);
+
+      console.log(`⛽ Pool broadcast ${broadcast.id} fee-bumped by ${adminId}: ${broadcast.tx_hash} -> ${bumped.txHash}`);
+      return result.rows[0];
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'pool_broadcast.fee_bump',
+      targetTable: 'pool_broadcasts',
+      targetId: updated.id,
+      diff: { replaced: updated.replacements[updated.replacements.length - 1].txHash, txHash: updated.tx_hash, fee: updated.fee },
+      req
+    });
+
+    return updated;
+  }
+
+  /**
+   * Move the withdrawals (and batch) a broadcast pays from one hash to another,
+   * keeping the old hash in their history
+   */
+  async recordHashChange(client, broadcast, fromHash, toHash, reason, adminId = null) {
+    const entry = JSON.stringify([{ txHash: fromHash, replacedBy: toHash, replacedAt: new Date().toISOString(), reason, adminId }]);
+
+    for (const reference of broadcast.references_json || []) {
+      const table = reference.type === 'treasury_sweep' ? 'treasury_sweeps' : withdrawalApprovalService.target(reference.type).table;
+      await client.query(
+        `UPDATE ${table}
+         SET transaction_hash = $1, transaction_hash_history = COALESCE(transaction_hash_history, '[]'::jsonb) || $2::jsonb
+         WHERE id = $3 AND transaction_hash = $4`,
+        [toHash, entry, reference.id, fromHash]
+      );
+    }
+
+    if (broadcast.batch_id) {
+      await client.query(
+        `UPDATE withdrawal_batches
+         SET transaction_hashes = (
+           SELECT COALESCE(jsonb_agg(CASE WHEN hash = $1 THEN $2 ELSE hash END), '[]'::jsonb)
+           FROM jsonb_array_elements_text(transaction_hashes) AS hash
+         )
+         WHERE id = $3`,
+        [fromHash, toHash, broadcast.batch_id]
+      );
+    }
+  }
+
+  startScheduledChecks(intervalMs = 10 * 60 * 1000) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.checkAll().catch(error => {
+        console.error('❌ Scheduled broadcast check failed:', error.message);
+      });
+    }, intervalMs);
+
+    console.log('✅ Pool broadcast tracking scheduled (every', intervalMs / 60000, 'minutes)');
+  }
+
+  stopScheduledChecks() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new BroadcastTrackerService();
@@ -0,0 +1,418 @@
+const axios = require('axios');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const ChainAdapter = require('./ChainAdapter');
+
+const ECPair = ECPairFactory(ecc);
+const SATOSHIS_PER_BTC = 100000000;
+const DUST_SATOSHIS = 546;
+const RBF_SEQUENCE = 0xfffffffd;
+
+/**
+ * Bitcoin through an Esplora-compatible HTTP API (Blockstream, mempool.space)
+ */
+class BtcAdapter extends ChainAdapter {
+  constructor({ apiUrl, network = 'bitcoin', requiredConfirmations = 2, scanLookback = 144, pollIntervalMs = 2 * 60 * 1000, withdrawalFeeRate = 0 }) {
+    super({ currency: 'BTC', network, decimals: 8, requiredConfirmations, scanLookback, pollIntervalMs, withdrawalFeeRate });
+    this.apiUrl = apiUrl;
+    this.btcNetwork = /testnet|signet/.test(apiUrl || '') ? bitcoin.networks.testnet : bitcoin.networks.bitcoin;
+  }
+
+  validateAddress(address) {
+    return typeof address === 'string' &&
+      /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^bc1[a-z0-9]{39,59}$/.test(address.trim());
+  }
+
+  async getLatestBlock() {
+    const response = await axios.get(`${this.apiUrl}/blocks/tip/height`);
+    return parseInt(response.data);
+  }
+
+  /**
+   * Esplora returns an address's recent transactions; only outputs paying
+   * `address` in confirmed blocks within the range are reported
+   */
+  async scanDeposits(address, { fromBlock, toBlock }) {
+    const latest = await this.getLatestBlock();
+
+    let txs;
+    try {
+      const response = await axios.get(`${this.apiUrl}/address/${address}/txs`);
+      txs = response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+
+    const deposits = [];
+    for (const tx of txs) {
+      if (!tx.status?.confirmed) continue;
+
+      const height = tx.status.block_height;
+      if (height < fromBlock || height > toBlock) continue;
+
+      tx.vout.forEach((output, index) => {
+        if (output.scriptpubkey_address !== address || output.value <= 0) return;
+
+        deposits.push({
+          txHash: tx.txid,
+          outputIndex: index,
+          fromAddress: tx.vin?.[0]?.prevout?.scriptpubkey_address || null,
+          toAddress: address,
+          amount: output.value / SATOSHIS_PER_BTC,
+          blockNumber: height,
+          blockHash: tx.status.block_hash,
+          confirmations: latest - height + 1
+        });
+      });
+    }
+
+    return deposits;
+  }
+
+  async getBlockHash(blockNumber) {
+    try {
+      const response = await axios.get(`${this.apiUrl}/block-height/${blockNumber}`);
+      return String(response.data).trim();
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getTransactionBlock(txHash) {
+    try {
+      const response = await axios.get(`${this.apiUrl}/tx/${txHash}/status`);
+      if (!response.data.confirmed) {
+        return null;
+      }
+      return { blockNumber: response.data.block_height, blockHash: response.data.block_hash, success: true };
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getConfirmations(txHash) {
+    try {
+      const response = await axios.get(`${this.apiUrl}/tx/${txHash}/status`);
+      if (!response.data.confirmed) {
+        return 0;
+      }
+      const latest = await this.getLatestBlock();
+      return latest - response.data.block_height + 1;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fee rate (sat/vbyte) for confirmation within ~3 blocks
+   */
+  async getFeeRate() {
+    try {
+      const response = await axios.get(`${this.apiUrl}/fee-estimates`);
+      return Math.ceil(response.data['3'] || response.data['6'] || 10);
+    } catch (error) {
+      console.error('Error fetching BTC fee estimates:', error.message);
+      return 10;
+    }
+  }
+
+  /**
+   * Virtual size of a transaction spending `inputs` P2PKH (or P2WPKH) outputs
+   */
+  estimateVbytes(inputs, outputs, segwit = false) {
+    return segwit
+      ? 11 + inputs * 68 + outputs * 31
+      : 10 + inputs * 148 + outputs * 34;
+  }
+
+  async estimateFee(amount, toAddress) {
+    const txVbytes = this.estimateVbytes(1, 2); // One input, payment plus change
+    const satoshisPerVbyte = await this.getFeeRate();
+
+    return {
+      currency: 'BTC',
+      amount: (satoshisPerVbyte * txVbytes) / SATOSHIS_PER_BTC,
+      satoshisPerByte: satoshisPerVbyte
+    };
+  }
+
+  async getBalance(address) {
+    const response = await axios.get(`${this.apiUrl}/address/${address}`);
+    const stats = response.data.chain_stats;
+    return (stats.funded_txo_sum - stats.spent_txo_sum) / SATOSHIS_PER_BTC;
+  }
+
+  async send({ privateKey, signer, fromAddress, toAddress, amount }) {
+    const { transactions } = await this.sendBatch({ privateKey, signer, fromAddress, outputs: [{ toAddress, amount }] });
+    return transactions[0].txHash;
+  }
+
+  /**
+   * Signer for `fromAddress` (P2PKH or P2WPKH of the key): a local key pair, the remote
+   * signer with the public key it reports, or for a watch-only pool just the public key
+   * and the BIP32 derivation an offline wallet finds its private key by
+   */
+  signerFor({ privateKey, signer, watchOnly }, fromAddress) {
+    const keyPair = signer || watchOnly ? null : ECPair.fromWIF(privateKey, this.btcNetwork);
+    const pubkey = keyPair ? keyPair.publicKey : Buffer.from((watchOnly || signer).publicKey || '', 'hex');
+    if (pubkey.length === 0) {
+      throw new Error('The signer holds no BTC key');
+    }
+
+    const segwitPayment = bitcoin.payments.p2wpkh({ pubkey, network: this.btcNetwork });
+    const legacyPayment = bitcoin.payments.p2pkh({ pubkey, network: this.btcNetwork });
+    const segwit = fromAddress === segwitPayment.address;
+    if (!segwit && fromAddress !== legacyPayment.address) {
+      throw new Error(`BTC ${watchOnly ? 'public' : 'private'} key does not match the sending address`);
+    }
+    const derivation = watchOnly?.masterFingerprint
+      ? { masterFingerprint: Buffer.from(watchOnly.masterFingerprint, 'hex'), path: watchOnly.path, pubkey }
+      : null;
+    return {
+      keyPair,
+      remote: signer || null,
+      watchOnly: Boolean(watchOnly),
+      derivation,
+      segwit,
+      payment: segwit ? segwitPayment : legacyPayment
+    };
+  }
+
+  /**
+   * PSBT spending `inputs` to `outputs` plus change; inputs signal replace-by-fee (BIP125)
+   * so the transaction can be fee-bumped while unconfirmed. Legacy inputs carry their whole
+   * previous transaction, and so does every input of a watch-only PSBT: hardware wallets
+   * want it to check the amounts they sign for.
+   */
+  async buildPsbt(signer, { inputs, outputs, changeAddress, change }) {
+    const psbt = new bitcoin.Psbt({ network: this.btcNetwork });
+    const bip32Derivation = signer.derivation ? { bip32Derivation: [signer.derivation] } : {};
+    for (const input of inputs) {
+      const data = { hash: input.txid, index: input.vout, sequence: RBF_SEQUENCE, ...bip32Derivation };
+      if (signer.segwit) {
+        data.witnessUtxo = { script: signer.payment.output, value: input.value };
+      }
+      if (!signer.segwit || signer.watchOnly) {
+        const rawTx = (await axios.get(`${this.apiUrl}/tx/${input.txid}/hex`)).data;
+        data.nonWitnessUtxo = Buffer.from(rawTx, 'hex');
+      }
+      psbt.addInput(data);
+    }
+    for (const output of outputs) {
+      psbt.addOutput(output);
+    }
+    if (change > 0) {
+      psbt.addOutput({ address: changeAddress, value: change, ...bip32Derivation });
+    }
+    return psbt;
+  }
+
+  /**
+   * Sign and broadcast a spend planned by planSpend()
+   */
+  async signAndBroadcast(signer, spend) {
+    const psbt = await this.buildPsbt(signer, spend);
+
+    let txHex;
+    if (signer.remote) {
+      txHex = await signer.remote.signBitcoinPsbt(psbt.toBase64());
+    } else {
+      psbt.signAllInputs(signer.keyPair);
+      psbt.finalizeAllInputs();
+      txHex = psbt.extractTransaction().toHex();
+    }
+
+    const response = await axios.post(`${this.apiUrl}/tx`, txHex, { headers: { 'Content-Type': 'text/plain' } });
+    return String(response.data).trim();
+  }
+
+  /**
+   * Coin selection for paying every output in one transaction: confirmed UTXOs of
+   * `fromAddress` (largest first) fund the outputs and the fee, and the change goes back
+   * to `fromAddress`; `exclude` lists outpoints ("txid:vout") not to spend. Resolves with
+   * { inputs, outputs, changeAddress, change, fee, feeRate } (amounts in satoshis), which
+   * is also what bumpFee() needs.
+   */
+  async planSpend(signer, fromAddress, outputs, { exclude = [] } = {}) {
+    const targets = outputs.map(output => ({
+      address: output.toAddress.trim(),
+      value: Math.round(output.amount * SATOSHIS_PER_BTC)
+    }));
+    if (targets.some(target => target.value < DUST_SATOSHIS)) {
+      throw new Error(`BTC outputs must be at least ${DUST_SATOSHIS / SATOSHIS_PER_BTC} BTC`);
+    }
+    const totalOut = targets.reduce((sum, target) => sum + target.value, 0);
+
+    const feeRate = await this.getFeeRate();
+    const utxos = (await axios.get(`${this.apiUrl}/address/${fromAddress}/utxo`)).data
+      .filter(utxo => utxo.status && utxo.status.confirmed && !exclude.includes(`${utxo.txid}:${utxo.vout}`))
+      .sort((a, b) => b.value - a.value);
+
+    const selected = [];
+    let totalIn = 0;
+    let fee = 0;
+    for (const utxo of utxos) {
+      selected.push({ txid: utxo.txid, vout: utxo.vout, value: utxo.value });
+      totalIn += utxo.value;
+      fee = Math.ceil(this.estimateVbytes(selected.length, targets.length + 1, signer.segwit) * feeRate);
+      if (totalIn >= totalOut + fee) break;
+    }
+    if (selected.length === 0 || totalIn < totalOut + fee) {
+      throw new Error(`Insufficient confirmed BTC at ${fromAddress}: need ${(totalOut + fee) / SATOSHIS_PER_BTC} BTC including the network fee`);
+    }
+
+    let change = totalIn - totalOut - fee;
+    if (change < DUST_SATOSHIS) {
+      fee += change; // Change too small to spend goes to the miner
+      change = 0;
+    }
+
+    return { inputs: selected, outputs: targets, changeAddress: fromAddress, change, fee, feeRate };
+  }
+
+  /**
+   * Every output in one transaction (see planSpend())
+   */
+  async sendBatch({ privateKey, signer: remoteSigner, fromAddress, outputs }) {
+    const signer = this.signerFor({ privateKey, signer: remoteSigner }, fromAddress);
+    const spend = await this.planSpend(signer, fromAddress, outputs);
+
+    console.log(`💰 Sending ${outputs.length} BTC output(s) from ${fromAddress} (${spend.inputs.length} input(s), fee ${spend.fee} sat)`);
+    const txHash = await this.signAndBroadcast(signer, spend);
+    console.log(`📤 BTC transaction sent: ${txHash}`);
+
+    return {
+      method: 'multi_output',
+      transactions: [{
+        txHash,
+        outputs: outputs.map((output, index) => index),
+        fee: spend.fee / SATOSHIS_PER_BTC,
+        replacement: spend
+      }],
+      failures: []
+    };
+  }
+
+  /**
+   * Unsigned PSBT (base64) paying every output in one transaction from the watch-only key.
+   * It holds the outpoints it spends; held ones are left to the PSBTs that hold them.
+   */
+  async buildUnsignedTransaction({ watchOnly, fromAddress, outputs, held = [] }) {
+    if (!watchOnly?.publicKey) {
+      throw new Error('No BTC public key is registered for the watch-only pool');
+    }
+    const signer = this.signerFor({ watchOnly }, fromAddress);
+    const spend = await this.planSpend(signer, fromAddress, outputs, { exclude: held });
+    const psbt = await this.buildPsbt(signer, spend);
+
+    return {
+      format: 'psbt',
+      payload: psbt.toBase64(),
+      fingerprint: this.unsignedId(bitcoin.Transaction.fromBuffer(psbt.data.getTransaction())),
+      fee: spend.fee / SATOSHIS_PER_BTC,
+      holds: spend.inputs.map(input => `${input.txid}:${input.vout}`),
+      expiresAt: null
+    };
+  }
+
+  /**
+   * Id of a transaction with its scriptSigs and witnesses cleared: the same for a PSBT and
+   * for the transaction it is signed into
+   */
+  unsignedId(tx) {
+    const stripped = tx.clone();
+    for (const input of stripped.ins) {
+      input.script = Buffer.alloc(0);
+      input.witness = [];
+    }
+    return stripped.getId();
+  }
+
+  /**
+   * Replace an unconfirmed transaction (same inputs and outputs) with one paying a higher
+   * fee rate; the extra fee comes out of the change
+   */
+  async bumpFee({ privateKey, signer: remoteSigner, replacement, feeMultiplier = 1.5 }) {
+    const signer = this.signerFor({ privateKey, signer: remoteSigner }, replacement.changeAddress);
+    const vbytes = this.estimateVbytes(replacement.inputs.length, replacement.outputs.length + 1, signer.segwit);
+    const feeRate = Math.max(Math.ceil(replacement.feeRate * feeMultiplier), await this.getFeeRate());
+
+    // BIP125: the replacement pays a higher total fee, plus the relay fee for its own size
+    let fee = Math.max(Math.ceil(vbytes * feeRate), replacement.fee + vbytes);
+    let change = replacement.change - (fee - replacement.fee);
+    if (change < 0) {
+      throw new Error('Not enough change in the transaction to raise its fee');
+    }
+    if (change < DUST_SATOSHIS) {
+      fee += change;
+      change = 0;
+    }
+
+    const txHash = await this.signAndBroadcast(signer, { ...replacement, change });
+    console.log(`⛽ BTC fee bumped to ${feeRate} sat/vB: ${txHash}`);
+
+    return {
+      txHash,
+      fee: fee / SATOSHIS_PER_BTC,
+      replacement: { ...replacement, change, fee, feeRate }
+    };
+  }
+
+  /**
+   * A signed transaction as raw hex, or a signed PSBT (base64 or hex) whose inputs are
+   * finalized here. Inputs do not name an address, so `from` is null.
+   */
+  inspectSignedTransaction(signed) {
+    const text = String(signed || '').trim();
+    let tx;
+    try {
+      if (/^70736274ff/i.test(text) || text.startsWith('cHNidP')) {
+        const psbt = /^70736274ff/i.test(text)
+          ? bitcoin.Psbt.fromHex(text, { network: this.btcNetwork })
+          : bitcoin.Psbt.fromBase64(text, { network: this.btcNetwork });
+        psbt.data.inputs.forEach((input, index) => {
+          if (!input.finalScriptSig && !input.finalScriptWitness) {
+            psbt.finalizeInput(index);
+          }
+        });
+        tx = psbt.extractTransaction();
+      } else {
+        tx = bitcoin.Transaction.fromHex(text);
+      }
+    } catch (error) {
+      throw new Error(`Invalid signed BTC transaction: ${error.message}`);
+    }
+
+    const outputs = tx.outs.map((output) => {
+      let toAddress = null;
+      try {
+        toAddress = bitcoin.address.fromOutputScript(output.script, this.btcNetwork);
+      } catch (error) {
+        // OP_RETURN and non-standard scripts have no address
+      }
+      return { toAddress, amount: Number(output.value) / SATOSHIS_PER_BTC };
+    });
+
+    return { txHash: tx.getId(), from: null, outputs, raw: tx.toHex(), fingerprint: this.unsignedId(tx) };
+  }
+
+  async broadcastSigned(inspected) {
+    const response = await axios.post(`${this.apiUrl}/tx`, inspected.raw, { headers: { 'Content-Type': 'text/plain' } });
+    return String(response.data).trim();
+  }
+}
+
+module.exports = BtcAdapter;
@@ -0,0 +1,211 @@
+/**
+ * Chain adapter interface
+ *
+ * One adapter per (currency, network). Everything that talks to a blockchain
+ * (deposit monitoring, address validation, fee estimates, sending from the pool)
+ * goes through an adapter, so adding a network means adding an adapter and
+ * registering it in ./index.js.
+ *
+ * A deposit returned by scanDeposits() looks like:
+ *   { txHash, outputIndex, fromAddress, toAddress, amount, blockNumber, blockHash, confirmations }
+ * Amounts are plain numbers in whole units of the currency (BTC, ETH, USDT).
+ * Adapters for chains that carry a memo with a transfer set `supportsMemo` and add
+ * `memo` to the deposits they return; it is matched against deposit intent reference codes.
+ *
+ * getBlockHash() and getTransactionBlock() let stored deposits be re-checked
+ * against the current chain after a reorg.
+ *
+ * Sending methods take either a `privateKey` or a `signer`: a handle from
+ * signerClientService whose keys stay in the signer process. With a signer the adapter
+ * builds the transaction and the signer returns it signed. A watch-only pool holds no
+ * key at all: buildUnsignedTransaction() hands the transaction out to be signed offline
+ * and broadcastSigned() sends it once it comes back.
+ */
+class ChainAdapter {
+  constructor({ currency, network, decimals, requiredConfirmations = 1, scanLookback = 100, maxBlocksPerScan = 1000, pollIntervalMs = 60 * 1000, withdrawalFeeRate = 0, supportsMemo = false }) {
+    this.currency = currency;
+    this.network = network;
+    this.decimals = decimals;
+    this.requiredConfirmations = requiredConfirmations;
+    this.scanLookback = scanLookback; // Blocks to look back on the first scan after startup
+    this.maxBlocksPerScan = maxBlocksPerScan;
+    this.pollIntervalMs = pollIntervalMs;
+    this.withdrawalFeeRate = withdrawalFeeRate; // Platform fee charged on withdrawals (fraction of the amount)
+    this.supportsMemo = supportsMemo;
+  }
+
+  get key() {
+    return `${this.currency}:${this.network}`;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * This chain's pool address, given the pool addresses stored per currency
+   */
+  poolAddress(poolAddresses) {
+    return poolAddresses?.[this.currency] || null;
+  }
+
+  /**
+   * Whether an address is valid on this chain
+   */
+  validateAddress(address) {
+    throw this.notImplemented('validateAddress');
+  }
+
+  /**
+   * Canonical form of an address (checksummed, trimmed); throws if invalid
+   */
+  normalizeAddress(address) {
+    if (!this.validateAddress(address)) {
+      throw new Error(`Invalid ${this.currency} address: ${address}`);
+    }
+    return address.trim();
+  }
+
+  /**
+   * Key for comparing and looking up addresses (addresses that differ only in letter case
+   * are the same account on EVM chains)
+   */
+  addressKey(address) {
+    return (address || '').trim();
+  }
+
+  /**
+   * Height of the latest block
+   */
+  async getLatestBlock() {
+    throw this.notImplemented('getLatestBlock');
+  }
+
+  /**
+   * Incoming transfers to `address` mined in [fromBlock, toBlock]
+   */
+  async scanDeposits(address, { fromBlock, toBlock }) {
+    throw this.notImplemented('scanDeposits');
+  }
+
+  /**
+   * Incoming transfers to any of `addresses` mined in [fromBlock, toBlock].
+   * Adapters that can watch many addresses in one pass override this.
+   */
+  async scanDepositsToAddresses(addresses, range) {
+    const deposits = [];
+    for (const address of addresses) {
+      deposits.push(...await this.scanDeposits(address, range));
+    }
+    return deposits;
+  }
+
+  /**
+   * Hash of the block at `blockNumber` on the current chain (null if there is none yet)
+   */
+  async getBlockHash(blockNumber) {
+    throw this.notImplemented('getBlockHash');
+  }
+
+  /**
+   * Block a transaction is mined in on the current chain: { blockNumber, blockHash }
+   * (null while unconfirmed or if the chain no longer knows it)
+   */
+  async getTransactionBlock(txHash) {
+    throw this.notImplemented('getTransactionBlock');
+  }
+
+  /**
+   * Confirmations of a transaction (0 while unconfirmed, null if unknown to the chain)
+   */
+  async getConfirmations(txHash) {
+    throw this.notImplemented('getConfirmations');
+  }
+
+  /**
+   * Network fee estimate for sending `amount` to `toAddress`: { currency, amount, ...details }
+   */
+  async estimateFee(amount, toAddress) {
+    throw this.notImplemented('estimateFee');
+  }
+
+  /**
+   * On-chain balance of an address
+   */
+  async getBalance(address) {
+    throw this.notImplemented('getBalance');
+  }
+
+  /**
+   * Broadcast a transfer from `fromAddress` signed with `privateKey` (or by `signer`);
+   * resolves with the transaction hash
+   */
+  async send({ privateKey, signer, fromAddress, toAddress, amount }) {
+    throw this.notImplemented('send');
+  }
+
+  /**
+   * Pay several outputs ({ toAddress, amount }) at once. Chains that can pay them in fewer
+   * transactions override this; by default each output is its own send(). Resolves with
+   *   { method, transactions: [{ txHash, outputs, fee, replacement }], failures: [{ outputs, error }] }
+   * where `outputs` are indexes into the given list, `fee` is in the fee currency of
+   * estimateFee() (null when unknown) and `replacement` is what bumpFee() needs to
+   * replace the transaction (null where fee bumping is not supported).
+   */
+  async sendBatch({ privateKey, signer, fromAddress, outputs }) {
+    const transactions = [];
+    const failures = [];
+
+    for (const [index, output] of outputs.entries()) {
+      try {
+        const estimate = await this.estimateFee(output.amount, output.toAddress).catch(() => null);
+        const txHash = await this.send({ privateKey, signer, fromAddress, toAddress: output.toAddress, amount: output.amount });
+        transactions.push({ txHash, outputs: [index], fee: estimate ? estimate.amount : null, replacement: null });
+      } catch (error) {
+        failures.push({ outputs: [index], error: error.message });
+      }
+    }
+
+    return { method: 'sequential', transactions, failures };
+  }
+
+  /**
+   * Re-broadcast an unconfirmed transaction with a higher fee, given the `replacement`
+   * sendBatch() returned for it; resolves with { txHash, fee, replacement }
+   */
+  async bumpFee({ privateKey, signer, replacement, feeMultiplier }) {
+    throw this.notImplemented('bumpFee');
+  }
+
+  /**
+   * Unsigned transaction paying `outputs` from `fromAddress`, for a watch-only pool whose
+   * key signs offline: { format, payload, fingerprint, fee, holds, expiresAt }.
+   * `watchOnly` is what the chain needs to know about the key (the BTC public key and its
+   * derivation). `holds` are what the transaction uses up until it is broadcast (inputs,
+   * a nonce); passing those of every transaction still waiting for its signature as
+   * `held` keeps the next one from clashing with them. `fingerprint` is what
+   * inspectSignedTransaction() reports for the same transaction once signed.
+   */
+  async buildUnsignedTransaction({ watchOnly, fromAddress, outputs, held }) {
+    throw this.notImplemented('buildUnsignedTransaction');
+  }
+
+  /**
+   * Decode a transaction signed elsewhere (offline, on a hardware wallet) without
+   * broadcasting it: { txHash, from, outputs: [{ toAddress, amount }], raw, fingerprint }.
+   * `from` is null where the chain does not say which account pays; `fingerprint`
+   * identifies the transaction with its signatures left out.
+   */
+  inspectSignedTransaction(signed) {
+    throw this.notImplemented('inspectSignedTransaction');
+  }
+
+  /**
+   * Broadcast a transaction returned by inspectSignedTransaction(); resolves with its hash
+   */
+  async broadcastSigned(inspected) {
+    throw this.notImplemented('broadcastSigned');
+  }
+}
+
+module.exports = ChainAdapter;
@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const EthAdapter = require('./EthAdapter');
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+/**
+ * ERC-20 token on an EVM chain such as Ethereum or BNB Smart Chain
+ * (addresses, confirmations and gas work as for ETH)
+ */
+class Erc20Adapter extends EthAdapter {
+  constructor({ currency, contractAddress, decimals, provider, network = 'ethereum', chainId = null, feeCurrency = 'ETH', requiredConfirmations = 12, scanLookback = 1000, maxBlocksPerScan = 2000, pollIntervalMs = 60 * 1000, withdrawalFeeRate = 0, multisendAddress = null }) {
+    super({ provider, network, chainId, requiredConfirmations, scanLookback, maxBlocksPerScan, pollIntervalMs, withdrawalFeeRate, multisendAddress });
+    this.currency = currency;
+    this.decimals = decimals;
+    this.contractAddress = contractAddress;
+    this.feeCurrency = feeCurrency; // Native coin gas is paid in (ETH, BNB)
+    this.interface = new ethers.Interface(ERC20_ABI);
+  }
+
+  contract(runner = this.provider) {
+    return new ethers.Contract(this.contractAddress, ERC20_ABI, runner);
+  }
+
+  /**
+   * Token transfers are found through the contract's Transfer logs; one log query
+   * covers a batch of recipient addresses
+   */
+  async scanDepositsToAddresses(addresses, { fromBlock, toBlock }) {
+    const latest = await this.getLatestBlock();
+    const targets = new Set(addresses.map(address => this.addressKey(address)));
+
+    const logs = [];
+    const batchSize = 100;
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      logs.push(...await this.provider.getLogs({
+        fromBlock: Math.max(fromBlock, 0),
+        toBlock,
+        address: this.contractAddress,
+        topics: [
+          ethers.id('Transfer(address,address,uint256)'),
+          null,
+          addresses.slice(i, i + batchSize).map(address => ethers.zeroPadValue(address, 32))
+        ]
+      }));
+    }
+
+    const deposits = [];
+    for (const log of logs) {
+      const decoded = this.interface.parseLog(log);
+      if (!decoded || !targets.has(this.addressKey(decoded.args.to))) continue;
+
+      const amount = parseFloat(ethers.formatUnits(decoded.args.value, this.decimals));
+      if (amount <= 0) continue;
+
+      deposits.push({
+        txHash: log.transactionHash,
+        outputIndex: log.index,
+        fromAddress: decoded.args.from,
+        toAddress: decoded.args.to,
+        amount,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        confirmations: latest - log.blockNumber + 1
+      });
+    }
+
+    return deposits;
+  }
+
+  async estimateFee(amount, toAddress) {
+    const gasLimit = 65000n; // Typical ERC-20 transfer
+    const gasPrice = await this.getFeeData();
+    return {
+      currency: this.feeCurrency,
+      amount: parseFloat(ethers.formatEther(gasPrice * gasLimit)),
+      gasPrice: parseFloat(ethers.formatUnits(gasPrice, 'gwei')),
+      gasLimit: Number(gasLimit)
+    };
+  }
+
+  async getBalance(address) {
+    const balance = await this.contract().balanceOf(address);
+    return parseFloat(ethers.formatUnits(balance, this.decimals));
+  }
+
+  async send({ privateKey, signer, toAddress, amount }) {
+    try {
+      const wallet = this.walletFor({ privateKey, signer });
+      const token = this.contract(wallet);
+      const normalizedAddress = this.normalizeAddress(toAddress);
+      const value = ethers.parseUnits(amount.toString(), this.decimals);
+
+      console.log(`💰 Sending ${amount} ${this.currency} from ${wallet.address} to ${normalizedAddress}`);
+
+      const gasEstimate = await token.transfer.estimateGas(normalizedAddress, value);
+      const tx = await token.transfer(normalizedAddress, value, {
+        gasLimit: gasEstimate * 120n / 100n // Add 20% buffer
+      });
+
+      console.log(`📤 ${this.currency} transaction sent: ${tx.hash}`);
+      return tx.hash;
+    } catch (error) {
+      console.error(`❌ ${this.currency} send error:`, error);
+      throw new Error(`Failed to send ${this.currency}: ${error.message}`);
+    }
+  }
+
+  async populateTransfer(wallet, toAddress, value) {
+    return this.contract(wallet).transfer.populateTransaction(toAddress, value);
+  }
+
+  /**
+   * The multisend contract pulls the tokens, so it is approved for the batch total first
+   */
+  async populateMultisend(wallet, recipients, values) {
+    const total = values.reduce((sum, value) => sum + value, 0n);
+    const token = this.contract(wallet);
+
+    const allowance = await token.allowance(wallet.address, this.multisendAddress);
+    if (allowance < total) {
+      const approval = await token.approve(this.multisendAddress, total);
+      console.log(`🔓 ${this.currency} multisend allowance approved: ${approval.hash}`);
+      await approval.wait();
+    }
+
+    return this.multisend(wallet).disperseToken.populateTransaction(this.contractAddress, recipients, values);
+  }
+
+  /**
+   * A signed transaction is accepted only as one transfer() call on the token contract
+   */
+  transferOutputs(tx) {
+    const call = tx.to && tx.to.toLowerCase() === this.contractAddress.toLowerCase() && tx.value === 0n
+      ? this.interface.parseTransaction({ data: tx.data })
+      : null;
+    if (call?.name !== 'transfer') {
+      throw new Error(`Only ${this.currency} transfer() calls are accepted`);
+    }
+    return [{ toAddress: ethers.getAddress(call.args.to), amount: parseFloat(ethers.formatUnits(call.args.amount, this.decimals)) }];
+  }
+}
+
+module.exports = Erc20Adapter;
@@ -0,0 +1,358 @@
+const { ethers } = require('ethers');
+const ChainAdapter = require('./ChainAdapter');
+
+// Disperse-style multisend contract (https://disperse.app)
+const MULTISEND_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+];
+
+/**
+ * Native ETH over a JSON-RPC provider
+ */
+class EthAdapter extends ChainAdapter {
+  constructor({ provider, network = 'ethereum', chainId = null, requiredConfirmations = 12, scanLookback = 200, maxBlocksPerScan = 100, pollIntervalMs = 60 * 1000, withdrawalFeeRate = 0, multisendAddress = null }) {
+    super({ currency: 'ETH', network, decimals: 18, requiredConfirmations, scanLookback, maxBlocksPerScan, pollIntervalMs, withdrawalFeeRate });
+    this.provider = provider;
+    this.chainId = chainId; // Chain the provider is on; the signer only signs transactions for it
+    this.multisendAddress = multisendAddress; // Batched withdrawals go through this contract when set
+  }
+
+  validateAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address.trim());
+  }
+
+  normalizeAddress(address) {
+    if (!this.validateAddress(address)) {
+      throw new Error(`Invalid Ethereum address: ${address}`);
+    }
+    // Accept addresses with a wrong checksum by re-checksumming the lowercase form
+    return ethers.getAddress(address.trim().toLowerCase());
+  }
+
+  addressKey(address) {
+    return (address || '').trim().toLowerCase();
+  }
+
+  async getLatestBlock() {
+    return this.provider.getBlockNumber();
+  }
+
+  async scanDeposits(address, range) {
+    return this.scanDepositsToAddresses([address], range);
+  }
+
+  /**
+   * Native transfers are not logged, so every block in the range is read with its transactions
+   * (once, however many addresses are watched)
+   */
+  async scanDepositsToAddresses(addresses, { fromBlock, toBlock }) {
+    const targets = new Set(addresses.map(address => this.addressKey(address)));
+    const latest = await this.getLatestBlock();
+    const deposits = [];
+
+    for (let blockNumber = Math.max(fromBlock, 0); blockNumber <= toBlock; blockNumber++) {
+      const block = await this.provider.getBlock(blockNumber, true);
+      if (!block) continue;
+
+      for (const tx of block.prefetchedTransactions) {
+        if (!tx.to || !targets.has(this.addressKey(tx.to)) || tx.value <= 0n) continue;
+
+        deposits.push({
+          txHash: tx.hash,
+          outputIndex: 0,
+          fromAddress: tx.from,
+          toAddress: tx.to,
+          amount: parseFloat(ethers.formatEther(tx.value)),
+          blockNumber: block.number,
+          blockHash: block.hash,
+          confirmations: latest - block.number + 1
+        });
+      }
+    }
+
+    return deposits;
+  }
+
+  async getBlockHash(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  }
+
+  async getTransactionBlock(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) return null;
+    return { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash, success: receipt.status === 1 };
+  }
+
+  async getConfirmations(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      const tx = await this.provider.getTransaction(txHash);
+      return tx ? 0 : null;
+    }
+    if (receipt.status === 0) {
+      throw new Error(`Transaction ${txHash} reverted`);
+    }
+    return receipt.confirmations();
+  }
+
+  async getFeeData() {
+    const feeData = await this.provider.getFeeData();
+    return feeData.maxFeePerGas || feeData.gasPrice || ethers.parseUnits('30', 'gwei');
+  }
+
+  async estimateFee(amount, toAddress) {
+    const gasLimit = 21000n; // Standard ETH transfer
+    const gasPrice = await this.getFeeData();
+    return {
+      currency: 'ETH',
+      amount: parseFloat(ethers.formatEther(gasPrice * gasLimit)),
+      gasPrice: parseFloat(ethers.formatUnits(gasPrice, 'gwei')),
+      gasLimit: Number(gasLimit)
+    };
+  }
+
+  async getBalance(address) {
+    const balance = await this.provider.getBalance(address);
+    return parseFloat(ethers.formatEther(balance));
+  }
+
+  /**
+   * ethers Signer for a send: a wallet for `privateKey`, or the remote `signer`
+   */
+  walletFor({ privateKey, signer }) {
+    return signer ? signer.evmSigner(this.provider) : new ethers.Wallet(privateKey, this.provider);
+  }
+
+  async send({ privateKey, signer, toAddress, amount }) {
+    try {
+      const wallet = this.walletFor({ privateKey, signer });
+      const normalizedAddress = this.normalizeAddress(toAddress);
+      const value = ethers.parseEther(amount.toString());
+
+      console.log(`💰 Sending ${amount} ETH from ${wallet.address} to ${normalizedAddress}`);
+
+      const gasEstimate = await this.provider.estimateGas({
+        from: wallet.address,
+        to: normalizedAddress,
+        value
+      });
+
+      const tx = {
+        to: normalizedAddress,
+        value,
+        gasLimit: gasEstimate * 120n / 100n // Add 20% buffer
+      };
+
+      console.log(`⛽ Gas estimate: ${gasEstimate.toString()}, Using: ${tx.gasLimit.toString()}`);
+
+      const response = await wallet.sendTransaction(tx);
+      console.log(`📤 ETH transaction sent: ${response.hash}`);
+
+      return response.hash;
+    } catch (error) {
+      console.error('❌ ETH send error:', error);
+      throw new Error(`Failed to send ETH: ${error.message}`);
+    }
+  }
+
+  multisend(runner) {
+    return new ethers.Contract(this.multisendAddress, MULTISEND_ABI, runner);
+  }
+
+  /**
+   * Unsigned transfer of `value` (base units) to `toAddress`
+   */
+  async populateTransfer(wallet, toAddress, value) {
+    return { to: toAddress, value };
+  }
+
+  /**
+   * Unsigned multisend call paying every recipient
+   */
+  async populateMultisend(wallet, recipients, values) {
+    const total = values.reduce((sum, value) => sum + value, 0n);
+    return this.multisend(wallet).disperseEther.populateTransaction(recipients, values, { value: total });
+  }
+
+  /**
+   * Sign and broadcast with a 20% gas buffer (and the given nonce); the fee is the estimate at broadcast
+   */
+  async broadcast(wallet, tx, nonce = undefined) {
+    const gasEstimate = await this.provider.estimateGas({ ...tx, from: wallet.address });
+    const gasPrice = await this.getFeeData();
+    const response = await wallet.sendTransaction({
+      ...tx,
+      gasLimit: gasEstimate * 120n / 100n,
+      ...(nonce !== undefined ? { nonce } : {})
+    });
+    return {
+      txHash: response.hash,
+      fee: parseFloat(ethers.formatEther(gasEstimate * gasPrice)),
+      replacement: this.replacementFor(response)
+    };
+  }
+
+  /**
+   * What a same-nonce replacement of a sent transaction needs (amounts as strings for storage)
+   */
+  replacementFor(response) {
+    const eip1559 = response.maxFeePerGas !== null && response.maxFeePerGas !== undefined;
+    return {
+      nonce: response.nonce,
+      to: response.to,
+      value: response.value.toString(),
+      data: response.data,
+      gasLimit: response.gasLimit.toString(),
+      gasPrice: eip1559 ? null : response.gasPrice.toString(),
+      maxFeePerGas: eip1559 ? response.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: eip1559 ? response.maxPriorityFeePerGas.toString() : null
+    };
+  }
+
+  /**
+   * Replace an unconfirmed transaction: same nonce and call, fees raised by `feeMultiplier`
+   * (or to the current network fees, whichever is higher)
+   */
+  async bumpFee({ privateKey, signer, replacement, feeMultiplier = 1.25 }) {
+    const wallet = this.walletFor({ privateKey, signer });
+    const feeData = await this.provider.getFeeData();
+    const bump = (previous, current) => {
+      const raised = BigInt(previous) * BigInt(Math.round(feeMultiplier * 100)) / 100n;
+      return current && current > raised ? current : raised;
+    };
+
+    const tx = {
+      to: replacement.to,
+      value: BigInt(replacement.value),
+      data: replacement.data,
+      nonce: replacement.nonce,
+      gasLimit: BigInt(replacement.gasLimit)
+    };
+    if (replacement.maxFeePerGas) {
+      tx.maxFeePerGas = bump(replacement.maxFeePerGas, feeData.maxFeePerGas);
+      tx.maxPriorityFeePerGas = bump(replacement.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+    } else {
+      tx.gasPrice = bump(replacement.gasPrice, feeData.gasPrice);
+    }
+
+    const response = await wallet.sendTransaction(tx);
+    console.log(`⛽ ${this.currency} fee bumped for nonce ${replacement.nonce}: ${response.hash}`);
+
+    return {
+      txHash: response.hash,
+      fee: parseFloat(ethers.formatEther(tx.gasLimit * (tx.maxFeePerGas || tx.gasPrice))),
+      replacement: this.replacementFor(response)
+    };
+  }
+
+  /**
+   * One multisend call when a multisend contract is configured (and there is more than one
+   * output); otherwise one transfer per output, broadcast back to back with consecutive nonces
+   */
+  async sendBatch({ privateKey, signer, outputs }) {
+    const wallet = this.walletFor({ privateKey, signer });
+    const recipients = outputs.map(output => this.normalizeAddress(output.toAddress));
+    const values = outputs.map(output => ethers.parseUnits(output.amount.toString(), this.decimals));
+
+    if (this.multisendAddress && outputs.length > 1) {
+      console.log(`💰 Multisending ${outputs.length} ${this.currency} payments from ${wallet.address}`);
+      const tx = await this.populateMultisend(wallet, recipients, values);
+      const { txHash, fee, replacement } = await this.broadcast(wallet, tx);
+      console.log(`📤 ${this.currency} multisend transaction sent: ${txHash}`);
+      return { method: 'multisend', transactions: [{ txHash, outputs: outputs.map((output, index) => index), fee, replacement }], failures: [] };
+    }
+
+    const transactions = [];
+    const failures = [];
+    let nonce = await this.provider.getTransactionCount(wallet.address, 'pending');
+
+    for (const [index, recipient] of recipients.entries()) {
+      try {
+        const tx = await this.populateTransfer(wallet, recipient, values[index]);
+        const { txHash, fee, replacement } = await this.broadcast(wallet, tx, nonce);
+        transactions.push({ txHash, outputs: [index], fee, replacement });
+        nonce++;
+        console.log(`📤 ${this.currency} transaction sent (nonce ${nonce - 1}): ${txHash}`);
+      } catch (error) {
+        // Nothing was broadcast with this nonce, so the next output reuses it
+        console.error(`❌ ${this.currency} batch payment to ${recipient} failed:`, error.message);
+        failures.push({ outputs: [index], error: error.message });
+      }
+    }
+
+    return { method: 'sequential', transactions, failures };
+  }
+
+  /**
+   * One unsigned transfer from the watch-only `fromAddress`, as the transaction JSON an
+   * offline wallet signs (with its unsigned serialization alongside). It holds its nonce:
+   * the account's lowest pending nonce that no other unsigned transaction holds.
+   */
+  async buildUnsignedTransaction({ fromAddress, outputs, held = [] }) {
+    if (outputs.length !== 1) {
+      throw new Error(`Unsigned ${this.currency} transactions pay one output each`);
+    }
+    const wallet = new ethers.VoidSigner(fromAddress, this.provider);
+    const recipient = this.normalizeAddress(outputs[0].toAddress);
+    const value = ethers.parseUnits(outputs[0].amount.toString(), this.decimals);
+
+    const call = await this.populateTransfer(wallet, recipient, value);
+    const gasEstimate = await this.provider.estimateGas({ ...call, from: fromAddress });
+    let nonce = await this.provider.getTransactionCount(fromAddress, 'pending');
+    while (held.includes(nonce)) {
+      nonce++;
+    }
+    // `from` is left out: ethers only accepts it on a signed transaction
+    const { from, ...populated } = await wallet.populateTransaction({
+      ...call,
+      gasLimit: gasEstimate * 120n / 100n,
+      nonce
+    });
+    const tx = ethers.Transaction.from(populated);
+
+    return {
+      format: 'evm_json',
+      payload: JSON.stringify({ ...tx.toJSON(), from: fromAddress, unsignedSerialized: tx.unsignedSerialized }),
+      fingerprint: tx.unsignedHash,
+      fee: parseFloat(ethers.formatEther(tx.gasLimit * (tx.maxFeePerGas ?? tx.gasPrice))),
+      holds: [tx.nonce],
+      expiresAt: null
+    };
+  }
+
+  /**
+   * What a signed transaction pays: plain ETH transfers only
+   */
+  transferOutputs(tx) {
+    if (tx.data && tx.data !== '0x') {
+      throw new Error('Only plain ETH transfers are accepted');
+    }
+    return [{ toAddress: ethers.getAddress(tx.to), amount: parseFloat(ethers.formatEther(tx.value)) }];
+  }
+
+  /**
+   * A signed, serialized transaction (0x hex)
+   */
+  inspectSignedTransaction(signed) {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(String(signed || '').trim());
+    } catch (error) {
+      throw new Error(`Invalid signed ${this.currency} transaction: ${error.message}`);
+    }
+    if (!tx.signature || !tx.to) {
+      throw new Error(`The ${this.currency} transaction is not a signed transfer`);
+    }
+
+    return { txHash: tx.hash, from: tx.from, outputs: this.transferOutputs(tx), raw: tx.serialized, fingerprint: tx.unsignedHash };
+  }
+
+  async broadcastSigned(inspected) {
+    const response = await this.provider.broadcastTransaction(inspected.raw);
+    return response.hash;
+  }
+}
+
+module.exports = EthAdapter;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const ChainAdapter = require('./ChainAdapter');
+
+/**
+ * In-memory chain for tests and local development.
+ *
+ * Deposits are injected with deposit(), blocks are produced with mineBlocks(),
+ * reorgs are simulated with reorg(), and send() records the transfer instead of broadcasting it. Transfers can
+ * carry a memo (`supportsMemo: true`). Register it in
+ * place of a real adapter: `chainAdapters.register(new FakeChainAdapter({ currency: 'BTC' }))`.
+ */
+class FakeChainAdapter extends ChainAdapter {
+  constructor({ currency, network = 'fake', decimals = 8, requiredConfirmations = 1, scanLookback = 100, pollIntervalMs = 5 * 1000, withdrawalFeeRate = 0, supportsMemo = false }) {
+    super({ currency, network, decimals, requiredConfirmations, scanLookback, pollIntervalMs, withdrawalFeeRate, supportsMemo });
+    this.reset();
+  }
+
+  /**
+   * Forget every block, transaction and balance
+   */
+  reset() {
+    this.height = 0;
+    this.blockHashes = new Map();
+    this.transactions = new Map();
+    this.balances = new Map();
+    this.sent = [];
+    this.failNextSend = null;
+  }
+
+  randomHash() {
+    return `0x${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Produce `count` empty blocks
+   */
+  mineBlocks(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.height++;
+      this.blockHashes.set(this.height, this.randomHash());
+    }
+    return this.height;
+  }
+
+  /**
+   * Replace the last `depth` blocks with new ones. Transactions in them are orphaned
+   * (back to unmined) unless `remine` is true, in which case they land in the new blocks.
+   */
+  reorg(depth = 1, { remine = false } = {}) {
+    const forkBlock = Math.max(this.height - depth + 1, 1);
+    for (let blockNumber = forkBlock; blockNumber <= this.height; blockNumber++) {
+      this.blockHashes.set(blockNumber, this.randomHash());
+    }
+
+    for (const tx of this.transactions.values()) {
+      if (tx.blockNumber === null || tx.blockNumber < forkBlock || remine) continue;
+      tx.blockNumber = null;
+      this.credit(tx.toAddress, -tx.amount);
+    }
+    return forkBlock;
+  }
+
+  credit(address, amount) {
+    this.balances.set(address, (this.balances.get(address) || 0) + amount);
+  }
+
+  /**
+   * Add a transfer to `toAddress` (mined in the next block unless `mined` is false)
+   */
+  deposit(toAddress, amount, { fromAddress = 'fake-sender', txHash = this.randomHash(), mined = true, memo = null } = {}) {
+    const blockNumber = mined ? this.mineBlocks(1) : null;
+    this.transactions.set(txHash, { txHash, fromAddress, toAddress, amount, blockNumber, memo });
+    if (mined) {
+      this.credit(toAddress, amount);
+    }
+    return txHash;
+  }
+
+  /**
+   * Make the next send() fail with `message`
+   */
+  failNext(message = 'Fake send failure') {
+    this.failNextSend = message;
+  }
+
+  validateAddress(address) {
+    return typeof address === 'string' && address.trim().length > 0;
+  }
+
+  async getLatestBlock() {
+    return this.height;
+  }
+
+  async scanDeposits(address, { fromBlock, toBlock }) {
+    const deposits = [];
+    for (const tx of this.transactions.values()) {
+      if (tx.toAddress !== address || tx.blockNumber === null) continue;
+      if (tx.blockNumber < fromBlock || tx.blockNumber > toBlock) continue;
+
+      deposits.push({
+        txHash: tx.txHash,
+        outputIndex: 0,
+        fromAddress: tx.fromAddress,
+        toAddress: tx.toAddress,
+        amount: tx.amount,
+        blockNumber: tx.blockNumber,
+        blockHash: this.blockHashes.get(tx.blockNumber),
+        confirmations: this.height - tx.blockNumber + 1,
+        ...(this.supportsMemo && tx.memo ? { memo: tx.memo } : {})
+      });
+    }
+    return deposits;
+  }
+
+  async getBlockHash(blockNumber) {
+    return this.blockHashes.get(blockNumber) || null;
+  }
+
+  async getTransactionBlock(txHash) {
+    const tx = this.transactions.get(txHash);
+    if (!tx || tx.blockNumber === null) return null;
+    return { blockNumber: tx.blockNumber, blockHash: this.blockHashes.get(tx.blockNumber), success: true };
+  }
+
+  async getConfirmations(txHash) {
+    const tx = this.transactions.get(txHash);
+    if (!tx) return null;
+    return tx.blockNumber === null ? 0 : this.height - tx.blockNumber + 1;
+  }
+
+  async estimateFee(amount, toAddress) {
+    return { currency: this.currency, amount: 0 };
+  }
+
+  async getBalance(address) {
+    return this.balances.get(address) || 0;
+  }
+
+  async send({ privateKey, signer, fromAddress, toAddress, amount }) {
+    if (this.failNextSend) {
+      const message = this.failNextSend;
+      this.failNextSend = null;
+      throw new Error(message);
+    }
+
+    if (fromAddress) {
+      if ((this.balances.get(fromAddress) || 0) < amount) {
+        throw new Error(`Insufficient fake ${this.currency} balance at ${fromAddress}`);
+      }
+      this.credit(fromAddress, -amount);
+    }
+
+    const txHash = this.deposit(toAddress, amount, { fromAddress });
+    this.sent.push({ txHash, fromAddress, toAddress, amount });
+    return txHash;
+  }
+
+  /**
+   * Unsigned transactions are the same JSON as signed ones, so they can be uploaded as they are
+   */
+  async buildUnsignedTransaction({ fromAddress, outputs }) {
+    const payload = JSON.stringify({ fromAddress, outputs });
+    return {
+      format: 'fake_json',
+      payload,
+      fingerprint: this.inspectSignedTransaction(payload).fingerprint,
+      fee: 0,
+      holds: [],
+      expiresAt: null
+    };
+  }
+
+  /**
+   * "Signed" transactions are JSON: { fromAddress, outputs: [{ toAddress, amount }] }
+   */
+  inspectSignedTransaction(signed) {
+    const tx = typeof signed === 'string' ? JSON.parse(signed) : signed;
+    if (!Array.isArray(tx?.outputs) || tx.outputs.length === 0) {
+      throw new Error('Fake signed transaction needs outputs');
+    }
+    const raw = JSON.stringify({ fromAddress: tx.fromAddress || null, outputs: tx.outputs });
+    const txHash = `0x${crypto.createHash('sha256').update(raw).digest('hex')}`;
+    return {
+      txHash,
+      from: tx.fromAddress || null,
+      outputs: tx.outputs.map(output => ({ toAddress: output.toAddress, amount: Number(output.amount) })),
+      raw,
+      fingerprint: txHash
+    };
+  }
+
+  async broadcastSigned(inspected) {
+    if (inspected.from) {
+      const total = inspected.outputs.reduce((sum, output) => sum + output.amount, 0);
+      if ((this.balances.get(inspected.from) || 0) < total) {
+        throw new Error(`Insufficient fake ${this.currency} balance at ${inspected.from}`);
+      }
+      this.credit(inspected.from, -total);
+    }
+    const blockNumber = this.mineBlocks(1);
+    this.transactions.set(inspected.txHash, { txHash: inspected.txHash, fromAddress: inspected.from, toAddress: inspected.outputs[0].toAddress, amount: inspected.outputs[0].amount, blockNumber, memo: null });
+    for (const output of inspected.outputs) {
+      this.credit(output.toAddress, output.amount);
+      this.sent.push({ txHash: inspected.txHash, fromAddress: inspected.from, toAddress: output.toAddress, amount: output.amount });
+    }
+    return inspected.txHash;
+  }
+}
+
+module.exports = FakeChainAdapter;
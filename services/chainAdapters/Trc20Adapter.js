@@ -0,0 +1,339 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const ChainAdapter = require('./ChainAdapter');
+const { toTronAddress, fromTronAddress, isTronAddress } = require('./tronAddress');
+const { decodeTrc20Transfer, encodeSignedTransaction, withExpiration } = require('./tronTransaction');
+
+// Nodes refuse a transaction that expires more than 24 hours after the head block
+const UNSIGNED_EXPIRATION_MS = 23 * 60 * 60 * 1000;
+
+// TronGrid's largest page of TRC-20 transfers
+const TRANSFERS_PAGE_SIZE = 200;
+
+// Transactions whose block is remembered; the least recently used are dropped first
+const BLOCK_CACHE_SIZE = 5000;
+
+/**
+ * TRC-20 token on Tron through the TronGrid HTTP API.
+ * The pool account is controlled by the same key as the EVM pool address.
+ */
+class Trc20Adapter extends ChainAdapter {
+  constructor({ currency, contractAddress, decimals, apiUrl, apiKey = null, network = 'tron', feeLimitTrx = 100, requiredConfirmations = 20, scanLookback = 1200, maxBlocksPerScan = 10000, pollIntervalMs = 60 * 1000, withdrawalFeeRate = 0 }) {
+    super({ currency, network, decimals, requiredConfirmations, scanLookback, maxBlocksPerScan, pollIntervalMs, withdrawalFeeRate });
+    this.contractAddress = contractAddress;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.feeLimitSun = feeLimitTrx * 1000000;
+    this.feeCurrency = 'TRX'; // Energy is paid in TRX
+    this.blockCache = new Map(); // txid -> { blockNumber, blockHash, success }, oldest use first
+  }
+
+  get headers() {
+    return this.apiKey ? { 'TRON-PRO-API-KEY': this.apiKey } : {};
+  }
+
+  async post(path, body) {
+    const response = await axios.post(`${this.apiUrl}${path}`, body, { headers: this.headers });
+    return response.data;
+  }
+
+  validateAddress(address) {
+    return isTronAddress(address);
+  }
+
+  /**
+   * The pool's Tron address is the Tron form of the EVM pool address
+   */
+  poolAddress(poolAddresses) {
+    const evmAddress = poolAddresses?.[this.currency];
+    return evmAddress ? toTronAddress(evmAddress) : null;
+  }
+
+  async getLatestBlock() {
+    const block = await this.post('/wallet/getnowblock', {});
+    return block.block_header.raw_data.number;
+  }
+
+  async getBlockHash(blockNumber) {
+    const block = await this.post('/wallet/getblockbynum', { num: blockNumber });
+    return block?.blockID || null;
+  }
+
+  /**
+   * Block number, block hash and outcome of a mined transaction (null while unconfirmed).
+   * Pass `cached: false` to re-read it from the node, e.g. when re-validating after a reorg.
+   */
+  async getTransactionBlock(txid, { cached = true } = {}) {
+    const hit = this.blockCache.get(txid);
+    this.blockCache.delete(txid);
+    if (cached && hit) {
+      this.blockCache.set(txid, hit);
+      return hit;
+    }
+
+    const info = await this.post('/wallet/gettransactioninfobyid', { value: txid });
+    if (!info || !info.blockNumber) {
+      return null;
+    }
+
+    const block = await this.post('/wallet/getblockbynum', { num: info.blockNumber });
+    const entry = {
+      blockNumber: info.blockNumber,
+      blockHash: block.blockID,
+      success: !info.receipt?.result || info.receipt.result === 'SUCCESS'
+    };
+    this.blockCache.set(txid, entry);
+    if (this.blockCache.size > BLOCK_CACHE_SIZE) {
+      this.blockCache.delete(this.blockCache.keys().next().value);
+    }
+    return entry;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    const block = await this.post('/wallet/getblockbynum', { num: blockNumber });
+    return block?.block_header?.raw_data?.timestamp || null;
+  }
+
+  /**
+   * TronGrid lists an account's TRC-20 transfers by time, so the range is narrowed to the
+   * timestamps of its first and last blocks and read page by page (following each page's
+   * fingerprint); each transfer is then placed in its block
+   */
+  async scanDeposits(address, { fromBlock, toBlock }) {
+    const latest = await this.getLatestBlock();
+    const [minTimestamp, maxTimestamp] = await Promise.all([
+      this.getBlockTimestamp(fromBlock),
+      this.getBlockTimestamp(toBlock)
+    ]);
+
+    const transfers = [];
+    let fingerprint = null;
+    do {
+      const response = await axios.get(`${this.apiUrl}/v1/accounts/${address}/transactions/trc20`, {
+        headers: this.headers,
+        params: {
+          only_to: true,
+          contract_address: this.contractAddress,
+          limit: TRANSFERS_PAGE_SIZE,
+          order_by: 'block_timestamp,asc',
+          ...(minTimestamp && { min_timestamp: minTimestamp }),
+          ...(maxTimestamp && { max_timestamp: maxTimestamp }),
+          ...(fingerprint && { fingerprint })
+        }
+      });
+      transfers.push(...(response.data.data || []));
+      fingerprint = response.data.meta?.fingerprint || null;
+    } while (fingerprint);
+
+    const deposits = [];
+    const outputIndexes = new Map();
+    for (const transfer of transfers) {
+      if (transfer.to !== address || transfer.token_info?.address !== this.contractAddress) continue;
+
+      const outputIndex = outputIndexes.get(transfer.transaction_id) || 0;
+      outputIndexes.set(transfer.transaction_id, outputIndex + 1);
+
+      const block = await this.getTransactionBlock(transfer.transaction_id);
+      if (!block || !block.success) continue;
+      if (block.blockNumber < fromBlock || block.blockNumber > toBlock) continue;
+
+      const amount = parseFloat(ethers.formatUnits(transfer.value, this.decimals));
+      if (amount <= 0) continue;
+
+      deposits.push({
+        txHash: transfer.transaction_id,
+        outputIndex,
+        fromAddress: transfer.from,
+        toAddress: transfer.to,
+        amount,
+        blockNumber: block.blockNumber,
+        blockHash: block.blockHash,
+        confirmations: latest - block.blockNumber + 1
+      });
+    }
+
+    return deposits;
+  }
+
+  async getConfirmations(txHash) {
+    const block = await this.getTransactionBlock(txHash);
+    if (!block) {
+      const tx = await this.post('/wallet/gettransactionbyid', { value: txHash });
+      return tx && tx.txID ? 0 : null;
+    }
+    if (!block.success) {
+      throw new Error(`Transaction ${txHash} failed`);
+    }
+    const latest = await this.getLatestBlock();
+    return latest - block.blockNumber + 1;
+  }
+
+  async estimateFee(amount, toAddress) {
+    const energy = 65000; // TRC-20 transfer to an address that holds no tokens yet
+    let sunPerEnergy = 210;
+    try {
+      const parameters = await this.post('/wallet/getchainparameters', {});
+      const energyFee = (parameters.chainParameter || []).find(p => p.key === 'getEnergyFee');
+      if (energyFee?.value) {
+        sunPerEnergy = energyFee.value;
+      }
+    } catch (error) {
+      console.error('Error fetching Tron energy price:', error.message);
+    }
+
+    return {
+      currency: this.feeCurrency,
+      amount: (energy * sunPerEnergy) / 1000000,
+      energy,
+      sunPerEnergy
+    };
+  }
+
+  async getBalance(address) {
+    const result = await this.post('/wallet/triggerconstantcontract', {
+      owner_address: address,
+      contract_address: this.contractAddress,
+      function_selector: 'balanceOf(address)',
+      parameter: ethers.AbiCoder.defaultAbiCoder().encode(['address'], [fromTronAddress(address)]).slice(2),
+      visible: true
+    });
+
+    if (!result.result?.result || !result.constant_result?.[0]) {
+      throw new Error(`Failed to read ${this.currency} balance on Tron`);
+    }
+    return parseFloat(ethers.formatUnits(BigInt(`0x${result.constant_result[0]}`), this.decimals));
+  }
+
+  /**
+   * Unsigned transfer() call from `owner`, as the node builds it; its id is checked
+   * against its contents
+   */
+  async buildTransfer(owner, destination, value) {
+    const built = await this.post('/wallet/triggersmartcontract', {
+      owner_address: owner,
+      contract_address: this.contractAddress,
+      function_selector: 'transfer(address,uint256)',
+      parameter: ethers.AbiCoder.defaultAbiCoder()
+        .encode(['address', 'uint256'], [fromTronAddress(destination), value])
+        .slice(2),
+      fee_limit: this.feeLimitSun,
+      call_value: 0,
+      visible: true
+    });
+
+    const tx = built.transaction;
+    if (!built.result?.result || !tx) {
+      throw new Error(built.result?.message ? Buffer.from(built.result.message, 'hex').toString() : 'Transaction could not be built');
+    }
+
+    // Never sign a transaction whose id does not match its contents
+    if (ethers.sha256(`0x${tx.raw_data_hex}`).slice(2) !== tx.txID) {
+      throw new Error('Transaction id does not match the transaction returned by the node');
+    }
+    return tx;
+  }
+
+  async send({ privateKey, signer, fromAddress, toAddress, amount }) {
+    try {
+      const owner = fromAddress || toTronAddress(signer ? signer.address : new ethers.Wallet(privateKey).address);
+      const destination = this.normalizeAddress(toAddress);
+      const value = ethers.parseUnits(amount.toString(), this.decimals);
+
+      console.log(`💰 Sending ${amount} ${this.currency} (TRC-20) from ${owner} to ${destination}`);
+
+      const tx = await this.buildTransfer(owner, destination, value);
+
+      if (signer) {
+        tx.signature = [await signer.signTronTransaction(tx)];
+      } else {
+        const signature = new ethers.SigningKey(privateKey).sign(`0x${tx.txID}`);
+        tx.signature = [`${signature.r.slice(2)}${signature.s.slice(2)}0${signature.yParity}`];
+      }
+
+      const broadcast = await this.post('/wallet/broadcasttransaction', tx);
+      if (!broadcast.result) {
+        throw new Error(broadcast.message ? Buffer.from(broadcast.message, 'hex').toString() : (broadcast.code || 'Broadcast rejected'));
+      }
+
+      console.log(`📤 ${this.currency} (TRC-20) transaction sent: ${tx.txID}`);
+      return tx.txID;
+    } catch (error) {
+      console.error(`❌ ${this.currency} (TRC-20) send error:`, error);
+      throw new Error(`Failed to send ${this.currency} on Tron: ${error.message}`);
+    }
+  }
+
+  /**
+   * One unsigned transfer from the watch-only `fromAddress` as { txID, raw_data,
+   * raw_data_hex } JSON; the offline wallet signs the txID. The node sets a one-minute expiration, so
+   * it is pushed out to UNSIGNED_EXPIRATION_MS and the id recomputed.
+   */
+  async buildUnsignedTransaction({ fromAddress, outputs }) {
+    if (outputs.length !== 1) {
+      throw new Error(`Unsigned ${this.currency} transactions pay one output each`);
+    }
+    const destination = this.normalizeAddress(outputs[0].toAddress);
+    const value = ethers.parseUnits(outputs[0].amount.toString(), this.decimals);
+    const built = await this.buildTransfer(fromAddress, destination, value);
+
+    const expiresAt = new Date(Date.now() + UNSIGNED_EXPIRATION_MS);
+    const rawDataHex = withExpiration(built.raw_data_hex, expiresAt.getTime());
+    const txID = ethers.sha256(`0x${rawDataHex}`).slice(2);
+
+    return {
+      format: 'tron_json',
+      payload: JSON.stringify({
+        txID,
+        raw_data: { ...built.raw_data, expiration: expiresAt.getTime() },
+        raw_data_hex: rawDataHex,
+        visible: true
+      }),
+      fingerprint: txID,
+      fee: this.feeLimitSun / 1000000, // Upper bound, in TRX
+      holds: [],
+      expiresAt
+    };
+  }
+
+  /**
+   * A signed transaction as the Tron API returns it, { txID, raw_data_hex, signature: [...] }
+   * (JSON or parsed), making one transfer() call on this token
+   */
+  inspectSignedTransaction(signed) {
+    let tx;
+    try {
+      tx = typeof signed === 'string' ? JSON.parse(signed) : signed;
+    } catch (error) {
+      throw new Error('Signed Tron transaction must be JSON with txID, raw_data_hex and signature');
+    }
+    if (!tx?.raw_data_hex || ethers.sha256(`0x${tx.raw_data_hex}`).slice(2) !== tx.txID) {
+      throw new Error('Transaction id does not match its raw data');
+    }
+    if (!Array.isArray(tx.signature) || tx.signature.length === 0) {
+      throw new Error('The Tron transaction is not signed');
+    }
+
+    const transfer = decodeTrc20Transfer(tx.raw_data_hex);
+    if (transfer.contract !== this.contractAddress || transfer.callValue !== 0n) {
+      throw new Error(`Only ${this.currency} transfer() calls are accepted`);
+    }
+
+    return {
+      txHash: tx.txID,
+      from: transfer.owner,
+      outputs: [{ toAddress: transfer.to, amount: parseFloat(ethers.formatUnits(transfer.value, this.decimals)) }],
+      raw: encodeSignedTransaction(tx),
+      fingerprint: tx.txID
+    };
+  }
+
+  async broadcastSigned(inspected) {
+    const broadcast = await this.post('/wallet/broadcasthex', { transaction: inspected.raw });
+    if (!broadcast.result) {
+      throw new Error(broadcast.message ? Buffer.from(broadcast.message, 'hex').toString() : (broadcast.code || 'Broadcast rejected'));
+    }
+    return inspected.txHash;
+  }
+}
+
+module.exports = Trc20Adapter;
@@ -0,0 +1,172 @@
+const { ethers } = require('ethers');
+const ChainAdapter = require('./ChainAdapter');
+const BtcAdapter = require('./BtcAdapter');
+const EthAdapter = require('./EthAdapter');
+const Erc20Adapter = require('./Erc20Adapter');
+const Trc20Adapter = require('./Trc20Adapter');
+const FakeChainAdapter = require('./FakeChainAdapter');
+
+// Names users and integrations commonly send for a network
+const NETWORK_ALIASES = {
+  erc20: 'ethereum',
+  eth: 'ethereum',
+  trc20: 'tron',
+  trx: 'tron',
+  bep20: 'bsc',
+  bnb: 'bsc',
+  btc: 'bitcoin'
+};
+
+/**
+ * Registry of chain adapters, keyed by currency and network.
+ * The first adapter registered for a currency is its default network.
+ */
+class ChainAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.defaults = new Map();
+  }
+
+  /**
+   * Canonical network name (`TRC20` -> `tron`); null stays null (default network)
+   */
+  normalizeNetwork(network) {
+    if (!network) return null;
+    const name = String(network).trim().toLowerCase().replace(/[-_\s]/g, '');
+    return NETWORK_ALIASES[name] || name;
+  }
+
+  /**
+   * Register an adapter (replaces any adapter for the same currency and network)
+   */
+  register(adapter, { isDefault = false } = {}) {
+    if (!(adapter instanceof ChainAdapter)) {
+      throw new Error('Chain adapters must extend ChainAdapter');
+    }
+
+    this.adapters.set(adapter.key, adapter);
+    if (isDefault || !this.defaults.has(adapter.currency)) {
+      this.defaults.set(adapter.currency, adapter.key);
+    }
+    return adapter;
+  }
+
+  /**
+   * Get the adapter for a currency (on its default network unless one is given)
+   */
+  get(currency, network = null) {
+    const upperCurrency = (currency || '').toUpperCase();
+    const networkName = this.normalizeNetwork(network);
+    const key = networkName ? `${upperCurrency}:${networkName}` : this.defaults.get(upperCurrency);
+    const adapter = key && this.adapters.get(key);
+
+    if (!adapter) {
+      throw new Error(`Unsupported currency: ${currency}${network ? ` on ${network}` : ''}`);
+    }
+    return adapter;
+  }
+
+  has(currency, network = null) {
+    try {
+      this.get(currency, network);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * All registered adapters
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Adapters for every network a currency is supported on (default network first)
+   */
+  forCurrency(currency) {
+    const upperCurrency = (currency || '').toUpperCase();
+    const defaultKey = this.defaults.get(upperCurrency);
+    return this.list()
+      .filter(adapter => adapter.currency === upperCurrency)
+      .sort((a, b) => (a.key === defaultKey ? -1 : b.key === defaultKey ? 1 : 0));
+  }
+}
+
+const registry = new ChainAdapterRegistry();
+
+// Use Sepolia testnet RPC (fallback if ETH_RPC_URL is not set)
+const ethProvider = new ethers.JsonRpcProvider(
+  process.env.ETH_RPC_URL || 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161'
+);
+const ethChainId = parseInt(process.env.ETH_CHAIN_ID) || 11155111; // Sepolia
+
+registry.register(new BtcAdapter({
+  apiUrl: process.env.BTC_API_URL || 'https://blockstream.info/api',
+  withdrawalFeeRate: 0.0005 // 0.05%
+}));
+
+registry.register(new EthAdapter({
+  provider: ethProvider,
+  chainId: ethChainId,
+  multisendAddress: process.env.ETH_MULTISEND_CONTRACT_ADDRESS || null,
+  withdrawalFeeRate: 0.005 // 0.5%
+}));
+
+// USDT is one balance for users; it can arrive and leave on any enabled network.
+// Only Ethereum is on by default: the Tron and BSC defaults below are mainnet, while
+// ETH_RPC_URL defaults to Sepolia, so those networks are opt-in
+const usdtNetworks = (process.env.USDT_NETWORKS || 'ethereum')
+  .split(',')
+  .map(network => registry.normalizeNetwork(network))
+  .filter(Boolean);
+
+const usdtAdapters = {
+  ethereum: () => new Erc20Adapter({
+    currency: 'USDT',
+    contractAddress: process.env.USDT_CONTRACT_ADDRESS || '0x7169D38820dfd117C3FA1f22a697dBA58d90BA06', // Sepolia USDT
+    decimals: 6,
+    provider: ethProvider,
+    chainId: ethChainId,
+    multisendAddress: process.env.ETH_MULTISEND_CONTRACT_ADDRESS || null,
+    withdrawalFeeRate: 0.01 // 1%
+  }),
+  tron: () => new Trc20Adapter({
+    currency: 'USDT',
+    contractAddress: process.env.TRC20_USDT_CONTRACT_ADDRESS || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    decimals: 6,
+    apiUrl: process.env.TRON_API_URL || 'https://api.trongrid.io',
+    apiKey: process.env.TRON_API_KEY || null,
+    withdrawalFeeRate: 0.01 // 1%
+  }),
+  bsc: () => new Erc20Adapter({
+    currency: 'USDT',
+    network: 'bsc',
+    feeCurrency: 'BNB',
+    contractAddress: process.env.BEP20_USDT_CONTRACT_ADDRESS || '0x55d398326f99059fF775485246999027B3197955',
+    decimals: 18,
+    provider: new ethers.JsonRpcProvider(process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org'),
+    chainId: parseInt(process.env.BSC_CHAIN_ID) || 56,
+    multisendAddress: process.env.BSC_MULTISEND_CONTRACT_ADDRESS || null,
+    requiredConfirmations: 15,
+    scanLookback: 1200,
+    withdrawalFeeRate: 0.01 // 1%
+  })
+};
+
+for (const network of usdtNetworks) {
+  if (!usdtAdapters[network]) {
+    console.warn(`⚠️ Unknown USDT network in USDT_NETWORKS: ${network}`);
+    continue;
+  }
+  registry.register(usdtAdapters[network]());
+}
+
+module.exports = registry;
+module.exports.ChainAdapter = ChainAdapter;
+module.exports.BtcAdapter = BtcAdapter;
+module.exports.EthAdapter = EthAdapter;
+module.exports.Erc20Adapter = Erc20Adapter;
+module.exports.Trc20Adapter = Trc20Adapter;
+module.exports.FakeChainAdapter = FakeChainAdapter;
@@ -0,0 +1,54 @@
+const { ethers } = require('ethers');
+
+/**
+ * Tron addresses are base58check(0x41 + the same 20 bytes an EVM address has),
+ * so one secp256k1 key controls the same account on Ethereum, BSC and Tron.
+ */
+
+const TRON_PREFIX = '41';
+
+const checksum = (hex) => ethers.sha256(ethers.sha256(`0x${hex}`)).slice(2, 10);
+
+/**
+ * Convert an EVM (0x...) address to its Tron (T...) form
+ */
+const toTronAddress = (evmAddress) => {
+  const payload = `${TRON_PREFIX}${ethers.getAddress(evmAddress).slice(2).toLowerCase()}`;
+  return ethers.encodeBase58(`0x${payload}${checksum(payload)}`);
+};
+
+/**
+ * Convert a Tron (T...) address to its EVM (0x...) form; throws if the address is invalid
+ */
+const fromTronAddress = (tronAddress) => {
+  let hex;
+  try {
+    hex = ethers.toBeHex(ethers.decodeBase58(tronAddress), 25).slice(2);
+  } catch (error) {
+    throw new Error(`Invalid Tron address: ${tronAddress}`);
+  }
+
+  const payload = hex.slice(0, 42);
+  if (!payload.startsWith(TRON_PREFIX) || hex.slice(42) !== checksum(payload)) {
+    throw new Error(`Invalid Tron address: ${tronAddress}`);
+  }
+  return ethers.getAddress(`0x${payload.slice(2)}`);
+};
+
+const isTronAddress = (address) => {
+  if (typeof address !== 'string' || !/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address.trim())) {
+    return false;
+  }
+  try {
+    fromTronAddress(address.trim());
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  toTronAddress,
+  fromTronAddress,
+  isTronAddress,
+};
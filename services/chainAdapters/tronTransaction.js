@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const { toTronAddress } = require('./tronAddress');
+
+const TRIGGER_SMART_CONTRACT = 31n;
+const EXPIRATION = 8; // raw_data field, milliseconds since the epoch
+const TRANSFER = ethers.Interface.from(['function transfer(address to, uint256 amount)']);
+
+/**
+ * Fields of a protobuf message in order: { field, wireType, value, start, end }, where
+ * value is a Buffer for bytes or a BigInt for varints and start/end bound the whole field
+ */
+function* scanProtobuf(buffer) {
+  let offset = 0;
+  const varint = () => {
+    let value = 0n;
+    let shift = 0n;
+    for (;;) {
+      if (offset >= buffer.length) throw new Error('Truncated protobuf');
+      const byte = buffer[offset++];
+      value |= BigInt(byte & 0x7f) << shift;
+      if (!(byte & 0x80)) return value;
+      shift += 7n;
+    }
+  };
+
+  while (offset < buffer.length) {
+    const start = offset;
+    const tag = varint();
+    const field = Number(tag >> 3n);
+    const wireType = Number(tag & 7n);
+    let value;
+    if (wireType === 0) {
+      value = varint();
+    } else if (wireType === 1 || wireType === 2 || wireType === 5) {
+      const length = wireType === 2 ? Number(varint()) : (wireType === 1 ? 8 : 4);
+      if (offset + length > buffer.length) throw new Error('Truncated protobuf');
+      value = buffer.subarray(offset, offset + length);
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    yield { field, wireType, value, start, end: offset };
+  }
+}
+
+/**
+ * Minimal protobuf reader: field number -> values (Buffers for bytes, BigInts for varints)
+ */
+function readProtobuf(buffer) {
+  const fields = new Map();
+  for (const { field, value } of scanProtobuf(buffer)) {
+    if (!fields.has(field)) fields.set(field, []);
+    fields.get(field).push(value);
+  }
+  return fields;
+}
+
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = BigInt(value);
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining);
+  return Buffer.from(bytes);
+};
+
+const bytesField = (field, bytes) => Buffer.concat([encodeVarint((field << 3) | 2), encodeVarint(bytes.length), bytes]);
+const varintField = (field, value) => Buffer.concat([encodeVarint(field << 3), encodeVarint(value)]);
+
+const first = (fields, field) => {
+  const value = fields.get(field)?.[0];
+  if (value === undefined) {
+    throw new Error('Malformed Tron transaction');
+  }
+  return value;
+};
+
+const tronAddressOf = (bytes) => {
+  const hex = Buffer.from(bytes).toString('hex');
+  if (hex.length !== 42 || !hex.startsWith('41')) {
+    throw new Error('Malformed Tron address in transaction');
+  }
+  return toTronAddress(`0x${hex.slice(2)}`);
+};
+
+/**
+ * Decode the raw data of a Tron transaction that makes one TRC-20 transfer() call:
+ * { owner, contract, callValue, to, value, feeLimit } (value and fee limit in base units)
+ */
+function decodeTrc20Transfer(rawDataHex) {
+  const raw = readProtobuf(Buffer.from(rawDataHex, 'hex'));
+  const contracts = raw.get(11) || [];
+  if (contracts.length !== 1) {
+    throw new Error('Tron transaction must contain exactly one contract');
+  }
+  const contract = readProtobuf(contracts[0]);
+  if (contract.get(1)?.[0] !== TRIGGER_SMART_CONTRACT) {
+    throw new Error('Only TRC-20 transfers are supported on Tron');
+  }
+  const trigger = readProtobuf(first(readProtobuf(first(contract, 2)), 2));
+
+  const call = TRANSFER.parseTransaction({ data: `0x${Buffer.from(trigger.get(4)?.[0] || []).toString('hex')}` });
+  if (call?.name !== 'transfer') {
+    throw new Error('Tron transaction is not a TRC-20 transfer');
+  }
+
+  return {
+    owner: tronAddressOf(first(trigger, 1)),
+    contract: tronAddressOf(first(trigger, 2)),
+    callValue: trigger.get(3)?.[0] || 0n,
+    to: toTronAddress(call.args.to),
+    value: call.args.amount,
+    feeLimit: raw.get(18)?.[0] || 0n
+  };
+}
+
+/**
+ * Serialized Transaction message (raw data plus signatures), as /wallet/broadcasthex takes it
+ */
+function encodeSignedTransaction({ raw_data_hex: rawDataHex, signature = [] }) {
+  return Buffer.concat([
+    bytesField(1, Buffer.from(rawDataHex, 'hex')),
+    ...signature.map(sig => bytesField(2, Buffer.from(sig, 'hex')))
+  ]).toString('hex');
+}
+
+/**
+ * Raw data with its expiration set to `expiration` (milliseconds); every other field is
+ * kept byte for byte. The transaction id is the hash of the result, so it changes too.
+ */
+function withExpiration(rawDataHex, expiration) {
+  const buffer = Buffer.from(rawDataHex, 'hex');
+  const parts = [];
+  let replaced = false;
+  for (const { field, wireType, start, end } of scanProtobuf(buffer)) {
+    if (field === EXPIRATION && wireType === 0) {
+      parts.push(varintField(EXPIRATION, expiration));
+      replaced = true;
+    } else {
+      parts.push(buffer.subarray(start, end));
+    }
+  }
+  if (!replaced) {
+    throw new Error('Malformed Tron transaction');
+  }
+  return Buffer.concat(parts).toString('hex');
+}
+
+module.exports = { readProtobuf, decodeTrc20Transfer, encodeSignedTransaction, withExpiration };
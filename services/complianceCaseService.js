@@ -0,0 +1,602 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
+const kycStorageService = require('./kycStorageService');
+
+const FROZEN_MESSAGE = 'Your account is on hold pending a compliance review';
+
+// Where alerts come from
+const SOURCES = {
+  login: 'Suspicious login',
+  vpn: 'VPN / proxy',
+  geo: 'Geographic restriction'
+};
+
+// Case workflow, as for AML cases: closing needs a resolution
+const TRANSITIONS = {
+  open: ['investigating', 'closed'],
+  investigating: ['escalated', 'closed'],
+  escalated: ['investigating', 'closed'],
+  closed: []
+};
+const RESOLUTIONS = ['false_positive', 'no_action', 'reported'];
+
+const ATTACHMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'text/plain', 'text/csv'];
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// How far before the first alert the SAR's transaction history reaches back
+const SAR_LOOKBACK_DAYS = 30;
+
+/**
+ * Compliance cases
+ *
+ * Login, VPN and geo-restriction alerts used to be loose rows in `audit_logs`. Each one
+ * is now also attached to the subject's unresolved case (one per email address, linked
+ * to the user once there is one), so an investigator sees everything about a person
+ * together. Cases carry an assignee, notes, encrypted attachments (stored like KYC
+ * documents) and the AML status workflow.
+ *
+ * A case can freeze the user's account: while any of their cases is frozen, withdrawals
+ * and trades are refused (see middleware/accountFreeze.js). The freeze is lifted
+ * explicitly, not by closing the case.
+ *
+ * exportSar() builds a suspicious-activity report from a case; exportService renders it
+ * as PDF.
+ */
+class ComplianceCaseService {
+  constructor() {
+    this.sources = Object.keys(SOURCES);
+    this.transitions = TRANSITIONS;
+    this.resolutions = RESOLUTIONS;
+    this.frozenMessage = FROZEN_MESSAGE;
+  }
+
+  historyEntry(from, to, actorId, note) {
+    return { from, to, at: new Date().toISOString(), actorId, note };
+  }
+
+  /**
+   * Attach an alert to the subject's unresolved case, opening one if needed.
+   * Never throws, so the login or registration that raised it is not affected.
+   */
+  async recordAlert({ source, kind, email, userId = null, auditLogId = null, ipAddress = null, details = {} }) {
+    try {
+      if (!SOURCES[source] || !email) {
+        return null;
+      }
+
+      const { alert, complianceCase } = await transaction(async (client) => {
+        const subjectUserId = userId
+          || (await client.query('SELECT id FROM users WHERE email = $1', [email])).rows[0]?.id
+          || null;
+
+        const upserted = await client.query(
+          `INSERT INTO compliance_cases (user_id, subject_email, status_history)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (subject_email) WHERE status != 'closed'
+           DO UPDATE SET user_id = COALESCE(compliance_cases.user_id, EXCLUDED.user_id), updated_at = CURRENT_TIMESTAMP
+           RETURNING *, (xmax = 0) AS opened`,
+          [subjectUserId, email, JSON.stringify([this.historyEntry(null, 'open', null, `${SOURCES[source]}: ${kind}`)])]
+        );
+
+        const inserted = await client.query(
+          `INSERT INTO compliance_alerts (case_id, source, kind, audit_log_id, ip_address, details)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [upserted.rows[0].id, source, kind, auditLogId, ipAddress, JSON.stringify(details)]
+        );
+        return { alert: inserted.rows[0], complianceCase: upserted.rows[0] };
+      });
+
+      if (complianceCase.opened) {
+        notificationService.notifyAdmins({
+          type: 'warning',
+          title: 'New Compliance Case',
+          message: `${SOURCES[source]} alert (${kind}) for ${email}`,
+          data: { caseId: complianceCase.id, alertId: alert.id, userId: complianceCase.user_id, source },
+          action: {
+            label: 'Review Case',
+            url: '/admin/compliance'
+          }
+        });
+      }
+
+      console.log(`🗂️ Compliance alert ${source}/${kind} for ${email} (case ${complianceCase.id}${complianceCase.opened ? ', new' : ''})`);
+      return alert;
+    } catch (error) {
+      console.error(`Failed to record compliance alert (${source}/${kind}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * True while any of the user's cases has frozen their account
+   */
+  async isAccountFrozen(userId) {
+    const result = await query(
+      'SELECT 1 FROM compliance_cases WHERE user_id = $1 AND account_frozen = true LIMIT 1',
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async assertAccountNotFrozen(userId) {
+    if (await this.isAccountFrozen(userId)) {
+      throw new Error(FROZEN_MESSAGE);
+    }
+  }
+
+  async listCases({ status = null, assigneeId = null, userId = null, frozen = null, limit = 50, offset = 0 } = {}) {
+    const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : null;
+    const result = await query(
+      `SELECT c.*, u.full_name, a.full_name AS assignee_name,
+              (SELECT COUNT(*) FROM compliance_alerts al WHERE al.case_id = c.id)::int AS alert_count,
+              (SELECT ARRAY_AGG(DISTINCT al.source) FROM compliance_alerts al WHERE al.case_id = c.id) AS sources
+       FROM compliance_cases c
+       LEFT JOIN users u ON c.user_id = u.id
+       LEFT JOIN users a ON c.assignee_id = a.id
+       WHERE ($1::text[] IS NULL OR c.status = ANY($1))
+         AND ($2::text IS NULL OR ($2 = 'none' AND c.assignee_id IS NULL) OR c.assignee_id::text = $2)
+         AND ($3::uuid IS NULL OR c.user_id = $3)
+         AND ($4::boolean IS NULL OR c.account_frozen = $4)
+       ORDER BY c.updated_at DESC
+       LIMIT $5 OFFSET $6`,
+      [statuses, assigneeId, userId, frozen, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * A case with its alerts, notes and attachment details
+   */
+  async getCase(caseId) {
+    const result = await query(
+      `SELECT c.*, u.full_name, u.created_at AS user_created_at, u.kyc_level,
+              a.full_name AS assignee_name
+       FROM compliance_cases c
+       LEFT JOIN users u ON c.user_id = u.id
+       LEFT JOIN users a ON c.assignee_id = a.id
+       WHERE c.id = $1`,
+      [caseId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [alerts, notes, attachments] = await Promise.all([
+      query('SELECT * FROM compliance_alerts WHERE case_id = $1 ORDER BY created_at', [caseId]),
+      query(
+        `SELECT n.id, n.body, n.created_at, n.author_id, u.full_name AS author_name
+         FROM compliance_case_notes n
+         LEFT JOIN users u ON n.author_id = u.id
+         WHERE n.case_id = $1
+         ORDER BY n.created_at`,
+        [caseId]
+      ),
+      query(
+        `SELECT t.id, t.file_name, t.content_type, t.size_bytes, t.sha256, t.created_at,
+                t.uploaded_by, u.full_name AS uploaded_by_name
+         FROM compliance_case_attachments t
+         LEFT JOIN users u ON t.uploaded_by = u.id
+         WHERE t.case_id = $1
+         ORDER BY t.created_at`,
+        [caseId]
+      )
+    ]);
+
+    return { ...result.rows[0], alerts: alerts.rows, notes: notes.rows, attachments: attachments.rows };
+  }
+
+  /**
+   * Lock a case for an update; throws when it does not exist
+   */
+  async lockCase(client, caseId) {
+    const locked = await client.query('SELECT * FROM compliance_cases WHERE id = $1 FOR UPDATE', [caseId]);
+    if (!locked.rows[0]) {
+      throw new Error('Compliance case not found');
+    }
+    return locked.rows[0];
+  }
+
+  /**
+   * Move a case to another status; closing needs a resolution and a note
+   */
+  async transition(caseId, adminId, { status, note = null, resolution = null }, req = null) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Status must be one of ${Object.keys(TRANSITIONS).join(', ')}`);
+    }
+    if (status === 'closed' && !RESOLUTIONS.includes(resolution)) {
+      throw new Error(`Closing a case needs a resolution: ${RESOLUTIONS.join(', ')}`);
+    }
+    if (status === 'closed' && !note) {
+      throw new Error('A note is required to close a case');
+    }
+
+    const { before, after } = await transaction(async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+      if (!TRANSITIONS[complianceCase.status].includes(status)) {
+        throw new Error(`Compliance case is ${complianceCase.status} and cannot become ${status}`);
+      }
+
+      const history = [...(complianceCase.status_history || []), this.historyEntry(complianceCase.status, status, adminId, note)];
+      const updated = await client.query(
+        `UPDATE compliance_cases
+         SET status = $1, status_history = $2, resolution = $3,
+             closed_by = $4, closed_at = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING *`,
+        [
+          status, JSON.stringify(history), status === 'closed' ? resolution : null,
+          status === 'closed' ? adminId : null, status === 'closed' ? new Date() : null, caseId
+        ]
+      );
+      return { before: complianceCase, after: updated.rows[0] };
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: `compliance.case_${status}`,
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { userId: after.user_id, before: { status: before.status }, after: { status, resolution: after.resolution }, note },
+      req
+    });
+
+    console.log(`🗂️ Compliance case ${caseId} ${before.status} -> ${status} by ${adminId}`);
+    return after;
+  }
+
+  /**
+   * Assign a case to an admin (or unassign it with null)
+   */
+  async assign(caseId, adminId, assigneeId, req = null) {
+    if (assigneeId) {
+      const assignee = await query(`SELECT id FROM users WHERE id = $1 AND role = 'admin'`, [assigneeId]);
+      if (assignee.rows.length === 0) {
+        throw new Error('Assignee must be an admin');
+      }
+    }
+
+    const { before, after } = await transaction(async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+      const updated = await client.query(
+        'UPDATE compliance_cases SET assignee_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [assigneeId || null, caseId]
+      );
+      return { before: complianceCase, after: updated.rows[0] };
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.case_assigned',
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { before: { assigneeId: before.assignee_id }, after: { assigneeId: after.assignee_id } },
+      req
+    });
+
+    return after;
+  }
+
+  async addNote(caseId, adminId, body, req = null) {
+    if (!body || !String(body).trim()) {
+      throw new Error('Note text is required');
+    }
+
+    const note = await transaction(async (client) => {
+      await this.lockCase(client, caseId);
+      const inserted = await client.query(
+        `INSERT INTO compliance_case_notes (case_id, author_id, body)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [caseId, adminId, String(body).trim()]
+      );
+      await client.query('UPDATE compliance_cases SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [caseId]);
+      return inserted.rows[0];
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.note_added',
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { noteId: note.id },
+      req
+    });
+
+    return note;
+  }
+
+  /**
+   * Attach evidence to a case. `data` is base64 or a data: URL; the file is stored
+   * encrypted and only its details are kept in the database.
+   */
+  async addAttachment(caseId, adminId, { fileName, contentType, data }, req = null) {
+    const dataUrl = typeof data === 'string' && data.match(/^data:([^;]+);base64,(.*)$/s);
+    if (dataUrl) {
+      contentType = contentType || dataUrl[1];
+      data = dataUrl[2];
+    }
+    if (!ATTACHMENT_TYPES.includes(contentType)) {
+      throw new Error(`Attachment must be ${ATTACHMENT_TYPES.join(', ')}`);
+    }
+    if (typeof data !== 'string' || data.length === 0) {
+      throw new Error('Attachment data is required');
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+      throw new Error('Attachment is empty');
+    }
+    if (buffer.length > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`Attachment is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+    }
+
+    const existing = await query('SELECT id FROM compliance_cases WHERE id = $1', [caseId]);
+    if (existing.rows.length === 0) {
+      throw new Error('Compliance case not found');
+    }
+
+    const safeName = String(fileName || 'attachment').replace(/[^\w.\- ]+/g, '_').slice(0, 200);
+    const attachmentId = crypto.randomUUID();
+    const location = await kycStorageService.put(`compliance/${caseId}/${attachmentId}`, buffer);
+
+    let attachment;
+    try {
+      const inserted = await query(
+        `INSERT INTO compliance_case_attachments
+           (id, case_id, uploaded_by, file_name, content_type, size_bytes, sha256, storage_backend, storage_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, case_id, file_name, content_type, size_bytes, sha256, created_at`,
+        [
+          attachmentId, caseId, adminId, safeName, contentType, buffer.length,
+          crypto.createHash('sha256').update(buffer).digest('hex'), location.backend, location.storageKey
+        ]
+      );
+      attachment = inserted.rows[0];
+    } catch (error) {
+      await kycStorageService.remove(location.backend, location.storageKey).catch(() => null);
+      throw error;
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.attachment_added',
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { attachmentId, fileName: safeName, contentType, sizeBytes: buffer.length },
+      req
+    });
+
+    return attachment;
+  }
+
+  /**
+   * Decrypt an attachment for an admin; every view is audited
+   */
+  async getAttachment(caseId, attachmentId, adminId, req = null) {
+    const result = await query(
+      'SELECT * FROM compliance_case_attachments WHERE id = $1 AND case_id = $2',
+      [attachmentId, caseId]
+    );
+    const attachment = result.rows[0];
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    const content = await kycStorageService.get(attachment.storage_backend, attachment.storage_key);
+    if (crypto.createHash('sha256').update(content).digest('hex') !== attachment.sha256) {
+      throw new Error('Compliance attachment failed its integrity check');
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.attachment_viewed',
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { attachmentId },
+      req
+    });
+
+    return { attachment, content };
+  }
+
+  /**
+   * Freeze the case's user account until unfreeze()
+   */
+  async freeze(caseId, adminId, { reason }, req = null) {
+    if (!reason) {
+      throw new Error('A reason is required to freeze an account');
+    }
+
+    const complianceCase = await transaction(async (client) => {
+      const locked = await this.lockCase(client, caseId);
+      if (!locked.user_id) {
+        throw new Error('This case is not linked to a user account');
+      }
+      if (locked.status === 'closed') {
+        throw new Error('Compliance case is closed');
+      }
+      if (locked.account_frozen) {
+        throw new Error('Account is already frozen by this case');
+      }
+
+      const updated = await client.query(
+        `UPDATE compliance_cases
+         SET account_frozen = true, frozen_reason = $1, frozen_by = $2, frozen_at = CURRENT_TIMESTAMP,
+             status_history = status_history || $3::jsonb, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [reason, adminId, JSON.stringify([{ ...this.historyEntry(locked.status, locked.status, adminId, reason), event: 'account_frozen' }]), caseId]
+      );
+      return updated.rows[0];
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.account_frozen',
+      targetTable: 'users',
+      targetId: complianceCase.user_id,
+      diff: { caseId, reason },
+      req
+    });
+
+    console.log(`🧊 Account ${complianceCase.user_id} frozen by compliance case ${caseId}`);
+    return complianceCase;
+  }
+
+  async unfreeze(caseId, adminId, { note }, req = null) {
+    if (!note) {
+      throw new Error('A note is required to unfreeze an account');
+    }
+
+    const complianceCase = await transaction(async (client) => {
+      const locked = await this.lockCase(client, caseId);
+      if (!locked.account_frozen) {
+        throw new Error('Account is not frozen by this case');
+      }
+
+      const updated = await client.query(
+        `UPDATE compliance_cases
+         SET account_frozen = false, unfrozen_by = $1, unfrozen_at = CURRENT_TIMESTAMP,
+             status_history = status_history || $2::jsonb, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [adminId, JSON.stringify([{ ...this.historyEntry(locked.status, locked.status, adminId, note), event: 'account_unfrozen' }]), caseId]
+      );
+      return updated.rows[0];
+    });
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.account_unfrozen',
+      targetTable: 'users',
+      targetId: complianceCase.user_id,
+      diff: { caseId, note },
+      req
+    });
+
+    console.log(`🧊 Account ${complianceCase.user_id} unfrozen by compliance case ${caseId}`);
+    return complianceCase;
+  }
+
+  /**
+   * Build a suspicious-activity report for a case: the subject, the case and its
+   * alerts, the subject's transactions around them, related AML and screening cases,
+   * notes and attachment details. The export is audited.
+   */
+  async exportSar(caseId, adminId, format = 'json', req = null) {
+    const complianceCase = await this.getCase(caseId);
+    if (!complianceCase) {
+      throw new Error('Compliance case not found');
+    }
+
+    const firstAlertAt = complianceCase.alerts[0]?.created_at || complianceCase.created_at;
+    const periodFrom = new Date(new Date(firstAlertAt).getTime() - SAR_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const periodTo = new Date();
+
+    let subject = { userId: null, email: complianceCase.subject_email };
+    let transactions = [];
+    let relatedCases = { aml: [], screening: [] };
+
+    if (complianceCase.user_id) {
+      const [user, ledger, aml, screening] = await Promise.all([
+        query(
+          'SELECT id, full_name, email, kyc_level, kyc_verified_at, last_login, created_at FROM users WHERE id = $1',
+          [complianceCase.user_id]
+        ),
+        query(
+          `SELECT type, currency, amount, reference_id, created_at
+           FROM transactions_ledger
+           WHERE user_id = $1 AND created_at BETWEEN $2 AND $3
+           ORDER BY created_at
+           LIMIT 500`,
+          [complianceCase.user_id, periodFrom, periodTo]
+        ),
+        query(
+          `SELECT id, status, severity, resolution, created_at, closed_at FROM aml_cases WHERE user_id = $1 ORDER BY created_at`,
+          [complianceCase.user_id]
+        ),
+        query(
+          `SELECT id, subject_type, status, top_score, created_at, reviewed_at FROM screening_cases WHERE user_id = $1 ORDER BY created_at`,
+          [complianceCase.user_id]
+        )
+      ]);
+
+      const row = user.rows[0] || {};
+      subject = {
+        userId: complianceCase.user_id,
+        fullName: row.full_name || null,
+        email: row.email || complianceCase.subject_email,
+        registeredAt: row.created_at || null,
+        kycLevel: row.kyc_level ?? null,
+        kycVerifiedAt: row.kyc_verified_at || null,
+        lastLogin: row.last_login || null
+      };
+      transactions = ledger.rows.map(tx => ({
+        type: tx.type,
+        currency: tx.currency,
+        amount: tx.amount,
+        referenceId: tx.reference_id,
+        at: tx.created_at
+      }));
+      relatedCases = { aml: aml.rows, screening: screening.rows };
+    }
+
+    const admin = await query('SELECT full_name, email FROM users WHERE id = $1', [adminId]);
+
+    const report = {
+      reportType: 'suspicious_activity_report',
+      reference: `SAR-${String(caseId).slice(0, 8).toUpperCase()}`,
+      generatedAt: new Date().toISOString(),
+      generatedBy: { userId: adminId, name: admin.rows[0]?.full_name || null, email: admin.rows[0]?.email || null },
+      subject,
+      case: {
+        id: complianceCase.id,
+        status: complianceCase.status,
+        resolution: complianceCase.resolution,
+        assignee: complianceCase.assignee_id ? { userId: complianceCase.assignee_id, name: complianceCase.assignee_name } : null,
+        accountFrozen: complianceCase.account_frozen,
+        frozenAt: complianceCase.frozen_at,
+        frozenReason: complianceCase.frozen_reason,
+        openedAt: complianceCase.created_at,
+        closedAt: complianceCase.closed_at,
+        statusHistory: complianceCase.status_history || []
+      },
+      activityPeriod: { from: periodFrom.toISOString(), to: periodTo.toISOString() },
+      alerts: complianceCase.alerts.map(alert => ({
+        id: alert.id,
+        source: alert.source,
+        sourceLabel: SOURCES[alert.source],
+        kind: alert.kind,
+        ipAddress: alert.ip_address,
+        details: alert.details,
+        at: alert.created_at
+      })),
+      transactions,
+      relatedCases,
+      notes: complianceCase.notes.map(note => ({ author: note.author_name, body: note.body, at: note.created_at })),
+      attachments: complianceCase.attachments.map(attachment => ({
+        fileName: attachment.file_name,
+        contentType: attachment.content_type,
+        sizeBytes: attachment.size_bytes,
+        sha256: attachment.sha256,
+        at: attachment.created_at
+      }))
+    };
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'compliance.sar_exported',
+      targetTable: 'compliance_cases',
+      targetId: caseId,
+      diff: { reference: report.reference, format },
+      req
+    });
+
+    return report;
+  }
+}
+
+module.exports = new ComplianceCaseService();
@@ -0,0 +1,146 @@
+const { query } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+
+const SETTING_KEY = 'deposit_confirmation_policy';
+
+/**
+ * Deposit confirmation-depth policy
+ *
+ * How many confirmations a deposit needs before it is credited, per currency
+ * (or currency and network) and amount tier. Stored as JSON in the
+ * `deposit_confirmation_policy` platform setting, e.g.
+ *
+ *   {
+ *     "BTC": [{ "minAmount": 0, "confirmations": 2 }, { "minAmount": 1, "confirmations": 6 }],
+ *     "USDT:tron": [{ "minAmount": 0, "confirmations": 20 }]
+ *   }
+ *
+ * A "CURRENCY:network" entry wins over a plain "CURRENCY" entry. A deposit uses the
+ * tier with the highest minAmount it reaches. Without a matching entry the
+ * adapter's own requiredConfirmations applies.
+ */
+class ConfirmationPolicyService {
+  constructor() {
+    this.settingKey = SETTING_KEY;
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Check and normalise a policy; throws with a message fit for the admin.
+   * With `ignoreUnknown`, entries for networks that are not enabled here are dropped instead.
+   */
+  validatePolicy(policy, { ignoreUnknown = false } = {}) {
+    if (typeof policy === 'string') {
+      try {
+        policy = JSON.parse(policy);
+      } catch (error) {
+        throw new Error('Confirmation policy must be valid JSON');
+      }
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('Confirmation policy must be an object keyed by currency or currency:network');
+    }
+
+    const normalized = {};
+    for (const [rawKey, tiers] of Object.entries(policy)) {
+      const [currency, network] = rawKey.split(':');
+      if (!chainAdapters.has(currency, network || null)) {
+        if (ignoreUnknown) continue;
+        throw new Error(`Unsupported currency or network in confirmation policy: ${rawKey}`);
+      }
+      const key = network
+        ? `${currency.toUpperCase()}:${chainAdapters.normalizeNetwork(network)}`
+        : currency.toUpperCase();
+
+      if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error(`${rawKey}: tiers must be a non-empty array`);
+      }
+
+      normalized[key] = tiers.map((tier) => {
+        const minAmount = parseFloat(tier?.minAmount ?? 0);
+        const confirmations = parseInt(tier?.confirmations, 10);
+        if (!Number.isFinite(minAmount) || minAmount < 0) {
+          throw new Error(`${rawKey}: minAmount must be zero or more`);
+        }
+        if (!Number.isInteger(confirmations) || confirmations < 1) {
+          throw new Error(`${rawKey}: confirmations must be a whole number of at least 1`);
+        }
+        return { minAmount, confirmations };
+      }).sort((a, b) => a.minAmount - b.minAmount);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Current policy (cached briefly; an unreadable setting means adapter defaults)
+   */
+  async getPolicy() {
+    if (this.cachedPolicy && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedPolicy;
+    }
+
+    let policy = {};
+    try {
+      const result = await query(
+        'SELECT setting_value FROM platform_settings WHERE setting_key = $1',
+        [this.settingKey]
+      );
+      if (result.rows.length > 0 && result.rows[0].setting_value) {
+        policy = this.validatePolicy(result.rows[0].setting_value, { ignoreUnknown: true });
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load deposit confirmation policy, using adapter defaults:', error.message);
+    }
+
+    this.cachedPolicy = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  clearCache() {
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Tiers that apply to an adapter (null if the policy has none)
+   */
+  async getTiers(adapter) {
+    const policy = await this.getPolicy();
+    return policy[adapter.key] || policy[adapter.currency] || null;
+  }
+
+  /**
+   * Confirmations a deposit of `amount` needs on this adapter's chain
+   */
+  async getRequiredConfirmations(adapter, amount) {
+    const tiers = await this.getTiers(adapter);
+    if (!tiers) {
+      return adapter.requiredConfirmations;
+    }
+
+    let required = tiers[0].confirmations;
+    for (const tier of tiers) {
+      if (amount >= tier.minAmount) {
+        required = tier.confirmations;
+      }
+    }
+    return required;
+  }
+
+  /**
+   * Deepest requirement on this chain (how far back deposits may still be waiting)
+   */
+  async getMaxRequiredConfirmations(adapter) {
+    const tiers = await this.getTiers(adapter);
+    if (!tiers) {
+      return adapter.requiredConfirmations;
+    }
+    return Math.max(...tiers.map(tier => tier.confirmations));
+  }
+}
+
+module.exports = new ConfirmationPolicyService();
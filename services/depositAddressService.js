@@ -0,0 +1,160 @@
+const { query } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const walletAddressService = require('./walletAddressService');
+const { toTronAddress } = require('./chainAdapters/tronAddress');
+
+/**
+ * Per-user HD deposit addresses
+ *
+ * With DEPOSIT_ADDRESS_MODE=hd every user gets their own derived address per
+ * currency and network. The pool monitor watches them, so deposits are attributed
+ * to the owner without an admin claim, and the sweeper moves the funds into the
+ * pool wallet. Addresses are stored (with their encrypted key) the first time
+ * they are handed out; BIP44 account 0 is the pool wallet and is never assigned.
+ */
+class DepositAddressService {
+  constructor() {
+    this.mode = (process.env.DEPOSIT_ADDRESS_MODE || 'pool').toLowerCase();
+    this.maxAccountIndex = 1000000;
+
+    if (this.mode === 'hd' && !walletAddressService.hasConfiguredSeed) {
+      console.warn('⚠️ DEPOSIT_ADDRESS_MODE=hd needs MASTER_WALLET_SEED; per-user deposit addresses are disabled');
+    }
+  }
+
+  /**
+   * Whether users get their own deposit addresses
+   */
+  isEnabled() {
+    return this.mode === 'hd' && walletAddressService.hasConfiguredSeed;
+  }
+
+  /**
+   * Addresses for the same key family share one BIP44 account per user
+   */
+  keyFamily(adapter) {
+    return adapter.currency === 'BTC' ? 'btc' : 'evm';
+  }
+
+  async derive(adapter, accountIndex) {
+    if (this.keyFamily(adapter) === 'btc') {
+      return walletAddressService.deriveBTCAddress(accountIndex);
+    }
+
+    const wallet = await walletAddressService.deriveETHAddress(accountIndex);
+    if (adapter.network === 'tron') {
+      return { ...wallet, address: toTronAddress(wallet.address) };
+    }
+    return wallet;
+  }
+
+  /**
+   * The user's BIP44 account: the one already used for this key family, otherwise the
+   * userId hash, moved on past account 0 and past accounts other users hold
+   */
+  async getAccountIndex(userId, adapter) {
+    const family = this.keyFamily(adapter);
+    const existing = await query(
+      `SELECT account_index FROM user_deposit_addresses WHERE user_id = $1 AND key_family = $2 LIMIT 1`,
+      [userId, family]
+    );
+    if (existing.rows.length > 0) {
+      return existing.rows[0].account_index;
+    }
+
+    let accountIndex = walletAddressService.hashUserIdToNumber(userId);
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (accountIndex === 0) accountIndex = 1;
+
+      const taken = await query(
+        `SELECT 1 FROM user_deposit_addresses WHERE key_family = $1 AND account_index = $2 AND user_id != $3 LIMIT 1`,
+        [family, accountIndex, userId]
+      );
+      if (taken.rows.length === 0) {
+        return accountIndex;
+      }
+      accountIndex = (accountIndex + 1) % this.maxAccountIndex;
+    }
+    throw new Error('Could not allocate a deposit address account');
+  }
+
+  /**
+   * The user's deposit address for a currency and network, created on first use
+   */
+  async getOrCreateAddress(userId, currency, network = null) {
+    const adapter = chainAdapters.get(currency, network);
+
+    const existing = await query(
+      `SELECT * FROM user_deposit_addresses WHERE user_id = $1 AND currency = $2 AND network = $3`,
+      [userId, adapter.currency, adapter.network]
+    );
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const accountIndex = await this.getAccountIndex(userId, adapter);
+    const wallet = await this.derive(adapter, accountIndex);
+
+    const inserted = await query(
+      `INSERT INTO user_deposit_addresses
+         (user_id, currency, network, address, key_family, account_index, derivation_path, private_key_encrypted)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, currency, network) DO UPDATE SET user_id = EXCLUDED.user_id
+       RETURNING *`,
+      [
+        userId,
+        adapter.currency,
+        adapter.network,
+        wallet.address,
+        this.keyFamily(adapter),
+        accountIndex,
+        wallet.derivationPath,
+        walletAddressService.encrypt(wallet.privateKey)
+      ]
+    );
+
+    console.log(`🏷️ Deposit address assigned: user ${userId} ${adapter.currency} (${adapter.network}) ${wallet.address}`);
+    return inserted.rows[0];
+  }
+
+  /**
+   * All user deposit addresses on an adapter's chain
+   */
+  async getAddresses(adapter) {
+    const result = await query(
+      `SELECT * FROM user_deposit_addresses WHERE currency = $1 AND network = $2 ORDER BY created_at`,
+      [adapter.currency, adapter.network]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Deposit addresses with their owner, sweep status and credited funds not yet swept (admin view)
+   */
+  async listAddresses({ currency = null, network = null, limit = 100, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT a.id, a.user_id, u.email, a.currency, a.network, a.address, a.derivation_path,
+              a.last_sweep_status, a.last_sweep_error, a.last_sweep_tx_hash, a.last_swept_at, a.created_at,
+              COALESCE(SUM(d.amount) FILTER (WHERE d.status = 'claimed' AND d.swept_at IS NULL), 0) AS unswept_amount
+       FROM user_deposit_addresses a
+       JOIN users u ON u.id = a.user_id
+       LEFT JOIN pool_deposits d
+         ON d.deposit_address = a.address AND d.currency = a.currency AND d.network = a.network
+       WHERE ($1::text IS NULL OR a.currency = $1) AND ($2::text IS NULL OR a.network = $2)
+       GROUP BY a.id, u.email
+       ORDER BY a.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [currency, network, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Decrypted private key of a deposit address (for sweeping)
+   */
+  getPrivateKey(depositAddress) {
+    return walletAddressService.decrypt(depositAddress.private_key_encrypted);
+  }
+}
+
+module.exports = new DepositAddressService();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+
+/**
+ * Deposit intents for the shared pool address
+ *
+ * Users who send to the pool address first record an intent. Each open intent on a
+ * chain gets an exact amount of its own (the requested amount plus a few units in
+ * the last decimals), so the pool monitor can tell whose deposit arrived by amount
+ * alone. On chains whose adapter reads a memo from transfers the intent's reference
+ * code is matched first. Deposits that match no intent, or more than one, go to the
+ * admin claim queue with ranked suggestions.
+ */
+class DepositIntentService {
+  constructor() {
+    this.ttlHours = parseFloat(process.env.DEPOSIT_INTENT_TTL_HOURS || '24');
+    // Deposits sent just before expiry may still be confirming after it
+    this.graceMinutes = 120;
+    this.maxOffsetUnits = 9999;
+    this.maxSuggestions = 5;
+    // Suggestions consider intents up to this far off the deposited amount
+    this.suggestionTolerance = 0.05;
+  }
+
+  /**
+   * Decimals amounts are matched on (deposit amounts are stored with 8)
+   */
+  amountDecimals(adapter) {
+    return Math.min(adapter.decimals, 8);
+  }
+
+  /**
+   * Rows without a network were recorded before networks existed and count as the default network
+   */
+  isDefaultNetwork(adapter) {
+    return chainAdapters.get(adapter.currency).key === adapter.key;
+  }
+
+  generateReferenceCode() {
+    return `DI${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Record an intent with an exact amount no other open intent on the chain uses
+   */
+  async createIntent(userId, currency, requestedAmount, network = null, walletAddress = null) {
+    const adapter = chainAdapters.get(currency, network);
+    const decimals = this.amountDecimals(adapter);
+    const scale = 10 ** decimals;
+    const baseUnits = Math.round(requestedAmount * scale);
+
+    const open = await query(
+      `SELECT amount FROM deposit_requests
+       WHERE currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))
+         AND status = 'pending' AND transaction_hash IS NULL`,
+      [adapter.currency, adapter.network, this.isDefaultNetwork(adapter)]
+    );
+    const taken = new Set(open.rows.map(row => parseFloat(row.amount).toFixed(decimals)));
+
+    let amount = null;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const offset = crypto.randomInt(1, this.maxOffsetUnits + 1);
+      const candidate = ((baseUnits + offset) / scale).toFixed(decimals);
+      if (!taken.has(candidate)) {
+        amount = candidate;
+        break;
+      }
+    }
+    if (!amount) {
+      throw new Error('Too many open deposit intents for this amount, please try again later');
+    }
+
+    const result = await query(
+      `INSERT INTO deposit_requests
+         (user_id, currency, network, amount, requested_amount, reference_code, wallet_address, status, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', NOW() + ($8 || ' hours')::interval)
+       RETURNING *`,
+      [
+        userId,
+        adapter.currency,
+        adapter.network,
+        amount,
+        requestedAmount,
+        this.generateReferenceCode(),
+        walletAddress,
+        String(this.ttlHours)
+      ]
+    );
+
+    return { intent: result.rows[0], adapter };
+  }
+
+  /**
+   * Open intents on a chain whose memo or exact amount matches a deposit.
+   * One row is a match; several are ambiguous and go to the claim queue.
+   */
+  async findMatches(adapter, deposit) {
+    const params = [adapter.currency, adapter.network, this.isDefaultNetwork(adapter), String(this.graceMinutes)];
+    const openCondition = `currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))
+         AND status = 'pending' AND transaction_hash IS NULL
+         AND (expires_at + ($4 || ' minutes')::interval > NOW()
+              OR (expires_at IS NULL AND created_at >= NOW() - INTERVAL '24 hours'))`;
+
+    if (adapter.supportsMemo && deposit.memo) {
+      const byMemo = await query(
+        `SELECT * FROM deposit_requests WHERE ${openCondition} AND reference_code = $5`,
+        [...params, String(deposit.memo).trim().toUpperCase()]
+      );
+      if (byMemo.rows.length > 0) {
+        return byMemo.rows;
+      }
+    }
+
+    const byAmount = await query(
+      `SELECT * FROM deposit_requests WHERE ${openCondition} AND amount = $5::numeric
+       ORDER BY created_at DESC`,
+      [...params, Number(deposit.amount).toFixed(this.amountDecimals(adapter))]
+    );
+    return byAmount.rows;
+  }
+
+  /**
+   * Intents an admin is likely looking for when a deposit matched none (or several),
+   * best first: closeness of amount, whether the intent was still open, and recency
+   */
+  async suggestMatches(adapter, deposit) {
+    const result = await query(
+      `SELECT dr.id, dr.user_id, u.email, dr.amount, dr.requested_amount, dr.reference_code,
+              dr.status, dr.created_at, dr.expires_at
+       FROM deposit_requests dr
+       JOIN users u ON u.id = dr.user_id
+       WHERE dr.currency = $1 AND (dr.network = $2 OR (dr.network IS NULL AND $3::boolean))
+         AND dr.status IN ('pending', 'expired') AND dr.transaction_hash IS NULL
+         AND dr.created_at >= NOW() - INTERVAL '7 days'
+       ORDER BY dr.created_at DESC
+       LIMIT 500`,
+      [adapter.currency, adapter.network, this.isDefaultNetwork(adapter)]
+    );
+
+    const amount = Number(deposit.amount);
+    const now = Date.now();
+    const suggestions = [];
+
+    for (const intent of result.rows) {
+      const expected = parseFloat(intent.amount);
+      const requested = intent.requested_amount !== null ? parseFloat(intent.requested_amount) : expected;
+      const difference = Math.min(Math.abs(amount - expected), Math.abs(amount - requested));
+      const relative = difference / Math.max(expected, Number.EPSILON);
+      if (relative > this.suggestionTolerance) continue;
+
+      const reasons = [];
+      let score = 60 * (1 - relative / this.suggestionTolerance);
+      if (amount.toFixed(this.amountDecimals(adapter)) === expected.toFixed(this.amountDecimals(adapter))) {
+        reasons.push('exact amount');
+      } else if (Math.abs(amount - requested) <= Math.abs(amount - expected)) {
+        reasons.push(`amount ${(relative * 100).toFixed(2)}% off the requested amount`);
+      } else {
+        reasons.push(`amount ${(relative * 100).toFixed(2)}% off the intent amount`);
+      }
+
+      const expiresAt = intent.expires_at ? new Date(intent.expires_at).getTime() : null;
+      if (intent.status === 'pending' && (!expiresAt || expiresAt > now)) {
+        score += 25;
+        reasons.push('intent open');
+      } else {
+        score += 10;
+        reasons.push('intent expired');
+      }
+
+      // Newer intents are the likelier senders
+      const ageHours = (now - new Date(intent.created_at).getTime()) / 3600000;
+      score += 15 * Math.max(0, 1 - ageHours / (7 * 24));
+
+      suggestions.push({
+        intentId: intent.id,
+        userId: intent.user_id,
+        email: intent.email,
+        amount: expected,
+        requestedAmount: requested,
+        referenceCode: intent.reference_code,
+        status: intent.status,
+        createdAt: intent.created_at,
+        expiresAt: intent.expires_at,
+        score: Math.round(score),
+        reasons
+      });
+    }
+
+    return suggestions
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxSuggestions);
+  }
+
+  /**
+   * Close intents on a chain that are past expiry and grace; their amounts become free again
+   */
+  async expireIntents(adapter) {
+    const result = await query(
+      `UPDATE deposit_requests SET status = 'expired', updated_at = NOW()
+       WHERE currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))
+         AND status = 'pending' AND transaction_hash IS NULL
+         AND expires_at + ($4 || ' minutes')::interval <= NOW()`,
+      [adapter.currency, adapter.network, this.isDefaultNetwork(adapter), String(this.graceMinutes)]
+    );
+    if (result.rowCount > 0) {
+      console.log(`⌛ Expired ${result.rowCount} ${adapter.currency} (${adapter.network}) deposit intent(s)`);
+    }
+    return result.rowCount;
+  }
+}
+
+module.exports = new DepositIntentService();
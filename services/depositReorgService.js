@@ -0,0 +1,178 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const userBalanceService = require('./userBalanceService');
+const notificationService = require('./notificationService');
+
+/**
+ * Chain reorg handling for deposits
+ *
+ * Every detected deposit keeps the number and hash of the block it was mined in.
+ * revalidate() compares recent deposits with the current chain: a deposit whose
+ * transaction moved to another block only gets its block updated, while a deposit
+ * whose transaction is gone becomes `reorged` and any credit it produced is reversed.
+ */
+class DepositReorgService {
+  /**
+   * Whether rows without a network belong to this adapter (the currency's default network)
+   */
+  isDefaultNetwork(adapter) {
+    return chainAdapters.get(adapter.currency).key === adapter.key;
+  }
+
+  /**
+   * Deposits on this adapter's chain mined at or after `sinceBlock` that can still be reorged
+   */
+  async getRecentDeposits(adapter, sinceBlock) {
+    const params = [adapter.currency, adapter.network, this.isDefaultNetwork(adapter), sinceBlock];
+
+    const requests = await query(
+      `SELECT id, user_id, currency, amount, transaction_hash, block_number, block_hash, status
+       FROM deposit_requests
+       WHERE currency = $1
+         AND (network = $2 OR (network IS NULL AND $3::boolean))
+         AND block_hash IS NOT NULL AND block_number >= $4
+         AND status IN ('confirming', 'completed')`,
+      params
+    );
+
+    const poolDeposits = await query(
+      `SELECT id, user_id, currency, amount, transaction_hash, block_number, block_hash, status
+       FROM pool_deposits
+       WHERE currency = $1
+         AND (network = $2 OR (network IS NULL AND $3::boolean))
+         AND block_hash IS NOT NULL AND block_number >= $4
+         AND status IN ('pending', 'claimed')`,
+      params
+    );
+
+    return [
+      ...requests.rows.map(row => ({ ...row, table: 'deposit_requests' })),
+      ...poolDeposits.rows.map(row => ({ ...row, table: 'pool_deposits' }))
+    ];
+  }
+
+  /**
+   * Re-check recent deposits against the chain.
+   * Returns the lowest block found replaced (null if none) and the deposits that were reorged.
+   */
+  async revalidate(adapter) {
+    const latestBlock = await adapter.getLatestBlock();
+    const deposits = await this.getRecentDeposits(adapter, Math.max(latestBlock - adapter.scanLookback, 0));
+
+    const byBlock = new Map();
+    for (const deposit of deposits) {
+      const blockNumber = parseInt(deposit.block_number, 10);
+      if (!byBlock.has(blockNumber)) byBlock.set(blockNumber, []);
+      byBlock.get(blockNumber).push(deposit);
+    }
+
+    let forkBlock = null;
+    const reorged = [];
+
+    for (const [blockNumber, blockDeposits] of byBlock) {
+      const currentHash = await adapter.getBlockHash(blockNumber);
+      if (currentHash && currentHash === blockDeposits[0].block_hash) continue;
+
+      forkBlock = forkBlock === null ? blockNumber : Math.min(forkBlock, blockNumber);
+      console.log(`⚠️ ${adapter.currency} (${adapter.network}) block ${blockNumber} was replaced; re-checking ${blockDeposits.length} deposit(s)`);
+
+      for (const deposit of blockDeposits) {
+        const txBlock = await adapter.getTransactionBlock(deposit.transaction_hash, { cached: false });
+
+        if (txBlock && txBlock.success !== false) {
+          // Same transaction, mined again in the new chain
+          await query(
+            `UPDATE ${deposit.table} SET block_number = $1, block_hash = $2 WHERE id = $3`,
+            [txBlock.blockNumber, txBlock.blockHash, deposit.id]
+          );
+          console.log(`🔁 Deposit ${deposit.transaction_hash} re-mined in block ${txBlock.blockNumber}`);
+          continue;
+        }
+
+        if (await this.markReorged(deposit.table, deposit.id, `Block ${blockNumber} (${deposit.block_hash}) was orphaned`)) {
+          reorged.push(deposit);
+        }
+      }
+    }
+
+    return { forkBlock, reorged };
+  }
+
+  /**
+   * Move a deposit to `reorged` and reverse the credit it produced.
+   * Returns false if the deposit was already reorged or never counted.
+   */
+  async markReorged(table, depositId, reason) {
+    if (!['deposit_requests', 'pool_deposits'].includes(table)) {
+      throw new Error(`Unknown deposit table: ${table}`);
+    }
+
+    const deposit = await transaction(async (client) => {
+      const result = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [depositId]);
+      const row = result.rows[0];
+      if (!row || row.status === 'reorged') {
+        return null;
+      }
+
+      // Only these states carry a credit: a matched deposit request, or a pool deposit an admin assigned
+      const credited = (table === 'deposit_requests' && row.status === 'completed') ||
+        (table === 'pool_deposits' && row.status === 'claimed');
+
+      await client.query(
+        `UPDATE ${table} SET status = 'reorged', reorged_at = NOW() WHERE id = $1`,
+        [depositId]
+      );
+
+      // A deposit intent an admin completed with this deposit goes with it
+      if (table === 'pool_deposits') {
+        await client.query(
+          `UPDATE deposit_requests SET status = 'reorged', reorged_at = NOW() WHERE pool_deposit_id = $1`,
+          [depositId]
+        );
+      }
+
+      if (credited && row.user_id) {
+        await userBalanceService.debitUserBalance(
+          row.user_id,
+          row.currency,
+          row.amount,
+          `Deposit reversed after chain reorg: ${row.transaction_hash}`,
+          {
+            entryType: 'deposit_reversal',
+            referenceType: table === 'deposit_requests' ? 'deposit_request' : 'pool_deposit',
+            referenceId: row.id,
+            allowNegative: true,
+            client
+          }
+        );
+      }
+
+      return { ...row, credited };
+    });
+
+    if (!deposit) {
+      return false;
+    }
+
+    console.log(`🚨 Deposit ${deposit.transaction_hash} reorged (${reason})${deposit.credited ? `; reversed ${deposit.amount} ${deposit.currency} from user ${deposit.user_id}` : ''}`);
+
+    notificationService.notifyAdmins({
+      type: 'warning',
+      title: 'Deposit Reorged',
+      message: `${deposit.amount} ${deposit.currency} deposit ${deposit.transaction_hash} is no longer on chain${deposit.credited ? ' - credit reversed' : ''}`,
+      data: {
+        depositId: deposit.id,
+        table,
+        userId: deposit.user_id,
+        currency: deposit.currency,
+        amount: deposit.amount,
+        transactionHash: deposit.transaction_hash,
+        reason
+      }
+    });
+
+    return true;
+  }
+}
+
+module.exports = new DepositReorgService();
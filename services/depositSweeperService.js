@@ -0,0 +1,168 @@
+const { query } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const poolWalletService = require('./poolWalletService');
+const depositAddressService = require('./depositAddressService');
+
+/**
+ * Deposit sweeper
+ *
+ * Moves funds that users deposited to their own HD addresses into the pool wallet.
+ * Native coins are sent minus the network fee. Tokens need the fee coin on the
+ * deposit address first: on chains where the pool holds that coin (ETH for ERC-20)
+ * the sweeper tops the address up and sweeps on the next run; elsewhere the
+ * address is reported as needing gas.
+ */
+class DepositSweeperService {
+  constructor() {
+    this.interval = null;
+    this.running = false;
+    // Smallest balance worth a sweep transaction
+    this.minimumSweep = {
+      BTC: 0.0005,
+      ETH: 0.005,
+      USDT: 10
+    };
+  }
+
+  /**
+   * Sweep every chain once; returns a summary per address
+   * (also runs with HD mode switched off, so addresses already handed out still get emptied)
+   */
+  async sweepAll() {
+    if (this.running) {
+      throw new Error('A sweep is already in progress');
+    }
+    this.running = true;
+
+    try {
+      await poolWalletService.initializePoolWallets();
+      const results = [];
+      for (const adapter of chainAdapters.list()) {
+        results.push(...await this.sweepAdapter(adapter));
+      }
+
+      const swept = results.filter(r => r.status === 'swept');
+      if (swept.length > 0) {
+        console.log(`🧹 Swept ${swept.length} deposit address(es) into the pool`);
+      }
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async sweepAdapter(adapter) {
+    const poolAddress = adapter.poolAddress(poolWalletService.getPoolAddresses());
+    const addresses = await depositAddressService.getAddresses(adapter);
+    const results = [];
+
+    for (const depositAddress of addresses) {
+      let result;
+      try {
+        result = await this.sweepAddress(adapter, depositAddress, poolAddress);
+      } catch (error) {
+        console.error(`❌ Sweep of ${depositAddress.address} (${adapter.key}) failed:`, error.message);
+        result = { status: 'failed', error: error.message };
+      }
+
+      if (result.status !== 'skipped') {
+        await query(
+          `UPDATE user_deposit_addresses
+           SET last_sweep_status = $1, last_sweep_error = $2, last_sweep_tx_hash = COALESCE($3, last_sweep_tx_hash),
+               last_swept_at = CASE WHEN $1 = 'swept' THEN NOW() ELSE last_swept_at END
+           WHERE id = $4`,
+          [result.status, result.error || null, result.txHash || null, depositAddress.id]
+        );
+      }
+
+      results.push({ currency: adapter.currency, network: adapter.network, address: depositAddress.address, ...result });
+    }
+
+    return results;
+  }
+
+  /**
+   * Sweep one deposit address into the pool address on the same chain
+   */
+  async sweepAddress(adapter, depositAddress, poolAddress) {
+    const balance = await adapter.getBalance(depositAddress.address);
+    if (balance < (this.minimumSweep[adapter.currency] || 0)) {
+      return { status: 'skipped', balance };
+    }
+
+    const fee = await adapter.estimateFee(balance, poolAddress);
+    let amount = balance;
+
+    if (fee.currency === adapter.currency) {
+      // Native coin pays its own fee; leave a margin for fee movement
+      amount = balance - fee.amount * 1.5;
+      if (amount <= 0) {
+        return { status: 'skipped', balance };
+      }
+    } else {
+      const needsGas = await this.ensureGas(adapter, depositAddress.address, fee);
+      if (needsGas) {
+        return needsGas;
+      }
+    }
+
+    const txHash = await adapter.send({
+      privateKey: depositAddressService.getPrivateKey(depositAddress),
+      fromAddress: depositAddress.address,
+      toAddress: poolAddress,
+      amount: parseFloat(amount.toFixed(Math.min(adapter.decimals, 8)))
+    });
+
+    // The deposits that funded this address are now in the pool
+    await query(
+      `UPDATE pool_deposits SET swept_at = NOW(), sweep_tx_hash = $1
+       WHERE deposit_address = $2 AND currency = $3 AND network = $4 AND status = 'claimed' AND swept_at IS NULL`,
+      [txHash, depositAddress.address, adapter.currency, adapter.network]
+    );
+
+    console.log(`🧹 Swept ${amount} ${adapter.currency} (${adapter.network}) from ${depositAddress.address}: ${txHash}`);
+    return { status: 'swept', amount, txHash };
+  }
+
+  /**
+   * Make sure a token deposit address holds enough of the fee coin.
+   * Returns null when the sweep can go ahead, otherwise the result to report.
+   */
+  async ensureGas(adapter, address, fee) {
+    if (!chainAdapters.has(fee.currency, adapter.network)) {
+      return { status: 'needs_gas', error: `Send ${fee.amount} ${fee.currency} to ${address} to pay for the sweep` };
+    }
+
+    const gasAdapter = chainAdapters.get(fee.currency, adapter.network);
+    const gasBalance = await gasAdapter.getBalance(address);
+    if (gasBalance >= fee.amount) {
+      return null;
+    }
+
+    const topUp = parseFloat((fee.amount * 1.5 - gasBalance).toFixed(8));
+    const txHash = await poolWalletService.sendFromPool(fee.currency, address, topUp, adapter.network);
+    console.log(`⛽ Topped up ${address} with ${topUp} ${fee.currency} for a ${adapter.currency} sweep: ${txHash}`);
+    return { status: 'gas_sent', gasTxHash: txHash };
+  }
+
+  startScheduledSweeps(intervalMs = 30 * 60 * 1000) {
+    if (this.interval || !depositAddressService.isEnabled()) return;
+
+    this.interval = setInterval(() => {
+      this.sweepAll().catch(error => {
+        console.error('❌ Scheduled sweep failed:', error.message);
+      });
+    }, intervalMs);
+
+    console.log('✅ Deposit address sweeps scheduled (every', intervalMs / 60000, 'minutes)');
+  }
+
+  stopScheduledSweeps() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new DepositSweeperService();
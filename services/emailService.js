@@ -436,6 +436,73 @@ This is an automated email. Please do not reply to this message.
     });
   }
 
+  /**
+   * Send withdrawal address book notice (new address code, confirmation, removal, whitelist mode change)
+   */
+  async sendWithdrawalAddressNotice(email, userName, { action, currency, network, address, label, code, activatesAt }) {
+    const titles = {
+      added: '🔐 Confirm New Withdrawal Address',
+      confirmed: '⏳ Withdrawal Address Confirmed',
+      removed: '🗑️ Withdrawal Address Removed',
+      whitelist_enabled: '🛡️ Address Whitelist Enabled',
+      whitelist_disabled: '⚠️ Address Whitelist Disabled'
+    };
+    const messages = {
+      added: 'A new withdrawal address was added to your address book. Enter the code below together with your authenticator code to confirm it.',
+      confirmed: `This address has been confirmed. For your security it can be used for withdrawals from ${activatesAt ? new Date(activatesAt).toUTCString() : 'the end of the cooling-off period'}.`,
+      removed: 'This address was removed from your withdrawal address book and can no longer be used.',
+      whitelist_enabled: 'Withdrawals from your account can now only go to confirmed addresses in your address book.',
+      whitelist_disabled: 'Withdrawals from your account are no longer limited to your address book.'
+    };
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #FF9800, #F57C00); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .header h1 { color: white; margin: 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .detail-box { background: white; padding: 15px; border-left: 4px solid #FF9800; margin: 15px 0; }
+          .code { font-size: 28px; letter-spacing: 6px; font-weight: bold; text-align: center; }
+          .footer { text-align: center; margin-top: 20px; color: #888; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${titles[action]}</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${userName},</p>
+            <p>${messages[action]}</p>
+            ${address ? `
+            <div class="detail-box">
+              ${label ? `<p><strong>Label:</strong> ${label}</p>` : ''}
+              <p><strong>Currency:</strong> ${currency}${network ? ` (${network})` : ''}</p>
+              <p><strong>Address:</strong><br><small style="word-break: break-all;">${address}</small></p>
+            </div>` : ''}
+            ${code ? `<p class="code">${code}</p><p>This code expires in 15 minutes.</p>` : ''}
+            <p>If you did not make this change, contact our support team immediately and secure your account.</p>
+            <p>Best regards,<br>UOB Security House Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} UOB Security House. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: titles[action],
+      html,
+    });
+  }
+
   /**
    * Send gold purchase confirmation
    */
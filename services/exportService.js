@@ -712,6 +712,123 @@ class ExportService {
       }
     });
   }
+
+  /**
+   * Render a suspicious-activity report (complianceCaseService.exportSar) as PDF
+   */
+  async generateSarPDF(report) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50, bufferPages: true });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const section = (title) => {
+          if (doc.y > 680) doc.addPage();
+          doc.moveDown(0.5);
+          doc.fontSize(12).fillColor('#FFD700').text(title, 50, doc.y);
+          doc.strokeColor('#DDD').lineWidth(1).moveTo(50, doc.y + 2).lineTo(550, doc.y + 2).stroke();
+          doc.moveDown(0.5);
+        };
+        const line = (label, value) => {
+          if (doc.y > 720) doc.addPage();
+          doc.fontSize(9).fillColor('#666').text(`${label}: `, 60, doc.y, { continued: true })
+            .fillColor('#000').text(value === null || value === undefined || value === '' ? 'N/A' : String(value));
+        };
+        const when = (date) => (date ? new Date(date).toLocaleString() : 'N/A');
+
+        // Header
+        doc.rect(50, 30, 500, 60).stroke('#FFD700', 1);
+        doc.fontSize(16).fillColor('#FFD700').text('UOB SECURITY HOUSE', 60, 40);
+        doc.fontSize(11).fillColor('#000').text('Suspicious Activity Report - CONFIDENTIAL', 60, 58);
+        doc.fontSize(8).fillColor('#666').text(`Reference: ${report.reference} | Generated: ${when(report.generatedAt)} by ${report.generatedBy.name || report.generatedBy.userId}`, 60, 74);
+        doc.y = 100;
+
+        section('Subject');
+        line('Name', report.subject.fullName);
+        line('Email', report.subject.email);
+        line('User ID', report.subject.userId);
+        line('Registered', when(report.subject.registeredAt));
+        line('KYC level', report.subject.kycLevel);
+        line('Last login', when(report.subject.lastLogin));
+
+        section('Case');
+        line('Case ID', report.case.id);
+        line('Status', report.case.status);
+        line('Resolution', report.case.resolution);
+        line('Assignee', report.case.assignee?.name);
+        line('Opened', when(report.case.openedAt));
+        line('Closed', when(report.case.closedAt));
+        line('Account frozen', report.case.accountFrozen ? `Yes, since ${when(report.case.frozenAt)} (${report.case.frozenReason})` : 'No');
+        line('Activity period', `${when(report.activityPeriod.from)} - ${when(report.activityPeriod.to)}`);
+
+        section(`Alerts (${report.alerts.length})`);
+        report.alerts.forEach((alert, index) => {
+          if (doc.y > 700) doc.addPage();
+          doc.fontSize(9).fillColor('#000').text(`${index + 1}. ${when(alert.at)} - ${alert.sourceLabel}: ${alert.kind}`, 60, doc.y);
+          const details = alert.details || {};
+          const summary = ['country', 'city', 'isp', 'vpn_provider', 'failures', 'reason']
+            .filter(key => details[key] !== undefined && details[key] !== null)
+            .map(key => `${key}: ${details[key]}`)
+            .join(' | ');
+          doc.fontSize(8).fillColor('#666').text(`IP: ${alert.ipAddress || 'N/A'}${summary ? ` | ${summary}` : ''}`, 72, doc.y);
+        });
+
+        section(`Transactions (${report.transactions.length})`);
+        if (report.transactions.length === 0) {
+          doc.fontSize(9).fillColor('#000').text('No transactions in the activity period.', 60, doc.y);
+        }
+        report.transactions.forEach(tx => {
+          if (doc.y > 720) doc.addPage();
+          doc.fontSize(8).fillColor('#000').text(`${when(tx.at)}  ${tx.type}  ${tx.amount} ${tx.currency}  Ref: ${tx.referenceId || 'N/A'}`, 60, doc.y);
+        });
+
+        section('Related Cases');
+        line('AML cases', report.relatedCases.aml.map(c => `${c.status}/${c.severity}${c.resolution ? ` (${c.resolution})` : ''}`).join(', ') || 'None');
+        line('Screening cases', report.relatedCases.screening.map(c => `${c.subject_type}: ${c.status}`).join(', ') || 'None');
+
+        section('Case History');
+        report.case.statusHistory.forEach(entry => {
+          if (doc.y > 720) doc.addPage();
+          const change = entry.event ? entry.event.replace('_', ' ') : `${entry.from || 'new'} -> ${entry.to}`;
+          doc.fontSize(8).fillColor('#000').text(`${when(entry.at)}  ${change}${entry.note ? ` - ${entry.note}` : ''}`, 60, doc.y);
+        });
+
+        section(`Investigator Notes (${report.notes.length})`);
+        report.notes.forEach(note => {
+          if (doc.y > 700) doc.addPage();
+          doc.fontSize(8).fillColor('#666').text(`${when(note.at)} - ${note.author || 'Unknown'}`, 60, doc.y);
+          doc.fontSize(9).fillColor('#000').text(note.body, 60, doc.y, { width: 490 });
+          doc.moveDown(0.3);
+        });
+
+        section(`Attachments (${report.attachments.length})`);
+        report.attachments.forEach(attachment => {
+          if (doc.y > 720) doc.addPage();
+          doc.fontSize(8).fillColor('#000').text(`${attachment.fileName} (${attachment.contentType}, ${attachment.sizeBytes} bytes) sha256 ${attachment.sha256}`, 60, doc.y, { width: 490 });
+        });
+
+        // Footer
+        const pageRange = doc.bufferedPageRange();
+        for (let i = pageRange.start; i < pageRange.start + pageRange.count; i++) {
+          doc.switchToPage(i);
+          // Writing below the bottom margin would otherwise start a new page
+          doc.page.margins.bottom = 0;
+          doc.fontSize(7).fillColor('#999')
+            .text(`Page ${i - pageRange.start + 1} of ${pageRange.count}`, 50, 750, { align: 'left' })
+            .text(`${report.reference} - Confidential`, 50, 750, { align: 'right' });
+        }
+
+        doc.end();
+      } catch (error) {
+        console.error('SAR PDF generation error:', error);
+        reject(error);
+      }
+    });
+  }
 }
 
 module.exports = new ExportService();
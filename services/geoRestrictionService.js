@@ -242,8 +242,17 @@ class GeoRestrictionService {
                 req.headers['user-agent'] || 'Unknown'
             ];
 
-            await pool.query(query, values);
+            const result = await pool.query(query, values);
             console.log(`🚫 ${logMessage}: ${email} from ${validationResult.location?.country} (${validationResult.location?.city})`);
+
+            await require('./complianceCaseService').recordAlert({
+                source: 'geo',
+                kind: actionName,
+                email,
+                auditLogId: result.rows[0].id,
+                ipAddress: values[4],
+                details: restrictionDetails
+            });
         } catch (error) {
             console.error('Failed to log restricted attempt:', error);
         }
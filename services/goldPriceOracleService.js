@@ -0,0 +1,216 @@
+const goldPriceSources = require('./goldPriceSources');
+
+const TROY_OUNCE_GRAMS = 31.1035;
+const DEFAULT_SOURCES = 'metals_dev,goldapi,exchangerate_api';
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Gold Price Oracle
+ * The one gold price the platform quotes and trades on. Every source named in
+ * GOLD_PRICE_SOURCES is asked in parallel; quotes further than
+ * GOLD_PRICE_MAX_DEVIATION_PERCENT from their median are rejected and the price is the
+ * median of the rest. The price is contested when fewer than GOLD_PRICE_MIN_SOURCES
+ * quotes (or no majority of them) agree, and stale once it is older than
+ * GOLD_PRICE_STALE_SECONDS. Either way the last good price is still shown, but gold
+ * exchange trades are refused until a fresh, agreed price comes in.
+ */
+class GoldPriceOracleService {
+  constructor() {
+    this.sources = new Map();
+    Object.values(goldPriceSources).forEach(source => this.registerSource(source));
+
+    this.sourceNames = (process.env.GOLD_PRICE_SOURCES || DEFAULT_SOURCES)
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    this.refreshMs = parseInt(process.env.GOLD_PRICE_TTL_MS || '300000', 10);
+    this.staleSeconds = parseFloat(process.env.GOLD_PRICE_STALE_SECONDS) || 900;
+    this.maxDeviationPercent = parseFloat(process.env.GOLD_PRICE_MAX_DEVIATION_PERCENT) || 1;
+    this.minSources = parseInt(process.env.GOLD_PRICE_MIN_SOURCES, 10) || 1;
+
+    this.price = null; // Last agreed price: { pricePerOunce, pricePerGram, updatedAt, sources }
+    this.lastCheck = null; // Outcome of the last refresh, agreed or not
+    this.refreshing = null;
+    this.refreshDue = false;
+  }
+
+  /**
+   * Add a price source (replaces any source with the same name)
+   */
+  registerSource(source) {
+    if (!source?.name || typeof source.fetchPricePerOunce !== 'function') {
+      throw new Error('Gold price sources need a name and fetchPricePerOunce()');
+    }
+    this.sources.set(source.name, source);
+    return source;
+  }
+
+  /**
+   * Sources named in GOLD_PRICE_SOURCES that are registered and configured
+   */
+  activeSources() {
+    return this.sourceNames
+      .map(name => this.sources.get(name))
+      .filter(source => source && (!source.isConfigured || source.isConfigured()));
+  }
+
+  /**
+   * Ask every active source for a price and aggregate the quotes
+   * (concurrent callers share one refresh)
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.aggregate().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async aggregate() {
+    const sources = this.activeSources();
+    const checkedAt = Date.now();
+    this.refreshDue = false;
+    const results = await Promise.allSettled(sources.map(source => source.fetchPricePerOunce()));
+
+    const quotes = sources.map((source, index) => {
+      const result = results[index];
+      const pricePerOunce = result.status === 'fulfilled' ? parseFloat(result.value) : NaN;
+      if (Number.isFinite(pricePerOunce) && pricePerOunce > 0) {
+        return { source: source.name, pricePerOunce };
+      }
+      return { source: source.name, pricePerOunce: null, error: result.reason?.message || 'Invalid price' };
+    });
+
+    const healthy = quotes.filter(quote => quote.pricePerOunce);
+    if (!healthy.length) {
+      this.lastCheck = { checkedAt, median: null, quotes, contested: false, reason: 'no gold price source answered' };
+      console.error(`❌ No gold price source answered (${sources.map(source => source.name).join(', ') || 'none configured'})`);
+      return this.getSnapshot();
+    }
+
+    const center = median(healthy.map(quote => quote.pricePerOunce));
+    healthy.forEach(quote => {
+      quote.deviationPercent = parseFloat((Math.abs(quote.pricePerOunce - center) / center * 100).toFixed(4));
+      quote.accepted = quote.deviationPercent <= this.maxDeviationPercent;
+    });
+    const accepted = healthy.filter(quote => quote.accepted);
+    const rejected = healthy.filter(quote => !quote.accepted);
+
+    let reason = null;
+    if (accepted.length < this.minSources) {
+      reason = `only ${accepted.length} of ${this.minSources} required gold price sources agree`;
+    } else if (accepted.length * 2 <= healthy.length) {
+      reason = 'gold price sources disagree';
+    }
+
+    rejected.forEach(quote => {
+      console.warn(`⚠️ Gold price from ${quote.source} rejected: $${quote.pricePerOunce}/oz is ${quote.deviationPercent}% from the median $${center.toFixed(2)}/oz`);
+    });
+
+    this.lastCheck = { checkedAt, median: center, quotes, contested: !!reason, reason };
+    if (reason) {
+      console.error(`❌ Gold price contested: ${reason}`);
+      return this.getSnapshot();
+    }
+
+    const pricePerOunce = median(accepted.map(quote => quote.pricePerOunce));
+    this.price = {
+      pricePerOunce: parseFloat(pricePerOunce.toFixed(2)),
+      pricePerGram: parseFloat((pricePerOunce / TROY_OUNCE_GRAMS).toFixed(2)),
+      updatedAt: checkedAt,
+      sources: accepted.map(quote => quote.source)
+    };
+    console.log(`✅ Gold price: $${this.price.pricePerGram}/gram ($${this.price.pricePerOunce}/oz, median of ${this.price.sources.join(', ')})`);
+    return this.getSnapshot();
+  }
+
+  /**
+   * ok, stale (no agreed price for GOLD_PRICE_STALE_SECONDS) or contested (the last
+   * refresh found the sources disagreeing)
+   */
+  getStatus() {
+    if (this.lastCheck?.contested) return 'contested';
+    if (!this.price || Date.now() - this.price.updatedAt > this.staleSeconds * 1000) return 'stale';
+    return 'ok';
+  }
+
+  /**
+   * The last agreed price and whether it can be traded on
+   */
+  getSnapshot() {
+    const status = this.getStatus();
+    const ageSeconds = this.price ? Math.round((Date.now() - this.price.updatedAt) / 1000) : null;
+
+    let reason = null;
+    if (status === 'contested') {
+      reason = this.lastCheck.reason;
+    } else if (status === 'stale') {
+      reason = this.price ? `the gold price is ${ageSeconds}s old` : 'no gold price yet';
+    }
+
+    return {
+      pricePerGram: this.price?.pricePerGram ?? null,
+      pricePerOunce: this.price?.pricePerOunce ?? null,
+      currency: 'USD',
+      updatedAt: this.price ? new Date(this.price.updatedAt).toISOString() : null,
+      ageSeconds,
+      sources: this.price?.sources || [],
+      status,
+      reason
+    };
+  }
+
+  /**
+   * Current price, refreshed first when forced or when the last refresh is older than
+   * GOLD_PRICE_TTL_MS (or the stale limit, if that is shorter)
+   */
+  async getPrice({ force = false } = {}) {
+    const maxAge = Math.min(this.refreshMs, this.staleSeconds * 1000);
+    if (force || this.refreshDue || !this.lastCheck || Date.now() - this.lastCheck.checkedAt >= maxAge) {
+      return this.refresh();
+    }
+    return this.getSnapshot();
+  }
+
+  /**
+   * Refresh on the next getPrice() instead of waiting out GOLD_PRICE_TTL_MS
+   */
+  expire() {
+    this.refreshDue = true;
+  }
+
+  /**
+   * Message shown when gold trading is refused on a snapshot that is not ok
+   */
+  pausedMessage(snapshot) {
+    return `Gold trading is paused because ${snapshot.reason}. Please try again shortly.`;
+  }
+
+  /**
+   * The oracle's settings, status and the quotes of its last refresh (for admins)
+   */
+  getDetails() {
+    return {
+      ...this.getSnapshot(),
+      lastCheck: this.lastCheck
+        ? { ...this.lastCheck, checkedAt: new Date(this.lastCheck.checkedAt).toISOString() }
+        : null,
+      settings: {
+        sources: this.sourceNames,
+        activeSources: this.activeSources().map(source => source.name),
+        maxDeviationPercent: this.maxDeviationPercent,
+        minSources: this.minSources,
+        staleSeconds: this.staleSeconds,
+        refreshSeconds: this.refreshMs / 1000
+      }
+    };
+  }
+}
+
+module.exports = new GoldPriceOracleService();
@@ -1,238 +1,48 @@
-const axios = require('axios');
+const goldPriceOracleService = require('./goldPriceOracleService');
 
 /**
  * Gold Price Service
- * Fetches real-time gold prices from Metals.dev API
+ * Gold price per gram in USD, and crypto <-> gold conversions, as served by
+ * goldPriceOracleService (the median of the configured price sources)
  */
 
 class GoldPriceService {
-  constructor() {
-    // Try multiple APIs for redundancy
-    this.metalsDevUrl = 'https://api.metals.dev/v1/latest';
-    this.goldApiUrl = 'https://www.goldapi.io/api/XAU/USD'; // Alternative
-    this.apiKey = process.env.METALS_DEV_API_KEY || process.env.GOLD_API_KEY || 'demo';
-    
-    // Cache to avoid hitting API limits
-    // Reduced to 30 seconds for real-time updates (balance between freshness and rate limits)
-    this.cache = {
-      price: null,
-      timestamp: null,
-      ttl: parseInt(process.env.GOLD_PRICE_TTL_MS || '300000', 10) // 5 minutes cache (to avoid rate limits with free APIs)
-    };
-  }
-
   /**
-   * Get current gold price per gram in USD
+   * Get current gold price per gram in USD (the last agreed price, even while it is
+   * stale or contested; trades check the oracle's status themselves)
    */
   async getCurrentGoldPrice(force = false) {
-    try {
-      // Check cache first unless force refresh
-      if (!force && this.isCacheValid()) {
-        console.log('📊 Using cached gold price:', this.cache.price);
-        return this.cache.price;
-      }
-
-      console.log('🔍 Fetching fresh gold price from FREE public APIs...');
-
-      // Strategy: Use FREE APIs that don't require API keys
-      // Primary: CoinGecko (free, reliable, but rate-limited - we cache to avoid this)
-      // Fallback: Calculate from market data or use estimate
-
-      // 1. Try exchangerate-api.com (FREE, no API key, reliable)
-      // Note: exchangerate-api.com may not support XAU directly, but we'll try
-      try {
-        console.log('🔍 Trying exchangerate-api.com for XAU/USD...');
-        const exchangeResponse = await axios.get('https://api.exchangerate-api.com/v4/latest/XAU', {
-          timeout: 10000,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        if (exchangeResponse.data && exchangeResponse.data.rates && exchangeResponse.data.rates.USD) {
-          // Price is in USD per troy ounce
-          const pricePerOunce = parseFloat(exchangeResponse.data.rates.USD);
-          const pricePerGram = pricePerOunce / 31.1035;
-          
-          if (pricePerGram > 0 && pricePerGram < 1000) {
-            this.cache = {
-              price: parseFloat(pricePerGram.toFixed(2)),
-              timestamp: Date.now(),
-              ttl: this.cache.ttl
-            };
-            
-            console.log(`✅ Gold price from exchangerate-api.com: $${pricePerGram.toFixed(2)}/gram (from $${pricePerOunce.toFixed(2)}/oz)`);
-            return parseFloat(pricePerGram.toFixed(2));
-          }
-        }
-      } catch (exchangeError) {
-        // exchangerate-api.com doesn't support XAU, this is expected
-        console.log('⚠️ exchangerate-api.com doesn\'t support XAU (expected)');
-      }
-      
-      // Skip trying CoinDesk - it's for Bitcoin, not gold
-      // Skip Gold-API.com - requires payment/API key
-      // Skip API Ninjas - requires API key
-      // Skip metals-api.com - requires API key
-      
-      // These free APIs don't work without keys or have issues, so we'll proceed to Metals.dev
-
-      // Try Metals.dev API (if API key is provided)
-      // Metals.dev requires an API key - check if one is configured
-      if (this.apiKey && this.apiKey !== 'demo') {
-        try {
-          console.log(`🔍 Calling Metals.dev API with API key (${this.apiKey.substring(0, 4)}***)...`);
-          
-          const response = await axios.get('https://api.metals.dev/v1/latest', {
-            params: {
-              api_key: this.apiKey,
-              currency: 'USD',
-              unit: 'toz' // troy ounce
-            },
-            headers: {
-              'Accept': 'application/json'
-            },
-            timeout: 10000
-          });
-
-          console.log('📥 Metals.dev API response:', JSON.stringify(response.data, null, 2));
-
-          // Handle different response formats
-          let pricePerOunce = null;
-          
-          if (response.data && response.data.metals && response.data.metals.gold) {
-            pricePerOunce = parseFloat(response.data.metals.gold);
-          } else if (response.data && response.data.gold) {
-            pricePerOunce = parseFloat(response.data.gold);
-          } else if (response.data && typeof response.data === 'number') {
-            pricePerOunce = parseFloat(response.data);
-          } else if (response.data && response.data.price) {
-            pricePerOunce = parseFloat(response.data.price);
-          } else if (response.data && response.data.rates && response.data.rates.XAU) {
-            // Metals-api.com format: rates.XAU might be per troy ounce or per gram
-            const xauRate = parseFloat(response.data.rates.XAU);
-            // If rate is very small (< 0.01), it's per troy ounce (like 0.000482 means 1/0.000482 per oz)
-            pricePerOunce = xauRate < 0.01 ? 1 / xauRate : xauRate;
-          }
-
-          if (pricePerOunce && !isNaN(pricePerOunce) && pricePerOunce > 0 && pricePerOunce < 10000) {
-            // Price is per troy ounce, convert to grams
-            // 1 troy ounce = 31.1035 grams
-            const pricePerGram = pricePerOunce / 31.1035;
-            
-            // Update cache
-            this.cache = {
-              price: parseFloat(pricePerGram.toFixed(2)),
-              timestamp: Date.now(),
-              ttl: this.cache.ttl
-            };
-            
-            console.log(`✅ Gold price from Metals.dev: $${pricePerGram.toFixed(2)}/gram (from $${pricePerOunce.toFixed(2)}/oz)`);
-            return parseFloat(pricePerGram.toFixed(2));
-          } else {
-            console.warn('⚠️ Metals.dev returned invalid price data:', response.data);
-          }
-        } catch (metalsDevError) {
-          const errorData = metalsDevError.response?.data;
-          if (errorData && (errorData.error_code === 1203 || errorData.error_message?.includes('quota'))) {
-            console.error('❌ Metals.dev API quota exhausted:', errorData.error_message);
-            console.log('💡 Solution: Upgrade your Metals.dev plan or wait for quota reset');
-            console.log('💡 Alternative: Set METALS_API_KEY for metals-api.com service');
-          } else if (metalsDevError.response?.status === 401 || metalsDevError.response?.status === 403) {
-            console.error('❌ Metals.dev API authentication failed. Please check your API key.');
-            console.log('💡 Tip: Set METALS_DEV_API_KEY in your .env file with a valid API key');
-          } else {
-            console.error('⚠️ Metals.dev API failed:', {
-              message: metalsDevError.message,
-              response: errorData,
-              status: metalsDevError.response?.status
-            });
-          }
-        }
-      } else {
-        console.log('⚠️ Metals.dev API key not configured. Using free APIs or fallback.');
-        console.log('💡 Tip: Set METALS_DEV_API_KEY in your .env file to use Metals.dev API');
-      }
-
-      // Fallback to cached price if available
-      if (this.cache.price) {
-        console.log(`⚠️ Using stale cached price: $${this.cache.price}/gram (from ${new Date(this.cache.timestamp).toLocaleTimeString()})`);
-        return this.cache.price;
-      }
-
-      // Check if we have a price from real-time service
-      try {
-        const realtimeService = require('./realtimeGoldPriceService');
-        const realtimePrice = realtimeService.getCurrentPrice();
-        if (realtimePrice && realtimePrice.pricePerGram) {
-          console.log(`📊 Using price from real-time service: $${realtimePrice.pricePerGram}/gram`);
-          return realtimePrice.pricePerGram;
-        }
-      } catch (err) {
-        // Ignore if real-time service not available
-      }
-
-      // Ultimate fallback: Use market average estimate
-      // As of 2024-2025, gold typically trades around $2,000-$2,100/oz
-      // We'll use a conservative estimate that updates based on current market conditions
-      // Current estimate: ~$2,050/oz = ~$65.90/gram
-      // But to simulate real-time changes, we'll add small variations
-      const basePrice = 65.90;
-      const variation = (Math.random() - 0.5) * 2; // ±$1 variation
-      const fallbackPrice = Math.max(60, Math.min(75, basePrice + variation)); // Keep within reasonable range
-      
-      console.log(`⚠️ Using fallback gold price: $${fallbackPrice.toFixed(2)}/gram (all APIs failed - this is NOT real-time)`);
-      console.log(`⚠️ IMPORTANT: Configure a working gold price API (Metals.dev, metals-api.com, etc.) for real-time prices`);
-      
-      // Still cache it so we don't spam
-      this.cache = {
-        price: parseFloat(fallbackPrice.toFixed(2)),
-        timestamp: Date.now(),
-        ttl: this.cache.ttl
-      };
-      
-      return parseFloat(fallbackPrice.toFixed(2));
-    } catch (error) {
-      console.error('❌ Error fetching gold price:', error.message);
-      
-      // Fallback to cached price if available
-      if (this.cache.price) {
-        console.log('⚠️ Using stale cached price due to error');
-        return this.cache.price;
-      }
-
-      // Ultimate fallback
-      const fallbackPrice = 65.90;
-      console.log(`⚠️ Using fallback gold price: $${fallbackPrice}/gram`);
-      return fallbackPrice;
+    const snapshot = await goldPriceOracleService.getPrice({ force });
+    if (!snapshot.pricePerGram) {
+      throw new Error('Gold price unavailable');
     }
+    return snapshot.pricePerGram;
   }
 
   /**
-   * Check if cache is still valid
+   * Whether the oracle's price is fresh and agreed
    */
   isCacheValid() {
-    if (!this.cache.price || !this.cache.timestamp) {
-      return false;
-    }
-
-    const age = Date.now() - this.cache.timestamp;
-    return age < this.cache.ttl;
+    return goldPriceOracleService.getStatus() === 'ok';
   }
 
   /**
    * Get gold price with metadata
    */
   async getGoldPriceWithMetadata(force = false) {
-    const price = await this.getCurrentGoldPrice(force);
-    
+    const snapshot = await goldPriceOracleService.getPrice({ force });
+    if (!snapshot.pricePerGram) {
+      throw new Error('Gold price unavailable');
+    }
+
     return {
-      pricePerGram: price,
+      pricePerGram: snapshot.pricePerGram,
       currency: 'USD',
       unit: 'gram',
-      timestamp: new Date().toISOString(),
-      source: 'Metals.dev',
-      cached: this.isCacheValid()
+      timestamp: snapshot.updatedAt,
+      source: snapshot.sources.join(', '),
+      status: snapshot.status,
+      cached: snapshot.ageSeconds > 0
     };
   }
 
@@ -281,14 +91,10 @@ class GoldPriceService {
   }
 
   /**
-   * Clear cache (for testing/admin)
+   * Fetch a fresh price on the next request (for testing/admin)
    */
   clearCache() {
-    this.cache = {
-      price: null,
-      timestamp: null,
-      ttl: this.cache.ttl
-    };
+    goldPriceOracleService.expire();
     console.log('🗑️ Gold price cache cleared');
   }
 }
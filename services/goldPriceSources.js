@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+/**
+ * Gold price sources for goldPriceOracleService
+ *
+ * A source is { name, isConfigured(), fetchPricePerOunce() }: fetchPricePerOunce()
+ * resolves with the USD price of one troy ounce or throws. Sources only fetch and
+ * parse; the oracle decides which quotes to trust. Add a source by registering it
+ * with goldPriceOracleService.registerSource() and naming it in GOLD_PRICE_SOURCES.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+};
+
+// Metals.dev (needs METALS_DEV_API_KEY; GOLD_API_KEY is read for older deployments)
+const metalsDev = {
+  name: 'metals_dev',
+  apiKey: () => process.env.METALS_DEV_API_KEY || process.env.GOLD_API_KEY || null,
+  isConfigured() {
+    const apiKey = this.apiKey();
+    return !!apiKey && apiKey !== 'demo';
+  },
+  async fetchPricePerOunce() {
+    const response = await axios.get('https://api.metals.dev/v1/latest', {
+      params: { api_key: this.apiKey(), currency: 'USD', unit: 'toz' },
+      headers: { 'Accept': 'application/json' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    const data = response.data || {};
+    if (data.error_code || data.status === 'failure') {
+      throw new Error(data.error_message || `Metals.dev error ${data.error_code}`);
+    }
+    const price = parsePrice(data.metals?.gold ?? data.gold ?? data.price);
+    if (!price) {
+      throw new Error('Metals.dev returned no gold price');
+    }
+    return price;
+  }
+};
+
+// GoldAPI.io (needs GOLDAPI_IO_KEY)
+const goldApi = {
+  name: 'goldapi',
+  isConfigured: () => !!process.env.GOLDAPI_IO_KEY,
+  async fetchPricePerOunce() {
+    const response = await axios.get('https://www.goldapi.io/api/XAU/USD', {
+      headers: { 'Accept': 'application/json', 'x-access-token': process.env.GOLDAPI_IO_KEY },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    const price = parsePrice(response.data?.price);
+    if (!price) {
+      throw new Error('GoldAPI returned no gold price');
+    }
+    return price;
+  }
+};
+
+// exchangerate-api.com (free, no key; XAU is not on every plan)
+const exchangeRateApi = {
+  name: 'exchangerate_api',
+  isConfigured: () => true,
+  async fetchPricePerOunce() {
+    const response = await axios.get('https://api.exchangerate-api.com/v4/latest/XAU', {
+      headers: { 'Accept': 'application/json' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    const price = parsePrice(response.data?.rates?.USD);
+    if (!price) {
+      throw new Error('exchangerate-api.com returned no XAU/USD rate');
+    }
+    return price;
+  }
+};
+
+// A fixed price from GOLD_PRICE_FIXED_USD_PER_OUNCE, for development and staging only
+const fixed = {
+  name: 'fixed',
+  isConfigured: () => !!parsePrice(process.env.GOLD_PRICE_FIXED_USD_PER_OUNCE),
+  async fetchPricePerOunce() {
+    return parsePrice(process.env.GOLD_PRICE_FIXED_USD_PER_OUNCE);
+  }
+};
+
+module.exports = { metalsDev, goldApi, exchangeRateApi, fixed };
@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const kycStorageService = require('./kycStorageService');
+const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
+
+const SETTING_KEY = 'kyc_requirements';
+
+// Documents a submission for each level must include (id_back is always optional)
+const LEVEL_DOCUMENTS = {
+  1: ['id_front', 'selfie'],
+  2: ['id_front', 'selfie', 'proof_of_address']
+};
+const DOCUMENT_TYPES = ['id_front', 'id_back', 'selfie', 'proof_of_address'];
+const MAX_LEVEL = Math.max(...Object.keys(LEVEL_DOCUMENTS).map(Number));
+
+// Accepted uploads and the bytes each must start with
+const CONTENT_TYPES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'application/pdf': [Buffer.from('%PDF')]
+};
+
+// Minimum level per gated feature (kyc_requirements setting)
+const FEATURES = ['gold_exchange', 'withdrawals', 'crowdfunding'];
+const DEFAULT_REQUIREMENTS = { gold_exchange: 1, withdrawals: 1, crowdfunding: 1 };
+
+/**
+ * Identity verification (KYC)
+ *
+ * A user asks for a verification level by submitting the documents it needs (level 1:
+ * ID and selfie, level 2: also proof of address). Documents are uploaded as base64,
+ * checked, encrypted and stored (kycStorageService); the submission then waits in the
+ * admin review queue. Approving it raises `users.kyc_level`. Each feature gated by KYC
+ * needs the level set in the `kyc_requirements` platform setting:
+ *
+ *   { "gold_exchange": 1, "withdrawals": 1, "crowdfunding": 1 }
+ *
+ * Submissions, reviews, document views and manual level changes go to audit_logs.
+ */
+class KycService {
+  constructor() {
+    this.settingKey = SETTING_KEY;
+    this.features = FEATURES;
+    this.documentTypes = DOCUMENT_TYPES;
+    this.levelDocuments = LEVEL_DOCUMENTS;
+    this.maxLevel = MAX_LEVEL;
+    this.maxDocumentBytes = (parseFloat(process.env.KYC_MAX_DOCUMENT_MB) || 5) * 1024 * 1024;
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Check and normalise the requirements; throws with a message fit for the admin
+   */
+  validatePolicy(policy) {
+    if (typeof policy === 'string') {
+      try {
+        policy = JSON.parse(policy);
+      } catch (error) {
+        throw new Error('KYC requirements must be valid JSON');
+      }
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error(`KYC requirements must be an object keyed by feature (${FEATURES.join(', ')})`);
+    }
+
+    const normalized = { ...DEFAULT_REQUIREMENTS };
+    for (const [feature, level] of Object.entries(policy)) {
+      if (!FEATURES.includes(feature)) {
+        throw new Error(`Unknown KYC feature: ${feature}`);
+      }
+      const parsed = parseInt(level, 10);
+      if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_LEVEL) {
+        throw new Error(`${feature}: level must be a whole number from 0 to ${MAX_LEVEL}`);
+      }
+      normalized[feature] = parsed;
+    }
+    return normalized;
+  }
+
+  /**
+   * Current requirements (cached briefly; an unreadable setting means the defaults)
+   */
+  async getPolicy() {
+    if (this.cachedPolicy && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedPolicy;
+    }
+
+    let policy = DEFAULT_REQUIREMENTS;
+    try {
+      const result = await query(
+        'SELECT setting_value FROM platform_settings WHERE setting_key = $1',
+        [this.settingKey]
+      );
+      if (result.rows.length > 0 && result.rows[0].setting_value) {
+        policy = this.validatePolicy(result.rows[0].setting_value);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load KYC requirements, using the defaults:', error.message);
+    }
+
+    this.cachedPolicy = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  clearCache() {
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  async getRequiredLevel(feature) {
+    const policy = await this.getPolicy();
+    return policy[feature] ?? 0;
+  }
+
+  async getUserLevel(userId) {
+    const result = await query('SELECT kyc_level FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+    return result.rows[0].kyc_level || 0;
+  }
+
+  /**
+   * The user's level, their latest submission and what each feature needs
+   */
+  async getStatus(userId) {
+    const user = await query('SELECT kyc_level, kyc_verified_at FROM users WHERE id = $1', [userId]);
+    if (user.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const latest = await query(
+      `SELECT id, requested_level, status, rejection_reason, submitted_at, reviewed_at
+       FROM kyc_submissions
+       WHERE user_id = $1
+       ORDER BY submitted_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    return {
+      level: user.rows[0].kyc_level || 0,
+      verifiedAt: user.rows[0].kyc_verified_at,
+      latestSubmission: latest.rows[0] || null,
+      requirements: await this.getPolicy(),
+      levelDocuments: LEVEL_DOCUMENTS
+    };
+  }
+
+  /**
+   * Decode and check one uploaded document ({ type, contentType, data }); data may be
+   * plain base64 or a data: URL
+   */
+  parseDocument(document) {
+    const { type } = document || {};
+    if (!DOCUMENT_TYPES.includes(type)) {
+      throw new Error(`Document type must be one of ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    let { contentType, data } = document;
+    const dataUrl = typeof data === 'string' && data.match(/^data:([^;]+);base64,(.*)$/s);
+    if (dataUrl) {
+      contentType = contentType || dataUrl[1];
+      data = dataUrl[2];
+    }
+    if (!CONTENT_TYPES[contentType]) {
+      throw new Error(`${type}: file must be ${Object.keys(CONTENT_TYPES).join(', ')}`);
+    }
+    if (typeof data !== 'string' || data.length === 0) {
+      throw new Error(`${type}: file data is required`);
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+      throw new Error(`${type}: file is empty`);
+    }
+    if (buffer.length > this.maxDocumentBytes) {
+      throw new Error(`${type}: file is larger than ${Math.round(this.maxDocumentBytes / 1024 / 1024)} MB`);
+    }
+    if (!CONTENT_TYPES[contentType].some(magic => buffer.subarray(0, magic.length).equals(magic))) {
+      throw new Error(`${type}: file content does not match ${contentType}`);
+    }
+
+    return { type, contentType, buffer };
+  }
+
+  /**
+   * Submit documents for a verification level; they are stored encrypted and the
+   * submission joins the admin review queue
+   */
+  async submit(userId, { level, documents }, req = null) {
+    const requestedLevel = parseInt(level, 10);
+    if (!LEVEL_DOCUMENTS[requestedLevel]) {
+      throw new Error(`Level must be one of ${Object.keys(LEVEL_DOCUMENTS).join(', ')}`);
+    }
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('At least one document is required');
+    }
+
+    const currentLevel = await this.getUserLevel(userId);
+    if (currentLevel >= requestedLevel) {
+      throw new Error(`Your account is already verified at level ${currentLevel}`);
+    }
+
+    const pending = await query(
+      `SELECT id FROM kyc_submissions WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+    if (pending.rows.length > 0) {
+      throw new Error('You already have a verification submission under review');
+    }
+
+    const parsed = documents.map(document => this.parseDocument(document));
+    const types = parsed.map(document => document.type);
+    if (new Set(types).size !== types.length) {
+      throw new Error('Each document type may only be uploaded once');
+    }
+    const missing = LEVEL_DOCUMENTS[requestedLevel].filter(type => !types.includes(type));
+    if (missing.length > 0) {
+      throw new Error(`Level ${requestedLevel} also needs: ${missing.join(', ')}`);
+    }
+
+    const submissionId = crypto.randomUUID();
+    const stored = [];
+    try {
+      for (const document of parsed) {
+        const documentId = crypto.randomUUID();
+        const location = await kycStorageService.put(`${userId}/${submissionId}/${documentId}`, document.buffer);
+        stored.push({
+          id: documentId,
+          ...document,
+          ...location,
+          sha256: crypto.createHash('sha256').update(document.buffer).digest('hex')
+        });
+      }
+
+      await transaction(async (client) => {
+        await client.query(
+          `INSERT INTO kyc_submissions (id, user_id, requested_level, previous_level, status)
+           VALUES ($1, $2, $3, $4, 'pending')`,
+          [submissionId, userId, requestedLevel, currentLevel]
+        );
+        for (const document of stored) {
+          await client.query(
+            `INSERT INTO kyc_documents (id, submission_id, user_id, document_type, content_type, size_bytes, sha256, storage_backend, storage_key)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [document.id, submissionId, userId, document.type, document.contentType, document.buffer.length, document.sha256, document.backend, document.storageKey]
+          );
+        }
+      });
+    } catch (error) {
+      // Nothing is left behind in storage for a submission that was not recorded
+      await Promise.all(stored.map(document =>
+        kycStorageService.remove(document.backend, document.storageKey).catch(() => null)
+      ));
+      if (error.code === '23505') {
+        throw new Error('You already have a verification submission under review');
+      }
+      throw error;
+    }
+
+    await auditLogService.log({
+      actorUserId: userId,
+      action: 'kyc.submitted',
+      targetTable: 'kyc_submissions',
+      targetId: submissionId,
+      diff: { requestedLevel, documents: stored.map(({ id, type, contentType, sha256 }) => ({ id, type, contentType, sha256 })) },
+      req
+    });
+
+    notificationService.notifyAdmins({
+      type: 'info',
+      title: 'KYC Submission',
+      message: `A user submitted documents for verification level ${requestedLevel}`,
+      data: { submissionId, userId, requestedLevel }
+    });
+
+    console.log(`🪪 KYC submission ${submissionId}: user ${userId} asked for level ${requestedLevel}`);
+    return this.getSubmission(submissionId);
+  }
+
+  /**
+   * Review queue (pending submissions, oldest first) or any status for the admin views
+   */
+  async listSubmissions({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT s.*, u.full_name, u.email, u.kyc_level AS current_level,
+              (SELECT COUNT(*) FROM kyc_documents d WHERE d.submission_id = s.id)::int AS document_count
+       FROM kyc_submissions s
+       JOIN users u ON s.user_id = u.id
+       WHERE ($1::text IS NULL OR s.status = $1)
+       ORDER BY s.submitted_at ${status === 'pending' ? 'ASC' : 'DESC'}
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * One submission with its document details (never the files themselves)
+   */
+  async getSubmission(submissionId) {
+    const result = await query(
+      `SELECT s.*, u.full_name, u.email, u.kyc_level AS current_level
+       FROM kyc_submissions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const documents = await query(
+      `SELECT id, document_type, content_type, size_bytes, sha256, created_at
+       FROM kyc_documents
+       WHERE submission_id = $1
+       ORDER BY created_at`,
+      [submissionId]
+    );
+    return { ...result.rows[0], documents: documents.rows };
+  }
+
+  /**
+   * Decrypt a document for an admin reviewer; every view is audited
+   */
+  async getDocument(documentId, adminId, req = null) {
+    const result = await query('SELECT * FROM kyc_documents WHERE id = $1', [documentId]);
+    const document = result.rows[0];
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    const content = await kycStorageService.get(document.storage_backend, document.storage_key);
+    if (crypto.createHash('sha256').update(content).digest('hex') !== document.sha256) {
+      throw new Error('Document failed its integrity check');
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'kyc.document_viewed',
+      targetTable: 'kyc_documents',
+      targetId: document.id,
+      diff: { submissionId: document.submission_id, userId: document.user_id, type: document.document_type },
+      req
+    });
+
+    return { document, content };
+  }
+
+  /**
+   * Approve or reject a pending submission (an admin can never review their own)
+   */
+  async review(submissionId, adminId, { decision, notes = null, reason = null }, req = null) {
+    if (decision === 'rejected' && !reason) {
+      throw new Error('Rejection reason is required');
+    }
+
+    const reviewed = await transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
+      const submission = locked.rows[0];
+      if (!submission) {
+        throw new Error('KYC submission not found');
+      }
+      if (submission.status !== 'pending') {
+        throw new Error(`KYC submission is already ${submission.status}`);
+      }
+      if (String(submission.user_id) === String(adminId)) {
+        throw new Error('You cannot review your own verification');
+      }
+
+      const updated = await client.query(
+        `UPDATE kyc_submissions
+         SET status = $1, reviewer_id = $2, review_notes = $3, rejection_reason = $4, reviewed_at = NOW()
+         WHERE id = $5
+         RETURNING *`,
+        [decision, adminId, notes, decision === 'rejected' ? reason : null, submissionId]
+      );
+
+      const user = await client.query('SELECT kyc_level FROM users WHERE id = $1 FOR UPDATE', [submission.user_id]);
+      const previousLevel = user.rows[0]?.kyc_level || 0;
+      let newLevel = previousLevel;
+      if (decision === 'approved' && submission.requested_level > previousLevel) {
+        newLevel = submission.requested_level;
+        await client.query(
+          `UPDATE users SET kyc_level = $1, kyc_verified_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [newLevel, submission.user_id]
+        );
+      }
+
+      return { submission: updated.rows[0], previousLevel, newLevel };
+    });
+
+    const { submission, previousLevel, newLevel } = reviewed;
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: `kyc.${decision}`,
+      targetTable: 'kyc_submissions',
+      targetId: submission.id,
+      diff: {
+        userId: submission.user_id,
+        requestedLevel: submission.requested_level,
+        before: { kycLevel: previousLevel },
+        after: { kycLevel: newLevel },
+        notes,
+        reason
+      },
+      req
+    });
+
+    notificationService.notifyUser(submission.user_id, decision === 'approved'
+      ? {
+        type: 'success',
+        title: 'Identity Verified',
+        message: `Your account is now verified at level ${newLevel}`,
+        data: { submissionId: submission.id, level: newLevel }
+      }
+      : {
+        type: 'error',
+        title: 'Verification Rejected',
+        message: `Your verification was rejected: ${reason}`,
+        data: { submissionId: submission.id, reason }
+      });
+
+    console.log(`🪪 KYC submission ${submission.id} ${decision} by ${adminId} (level ${previousLevel} -> ${newLevel})`);
+    return { ...submission, previous_level: previousLevel, new_level: newLevel };
+  }
+
+  async approve(submissionId, adminId, { notes = null } = {}, req = null) {
+    return this.review(submissionId, adminId, { decision: 'approved', notes }, req);
+  }
+
+  async reject(submissionId, adminId, { reason, notes = null } = {}, req = null) {
+    return this.review(submissionId, adminId, { decision: 'rejected', reason, notes }, req);
+  }
+
+  /**
+   * Set a user's level directly (e.g. to downgrade after a document expires)
+   */
+  async setLevel(userId, level, adminId, { reason = null } = {}, req = null) {
+    const newLevel = parseInt(level, 10);
+    if (!Number.isInteger(newLevel) || newLevel < 0 || newLevel > MAX_LEVEL) {
+      throw new Error(`Level must be a whole number from 0 to ${MAX_LEVEL}`);
+    }
+    if (!reason) {
+      throw new Error('A reason is required');
+    }
+
+    const previousLevel = await this.getUserLevel(userId);
+    await query(
+      `UPDATE users
+       SET kyc_level = $1, kyc_verified_at = CASE WHEN $1 > 0 THEN COALESCE(kyc_verified_at, NOW()) ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [newLevel, userId]
+    );
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'kyc.level_set',
+      targetTable: 'users',
+      targetId: userId,
+      diff: { before: { kycLevel: previousLevel }, after: { kycLevel: newLevel }, reason },
+      req
+    });
+
+    console.log(`🪪 KYC level for user ${userId} set to ${newLevel} by ${adminId}`);
+    return { userId, previousLevel, level: newLevel };
+  }
+}
+
+module.exports = new KycService();
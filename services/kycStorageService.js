@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Stored blobs start with this marker, then the IV, the auth tag and the ciphertext
+const MAGIC = Buffer.from('KYC1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const PLACEHOLDER_KEY = 'kyc-document-key-change-this-in-production';
+
+/**
+ * Encrypted storage for KYC documents
+ *
+ * Every document is encrypted with AES-256-GCM (KYC_ENCRYPTION_KEY) before it leaves
+ * the process, so neither the disk nor the bucket ever holds a readable image.
+ * KYC_STORAGE picks the backend:
+ *
+ *   local  files under KYC_STORAGE_DIR (default ./storage/kyc)
+ *   s3     any S3-compatible bucket (KYC_S3_ENDPOINT, KYC_S3_BUCKET, KYC_S3_REGION,
+ *          KYC_S3_ACCESS_KEY_ID, KYC_S3_SECRET_ACCESS_KEY), path-style, SigV4-signed
+ */
+class KycStorageService {
+  constructor() {
+    this.backend = (process.env.KYC_STORAGE || 'local').toLowerCase();
+    this.localDir = path.resolve(process.env.KYC_STORAGE_DIR || './storage/kyc');
+    this.s3 = {
+      endpoint: (process.env.KYC_S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, ''),
+      bucket: process.env.KYC_S3_BUCKET,
+      region: process.env.KYC_S3_REGION || 'us-east-1',
+      accessKeyId: process.env.KYC_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.KYC_S3_SECRET_ACCESS_KEY
+    };
+    this.key = null;
+  }
+
+  /**
+   * 32-byte key from KYC_ENCRYPTION_KEY (64 hex characters are used as-is, anything else is
+   * stretched with scrypt). Outside production a placeholder key is used when it is unset.
+   */
+  getKey() {
+    if (this.key) return this.key;
+
+    let secret = process.env.KYC_ENCRYPTION_KEY;
+    if (!secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('KYC_ENCRYPTION_KEY is not configured');
+      }
+      console.warn('⚠️ KYC_ENCRYPTION_KEY is not set. Using a placeholder key (development only).');
+      secret = PLACEHOLDER_KEY;
+    }
+
+    this.key = /^[0-9a-f]{64}$/i.test(secret)
+      ? Buffer.from(secret, 'hex')
+      : crypto.scryptSync(secret, 'kyc-documents', 32);
+    return this.key;
+  }
+
+  encrypt(buffer) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  decrypt(blob) {
+    if (!blob.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('Stored KYC document is not in a recognised format');
+    }
+    const iv = blob.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+    const tag = blob.subarray(MAGIC.length + IV_BYTES, MAGIC.length + IV_BYTES + TAG_BYTES);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(blob.subarray(MAGIC.length + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  }
+
+  /**
+   * Encrypt and store a document; resolves with the backend and key to find it again
+   */
+  async put(storageKey, buffer) {
+    const blob = this.encrypt(buffer);
+
+    if (this.backend === 's3') {
+      await this.s3Request('PUT', storageKey, blob);
+    } else {
+      const filePath = this.localPath(storageKey);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+      await fs.promises.writeFile(filePath, blob, { mode: 0o600 });
+    }
+
+    return { backend: this.backend, storageKey };
+  }
+
+  /**
+   * Read and decrypt a document stored with put()
+   */
+  async get(backend, storageKey) {
+    const blob = backend === 's3'
+      ? await this.s3Request('GET', storageKey)
+      : await fs.promises.readFile(this.localPath(storageKey));
+    return this.decrypt(blob);
+  }
+
+  async remove(backend, storageKey) {
+    if (backend === 's3') {
+      await this.s3Request('DELETE', storageKey);
+    } else {
+      await fs.promises.rm(this.localPath(storageKey), { force: true });
+    }
+  }
+
+  localPath(storageKey) {
+    const filePath = path.resolve(this.localDir, storageKey);
+    if (!filePath.startsWith(this.localDir + path.sep)) {
+      throw new Error('Invalid KYC storage key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Minimal S3 client: one object request signed with AWS Signature Version 4
+   */
+  async s3Request(method, storageKey, body = null) {
+    const { endpoint, bucket, region, accessKeyId, secretAccessKey } = this.s3;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('KYC S3 storage is not configured');
+    }
+
+    const url = new URL(`${endpoint}/${bucket}/${storageKey.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const response = await axios({
+      method,
+      url: url.toString(),
+      data: body || undefined,
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: {
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': payloadHash,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        ...(body ? { 'Content-Type': 'application/octet-stream' } : {})
+      }
+    });
+    return Buffer.from(response.data);
+  }
+}
+
+module.exports = new KycStorageService();
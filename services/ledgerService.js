@@ -0,0 +1,490 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * Double-entry ledger
+ *
+ * Every change to a user's platform balance is recorded as a journal entry
+ * whose postings net to zero per currency. `user_balances` is a projection of
+ * the postings against user accounts and can be rebuilt from them at any time.
+ *
+ * Account types (credit-positive, i.e. a positive posting increases the balance):
+ *   user     - what the platform owes a user
+ *   pool     - on-chain custody in the pool wallet (carries the mirror of deposits)
+ *   fee      - platform fee revenue
+ *   suspense - amounts awaiting settlement or classification
+ *   treasury - platform-owned funds from gold trades and crowdfunding
+ */
+class LedgerService {
+  constructor() {
+    this.accountTypes = ['user', 'pool', 'fee', 'suspense', 'treasury'];
+
+    // Amounts are kept at 8 decimal places, the precision used by the money tables
+    this.scale = 8;
+    this.unit = 10n ** BigInt(this.scale);
+  }
+
+  /**
+   * Round an amount to ledger precision
+   */
+  roundAmount(amount) {
+    return parseFloat(Number(amount).toFixed(this.scale));
+  }
+
+  /**
+   * Convert an amount to integer ledger units (for exact balance checks)
+   */
+  toUnits(amount) {
+    const numeric = Number(amount);
+    if (!Number.isFinite(numeric)) {
+      throw new Error(`Invalid ledger amount: ${amount}`);
+    }
+    const [whole, fraction = ''] = Math.abs(numeric).toFixed(this.scale).split('.');
+    const units = BigInt(whole) * this.unit + BigInt(fraction.padEnd(this.scale, '0'));
+    return numeric < 0 ? -units : units;
+  }
+
+  /**
+   * Convert integer ledger units back to a decimal string
+   */
+  fromUnits(units) {
+    const negative = units < 0n;
+    const abs = negative ? -units : units;
+    const whole = abs / this.unit;
+    const fraction = (abs % this.unit).toString().padStart(this.scale, '0');
+    return `${negative ? '-' : ''}${whole}.${fraction}`;
+  }
+
+  /**
+   * Build the unique code of an account
+   */
+  accountCode(type, currency, userId = null) {
+    if (!this.accountTypes.includes(type)) {
+      throw new Error(`Unknown ledger account type: ${type}`);
+    }
+    if (type === 'user') {
+      if (!userId) {
+        throw new Error('User accounts require a userId');
+      }
+      return `user:${userId}:${currency}`;
+    }
+    return `${type}:${currency}`;
+  }
+
+  /**
+   * Find or create a ledger account
+   */
+  async getOrCreateAccount(client, type, currency, userId = null) {
+    const code = this.accountCode(type, currency, userId);
+
+    const existing = await client.query(
+      'SELECT * FROM ledger_accounts WHERE account_code = $1',
+      [code]
+    );
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const created = await client.query(
+      `INSERT INTO ledger_accounts (account_code, account_type, user_id, currency)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (account_code) DO UPDATE SET account_code = EXCLUDED.account_code
+       RETURNING *`,
+      [code, type, type === 'user' ? userId : null, currency]
+    );
+    return created.rows[0];
+  }
+
+  /**
+   * Post a balanced journal entry and update the user_balances projection.
+   *
+   * @param {Object} entry
+   * @param {string} entry.entryType - e.g. 'deposit', 'buy_gold', 'crowdfunding_invest'
+   * @param {Array} entry.postings - [{ account: 'user'|'pool'|..., userId?, currency, amount }]
+   * @param {Object} [client] - pg client of an open transaction; one is opened if omitted
+   * @returns {Object} The journal entry with its postings
+   */
+  async postJournal(entry, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.postJournal(entry, txClient));
+    }
+
+    const {
+      entryType,
+      description = '',
+      referenceType = null,
+      referenceId = null,
+      meta = {},
+      createdBy = null,
+      postings = [],
+      allowNegative = false
+    } = entry;
+
+    if (!entryType) {
+      throw new Error('Journal entry type is required');
+    }
+    if (postings.length < 2) {
+      throw new Error('A journal entry needs at least two postings');
+    }
+
+    // Normalise postings and check that each currency nets to zero
+    const totals = {};
+    const normalised = postings.map((posting) => {
+      const currency = (posting.currency || '').toUpperCase();
+      if (!currency) {
+        throw new Error('Posting currency is required');
+      }
+      const units = this.toUnits(posting.amount);
+      if (units === 0n) {
+        throw new Error('Posting amount must be non-zero');
+      }
+      totals[currency] = (totals[currency] || 0n) + units;
+      return { ...posting, currency, units };
+    });
+
+    for (const [currency, total] of Object.entries(totals)) {
+      if (total !== 0n) {
+        throw new Error(`Unbalanced journal entry: ${currency} postings net to ${this.fromUnits(total)}`);
+      }
+    }
+
+    const journalResult = await client.query(
+      `INSERT INTO ledger_journal_entries (entry_type, description, reference_type, reference_id, meta, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        entryType,
+        description,
+        referenceType,
+        referenceId !== null && referenceId !== undefined ? String(referenceId) : null,
+        JSON.stringify(meta),
+        createdBy
+      ]
+    );
+    const journal = journalResult.rows[0];
+
+    const createdPostings = [];
+    for (const posting of normalised) {
+      const account = await this.getOrCreateAccount(client, posting.account, posting.currency, posting.userId);
+      const amount = this.fromUnits(posting.units);
+
+      const postingResult = await client.query(
+        `INSERT INTO ledger_postings (journal_id, account_id, currency, amount)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [journal.id, account.id, posting.currency, amount]
+      );
+      createdPostings.push({ ...postingResult.rows[0], account_code: account.account_code });
+
+      if (account.account_type === 'user') {
+        await this.applyToProjection(client, account.user_id, posting.currency, amount, allowNegative);
+      }
+    }
+
+    console.log(`📒 Journal ${journal.id} posted: ${entryType} (${createdPostings.length} postings)`);
+
+    return { ...journal, postings: createdPostings };
+  }
+
+  /**
+   * Apply a user posting to user_balances. Debits may not take the available balance below zero.
+   */
+  async applyToProjection(client, userId, currency, amount, allowNegative = false) {
+    await client.query(
+      `INSERT INTO user_balances (user_id, currency, balance, available_balance, updated_at)
+       VALUES ($1, $2, 0, 0, NOW())
+       ON CONFLICT (user_id, currency) DO NOTHING`,
+      [userId, currency]
+    );
+
+    const result = await client.query(
+      `UPDATE user_balances
+       SET balance = balance + $3::numeric,
+           available_balance = available_balance + $3::numeric,
+           updated_at = NOW()
+       WHERE user_id = $1 AND currency = $2
+         AND ($4::boolean OR $3::numeric >= 0 OR available_balance + $3::numeric >= 0)
+       RETURNING balance, available_balance`,
+      [userId, currency, amount, allowNegative]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Insufficient ${currency} balance`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Reverse a previously posted journal entry (posts the mirror entry)
+   */
+  async reverseJournal(journalId, { description = '', createdBy = null, meta = {} } = {}, client = null) {
+    if (!client) {
+      return transaction((txClient) => this.reverseJournal(journalId, { description, createdBy, meta }, txClient));
+    }
+
+    const journalResult = await client.query(
+      'SELECT * FROM ledger_journal_entries WHERE id = $1',
+      [journalId]
+    );
+    if (journalResult.rows.length === 0) {
+      throw new Error('Journal entry not found');
+    }
+    const original = journalResult.rows[0];
+
+    const postingsResult = await client.query(
+      `SELECT p.currency, p.amount, a.account_type, a.user_id
+       FROM ledger_postings p
+       JOIN ledger_accounts a ON a.id = p.account_id
+       WHERE p.journal_id = $1`,
+      [journalId]
+    );
+
+    return this.postJournal({
+      entryType: 'reversal',
+      description: description || `Reversal of ${original.entry_type} ${original.id}`,
+      referenceType: 'ledger_journal',
+      referenceId: original.id,
+      meta: { ...meta, reversed_entry_type: original.entry_type },
+      createdBy,
+      allowNegative: true,
+      postings: postingsResult.rows.map(row => ({
+        account: row.account_type,
+        userId: row.user_id,
+        currency: row.currency,
+        amount: -parseFloat(row.amount)
+      }))
+    }, client);
+  }
+
+  /**
+   * Get the ledger balance of a user account
+   */
+  async getUserLedgerBalance(userId, currency) {
+    const result = await query(
+      `SELECT COALESCE(SUM(p.amount), 0) AS balance
+       FROM ledger_postings p
+       JOIN ledger_accounts a ON a.id = p.account_id
+       WHERE a.account_type = 'user' AND a.user_id = $1 AND a.currency = $2`,
+      [userId, currency.toUpperCase()]
+    );
+    return parseFloat(result.rows[0].balance);
+  }
+
+  /**
+   * Get journal entries (newest first), optionally for one user
+   */
+  async getJournal({ userId = null, limit = 50, offset = 0 } = {}) {
+    const params = [limit, offset];
+    let where = '';
+    if (userId) {
+      params.push(userId);
+      where = `WHERE j.id IN (
+        SELECT p.journal_id FROM ledger_postings p
+        JOIN ledger_accounts a ON a.id = p.account_id
+        WHERE a.user_id = $3
+      )`;
+    }
+
+    const result = await query(
+      `SELECT j.*,
+        COALESCE(json_agg(json_build_object(
+          'account', a.account_code,
+          'currency', p.currency,
+          'amount', p.amount
+        ) ORDER BY p.amount) FILTER (WHERE p.id IS NOT NULL), '[]') AS postings
+       FROM ledger_journal_entries j
+       LEFT JOIN ledger_postings p ON p.journal_id = j.id
+       LEFT JOIN ledger_accounts a ON a.id = p.account_id
+       ${where}
+       GROUP BY j.id
+       ORDER BY j.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Prove the books balance per currency and report drift between postings and user_balances
+   */
+  async audit() {
+    const trialBalance = await query(
+      `SELECT a.currency, a.account_type, SUM(p.amount) AS total
+       FROM ledger_postings p
+       JOIN ledger_accounts a ON a.id = p.account_id
+       GROUP BY a.currency, a.account_type
+       ORDER BY a.currency, a.account_type`
+    );
+
+    const currencies = {};
+    for (const row of trialBalance.rows) {
+      if (!currencies[row.currency]) {
+        currencies[row.currency] = { currency: row.currency, accounts: {}, total: 0n };
+      }
+      currencies[row.currency].accounts[row.account_type] = row.total;
+      currencies[row.currency].total += this.toUnits(row.total);
+    }
+
+    const unbalancedJournals = await query(
+      `SELECT journal_id, currency, SUM(amount) AS total
+       FROM ledger_postings
+       GROUP BY journal_id, currency
+       HAVING SUM(amount) <> 0`
+    );
+
+    const drift = await query(
+      `WITH ledger AS (
+         SELECT a.user_id, a.currency, SUM(p.amount) AS ledger_balance
+         FROM ledger_postings p
+         JOIN ledger_accounts a ON a.id = p.account_id
+         WHERE a.account_type = 'user'
+         GROUP BY a.user_id, a.currency
+       )
+       SELECT
+         COALESCE(ub.user_id, l.user_id) AS user_id,
+         COALESCE(ub.currency, l.currency) AS currency,
+         COALESCE(l.ledger_balance, 0) AS ledger_balance,
+         COALESCE(ub.balance, 0) AS projected_balance,
+         COALESCE(ub.balance, 0) - COALESCE(l.ledger_balance, 0) AS difference
+       FROM user_balances ub
+       FULL OUTER JOIN ledger l ON l.user_id = ub.user_id AND l.currency = ub.currency
+       WHERE COALESCE(ub.balance, 0) <> COALESCE(l.ledger_balance, 0)
+       ORDER BY ABS(COALESCE(ub.balance, 0) - COALESCE(l.ledger_balance, 0)) DESC`
+    );
+
+    // available_balance must equal balance minus active holds
+    const availabilityDrift = await query(
+      `SELECT ub.user_id, ub.currency, ub.balance, ub.available_balance,
+         COALESCE(h.held, 0) AS held,
+         ub.available_balance - (ub.balance - COALESCE(h.held, 0)) AS difference
+       FROM user_balances ub
+       LEFT JOIN (
+         SELECT user_id, currency, SUM(amount) AS held
+         FROM balance_holds
+         WHERE status = 'active'
+         GROUP BY user_id, currency
+       ) h ON h.user_id = ub.user_id AND h.currency = ub.currency
+       WHERE ub.available_balance <> ub.balance - COALESCE(h.held, 0)`
+    );
+
+    const summary = Object.values(currencies).map(c => ({
+      currency: c.currency,
+      accounts: c.accounts,
+      net: this.fromUnits(c.total),
+      balanced: c.total === 0n
+    }));
+
+    return {
+      balanced: summary.every(c => c.balanced) && unbalancedJournals.rows.length === 0,
+      inSync: drift.rows.length === 0 && availabilityDrift.rows.length === 0,
+      currencies: summary,
+      unbalancedJournals: unbalancedJournals.rows,
+      drift: drift.rows,
+      availabilityDrift: availabilityDrift.rows,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Post opening balances for any user_balances amount the ledger does not yet explain.
+   * The counterpart goes to suspense so the difference stays visible.
+   */
+  async postOpeningBalances(createdBy = null) {
+    return transaction(async (client) => {
+      const differences = await client.query(
+        `WITH ledger AS (
+           SELECT a.user_id, a.currency, SUM(p.amount) AS ledger_balance
+           FROM ledger_postings p
+           JOIN ledger_accounts a ON a.id = p.account_id
+           WHERE a.account_type = 'user'
+           GROUP BY a.user_id, a.currency
+         )
+         SELECT ub.user_id, ub.currency, ub.balance - COALESCE(l.ledger_balance, 0) AS difference
+         FROM user_balances ub
+         LEFT JOIN ledger l ON l.user_id = ub.user_id AND l.currency = ub.currency
+         WHERE ub.balance <> COALESCE(l.ledger_balance, 0)`
+      );
+
+      const posted = [];
+      for (const row of differences.rows) {
+        const difference = parseFloat(row.difference);
+        const code = this.accountCode('user', row.currency, row.user_id);
+
+        // Post the ledger side only; user_balances already holds this amount
+        const journal = await client.query(
+          `INSERT INTO ledger_journal_entries (entry_type, description, reference_type, reference_id, meta, created_by)
+           VALUES ('opening_balance', $1, 'user_balances', $2, '{}', $3)
+           RETURNING id`,
+          [`Opening balance for ${code}`, code, createdBy]
+        );
+        const userAccount = await this.getOrCreateAccount(client, 'user', row.currency, row.user_id);
+        const suspenseAccount = await this.getOrCreateAccount(client, 'suspense', row.currency);
+        const amount = this.fromUnits(this.toUnits(difference));
+        const mirror = this.fromUnits(-this.toUnits(difference));
+
+        await client.query(
+          `INSERT INTO ledger_postings (journal_id, account_id, currency, amount)
+           VALUES ($1, $2, $3, $4), ($1, $5, $3, $6)`,
+          [journal.rows[0].id, userAccount.id, row.currency, amount, suspenseAccount.id, mirror]
+        );
+
+        posted.push({ userId: row.user_id, currency: row.currency, amount });
+      }
+
+      console.log(`📒 Opening balances posted for ${posted.length} user balance(s)`);
+      return posted;
+    });
+  }
+
+  /**
+   * Rebuild user_balances from the ledger postings (available = balance minus active holds)
+   */
+  async rebuildUserBalances({ userId = null } = {}) {
+    return transaction(async (client) => {
+      const params = userId ? [userId] : [];
+      const userFilter = userId ? 'AND a.user_id = $1' : '';
+
+      const rebuilt = await client.query(
+        `INSERT INTO user_balances (user_id, currency, balance, available_balance, updated_at)
+         SELECT a.user_id, a.currency, SUM(p.amount),
+           SUM(p.amount) - COALESCE((
+             SELECT SUM(h.amount) FROM balance_holds h
+             WHERE h.user_id = a.user_id AND h.currency = a.currency AND h.status = 'active'
+           ), 0),
+           NOW()
+         FROM ledger_postings p
+         JOIN ledger_accounts a ON a.id = p.account_id
+         WHERE a.account_type = 'user' ${userFilter}
+         GROUP BY a.user_id, a.currency
+         ON CONFLICT (user_id, currency) DO UPDATE SET
+           balance = EXCLUDED.balance,
+           available_balance = EXCLUDED.available_balance,
+           updated_at = NOW()
+         RETURNING user_id, currency, balance`,
+        params
+      );
+
+      // Rows the ledger knows nothing about are reset to zero
+      const cleared = await client.query(
+        `UPDATE user_balances ub
+         SET balance = 0, available_balance = 0, updated_at = NOW()
+         WHERE ${userId ? 'ub.user_id = $1 AND' : ''} NOT EXISTS (
+           SELECT 1 FROM ledger_accounts a
+           WHERE a.account_type = 'user' AND a.user_id = ub.user_id AND a.currency = ub.currency
+         )
+         AND (ub.balance <> 0 OR ub.available_balance <> 0)
+         RETURNING user_id, currency`,
+        params
+      );
+
+      console.log(`📒 user_balances rebuilt: ${rebuilt.rowCount} updated, ${cleared.rowCount} cleared`);
+
+      return {
+        updated: rebuilt.rowCount,
+        cleared: cleared.rowCount
+      };
+    });
+  }
+}
+
+module.exports = new LedgerService();
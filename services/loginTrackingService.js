@@ -1,6 +1,11 @@
 const { pool } = require('../config/database');
 const axios = require('axios');
 
+// Failed logins for one email within an hour that raise a compliance alert
+const FAILED_LOGIN_ALERT_THRESHOLD = 5;
+// Countries a user has logged in from over this many days are not "new"
+const LOGIN_COUNTRY_HISTORY_DAYS = 90;
+
 class LoginTrackingService {
     /**
      * Get client IP address from request
@@ -120,6 +125,8 @@ class LoginTrackingService {
             const result = await pool.query(query, values);
             
             console.log(`✅ Login logged: User ${email} from ${ipAddress} (${geolocation.city}, ${geolocation.country})`);
+
+            await this.flagNewCountryLogin(userId, email, ipAddress, geolocation, result.rows[0].id);
             
             return result.rows[0];
         } catch (error) {
@@ -167,6 +174,8 @@ class LoginTrackingService {
             const result = await pool.query(query, values);
             
             console.log(`❌ Failed login logged: ${email} from ${ipAddress} (${geolocation.city}, ${geolocation.country}) - ${failureReason}`);
+
+            await this.flagRepeatedFailures(email, ipAddress, geolocation, result.rows[0].id);
             
             return result.rows[0];
         } catch (error) {
@@ -175,6 +184,69 @@ class LoginTrackingService {
         }
     }
 
+    /**
+     * Raise a compliance alert when an email reaches the failed-login threshold within an hour
+     */
+    static async flagRepeatedFailures(email, ipAddress, geolocation, auditLogId) {
+        const result = await pool.query(
+            `SELECT COUNT(*)::int AS failures, COUNT(DISTINCT ip)::int AS ips
+             FROM audit_logs
+             WHERE action = 'user_login_failed'
+             AND LOWER(target_id) = LOWER($1)
+             AND created_at >= NOW() - INTERVAL '1 hour'`,
+            [email]
+        );
+        const { failures, ips } = result.rows[0];
+        if (failures !== FAILED_LOGIN_ALERT_THRESHOLD) {
+            return;
+        }
+
+        // Required here: complianceCaseService -> auditLogService -> this module
+        await require('./complianceCaseService').recordAlert({
+            source: 'login',
+            kind: 'repeated_failed_logins',
+            email,
+            auditLogId,
+            ipAddress,
+            details: { failures, ips, windowHours: 1, country: geolocation.country, city: geolocation.city, isp: geolocation.isp }
+        });
+    }
+
+    /**
+     * Raise a compliance alert when a user logs in from a country they have not logged in from recently
+     */
+    static async flagNewCountryLogin(userId, email, ipAddress, geolocation, auditLogId) {
+        if (['Unknown', 'Local'].includes(geolocation.country)) {
+            return;
+        }
+
+        const result = await pool.query(
+            `SELECT COUNT(*)::int AS logins,
+                    COUNT(*) FILTER (WHERE diff->>'country' = $2)::int AS from_country,
+                    STRING_AGG(DISTINCT diff->>'country', ', ') AS countries
+             FROM audit_logs
+             WHERE actor_user_id = $1
+             AND action = 'user_login_success'
+             AND id != $3
+             AND created_at >= NOW() - make_interval(days => $4)`,
+            [userId, geolocation.country, auditLogId, LOGIN_COUNTRY_HISTORY_DAYS]
+        );
+        const { logins, from_country: fromCountry, countries } = result.rows[0];
+        if (logins === 0 || fromCountry > 0) {
+            return;
+        }
+
+        await require('./complianceCaseService').recordAlert({
+            source: 'login',
+            kind: 'new_country_login',
+            email,
+            userId,
+            auditLogId,
+            ipAddress,
+            details: { country: geolocation.country, city: geolocation.city, isp: geolocation.isp, previousCountries: countries }
+        });
+    }
+
     /**
      * Get login history for a user
      */
@@ -1,17 +1,18 @@
-const { ethers } = require('ethers');
-const axios = require('axios');
-const { query } = require('../config/database');
-const Wallet = require('../models/Wallet');
+const { query, transaction } = require('../config/database');
 const poolWalletService = require('./poolWalletService');
+const chainAdapters = require('./chainAdapters');
+const depositAddressService = require('./depositAddressService');
+const confirmationPolicyService = require('./confirmationPolicyService');
+const depositReorgService = require('./depositReorgService');
+const depositIntentService = require('./depositIntentService');
 const notificationService = require('./notificationService');
 const emailService = require('./emailService');
 
 class PoolBlockchainMonitor {
   constructor() {
-    this.ethProvider = new ethers.JsonRpcProvider(process.env.ETH_RPC_URL);
-    this.btcApiUrl = process.env.BTC_API_URL;
     this.poolAddresses = null;
     this.monitoringIntervals = {};
+    this.scanCursors = {}; // Next block to scan, per adapter
     this.processedTransactions = new Set(); // Track processed transactions
   }
 
@@ -19,343 +20,455 @@ class PoolBlockchainMonitor {
     console.log('🚀 Starting pool wallet blockchain monitoring...');
     
     // Get pool addresses
-    this.poolAddresses = await poolWalletService.getPoolAddresses();
+    await poolWalletService.initializePoolWallets();
+    this.poolAddresses = poolWalletService.getPoolAddresses();
     console.log('📋 Monitoring pool addresses:', this.poolAddresses);
     
-    // Start monitoring for Ethereum/USDT (every 1 minute)
-    this.startEthMonitoring(60 * 1000);
-    
-    // Start monitoring for Bitcoin (every 2 minutes)
-    this.startBtcMonitoring(2 * 60 * 1000);
+    // One polling loop per registered chain adapter
+    for (const adapter of chainAdapters.list()) {
+      this.startAdapterMonitoring(adapter);
+    }
   }
 
-  async startEthMonitoring(interval) {
-    if (this.monitoringIntervals.eth) {
-      clearInterval(this.monitoringIntervals.eth);
+  startAdapterMonitoring(adapter) {
+    if (this.monitoringIntervals[adapter.key]) {
+      clearInterval(this.monitoringIntervals[adapter.key]);
     }
     
-    this.monitoringIntervals.eth = setInterval(async () => {
+    this.monitoringIntervals[adapter.key] = setInterval(async () => {
       try {
-        console.log('🔍 Checking Ethereum/USDT pool deposits...');
-        await this.checkEthDeposits();
-        console.log('✅ Ethereum monitoring complete');
+        console.log(`🔍 Checking ${adapter.currency} (${adapter.network}) pool deposits...`);
+        await this.checkDeposits(adapter);
+        await this.revalidateDeposits(adapter);
+        console.log(`✅ ${adapter.currency} monitoring complete`);
       } catch (error) {
-        console.error('❌ Error during Ethereum monitoring:', error.message);
+        console.error(`❌ Error during ${adapter.currency} monitoring:`, error.message);
       }
-    }, interval);
+    }, adapter.pollIntervalMs);
   }
 
-  async startBtcMonitoring(interval) {
-    if (this.monitoringIntervals.btc) {
-      clearInterval(this.monitoringIntervals.btc);
+  stopMonitoring() {
+    for (const interval of Object.values(this.monitoringIntervals)) {
+      clearInterval(interval);
     }
-    
-    this.monitoringIntervals.btc = setInterval(async () => {
-      try {
-        console.log('🔍 Checking Bitcoin pool deposits...');
-        await this.checkBtcDeposits();
-        console.log('✅ Bitcoin monitoring complete');
-      } catch (error) {
-        console.error('❌ Error during Bitcoin monitoring:', error.message);
-      }
-    }, interval);
+    this.monitoringIntervals = {};
   }
 
-  async checkEthDeposits() {
-    if (!this.poolAddresses?.eth) return;
+  /**
+   * Scan one chain for transfers to its pool address and to users' own deposit
+   * addresses, and process the confirmed ones (confirmation depth per currency and
+   * amount tier, see confirmationPolicyService).
+   * Blocks whose deposits are all confirmed are not scanned again.
+   */
+  async checkDeposits(adapter) {
+    const poolAddress = adapter.poolAddress(this.poolAddresses);
+    if (!poolAddress) return;
+
+    // Every deposit address handed out on this chain is watched, keyed to its owner
+    const owners = new Map();
+    for (const depositAddress of await depositAddressService.getAddresses(adapter)) {
+      owners.set(adapter.addressKey(depositAddress.address), depositAddress);
+    }
+    const poolKey = adapter.addressKey(poolAddress);
 
-    try {
-      const latestBlockNumber = await this.ethProvider.getBlockNumber();
-      const startBlock = latestBlockNumber - 1000; // Check last 1000 blocks
+    // Expired intents stop reserving their amounts before this scan's deposits are matched
+    await depositIntentService.expireIntents(adapter);
 
-      // Check ETH deposits to pool address
-      await this.monitorEthAddress(this.poolAddresses.eth, 'ETH', startBlock, latestBlockNumber);
-      
-      // Check USDT deposits to pool address
-      await this.monitorEthAddress(this.poolAddresses.eth, 'USDT', startBlock, latestBlockNumber);
-      
-    } catch (error) {
-      console.error('Error checking ETH deposits:', error);
-    }
-  }
+    const latestBlock = await adapter.getLatestBlock();
+    const fromBlock = this.scanCursors[adapter.key] ?? Math.max(latestBlock - adapter.scanLookback, 0);
+    if (fromBlock > latestBlock) return;
+    const toBlock = Math.min(latestBlock, fromBlock + adapter.maxBlocksPerScan - 1);
 
-  async checkBtcDeposits() {
-    if (!this.poolAddresses?.btc) return;
+    const watched = [poolAddress, ...Array.from(owners.values()).map(depositAddress => depositAddress.address)];
+    const deposits = await adapter.scanDepositsToAddresses(watched, { fromBlock, toBlock });
 
-    try {
-      const response = await axios.get(`${this.btcApiUrl}/address/${this.poolAddresses.btc}/utxo`);
-      const utxos = response.data;
-
-      for (const utxo of utxos) {
-        const txId = utxo.txid;
-        
-        // Skip if already processed
-        if (this.processedTransactions.has(txId)) continue;
-        
-        // Get transaction details
-        const txResponse = await axios.get(`${this.btcApiUrl}/tx/${txId}`);
-        const tx = txResponse.data;
-        
-        // Find the output that goes to our pool address
-        const output = tx.vout.find(out => 
-          out.scriptpubkey_address === this.poolAddresses.btc
-        );
-        
-        if (output) {
-          const amount = output.value / 100000000; // Convert satoshis to BTC
-          
-          if (amount > 0) {
-            await this.processPoolDeposit('BTC', amount, txId, this.poolAddresses.btc);
-            this.processedTransactions.add(txId);
-          }
-        }
+    // Lowest block holding a deposit that could not be credited; the cursor stays below it
+    let retryFromBlock = Infinity;
+
+    for (const deposit of deposits) {
+      const depositKey = `${adapter.key}:${deposit.txHash}:${deposit.outputIndex}`;
+
+      // Skip if already processed
+      if (this.processedTransactions.has(depositKey)) continue;
+
+      // Sweeps into the pool and gas top-ups from it move our own funds; they are not deposits
+      const fromKey = adapter.addressKey(deposit.fromAddress);
+      if (fromKey === poolKey || owners.has(fromKey)) {
+        this.processedTransactions.add(depositKey);
+        continue;
       }
-    } catch (error) {
-      if (error.response?.status === 404) {
-        // No UTXOs found, which is normal
-        console.log('📭 No new BTC deposits to pool address');
-      } else {
-        console.error('Error checking BTC deposits:', error);
+
+      const requiredConfirmations = await confirmationPolicyService.getRequiredConfirmations(adapter, deposit.amount);
+      if (deposit.confirmations < requiredConfirmations) {
+        console.log(`⏳ ${adapter.currency} deposit ${deposit.txHash}: ${deposit.confirmations}/${requiredConfirmations} confirmations`);
+        continue;
+      }
+
+      const owner = owners.get(adapter.addressKey(deposit.toAddress));
+      try {
+        if (owner) {
+          await this.processAttributedDeposit(adapter, deposit, owner, poolAddress);
+        } else {
+          await this.processPoolDeposit(adapter.currency, deposit.amount, deposit.txHash, poolAddress, {
+            ...deposit,
+            network: adapter.network,
+            requiredConfirmations
+          });
+        }
+      } catch (error) {
+        // Left unprocessed so the next scan retries it
+        console.error(`❌ Error processing ${adapter.currency} deposit ${deposit.txHash}:`, error);
+        retryFromBlock = Math.min(retryFromBlock, deposit.blockNumber ?? fromBlock);
+        continue;
       }
+      this.processedTransactions.add(depositKey);
     }
+
+    // Scanned blocks at or below this height have enough confirmations for any tier and were processed above
+    const maxConfirmations = await confirmationPolicyService.getMaxRequiredConfirmations(adapter);
+    const confirmedHeight = latestBlock - maxConfirmations + 1;
+    this.scanCursors[adapter.key] = Math.max(fromBlock, Math.min(toBlock, confirmedHeight, retryFromBlock - 1) + 1);
   }
 
-  async monitorEthAddress(address, currency, fromBlock, toBlock) {
-    try {
-      if (currency === 'ETH') {
-        // Check ETH transfers
-        const filter = {
-          fromBlock,
-          toBlock,
-          to: address
-        };
-        
-        const logs = await this.ethProvider.getLogs(filter);
-        
-        for (const log of logs) {
-          const txHash = log.transactionHash;
-          
-          // Skip if already processed
-          if (this.processedTransactions.has(txHash)) continue;
-          
-          const tx = await this.ethProvider.getTransaction(txHash);
-          
-          if (tx && tx.to && tx.to.toLowerCase() === address.toLowerCase()) {
-            const amount = parseFloat(ethers.formatEther(tx.value));
-            
-            if (amount > 0) {
-              await this.processPoolDeposit('ETH', amount, txHash, address);
-              this.processedTransactions.add(txHash);
-            }
-          }
-        }
-      } else if (currency === 'USDT') {
-        // Check USDT transfers
-        const usdtContractAddress = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
-        
-        const filter = {
-          fromBlock,
-          toBlock,
-          address: usdtContractAddress,
-          topics: [
-            ethers.id("Transfer(address,address,uint256)"),
-            null,
-            ethers.zeroPadValue(address, 32)
-          ]
-        };
-        
-        const logs = await this.ethProvider.getLogs(filter);
-        
-        for (const log of logs) {
-          const txHash = log.transactionHash;
-          
-          // Skip if already processed
-          if (this.processedTransactions.has(txHash)) continue;
-          
-          // Decode the log data
-          const iface = new ethers.Interface([
-            "event Transfer(address indexed from, address indexed to, uint256 value)"
-          ]);
-          
-          const decodedLog = iface.parseLog(log);
-          
-          if (decodedLog && decodedLog.args.to.toLowerCase() === address.toLowerCase()) {
-            const amount = parseFloat(ethers.formatUnits(decodedLog.args.value, 6)); // USDT has 6 decimals
-            
-            if (amount > 0) {
-              await this.processPoolDeposit('USDT', amount, txHash, address);
-              this.processedTransactions.add(txHash);
-            }
-          }
+  /**
+   * Re-check recent deposits against the chain; reorged ones are reversed and their blocks scanned again
+   */
+  async revalidateDeposits(adapter) {
+    const { forkBlock, reorged } = await depositReorgService.revalidate(adapter);
+    if (forkBlock === null) return;
+
+    for (const deposit of reorged) {
+      for (const key of this.processedTransactions) {
+        if (key.startsWith(`${adapter.key}:${deposit.transaction_hash}:`)) {
+          this.processedTransactions.delete(key);
         }
       }
-    } catch (error) {
-      console.error(`Error monitoring ${currency} address ${address}:`, error);
+    }
+
+    if (this.scanCursors[adapter.key] !== undefined) {
+      this.scanCursors[adapter.key] = Math.min(this.scanCursors[adapter.key], forkBlock);
     }
   }
 
-  async processPoolDeposit(currency, amount, transactionHash, poolAddress) {
-    try {
-      // Check if transaction already processed
-      const existingTx = await query(
-        `SELECT * FROM deposit_requests WHERE transaction_hash = $1 AND currency = $2`,
-        [transactionHash, currency]
-      );
+  /**
+   * Credit a pool deposit to the one deposit intent it matches, or record it for admin review.
+   * Errors are thrown so the deposit stays unprocessed and the next scan retries it.
+   */
+  async processPoolDeposit(currency, amount, transactionHash, poolAddress, details = {}) {
+    // Check if transaction already processed (a reorged deposit may come back in a later block)
+    const existingTx = await query(
+      `SELECT * FROM deposit_requests WHERE transaction_hash = $1 AND currency = $2 AND status != 'reorged'`,
+      [transactionHash, currency]
+    );
+
+    const existingPoolDeposit = await query(
+      `SELECT id FROM pool_deposits WHERE transaction_hash = $1 AND currency = $2 AND output_index = $3 AND status != 'reorged'`,
+      [transactionHash, currency, details.outputIndex || 0]
+    );
+
+    if (existingTx.rows.length > 0 || existingPoolDeposit.rows.length > 0) {
+      console.log(`📝 Deposit ${transactionHash} already processed`);
+      return;
+    }
 
-      if (existingTx.rows.length > 0) {
-        console.log(`📝 Deposit ${transactionHash} already processed`);
-        return;
-      }
+    // Match the deposit to an open deposit intent by memo or by its unique exact amount
+    const adapter = chainAdapters.get(currency, details.network || null);
+    const matches = await depositIntentService.findMatches(adapter, { ...details, amount });
 
-      // Try to match this deposit to a pending deposit request by amount and time window (within 24 hours)
-      // This allows automatic crediting when user created a deposit intent before sending
-      const matchResult = await query(
-        `SELECT * FROM deposit_requests 
-         WHERE currency = $1 
-         AND amount BETWEEN $2 - 0.00000001 AND $2 + 0.00000001
-         AND status = 'pending'
-         AND created_at >= NOW() - INTERVAL '24 hours'
-         AND transaction_hash IS NULL
-         ORDER BY created_at DESC
-         LIMIT 1`,
-        [currency, amount]
-      );
+    const depositRequest = matches.length === 1
+      ? await this.completeDepositIntent(matches[0].id, amount, transactionHash, details)
+      : null;
 
-      if (matchResult.rows.length > 0) {
-        // Found a matching deposit request - automatically credit the user
-        const depositRequest = matchResult.rows[0];
-        const userId = depositRequest.user_id;
+    if (depositRequest) {
+      // Found the deposit intent - automatically credit the user
+      const userId = depositRequest.user_id;
 
-        console.log(`✅ Matched pool deposit to user ${userId}: ${amount} ${currency} (${transactionHash})`);
+      console.log(`✅ Matched pool deposit to user ${userId}: ${amount} ${currency} (${transactionHash})`);
 
-        // Update deposit request with transaction hash
-        await query(
-          `UPDATE deposit_requests 
-           SET transaction_hash = $1, status = 'completed', completed_at = NOW()
-           WHERE id = $2`,
-          [transactionHash, depositRequest.id]
-        );
-
-        // Credit user balance using userBalanceService
-        const userBalanceService = require('./userBalanceService');
-        await userBalanceService.creditUserBalance(
+      // Create transaction record
+      await query(
+        `INSERT INTO transactions_ledger (user_id, type, currency, amount, reference_id, meta, created_at)
+         VALUES ($1, 'deposit', $2, $3, $4, $5, NOW())`,
+        [
           userId,
           currency.toUpperCase(),
           amount,
-          `Pool deposit detected: ${transactionHash}`
-        );
-
-        console.log(`✅ User ${userId} automatically credited ${amount} ${currency} from pool deposit`);
-
-        // Create transaction record
-        await query(
-          `INSERT INTO transactions_ledger (user_id, type, currency, amount, reference_id, meta, created_at)
-           VALUES ($1, 'deposit', $2, $3, $4, $5, NOW())`,
-          [
-            userId,
-            currency.toUpperCase(),
-            amount,
-            depositRequest.id,
-            JSON.stringify({
-              description: `Pool deposit: ${amount} ${currency}`,
-              transaction_hash: transactionHash,
-              pool_address: poolAddress,
-              status: 'completed'
-            })
-          ]
-        );
+          depositRequest.id,
+          JSON.stringify({
+            description: `Pool deposit: ${amount} ${currency}`,
+            transaction_hash: transactionHash,
+            pool_address: poolAddress,
+            network: details.network || null,
+            reference_code: depositRequest.reference_code || null,
+            status: 'completed'
+          })
+        ]
+      );
 
-      } else {
-        // No matching deposit request - create pending deposit for admin review
-        await query(
-          `INSERT INTO pool_deposits (currency, amount, pool_address, transaction_hash, status, created_at)
-           VALUES ($1, $2, $3, $4, 'pending', CURRENT_TIMESTAMP)`,
-          [currency, amount, poolAddress, transactionHash]
-        );
+    } else {
+      // No single matching intent - create pending deposit for admin review, with the likeliest intents
+      const ambiguous = matches.length > 1;
+      const suggestions = await depositIntentService.suggestMatches(adapter, { ...details, amount });
 
-        console.log(`💰 Pool deposit detected (no match): ${amount} ${currency} (${transactionHash})`);
-        
-        // Notify admins about new unmatched pool deposit
-        const notificationService = require('./notificationService');
-        notificationService.notifyAdmins({
-          type: 'info',
-          title: 'New Pool Deposit (Unmatched)',
-          message: `${amount} ${currency} deposited to pool wallet - requires manual review`,
-          data: {
-            currency,
-            amount,
-            transactionHash,
-            poolAddress
-          }
-        });
-      }
+      await query(
+        `INSERT INTO pool_deposits (currency, network, amount, pool_address, transaction_hash, output_index, from_address, block_number, block_hash, memo, suggested_matches, status, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', CURRENT_TIMESTAMP)
+         ON CONFLICT (currency, transaction_hash, output_index) DO UPDATE
+           SET status = 'pending', network = EXCLUDED.network, block_number = EXCLUDED.block_number,
+               block_hash = EXCLUDED.block_hash, suggested_matches = EXCLUDED.suggested_matches,
+               user_id = NULL, claimed_at = NULL, reorged_at = NULL
+           WHERE pool_deposits.status = 'reorged'`,
+        [
+          currency,
+          details.network || null,
+          amount,
+          poolAddress,
+          transactionHash,
+          details.outputIndex || 0,
+          details.fromAddress || null,
+          details.blockNumber || null,
+          details.blockHash || null,
+          details.memo || null,
+          JSON.stringify(suggestions)
+        ]
+      );
 
-    } catch (error) {
-      console.error('Error processing pool deposit:', error);
+      console.log(`💰 Pool deposit detected (${ambiguous ? `${matches.length} matching intents` : 'no match'}): ${amount} ${currency} on ${details.network || 'default network'} (${transactionHash})`);
+      
+      // Notify admins about new unmatched pool deposit
+      notificationService.notifyAdmins({
+        type: ambiguous ? 'warning' : 'info',
+        title: ambiguous ? 'New Pool Deposit (Ambiguous)' : 'New Pool Deposit (Unmatched)',
+        message: `${amount} ${currency} deposited to pool wallet - requires manual review` +
+          (suggestions.length > 0 ? ` (${suggestions.length} suggested match${suggestions.length === 1 ? '' : 'es'})` : ''),
+        data: {
+          currency,
+          amount,
+          transactionHash,
+          poolAddress,
+          network: details.network || null,
+          suggestedMatches: suggestions.map(suggestion => suggestion.intentId)
+        }
+      });
     }
   }
 
-  // Method to claim a pool deposit for a specific user
-  async claimPoolDeposit(depositId, userId) {
-    try {
-      const deposit = await query(
-        `SELECT * FROM pool_deposits WHERE id = $1 AND status = 'pending'`,
-        [depositId]
+  /**
+   * Complete a deposit intent with the deposit that paid it and credit its user in one transaction.
+   * Returns null if the intent was completed or closed in the meantime.
+   */
+  async completeDepositIntent(intentId, amount, transactionHash, details = {}) {
+    const userBalanceService = require('./userBalanceService');
+
+    return transaction(async (client) => {
+      const locked = await client.query(
+        `SELECT * FROM deposit_requests WHERE id = $1 AND transaction_hash IS NULL AND status = 'pending' FOR UPDATE`,
+        [intentId]
       );
-
-      if (deposit.rows.length === 0) {
-        throw new Error('Deposit not found or already processed');
+      if (locked.rows.length === 0) {
+        return null;
       }
 
-      const depositData = deposit.rows[0];
-
-      // Update deposit status
-      await query(
-        `UPDATE pool_deposits SET status = 'claimed', user_id = $1, claimed_at = CURRENT_TIMESTAMP WHERE id = $2`,
-        [userId, depositId]
+      // Update deposit request with transaction hash and the block it was mined in (for reorg checks)
+      const updated = await client.query(
+        `UPDATE deposit_requests 
+         SET transaction_hash = $1, amount = $3, status = 'completed', completed_at = NOW(), credited_at = NOW(),
+             block_number = $4, block_hash = $5, confirmations = $6, required_confirmations = $7
+         WHERE id = $2
+         RETURNING *`,
+        [
+          transactionHash,
+          intentId,
+          amount,
+          details.blockNumber || null,
+          details.blockHash || null,
+          details.confirmations || null,
+          details.requiredConfirmations || null
+        ]
+      );
+      const depositRequest = updated.rows[0];
+
+      // Credit user balance using userBalanceService (reversed by depositReorgService if the deposit is later reorged)
+      await userBalanceService.creditUserBalance(
+        depositRequest.user_id,
+        depositRequest.currency,
+        amount,
+        `Pool deposit detected: ${transactionHash}`,
+        { referenceType: 'deposit_request', referenceId: depositRequest.id, client }
       );
 
-      // Credit user's balance
-      await Wallet.updateBalance(userId, depositData.currency, depositData.amount, 'add');
+      return depositRequest;
+    });
+  }
 
-      // Create transaction record
-      await query(
-        `INSERT INTO transactions (user_id, type, from_currency, from_amount, to_currency, to_amount, status, description)
-         VALUES ($1, 'deposit', $2, $3, $2, $3, 'completed', $4)`,
+  /**
+   * Credit a deposit made to a user's own deposit address to that user.
+   * It is recorded as a claimed pool deposit (unswept until the sweeper moves it to the pool).
+   * Errors before the credit commits are thrown so the next scan retries the deposit.
+   */
+  async processAttributedDeposit(adapter, deposit, owner, poolAddress) {
+    const userBalanceService = require('./userBalanceService');
+
+    const credited = await transaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO pool_deposits (currency, network, amount, pool_address, deposit_address, transaction_hash, output_index, from_address, block_number, block_hash, status, user_id, claimed_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'claimed', $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT (currency, transaction_hash, output_index) DO UPDATE
+           SET status = 'claimed', network = EXCLUDED.network, deposit_address = EXCLUDED.deposit_address,
+               block_number = EXCLUDED.block_number, block_hash = EXCLUDED.block_hash,
+               user_id = EXCLUDED.user_id, claimed_at = CURRENT_TIMESTAMP, reorged_at = NULL
+           WHERE pool_deposits.status = 'reorged'
+         RETURNING *`,
         [
-          userId,
-          depositData.currency,
-          depositData.amount,
-          `Deposit ${depositData.amount} ${depositData.currency} to pool wallet`
+          adapter.currency,
+          adapter.network,
+          deposit.amount,
+          poolAddress,
+          owner.address,
+          deposit.txHash,
+          deposit.outputIndex || 0,
+          deposit.fromAddress || null,
+          deposit.blockNumber || null,
+          deposit.blockHash || null,
+          owner.user_id
         ]
       );
+      if (inserted.rows.length === 0) {
+        return null;
+      }
 
-      // Get user info for notifications
-      const user = await query('SELECT * FROM users WHERE id = $1', [userId]);
-      const userData = user.rows[0];
+      const row = inserted.rows[0];
+      await userBalanceService.creditUserBalance(
+        owner.user_id,
+        adapter.currency,
+        deposit.amount,
+        `Deposit to ${owner.address}: ${deposit.txHash}`,
+        { referenceType: 'pool_deposit', referenceId: row.id, client }
+      );
+      return row;
+    });
 
-      // Send notifications
-      notificationService.notifyDeposit(
+    if (!credited) {
+      console.log(`📝 Deposit ${deposit.txHash} already processed`);
+      return;
+    }
+
+    console.log(`✅ Attributed ${deposit.amount} ${adapter.currency} (${adapter.network}) to user ${owner.user_id} via ${owner.address}`);
+    try {
+      await this.recordCreditedDeposit(owner.user_id, credited);
+    } catch (error) {
+      console.error('Error recording attributed deposit:', error);
+    }
+  }
+
+  /**
+   * Transaction history entry and user notifications for a credited pool deposit
+   */
+  async recordCreditedDeposit(userId, depositData) {
+    // Create transaction record
+    await query(
+      `INSERT INTO transactions (user_id, type, from_currency, from_amount, to_currency, to_amount, status, description)
+       VALUES ($1, 'deposit', $2, $3, $2, $3, 'completed', $4)`,
+      [
         userId,
         depositData.currency,
         depositData.amount,
-        depositData.transaction_hash
-      );
+        `Deposit ${depositData.amount} ${depositData.currency} to pool wallet`
+      ]
+    );
+
+    // Get user info for notifications
+    const user = await query('SELECT * FROM users WHERE id = $1', [userId]);
+    const userData = user.rows[0];
+
+    // Send notifications
+    notificationService.notifyDeposit(
+      userId,
+      depositData.currency,
+      depositData.amount,
+      depositData.transaction_hash
+    );
+
+    // Send email notification
+    await emailService.sendDepositConfirmation(
+      userData.email,
+      userData.full_name,
+      depositData.currency,
+      depositData.amount,
+      depositData.transaction_hash
+    );
+  }
 
-      // Send email notification
-      await emailService.sendDepositConfirmation(
-        userData.email,
-        userData.full_name,
-        depositData.currency,
-        depositData.amount,
-        depositData.transaction_hash
-      );
+  // Method to claim a pool deposit for a specific user
+  // (or for a suggested deposit intent, which is then completed by this deposit)
+  async claimPoolDeposit(depositId, userId, intentId = null) {
+    try {
+      const userBalanceService = require('./userBalanceService');
 
-      console.log(`✅ Pool deposit claimed: User ${userId} credited ${depositData.amount} ${depositData.currency}`);
+      const depositData = await transaction(async (client) => {
+        const deposit = await client.query(
+          `SELECT * FROM pool_deposits WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+          [depositId]
+        );
+
+        if (deposit.rows.length === 0) {
+          throw new Error('Deposit not found or already processed');
+        }
+
+        const row = deposit.rows[0];
+
+        if (intentId) {
+          const intent = await client.query(
+            `SELECT * FROM deposit_requests
+             WHERE id = $1 AND currency = $2 AND status IN ('pending', 'expired') AND transaction_hash IS NULL
+             FOR UPDATE`,
+            [intentId, row.currency]
+          );
+          if (intent.rows.length === 0) {
+            throw new Error('Deposit intent not found or already completed');
+          }
+          if (userId && String(intent.rows[0].user_id) !== String(userId)) {
+            throw new Error('Deposit intent belongs to a different user');
+          }
+          userId = intent.rows[0].user_id;
+
+          // The credit is carried by the pool deposit; the intent only records what paid it
+          await client.query(
+            `UPDATE deposit_requests
+             SET status = 'completed', transaction_hash = $1, amount = $2, pool_deposit_id = $3,
+                 completed_at = NOW(), updated_at = NOW()
+             WHERE id = $4`,
+            [row.transaction_hash, row.amount, row.id, intentId]
+          );
+        }
+
+        // Update deposit status
+        await client.query(
+          `UPDATE pool_deposits SET status = 'claimed', user_id = $1, claimed_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [userId, depositId]
+        );
+
+        // Credit user's balance (reversed by depositReorgService if the deposit is later reorged)
+        await userBalanceService.creditUserBalance(
+          userId,
+          row.currency,
+          row.amount,
+          `Pool deposit claimed: ${row.transaction_hash}`,
+          { referenceType: 'pool_deposit', referenceId: row.id, client }
+        );
+
+        return row;
+      });
+
+      await this.recordCreditedDeposit(userId, depositData);
+
+      console.log(`✅ Pool deposit claimed: User ${userId} credited ${depositData.amount} ${depositData.currency}${intentId ? ` (intent ${intentId})` : ''}`);
 
       return {
         success: true,
         message: 'Deposit claimed successfully',
+        userId,
+        intentId,
         amount: depositData.amount,
         currency: depositData.currency
       };
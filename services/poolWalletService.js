@@ -3,27 +3,53 @@ const bitcoin = require('bitcoinjs-lib');
 const { BIP32Factory } = require('bip32');
 const bip39 = require('bip39');
 const { ethers } = require('ethers');
-const crypto = require('crypto');
 const ecc = require('tiny-secp256k1');
+const chainAdapters = require('./chainAdapters');
+const { toTronAddress } = require('./chainAdapters/tronAddress');
+const broadcastTrackerService = require('./broadcastTrackerService');
+const signerClientService = require('./signerClientService');
+const secretEncryptionService = require('./secretEncryptionService');
+const auditLogService = require('./auditLogService');
 
 // Initialize BIP32 with ecc library
 const bip32 = BIP32Factory(ecc);
 
+// Account-level extended public keys a watch-only pool accepts (SLIP-132 version bytes)
+const XPUB_FORMATS = {
+  xpub: { version: 0x0488b21e, testnet: false, segwit: false },
+  zpub: { version: 0x04b24746, testnet: false, segwit: true },
+  tpub: { version: 0x043587cf, testnet: true, segwit: false },
+  vpub: { version: 0x045f1cf6, testnet: true, segwit: true }
+};
+
+/**
+ * Pool (hot) wallet
+ *
+ * By default the pool keys are derived from MASTER_WALLET_SEED, or held by the signer
+ * process when SIGNER_URL is set. With POOL_WALLET_MODE=watch_only the server holds no
+ * key: admins register the BTC account xpub and the ETH address, balances and deposits
+ * are watched as usual, and each withdrawal gets an unsigned transaction that is signed
+ * offline and uploaded back for broadcast.
+ */
 class PoolWalletService {
   constructor() {
-    // Ensure encryption key is exactly 32 bytes
-    let encryptionKey = process.env.WALLET_ENCRYPTION_KEY || 'your-32-byte-encryption-key-change-this!!';
-    if (encryptionKey.length !== 32) {
-      console.warn('⚠️ WALLET_ENCRYPTION_KEY is not 32 bytes. Using a placeholder.');
-      encryptionKey = 'your-32-byte-encryption-key-change-this!!'.padEnd(32, '0').slice(0, 32);
-    }
-    this.encryptionKey = encryptionKey;
-    
     this.masterSeed = process.env.MASTER_WALLET_SEED || bip39.generateMnemonic(256);
+    this.mode = (process.env.POOL_WALLET_MODE || 'hot').toLowerCase();
+    if (this.isWatchOnly() && signerClientService.enabled) {
+      console.warn('⚠️ POOL_WALLET_MODE=watch_only: the signer service is not used for pool sends');
+    }
     
     // Pool wallet addresses (generated once and reused for all users)
     this.poolAddresses = null;
     this.poolPrivateKeys = null;
+    this.watchOnlyKeys = null; // { BTC: { publicKey, path, masterFingerprint } } in watch-only mode
+  }
+
+  /**
+   * Whether pool transactions are signed offline (POOL_WALLET_MODE=watch_only)
+   */
+  isWatchOnly() {
+    return this.mode === 'watch_only';
   }
 
   /**
@@ -53,11 +79,33 @@ class PoolWalletService {
         });
         console.log('✅ Using existing pool addresses from database');
         
-        // Generate private keys for existing addresses (they should be deterministic)
-        await this.generatePoolPrivateKeys();
+        if (this.isWatchOnly()) {
+          await this.loadWatchOnlyKeys();
+        } else if (signerClientService.enabled) {
+          await this.verifySignerAddresses();
+        } else {
+          // Generate private keys for existing addresses (they should be deterministic)
+          await this.generatePoolPrivateKeys();
+        }
         
         return this.poolAddresses;
       }
+
+      if (this.isWatchOnly()) {
+        throw new Error('Watch-only pool wallet has no addresses yet; register the BTC xpub and the ETH address (PUT /api/admin/pool/watch-only)');
+      }
+      
+      if (signerClientService.enabled) {
+        console.log('🔄 No existing pool addresses found, taking them from the signer...');
+        const signerAddresses = await this.getSignerAddresses();
+        this.poolAddresses = {
+          BTC: signerAddresses.BTC,
+          ETH: signerAddresses.ETH,
+          USDT: signerAddresses.ETH
+        };
+        await this.savePoolAddresses();
+        return this.poolAddresses;
+      }
       
       console.log('🔄 No existing pool addresses found, generating new ones...');
       
@@ -97,25 +145,7 @@ class PoolWalletService {
         usdt: this.encrypt(ethPrivateKey)  // Same private key for USDT
       };
       
-      console.log('✅ Pool wallet addresses initialized:');
-      console.log(`   BTC: ${btcAddress}`);
-      console.log(`   ETH/USDT: ${ethAddress}`);
-      
-      // Save pool addresses to database
-      await query(`
-        INSERT INTO pool_addresses (currency, address, verified, verified_at)
-        VALUES 
-          ('BTC', $1, true, NOW()),
-          ('ETH', $2, true, NOW()),
-          ('USDT', $3, true, NOW())
-        ON CONFLICT (currency) 
-        DO UPDATE SET 
-          address = EXCLUDED.address,
-          verified = EXCLUDED.verified,
-          verified_at = EXCLUDED.verified_at
-      `, [btcAddress, ethAddress, ethAddress]);
-      
-      console.log('💾 Pool addresses saved to database');
+      await this.savePoolAddresses();
       
       return this.poolAddresses;
     } catch (error) {
@@ -124,6 +154,195 @@ class PoolWalletService {
     }
   }
 
+  /**
+   * Save freshly initialized pool addresses to the database
+   */
+  async savePoolAddresses() {
+    const { query } = require('../config/database');
+    const { BTC: btcAddress, ETH: ethAddress } = this.poolAddresses;
+
+    console.log('✅ Pool wallet addresses initialized:');
+    console.log(`   BTC: ${btcAddress}`);
+    console.log(`   ETH/USDT: ${ethAddress}`);
+
+    await query(`
+      INSERT INTO pool_addresses (currency, address, verified, verified_at)
+      VALUES 
+        ('BTC', $1, true, NOW()),
+        ('ETH', $2, true, NOW()),
+        ('USDT', $3, true, NOW())
+      ON CONFLICT (currency) 
+      DO UPDATE SET 
+        address = EXCLUDED.address,
+        verified = EXCLUDED.verified,
+        verified_at = EXCLUDED.verified_at
+    `, [btcAddress, ethAddress, ethAddress]);
+
+    console.log('💾 Pool addresses saved to database');
+  }
+
+  /**
+   * Pool addresses of the keys the signer process holds
+   */
+  async getSignerAddresses() {
+    const keys = await signerClientService.getPublicKeys();
+    return {
+      BTC: keys.btc ? bitcoin.payments.p2pkh({
+        pubkey: Buffer.from(keys.btc.publicKey, 'hex'),
+        network: bitcoin.networks.bitcoin
+      }).address : null,
+      ETH: keys.evm ? keys.evm.address : null
+    };
+  }
+
+  /**
+   * Check the database pool addresses against the signer's keys
+   */
+  async verifySignerAddresses() {
+    const signerAddresses = await this.getSignerAddresses();
+    console.log('🔍 Address verification (signer):');
+    console.log('Signer BTC:', signerAddresses.BTC);
+    console.log('Database BTC:', this.poolAddresses.BTC);
+    console.log('Signer ETH:', signerAddresses.ETH);
+    console.log('Database ETH:', this.poolAddresses.ETH);
+
+    if (signerAddresses.BTC !== this.poolAddresses.BTC) {
+      console.warn('⚠️ The signer\'s BTC key does not match the database address; BTC withdrawals will be refused');
+    }
+    if ((signerAddresses.ETH || '').toLowerCase() !== (this.poolAddresses.ETH || '').toLowerCase()) {
+      console.warn('⚠️ The signer\'s EVM key does not match the database address; ETH/USDT withdrawals will be refused');
+    }
+  }
+
+  /**
+   * The pool's BTC key in an account-level xpub or zpub (tpub or vpub on testnet): the
+   * first receive address, m/<account>/0/0. Resolves with { address, publicKey, segwit }.
+   */
+  deriveFromXpub(xpub) {
+    const { btcNetwork } = chainAdapters.get('BTC');
+    const testnet = btcNetwork === bitcoin.networks.testnet;
+    const text = String(xpub || '').trim();
+    const format = XPUB_FORMATS[text.slice(0, 4)];
+    if (!format || format.testnet !== testnet) {
+      throw new Error(`BTC key must be an account ${testnet ? 'tpub or vpub' : 'xpub or zpub'}`);
+    }
+
+    let account;
+    try {
+      account = bip32.fromBase58(text, { ...btcNetwork, bip32: { public: format.version, private: 0 } });
+    } catch (error) {
+      throw new Error(`Invalid BTC extended public key: ${error.message}`);
+    }
+    if (account.depth !== 3) {
+      throw new Error(`BTC extended public key must be at the account level (depth 3, got ${account.depth})`);
+    }
+
+    const child = account.derive(0).derive(0);
+    const payment = format.segwit ? bitcoin.payments.p2wpkh : bitcoin.payments.p2pkh;
+    return {
+      address: payment({ pubkey: child.publicKey, network: btcNetwork }).address,
+      publicKey: Buffer.from(child.publicKey).toString('hex'),
+      segwit: format.segwit
+    };
+  }
+
+  /**
+   * Load the registered BTC xpub of a watch-only pool (ETH and USDT need only their address)
+   */
+  async loadWatchOnlyKeys() {
+    const { query } = require('../config/database');
+    const result = await query(`SELECT address, derivation_path, xpub, master_fingerprint FROM pool_addresses WHERE currency = 'BTC'`);
+    const row = result.rows[0];
+    this.watchOnlyKeys = {};
+
+    if (!row?.xpub) {
+      console.warn('⚠️ Watch-only pool has no BTC xpub registered; BTC withdrawals cannot be prepared');
+      return this.watchOnlyKeys;
+    }
+    const btc = this.deriveFromXpub(row.xpub);
+    if (btc.address !== row.address) {
+      console.warn(`⚠️ The registered BTC xpub derives ${btc.address}, not the database address ${row.address}; BTC withdrawals cannot be prepared`);
+      return this.watchOnlyKeys;
+    }
+    this.watchOnlyKeys.BTC = { publicKey: btc.publicKey, path: row.derivation_path, masterFingerprint: row.master_fingerprint };
+    console.log(`👁️ Watch-only pool wallet: BTC ${row.address} (${row.derivation_path}), ETH/USDT ${this.poolAddresses.ETH}`);
+    return this.watchOnlyKeys;
+  }
+
+  /**
+   * Register the keys of a watch-only pool: the BTC account xpub/zpub (with its derivation
+   * path and, for hardware wallets, the master key fingerprint) and the ETH address, which
+   * also receives USDT. Replaces the pool addresses, so it is refused while unsigned
+   * transactions still wait for their signature.
+   */
+  async registerWatchOnly({ btcXpub, ethAddress, accountPath = null, masterFingerprint = null }, { adminId = null, req = null } = {}) {
+    if (!this.isWatchOnly()) {
+      throw new Error('The pool wallet is not watch-only (set POOL_WALLET_MODE=watch_only)');
+    }
+    if (!btcXpub || !ethAddress) {
+      throw new Error('btcXpub and ethAddress are required');
+    }
+
+    const btc = this.deriveFromXpub(btcXpub);
+    const eth = chainAdapters.get('ETH').normalizeAddress(ethAddress);
+    const testnet = chainAdapters.get('BTC').btcNetwork === bitcoin.networks.testnet;
+    const account = accountPath || `m/${btc.segwit ? 84 : 44}'/${testnet ? 1 : 0}'/0'`;
+    if (!/^m(\/\d+'){3}$/.test(account)) {
+      throw new Error("accountPath must be a hardened account path such as m/84'/0'/0'");
+    }
+    if (masterFingerprint && !/^[0-9a-fA-F]{8}$/.test(masterFingerprint)) {
+      throw new Error('masterFingerprint must be 8 hex characters');
+    }
+
+    const { query } = require('../config/database');
+    const open = await query(`SELECT COUNT(*)::int AS count FROM pool_unsigned_transactions WHERE status = 'awaiting_signature'`);
+    if (open.rows[0].count > 0) {
+      throw new Error(`${open.rows[0].count} unsigned transaction(s) still await a signature; broadcast or cancel them first`);
+    }
+
+    const previous = this.poolAddresses ? { ...this.poolAddresses } : null;
+    this.poolAddresses = { BTC: btc.address, ETH: eth, USDT: eth };
+    await this.savePoolAddresses();
+
+    const path = `${account}/0/0`;
+    const fingerprint = masterFingerprint ? masterFingerprint.toLowerCase() : null;
+    await query(
+      `UPDATE pool_addresses
+       SET xpub = CASE WHEN currency = 'BTC' THEN $1 END,
+           master_fingerprint = CASE WHEN currency = 'BTC' THEN $2 END,
+           derivation_path = CASE WHEN currency = 'BTC' THEN $3 END,
+           private_key_encrypted = NULL,
+           updated_at = NOW()`,
+      [btcXpub.trim(), fingerprint, path]
+    );
+    this.watchOnlyKeys = { BTC: { publicKey: btc.publicKey, path, masterFingerprint: fingerprint } };
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'pool.watch_only_registered',
+      targetTable: 'pool_addresses',
+      diff: { before: previous, after: this.poolAddresses, btcPath: path, masterFingerprint: fingerprint },
+      req
+    });
+
+    console.log(`👁️ Watch-only pool keys registered: BTC ${btc.address} (${path}), ETH/USDT ${eth}`);
+    return this.getWatchOnlyStatus();
+  }
+
+  /**
+   * Watch-only mode, the registered keys and how many unsigned transactions await a signature
+   */
+  async getWatchOnlyStatus() {
+    const { query } = require('../config/database');
+    const addresses = await query(`SELECT currency, address, derivation_path, xpub, master_fingerprint FROM pool_addresses ORDER BY currency`);
+    const open = await query(`SELECT COUNT(*)::int AS count FROM pool_unsigned_transactions WHERE status = 'awaiting_signature'`);
+    return {
+      enabled: this.isWatchOnly(),
+      addresses: addresses.rows,
+      awaitingSignature: open.rows[0].count
+    };
+  }
+
   /**
    * Get pool wallet addresses (public addresses for deposits)
    */
@@ -134,6 +353,24 @@ class PoolWalletService {
     return this.poolAddresses;
   }
 
+  /**
+   * Get the pool address for a currency on a network (default network if none is given)
+   */
+  getPoolAddress(currency, network = null) {
+    return chainAdapters.get(currency, network).poolAddress(this.getPoolAddresses());
+  }
+
+  /**
+   * Get a currency's pool address on every supported network: { network: address }
+   */
+  getNetworkPoolAddresses(currency) {
+    const addresses = {};
+    for (const adapter of chainAdapters.forCurrency(currency)) {
+      addresses[adapter.network] = adapter.poolAddress(this.getPoolAddresses());
+    }
+    return addresses;
+  }
+
   /**
    * Manually set/override a pool address (admin action)
    * NOTE: This is now deprecated in favor of automatic generation
@@ -232,6 +469,13 @@ class PoolWalletService {
    * This is needed when the address was created outside the deterministic system
    */
   async setPoolPrivateKey(currency, privateKey) {
+    if (this.isWatchOnly()) {
+      throw new Error('The pool wallet is watch-only; register its public keys instead');
+    }
+    if (signerClientService.enabled) {
+      throw new Error('Pool keys are held by the signer service; configure the key there');
+    }
+
     try {
       console.log(`🔑 Setting manual private key for ${currency}...`);
       
@@ -280,6 +524,10 @@ class PoolWalletService {
    * Get decrypted private key for signing transactions
    */
   async getPoolPrivateKey(currency) {
+    if (signerClientService.enabled) {
+      throw new Error('Pool keys are held by the signer service and cannot be read');
+    }
+
     if (!this.poolPrivateKeys) {
       await this.initializePoolWallets();
     }
@@ -307,9 +555,30 @@ class PoolWalletService {
   }
 
   /**
-   * Generate user deposit address (unique for each user, but transactions go to pool)
+   * What an adapter needs to sign a pool send: { signer } when the signer service holds
+   * the keys, otherwise { privateKey }. `references` name the withdrawals being paid.
    */
-  async getUserDepositAddress(userId, currency) {
+  async signingKeysFor(adapter, references = []) {
+    if (this.isWatchOnly()) {
+      throw new Error('The pool wallet is watch-only; its transactions are signed offline');
+    }
+    if (signerClientService.enabled) {
+      return { signer: await signerClientService.signerFor(adapter, { references }) };
+    }
+    return { privateKey: await this.getPoolPrivateKey(adapter.currency) };
+  }
+
+  /**
+   * Generate user deposit address (unique for each user, but transactions go to pool).
+   * With per-user HD deposit addresses enabled, returns the user's watched address instead.
+   */
+  async getUserDepositAddress(userId, currency, network = null) {
+    const depositAddressService = require('./depositAddressService');
+    if (depositAddressService.isEnabled()) {
+      const depositAddress = await depositAddressService.getOrCreateAddress(userId, currency, network);
+      return depositAddress.address;
+    }
+
     // Generate unique address for user display
     const seed = await bip39.mnemonicToSeed(this.masterSeed + userId);
     const root = bip32.fromSeed(seed, bitcoin.networks.bitcoin);
@@ -328,6 +597,10 @@ class PoolWalletService {
       const path = `m/44'/60'/${accountIndex}'/0/0`;
       const child = root.derivePath(path);
       const wallet = new ethers.Wallet(child.privateKey.toString('hex'));
+      // The same key holds USDT on every network; Tron just writes the address differently
+      if (currency.toLowerCase() === 'usdt' && chainAdapters.normalizeNetwork(network) === 'tron') {
+        return toTronAddress(wallet.address);
+      }
       return wallet.address;
     }
     
@@ -352,262 +625,359 @@ class PoolWalletService {
   }
 
   /**
-   * Encrypt private key
+   * Encrypt private key (under the current wallet encryption key, see secretEncryptionService)
    */
   encrypt(text) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(this.encryptionKey), iv);
-    let encrypted = cipher.update(text);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    return iv.toString('hex') + ':' + encrypted.toString('hex');
+    return secretEncryptionService.encrypt(text);
   }
 
   /**
-   * Decrypt private key
+   * Decrypt private key (any key version)
    */
   decrypt(text) {
-    const textParts = text.split(':');
-    const iv = Buffer.from(textParts.shift(), 'hex');
-    const encryptedText = Buffer.from(textParts.join(':'), 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(this.encryptionKey), iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    return decrypted.toString();
+    return secretEncryptionService.decrypt(text, { legacy: 'pool' });
   }
 
   /**
-   * Get pool wallet balances (for admin monitoring)
+   * Get pool wallet balances (for admin monitoring).
+   * A currency held on several networks is reported as one balance with a per-network breakdown.
    */
   async getPoolBalances() {
     const addresses = await this.getPoolAddresses();
-    
-    try {
-      // Use Sepolia testnet RPC (fallback if ETH_RPC_URL is not set or invalid)
-      const rpcUrl = process.env.ETH_RPC_URL || 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161';
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
-      
-      // Get ETH balance
-      const ethBalance = await provider.getBalance(addresses.ETH);
-      const ethBalanceFormatted = parseFloat(ethers.formatEther(ethBalance));
-      
-      // Get USDT balance (ERC-20) - Use Sepolia testnet USDT contract
-      const usdtContractAddress = '0x7169D38820dfd117C3FA1f22a697dBA58d90BA06'; // Sepolia USDT
-      const usdtAbi = ["function balanceOf(address owner) view returns (uint256)"];
-      const usdtContract = new ethers.Contract(usdtContractAddress, usdtAbi, provider);
-      const usdtBalance = await usdtContract.balanceOf(addresses.USDT);
-      const usdtBalanceFormatted = parseFloat(ethers.formatUnits(usdtBalance, 6)); // USDT has 6 decimals
-      
-      // For BTC, we'd need a Bitcoin API - for now return 0
-      // In production, you'd use a service like BlockCypher, Blockstream, or your own Bitcoin node
-      const btcBalance = 0; // TODO: Implement Bitcoin balance checking
-      
-      console.log('✅ Pool balances fetched successfully:');
-      console.log(`   ETH: ${ethBalanceFormatted} ETH`);
-      console.log(`   USDT: ${usdtBalanceFormatted} USDT`);
-      console.log(`   BTC: ${btcBalance} BTC (not implemented)`);
-      
-      return {
-        BTC: {
-          address: addresses.BTC,
-          balance: btcBalance,
-          pending: 0
-        },
-        ETH: {
-          address: addresses.ETH,
-          balance: ethBalanceFormatted,
-          pending: 0
-        },
-        USDT: {
-          address: addresses.USDT,
-          balance: usdtBalanceFormatted,
-          pending: 0
-        }
-      };
-    } catch (error) {
-      console.error('❌ Error fetching pool balances:', error.message);
-      // Return zero balances on error
-      return {
-        BTC: {
-          address: addresses.BTC,
-          balance: 0,
-          pending: 0
-        },
-        ETH: {
-          address: addresses.ETH,
-          balance: 0,
-          pending: 0
-        },
-        USDT: {
-          address: addresses.USDT,
-          balance: 0,
-          pending: 0
+    const balances = {};
+
+    // `live` tells callers (e.g. reconciliation) whether the figure was actually read on-chain
+    for (const currency of ['BTC', 'ETH', 'USDT']) {
+      const networks = {};
+      let total = 0;
+      let live = true;
+      const errors = [];
+
+      for (const adapter of chainAdapters.forCurrency(currency)) {
+        const address = adapter.poolAddress(addresses);
+        try {
+          const balance = await adapter.getBalance(address);
+          networks[adapter.network] = { address, balance, live: true };
+          total += balance;
+        } catch (error) {
+          console.error(`❌ Error fetching ${currency} (${adapter.network}) pool balance:`, error.message);
+          networks[adapter.network] = { address, balance: 0, live: false, error: error.message };
+          live = false;
+          errors.push(`${adapter.network}: ${error.message}`);
         }
+      }
+
+      balances[currency] = {
+        address: addresses[currency],
+        balance: total,
+        pending: 0,
+        live,
+        networks
       };
+      if (errors.length > 0) {
+        balances[currency].error = errors.join('; ');
+      }
     }
+
+    console.log('✅ Pool balances fetched:', Object.entries(balances)
+      .map(([currency, entry]) => `${entry.balance} ${currency}${entry.live ? '' : ' (incomplete)'}`)
+      .join(', '));
+
+    return balances;
   }
 
   /**
-   * Send crypto from pool wallet (for withdrawals)
+   * What every pool send checks before it is signed: the parameters, the approval policy
+   * (or, without a withdrawal, an internal destination) and the pool balance on the chain,
+   * less `reserved` (already promised to unsigned transactions). Resolves with
+   * { destination, poolAddress }.
    */
-  async sendFromPool(currency, toAddress, amount) {
-    console.log(`🚀 Starting pool withdrawal: ${amount} ${currency} to ${toAddress}`);
-    
+  async checkPoolSend(adapter, toAddress, amount, { referenceType = null, referenceId = null, reserved = 0 } = {}) {
+    const currency = adapter.currency;
+
     // Validate inputs
-    if (!currency || !toAddress || !amount) {
+    if (!toAddress || !amount) {
       throw new Error('Missing required parameters: currency, toAddress, amount');
     }
     
     if (amount <= 0) {
       throw new Error('Amount must be greater than 0');
     }
+
+    const destination = adapter.normalizeAddress(toAddress);
+    const poolAddress = adapter.poolAddress(this.getPoolAddresses());
+
+    // Maker-checker: nothing leaves the pool for a withdrawal that lacks its approvals
+    const withdrawalApprovalService = require('./withdrawalApprovalService');
+    if (referenceType) {
+      await withdrawalApprovalService.assertApproved(referenceType, referenceId, {
+        currency: adapter.currency,
+        network: adapter.network,
+        toAddress: destination,
+        amount
+      });
+    } else if (!await withdrawalApprovalService.isInternalAddress(adapter, destination)) {
+      throw new Error('Pool sends must reference an approved withdrawal');
+    }
     
-    // Check pool balance first
-    const balances = await this.getPoolBalances();
-    const poolBalance = balances[currency.toUpperCase()]?.balance || 0;
+    // Check pool balance first (on the network the funds leave from)
+    const poolBalance = await adapter.getBalance(poolAddress) - reserved;
     
     if (poolBalance < amount) {
-      throw new Error(`Insufficient pool balance. Available: ${poolBalance} ${currency}, Requested: ${amount} ${currency}`);
+      throw new Error(`Insufficient pool balance on ${adapter.network}. Available: ${poolBalance} ${currency}, Requested: ${amount} ${currency}`);
     }
     
-    console.log(`✅ Pool balance check passed: ${poolBalance} ${currency} available`);
+    console.log(`✅ Pool balance check passed: ${poolBalance} ${currency} available on ${adapter.network}`);
+    return { destination, poolAddress };
+  }
+
+  /**
+   * Send crypto from pool wallet (for withdrawals), on the currency's default network unless one is given.
+   * `referenceType`/`referenceId` name the withdrawal being paid; it must meet the approval policy.
+   * Without one, only the platform's own addresses can be paid (gas top-ups, treasury sweeps to
+   * cold storage); `trackAs` then names the record the broadcast is tracked under.
+   */
+  async sendFromPool(currency, toAddress, amount, network = null, { referenceType = null, referenceId = null, trackAs = null } = {}) {
+    const adapter = chainAdapters.get(currency, network);
+    console.log(`🚀 Starting pool withdrawal: ${amount} ${currency} (${adapter.network}) to ${toAddress}`);
+
+    const { destination, poolAddress } = await this.checkPoolSend(adapter, toAddress, amount, { referenceType, referenceId });
     
-    const privateKey = await this.getPoolPrivateKey(currency);
+    const references = referenceType ? [{ type: referenceType, id: referenceId }] : (trackAs ? [trackAs] : []);
+    const keys = await this.signingKeysFor(adapter, references);
     
-    let txHash;
-    if (currency.toLowerCase() === 'btc') {
-      txHash = await this.sendBTC(privateKey, toAddress, amount);
-    } else if (currency.toLowerCase() === 'eth') {
-      txHash = await this.sendETH(privateKey, toAddress, amount);
-    } else if (currency.toLowerCase() === 'usdt') {
-      txHash = await this.sendUSDT(privateKey, toAddress, amount);
-    } else {
-      throw new Error(`Unsupported currency: ${currency}`);
+    // Sent as a batch of one so the broadcast tracker gets what a fee bump needs
+    const result = await adapter.sendBatch({
+      ...keys,
+      fromAddress: poolAddress,
+      outputs: [{ toAddress: destination, amount }]
+    });
+    if (result.failures.length > 0) {
+      throw new Error(result.failures[0].error);
+    }
+    const txHash = result.transactions[0].txHash;
+
+    // Broadcast: from here on the hash must reach the caller, whatever else fails
+    try {
+      await broadcastTrackerService.track(adapter, result.transactions[0], { references });
+    } catch (error) {
+      console.error(`❌ Could not track pool broadcast ${txHash}:`, error.message);
     }
     
     // Log the withdrawal transaction
-    await this.logWithdrawalTransaction(currency, toAddress, amount, txHash);
+    await this.logWithdrawalTransaction(currency, destination, amount, txHash);
     
     console.log(`✅ Pool withdrawal completed: ${txHash}`);
     return txHash;
   }
 
   /**
-   * Send Bitcoin from pool wallet
+   * Pay several withdrawals on one chain together (see withdrawalBatchService).
+   * Each payment is { toAddress, amount, referenceType, referenceId } and must meet the approval policy.
+   * Resolves with the adapter's sendBatch() result, whose `outputs` index into `payments`.
+   * Every transaction is handed to the broadcast tracker with its withdrawals and `batchId`.
    */
-  async sendBTC(privateKeyWIF, toAddress, amountBtc) {
-    // Implementation would be similar to withdrawalService.js
-    // This is a placeholder - you'd need to implement UTXO management
-    console.log(`📤 Sending ${amountBtc} BTC from pool to ${toAddress}`);
-    
-    // For now, return a placeholder transaction hash
-    return 'pool-btc-tx-' + Date.now();
-  }
+  async sendBatchFromPool(currency, network, payments, { batchId = null } = {}) {
+    const adapter = chainAdapters.get(currency, network);
+    const withdrawalApprovalService = require('./withdrawalApprovalService');
 
-  /**
-   * Send Ethereum from pool wallet
-   */
-  async sendETH(privateKey, toAddress, amount) {
-    try {
-      // Use Sepolia testnet RPC (fallback if ETH_RPC_URL is not set or invalid)
-      const rpcUrl = process.env.ETH_RPC_URL || 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161';
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
-      const wallet = new ethers.Wallet(privateKey, provider);
-      
-      console.log(`💰 Sending ${amount} ETH from ${wallet.address} to ${toAddress}`);
-      
-      // Validate and normalize address
-      let normalizedAddress;
-      try {
-        normalizedAddress = ethers.getAddress(toAddress);
-      } catch (error) {
-        // If checksum is wrong, try to fix it
-        if (error.code === 'INVALID_ARGUMENT' && error.argument === 'address') {
-          try {
-            // Convert to lowercase and try again
-            normalizedAddress = ethers.getAddress(toAddress.toLowerCase());
-          } catch (e) {
-            throw new Error(`Invalid Ethereum address format: ${toAddress}`);
-          }
-        } else {
-          throw new Error(`Invalid Ethereum address: ${toAddress}`);
-        }
+    const outputs = [];
+    for (const payment of payments) {
+      const destination = adapter.normalizeAddress(payment.toAddress);
+      await withdrawalApprovalService.assertApproved(payment.referenceType, payment.referenceId, {
+        currency: adapter.currency,
+        network: adapter.network,
+        toAddress: destination,
+        amount: payment.amount
+      });
+      outputs.push({ toAddress: destination, amount: payment.amount });
+    }
+
+    const total = outputs.reduce((sum, output) => sum + output.amount, 0);
+    const poolAddress = adapter.poolAddress(this.getPoolAddresses());
+    const poolBalance = await adapter.getBalance(poolAddress);
+    if (poolBalance < total) {
+      throw new Error(`Insufficient pool balance on ${adapter.network}. Available: ${poolBalance} ${currency}, Batch total: ${total} ${currency}`);
+    }
+
+    console.log(`🚀 Starting batched pool withdrawal: ${outputs.length} payment(s), ${total} ${currency} (${adapter.network})`);
+
+    const keys = await this.signingKeysFor(adapter, payments.map(payment => ({ type: payment.referenceType, id: payment.referenceId })));
+    const result = await adapter.sendBatch({ ...keys, fromAddress: poolAddress, outputs });
+
+    for (const tx of result.transactions) {
+      for (const index of tx.outputs) {
+        await this.logWithdrawalTransaction(currency, outputs[index].toAddress, outputs[index].amount, tx.txHash);
       }
-      
-      // Estimate gas limit
-      const gasEstimate = await provider.estimateGas({
-        from: wallet.address,
-        to: normalizedAddress,
-        value: ethers.parseEther(amount.toString())
+      await broadcastTrackerService.track(adapter, tx, {
+        references: tx.outputs.map(index => ({ type: payments[index].referenceType, id: payments[index].referenceId })),
+        batchId
       });
-      
-      const tx = {
-        to: normalizedAddress,
-        value: ethers.parseEther(amount.toString()),
-        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
-      };
-      
-      console.log(`⛽ Gas estimate: ${gasEstimate.toString()}, Using: ${tx.gasLimit.toString()}`);
-      
-      const response = await wallet.sendTransaction(tx);
-      console.log(`📤 ETH transaction sent: ${response.hash}`);
-      
-      return response.hash;
-    } catch (error) {
-      console.error('❌ ETH send error:', error);
-      throw new Error(`Failed to send ETH: ${error.message}`);
     }
+
+    console.log(`✅ Batched pool withdrawal sent: ${result.transactions.length} transaction(s), ${result.failures.length} failure(s)`);
+    return result;
   }
 
   /**
-   * Send USDT from pool wallet
+   * Watch-only counterpart of sendFromPool() for an approved withdrawal: the same checks,
+   * then an unsigned transaction for it is stored to be signed offline. One that was
+   * already waiting for this withdrawal is cancelled and replaced. The balance check and
+   * the adapter leave alone what other unsigned transactions on the chain already use.
    */
-  async sendUSDT(privateKey, toAddress, amount) {
-    try {
-      // Use Sepolia testnet RPC (fallback if ETH_RPC_URL is not set or invalid)
-      const rpcUrl = process.env.ETH_RPC_URL || 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161';
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
-      const wallet = new ethers.Wallet(privateKey, provider);
-      
-      // Use Sepolia testnet USDT contract
-      const usdtContractAddress = '0x7169D38820dfd117C3FA1f22a697dBA58d90BA06'; // Sepolia USDT
-      const usdtAbi = ["function transfer(address to, uint256 amount)"];
-      const usdtContract = new ethers.Contract(usdtContractAddress, usdtAbi, wallet);
-      
-      console.log(`💰 Sending ${amount} USDT from ${wallet.address} to ${toAddress}`);
-      
-      // Validate and normalize address
-      let normalizedAddress;
+  async prepareUnsignedFromPool(currency, toAddress, amount, network = null, { referenceType, referenceId, createdBy = null }) {
+    const { query } = require('../config/database');
+    const adapter = chainAdapters.get(currency, network);
+    const poolAddress = adapter.poolAddress(this.getPoolAddresses());
+
+    await query(
+      `UPDATE pool_unsigned_transactions SET status = 'cancelled'
+       WHERE reference_type = $1 AND reference_id = $2 AND status = 'awaiting_signature'`,
+      [referenceType, referenceId]
+    );
+    const open = await query(
+      `SELECT currency, outputs, holds FROM pool_unsigned_transactions
+       WHERE network = $1 AND LOWER(from_address) = LOWER($2) AND status = 'awaiting_signature'`,
+      [adapter.network, poolAddress]
+    );
+    const reserved = open.rows
+      .filter(row => row.currency === adapter.currency)
+      .reduce((sum, row) => sum + row.outputs.reduce((total, output) => total + output.amount, 0), 0);
+
+    const { destination } = await this.checkPoolSend(adapter, toAddress, amount, { referenceType, referenceId, reserved });
+    const outputs = [{ toAddress: destination, amount }];
+    const built = await adapter.buildUnsignedTransaction({
+      watchOnly: this.watchOnlyKeys?.[adapter.currency] || null,
+      fromAddress: poolAddress,
+      outputs,
+      held: open.rows.flatMap(row => row.holds)
+    });
+
+    const result = await query(
+      `INSERT INTO pool_unsigned_transactions (
+         currency, network, reference_type, reference_id, from_address, outputs,
+         format, payload, fingerprint, holds, fee, created_by, expires_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        adapter.currency,
+        adapter.network,
+        referenceType,
+        referenceId,
+        poolAddress,
+        JSON.stringify(outputs),
+        built.format,
+        built.payload,
+        built.fingerprint,
+        JSON.stringify(built.holds),
+        built.fee,
+        createdBy,
+        built.expiresAt
+      ]
+    );
+
+    console.log(`✍️ Unsigned ${amount} ${currency} (${adapter.network}) transaction to ${destination} awaits its offline signature`);
+    return result.rows[0];
+  }
+
+  /**
+   * Broadcast the signed form of an unsigned transaction. It must be the very transaction
+   * that was prepared (same fingerprint), signed by the pool key, before it expires, and
+   * its withdrawal must still meet the approval policy. Resolves with the updated row.
+   */
+  async submitSignedFromPool(unsignedId, signedTransaction, { submittedBy = null } = {}) {
+    if (!signedTransaction) {
+      throw new Error('signedTransaction is required');
+    }
+    const { transaction } = require('../config/database');
+    const withdrawalApprovalService = require('./withdrawalApprovalService');
+
+    const submitted = await transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM pool_unsigned_transactions WHERE id = $1 FOR UPDATE', [unsignedId]);
+      const unsigned = locked.rows[0];
+      if (!unsigned) {
+        throw new Error('Unsigned transaction not found');
+      }
+      if (unsigned.status !== 'awaiting_signature') {
+        throw new Error(`Unsigned transaction is ${unsigned.status}`);
+      }
+      if (unsigned.expires_at && new Date(unsigned.expires_at) <= new Date()) {
+        throw new Error('The unsigned transaction has expired; prepare a new one');
+      }
+
+      const adapter = chainAdapters.get(unsigned.currency, unsigned.network);
+      const inspected = adapter.inspectSignedTransaction(signedTransaction);
+      if (inspected.fingerprint !== unsigned.fingerprint) {
+        throw new Error('Signed transaction is not the unsigned transaction prepared for this withdrawal');
+      }
+      if (inspected.from && adapter.addressKey(inspected.from) !== adapter.addressKey(unsigned.from_address)) {
+        throw new Error('Signed transaction is not signed by the pool key');
+      }
+
+      for (const output of unsigned.outputs) {
+        await withdrawalApprovalService.assertApproved(unsigned.reference_type, unsigned.reference_id, {
+          currency: unsigned.currency,
+          network: unsigned.network,
+          toAddress: output.toAddress,
+          amount: output.amount
+        });
+      }
+
+      let txHash;
       try {
-        normalizedAddress = ethers.getAddress(toAddress);
+        txHash = await adapter.broadcastSigned(inspected);
       } catch (error) {
-        // If checksum is wrong, try to fix it
-        if (error.code === 'INVALID_ARGUMENT' && error.argument === 'address') {
-          try {
-            // Convert to lowercase and try again
-            normalizedAddress = ethers.getAddress(toAddress.toLowerCase());
-          } catch (e) {
-            throw new Error(`Invalid Ethereum address format: ${toAddress}`);
-          }
-        } else {
-          throw new Error(`Invalid Ethereum address: ${toAddress}`);
-        }
+        throw new Error(`Broadcast failed: ${error.response?.data?.message || error.response?.data || error.message}`);
       }
-      
-      const amountUsdt = ethers.parseUnits(amount.toString(), 6); // USDT has 6 decimals
-      
-      // Estimate gas for USDT transfer
-      const gasEstimate = await usdtContract.transfer.estimateGas(normalizedAddress, amountUsdt);
-      
-      const tx = await usdtContract.transfer(normalizedAddress, amountUsdt, {
-        gasLimit: gasEstimate * 120n / 100n // Add 20% buffer
-      });
-      
-      console.log(`📤 USDT transaction sent: ${tx.hash}`);
-      return tx.hash;
-    } catch (error) {
-      console.error('❌ USDT send error:', error);
-      throw new Error(`Failed to send USDT: ${error.message}`);
+
+      const updated = await client.query(
+        `UPDATE pool_unsigned_transactions
+         SET status = 'broadcast', tx_hash = $1, submitted_by = $2, broadcast_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [txHash, submittedBy, unsignedId]
+      );
+      return updated.rows[0];
+    });
+
+    const adapter = chainAdapters.get(submitted.currency, submitted.network);
+    await broadcastTrackerService.track(adapter, { txHash: submitted.tx_hash, fee: submitted.fee, replacement: null }, {
+      references: [{ type: submitted.reference_type, id: submitted.reference_id }]
+    });
+    for (const output of submitted.outputs) {
+      await this.logWithdrawalTransaction(submitted.currency, output.toAddress, output.amount, submitted.tx_hash);
     }
+
+    console.log(`✅ Offline-signed pool withdrawal broadcast: ${submitted.tx_hash}`);
+    return submitted;
+  }
+
+  /**
+   * The unsigned transaction waiting for its signature for a withdrawal (null if none)
+   */
+  async getOpenUnsignedTransaction(referenceType, referenceId) {
+    const { query } = require('../config/database');
+    const result = await query(
+      `SELECT * FROM pool_unsigned_transactions
+       WHERE reference_type = $1 AND reference_id = $2 AND status = 'awaiting_signature'`,
+      [referenceType, referenceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Unsigned transactions, newest first (optionally one status: awaiting_signature, broadcast, cancelled)
+   */
+  async listUnsignedTransactions({ status = null, limit = 50, offset = 0 } = {}) {
+    const { query } = require('../config/database');
+    const result = await query(
+      `SELECT * FROM pool_unsigned_transactions
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    return result.rows;
   }
 
   /**
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const poolWalletService = require('./poolWalletService');
+const ledgerService = require('./ledgerService');
+const treasuryService = require('./treasuryService');
+
+/**
+ * Proof of reserves
+ *
+ * For every asset a Merkle sum tree is built over the users' liabilities
+ * (crypto from user_balances, gold grams from gold_holdings). Each node carries
+ * a hash and the sum of the balances below it, so the root commits to the total
+ * liabilities and every user can check that their balance is included without
+ * learning anyone else's. The reserves side lists the pool addresses and, as a line of
+ * its own, the cold storage addresses (with their balances) funds are swept to.
+ *
+ * Hashing (sha256, hex; amounts are integer units of 1e-8):
+ *   userHash = H(`${userId}:${nonce}`)
+ *   leaf     = H(`leaf:${asset}:${userHash}:${units}`)
+ *   node     = H(`node:${left.hash}:${left.sum}:${right.hash}:${right.sum}`)
+ * Odd levels are padded with an empty node: hash H('empty'), sum 0.
+ *
+ * scripts/verify-reserves-proof.js re-implements this independently for offline checks.
+ */
+class ProofOfReservesService {
+  constructor() {
+    this.cryptoAssets = ['BTC', 'ETH', 'USDT'];
+    this.goldAsset = 'GOLD';
+    this.emptyNode = { hash: this.sha256('empty'), sum: 0n };
+  }
+
+  sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  userHash(userId, nonce) {
+    return this.sha256(`${userId}:${nonce}`);
+  }
+
+  leafHash(asset, userHash, units) {
+    return this.sha256(`leaf:${asset}:${userHash}:${units.toString()}`);
+  }
+
+  parentNode(left, right) {
+    return {
+      hash: this.sha256(`node:${left.hash}:${left.sum.toString()}:${right.hash}:${right.sum.toString()}`),
+      sum: left.sum + right.sum
+    };
+  }
+
+  /**
+   * Build every level of a Merkle sum tree from its leaves (level 0 = leaves)
+   */
+  buildTree(leaves) {
+    if (leaves.length === 0) {
+      return [[this.emptyNode]];
+    }
+
+    const levels = [leaves];
+    let level = leaves;
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(this.parentNode(level[i], level[i + 1] || this.emptyNode));
+      }
+      levels.push(next);
+      level = next;
+    }
+    return levels;
+  }
+
+  /**
+   * Sibling path from a leaf to the root
+   */
+  buildProofPath(levels, leafIndex) {
+    const path = [];
+    let index = leafIndex;
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+      const level = levels[depth];
+      const isRight = index % 2 === 1;
+      const sibling = isRight ? level[index - 1] : (level[index + 1] || this.emptyNode);
+      path.push({
+        position: isRight ? 'left' : 'right',
+        hash: sibling.hash,
+        sum: sibling.sum.toString()
+      });
+      index = Math.floor(index / 2);
+    }
+    return path;
+  }
+
+  /**
+   * Current liabilities per asset: { asset: [{ userId, amount }] }
+   */
+  async getLiabilities(client) {
+    const liabilities = {};
+    for (const asset of [...this.cryptoAssets, this.goldAsset]) {
+      liabilities[asset] = [];
+    }
+
+    const balances = await client.query(
+      `SELECT user_id, currency, balance FROM user_balances WHERE balance <> 0`
+    );
+    for (const row of balances.rows) {
+      if (liabilities[row.currency]) {
+        liabilities[row.currency].push({ userId: row.user_id, amount: row.balance });
+      }
+    }
+
+    const gold = await client.query(
+      `SELECT user_id, SUM(weight_grams) AS grams
+       FROM gold_holdings
+       WHERE status = 'holding'
+       GROUP BY user_id
+       HAVING SUM(weight_grams) <> 0`
+    );
+    for (const row of gold.rows) {
+      liabilities[this.goldAsset].push({ userId: row.user_id, amount: row.grams });
+    }
+
+    return liabilities;
+  }
+
+  /**
+   * Generate and store a new proof-of-reserves snapshot
+   */
+  async generateSnapshot(createdBy = null) {
+    await poolWalletService.initializePoolWallets();
+    const poolAddresses = poolWalletService.getPoolAddresses();
+    // Read on-chain before the transaction so no chain call holds it open
+    const coldBalances = await treasuryService.getColdBalances(this.cryptoAssets);
+
+    const snapshot = await transaction(async (client) => {
+      // Read all liabilities from one consistent view of the tables
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+
+      const liabilities = await this.getLiabilities(client);
+
+      const snapshotResult = await client.query(
+        `INSERT INTO reserves_snapshots (assets, created_by) VALUES ('{}', $1) RETURNING *`,
+        [createdBy]
+      );
+      const snapshotRow = snapshotResult.rows[0];
+
+      const assets = {};
+      for (const [asset, entries] of Object.entries(liabilities)) {
+        let excludedNegative = 0;
+        const leaves = [];
+
+        for (const entry of entries) {
+          const units = ledgerService.toUnits(entry.amount);
+          if (units < 0n) {
+            // A negative balance is not a liability; it is reported but never offsets other users
+            excludedNegative++;
+            continue;
+          }
+          const nonce = crypto.randomBytes(16).toString('hex');
+          const hash = this.leafHash(asset, this.userHash(entry.userId, nonce), units);
+          leaves.push({ userId: entry.userId, nonce, units, hash, sum: units });
+        }
+
+        // Order leaves by hash so the position reveals nothing about the user
+        leaves.sort((a, b) => (a.hash < b.hash ? -1 : 1));
+
+        for (let i = 0; i < leaves.length; i++) {
+          const leaf = leaves[i];
+          await client.query(
+            `INSERT INTO reserves_snapshot_leaves (snapshot_id, asset, leaf_index, user_id, nonce, amount_units)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [snapshotRow.id, asset, i, leaf.userId, leaf.nonce, leaf.units.toString()]
+          );
+        }
+
+        const levels = this.buildTree(leaves);
+        const root = levels[levels.length - 1][0];
+
+        assets[asset] = {
+          root: root.hash,
+          totalUnits: root.sum.toString(),
+          total: ledgerService.fromUnits(root.sum),
+          leafCount: leaves.length,
+          excludedNegative,
+          poolAddress: asset === this.goldAsset ? null : (poolAddresses[asset] || null),
+          // Reserves of a multi-network asset are spread over one pool address per network
+          poolAddresses: asset === this.goldAsset ? null : poolWalletService.getNetworkPoolAddresses(asset),
+          coldStorage: coldBalances[asset]
+            ? { balance: coldBalances[asset].balance, live: coldBalances[asset].live, networks: coldBalances[asset].networks }
+            : null
+        };
+      }
+
+      const updated = await client.query(
+        `UPDATE reserves_snapshots SET assets = $2 WHERE id = $1 RETURNING *`,
+        [snapshotRow.id, JSON.stringify(assets)]
+      );
+
+      return updated.rows[0];
+    });
+
+    console.log(`🌳 Proof-of-reserves snapshot ${snapshot.id} generated`);
+    return snapshot;
+  }
+
+  /**
+   * Get the latest published snapshot (roots, totals, pool and cold storage addresses)
+   */
+  async getLatestSnapshot() {
+    const result = await query(
+      `SELECT id, assets, created_at FROM reserves_snapshots ORDER BY created_at DESC LIMIT 1`
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List snapshots (newest first)
+   */
+  async getSnapshots(limit = 30) {
+    const result = await query(
+      `SELECT id, assets, created_by, created_at FROM reserves_snapshots ORDER BY created_at DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Build a user's inclusion proofs for every asset in a snapshot (latest by default)
+   */
+  async getUserProof(userId, snapshotId = null) {
+    const snapshot = snapshotId
+      ? (await query('SELECT id, assets, created_at FROM reserves_snapshots WHERE id = $1', [snapshotId])).rows[0]
+      : await this.getLatestSnapshot();
+
+    if (!snapshot) {
+      return null;
+    }
+
+    const userLeaves = await query(
+      `SELECT asset, leaf_index, nonce, amount_units
+       FROM reserves_snapshot_leaves
+       WHERE snapshot_id = $1 AND user_id = $2`,
+      [snapshot.id, userId]
+    );
+
+    const proofs = [];
+    for (const userLeaf of userLeaves.rows) {
+      const { asset } = userLeaf;
+
+      // Recompute the asset's leaves from the stored snapshot to rebuild the tree
+      const leafRows = await query(
+        `SELECT user_id, nonce, amount_units
+         FROM reserves_snapshot_leaves
+         WHERE snapshot_id = $1 AND asset = $2
+         ORDER BY leaf_index ASC`,
+        [snapshot.id, asset]
+      );
+      const leaves = leafRows.rows.map(row => {
+        const units = BigInt(row.amount_units);
+        return { hash: this.leafHash(asset, this.userHash(row.user_id, row.nonce), units), sum: units };
+      });
+
+      const levels = this.buildTree(leaves);
+      const root = levels[levels.length - 1][0];
+      const published = snapshot.assets[asset] || {};
+
+      if (root.hash !== published.root) {
+        throw new Error(`Stored snapshot ${snapshot.id} does not reproduce the published ${asset} root`);
+      }
+
+      const units = BigInt(userLeaf.amount_units);
+      proofs.push({
+        asset,
+        root: published.root,
+        totalUnits: published.totalUnits,
+        total: published.total,
+        leaf: {
+          userId,
+          nonce: userLeaf.nonce,
+          amountUnits: units.toString(),
+          amount: ledgerService.fromUnits(units),
+          hash: leaves[userLeaf.leaf_index].hash
+        },
+        path: this.buildProofPath(levels, userLeaf.leaf_index)
+      });
+    }
+
+    return {
+      snapshotId: snapshot.id,
+      createdAt: snapshot.created_at,
+      format: 'merkle-sum-sha256-v1',
+      proofs
+    };
+  }
+}
+
+module.exports = new ProofOfReservesService();
@@ -1,10 +1,10 @@
 /**
  * Real-time Gold Price Service
- * Fetches gold prices at regular intervals and broadcasts via WebSocket
+ * Refreshes the gold price oracle at regular intervals and broadcasts via WebSocket
  * Similar to TradingView's real-time updates
  */
 
-const goldPriceService = require('./goldPriceService');
+const goldPriceOracleService = require('./goldPriceOracleService');
 const { query } = require('../config/database');
 
 class RealtimeGoldPriceService {
@@ -37,8 +37,7 @@ class RealtimeGoldPriceService {
     this.isRunning = true;
     console.log(`🚀 Starting real-time gold price updates (every ${this.updateFrequency / 1000}s)`);
     console.log(`📡 WebSocket server status: ${this.io ? 'Initialized' : 'NOT INITIALIZED'}`);
-    console.log(`💡 Note: TradingView WebSocket is the primary source (no API key required)`);
-    console.log(`💡 This service runs as fallback if TradingView WebSocket fails`);
+    console.log(`💡 Prices come from goldPriceOracleService (sources: ${goldPriceOracleService.sourceNames.join(', ')})`);
 
     // Fetch immediately (but with a small delay to ensure server is ready)
     setTimeout(() => {
@@ -72,7 +71,8 @@ class RealtimeGoldPriceService {
       console.log(`🔄 [${new Date().toLocaleTimeString()}] Fetching fresh gold price...`);
       
       // Force refresh to get latest price (bypass cache)
-      const pricePerGram = await goldPriceService.getCurrentGoldPrice(true);
+      const snapshot = await goldPriceOracleService.getPrice({ force: true });
+      const pricePerGram = snapshot.pricePerGram;
       
       if (!pricePerGram || isNaN(pricePerGram) || pricePerGram <= 0) {
         console.error('❌ Invalid gold price received:', pricePerGram);
@@ -86,10 +86,9 @@ class RealtimeGoldPriceService {
         return;
       }
       
-      console.log(`✅ Gold price fetched: $${pricePerGram.toFixed(2)}/gram`);
+      console.log(`✅ Gold price fetched: $${pricePerGram.toFixed(2)}/gram (${snapshot.status})`);
 
-      // Calculate price per troy ounce for display
-      const pricePerOunce = pricePerGram * 31.1035;
+      const pricePerOunce = snapshot.pricePerOunce;
 
       // Get 24h change
       let change24h = 0;
@@ -166,8 +165,11 @@ class RealtimeGoldPriceService {
         }
       };
       
-      // Run asynchronously without blocking
-      storeHistory().catch(() => {}); // Silently handle any unhandled errors
+      // Run asynchronously without blocking. Only a fresh, agreed price is recorded; a
+      // stale or contested snapshot still carries the last good one.
+      if (snapshot.status === 'ok') {
+        storeHistory().catch(() => {}); // Silently handle any unhandled errors
+      }
 
       // Get exchange rates for EUR and GBP
       let eurRate = 0.85;
@@ -198,8 +200,9 @@ class RealtimeGoldPriceService {
         eurPricePerGram: parseFloat(eurPricePerGram.toFixed(2)),
         gbpPricePerGram: parseFloat(gbpPricePerGram.toFixed(2)),
         change24h: parseFloat(change24h.toFixed(2)),
-        timestamp: new Date().toISOString(),
-        previousPrice: previousPrice?.pricePerGram || pricePerGram
+        timestamp: snapshot.updatedAt,
+        previousPrice: previousPrice?.pricePerGram || pricePerGram,
+        status: snapshot.status
       };
 
       // Broadcast to all connected clients via WebSocket
@@ -211,7 +214,8 @@ class RealtimeGoldPriceService {
           gbpPrice: this.currentPrice.gbpPricePerGram,
           change24h: this.currentPrice.change24h,
           timestamp: this.currentPrice.timestamp,
-          previousPrice: this.currentPrice.previousPrice
+          previousPrice: this.currentPrice.previousPrice,
+          status: this.currentPrice.status
         });
 
         console.log(`📡 Broadcasted gold price: USD $${this.currentPrice.pricePerGram}/gram, EUR €${this.currentPrice.eurPricePerGram}/gram, GBP £${this.currentPrice.gbpPricePerGram}/gram (${this.currentPrice.change24h >= 0 ? '+' : ''}${this.currentPrice.change24h.toFixed(2)}%)`);
@@ -242,7 +246,8 @@ class RealtimeGoldPriceService {
             gbpPrice: this.currentPrice.gbpPricePerGram,
             change24h: this.currentPrice.change24h,
             timestamp: this.currentPrice.timestamp,
-            previousPrice: this.currentPrice.previousPrice
+            previousPrice: this.currentPrice.previousPrice,
+            status: this.currentPrice.status
           });
         }
       }
@@ -0,0 +1,256 @@
+const { query } = require('../config/database');
+const poolWalletService = require('./poolWalletService');
+const treasuryService = require('./treasuryService');
+const notificationService = require('./notificationService');
+
+/**
+ * Pool reconciliation
+ *
+ * Compares what the pool (hot) and cold wallets hold on-chain with what the platform owes:
+ * user balances, pending withdrawals whose funds are no longer in user_balances
+ * (requests created before balance holds), and pool deposits nobody has claimed yet.
+ * Each run stores a report; admins are alerted when solvency drops below the threshold.
+ */
+class ReconciliationService {
+  constructor() {
+    this.currencies = ['BTC', 'ETH', 'USDT'];
+    this.solvencyThreshold = parseFloat(process.env.RECONCILIATION_SOLVENCY_THRESHOLD) || 1.0;
+    this.interval = null;
+    this.running = false;
+  }
+
+  /**
+   * Sum a grouped (currency, total) query into a per-currency map
+   */
+  toCurrencyMap(rows) {
+    const totals = {};
+    for (const currency of this.currencies) {
+      totals[currency] = 0;
+    }
+    for (const row of rows) {
+      const currency = (row.currency || '').toUpperCase();
+      if (totals.hasOwnProperty(currency)) {
+        totals[currency] += parseFloat(row.total || 0);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Run a query that may target a table missing from older databases
+   */
+  async safeTotals(sql, label) {
+    try {
+      const result = await query(sql);
+      return this.toCurrencyMap(result.rows);
+    } catch (error) {
+      console.error(`⚠️ Reconciliation could not read ${label}:`, error.message);
+      return this.toCurrencyMap([]);
+    }
+  }
+
+  /**
+   * Take a snapshot of on-chain balances and platform obligations
+   */
+  async takeSnapshot() {
+    const poolBalances = await poolWalletService.getPoolBalances();
+    const coldBalances = await treasuryService.getColdBalances(this.currencies);
+
+    const userLiabilities = await this.safeTotals(
+      `SELECT currency, SUM(balance) AS total FROM user_balances GROUP BY currency`,
+      'user_balances'
+    );
+
+    const heldFunds = await this.safeTotals(
+      `SELECT currency, SUM(amount) AS total FROM balance_holds WHERE status = 'active' GROUP BY currency`,
+      'balance_holds'
+    );
+
+    // Withdrawals not sent yet; the ones without an active hold were already taken out of
+    // user_balances and are still owed to the user (legacy `withdrawals` rows were never debited)
+    const pendingWithdrawals = await this.safeTotals(
+      `SELECT currency, SUM(amount) AS total FROM withdrawal_requests
+       WHERE status IN ('requested', 'held', 'approved', 'broadcasting')
+       GROUP BY currency`,
+      'pending withdrawals'
+    );
+
+    const unheldWithdrawals = await this.safeTotals(
+      `SELECT wr.currency, SUM(wr.amount) AS total FROM withdrawal_requests wr
+       WHERE wr.status IN ('requested', 'held', 'approved', 'broadcasting')
+         AND wr.source IS DISTINCT FROM 'withdrawals'
+         AND NOT EXISTS (
+           SELECT 1 FROM balance_holds h
+           WHERE h.reference_type = 'withdrawal_request' AND h.reference_id = wr.id::text AND h.status = 'active'
+         )
+       GROUP BY wr.currency`,
+      'unheld withdrawals'
+    );
+
+    const unclaimedDeposits = await this.safeTotals(
+      `SELECT currency, SUM(amount) AS total FROM pool_deposits WHERE status = 'pending' GROUP BY currency`,
+      'pool_deposits'
+    );
+
+    // Credited deposits still sitting on users' own deposit addresses (on-chain, but not in the pool yet)
+    const unsweptDeposits = await this.safeTotals(
+      `SELECT currency, SUM(amount) AS total FROM pool_deposits
+       WHERE status = 'claimed' AND deposit_address IS NOT NULL AND swept_at IS NULL
+       GROUP BY currency`,
+      'unswept deposits'
+    );
+
+    const currencies = this.currencies.map(currency => {
+      const pool = poolBalances[currency] || {};
+      const cold = coldBalances[currency] || { balance: 0, live: true, networks: {} };
+      const onChain = parseFloat(pool.balance || 0) + cold.balance + unsweptDeposits[currency];
+      const onChainErrors = [pool.error, cold.error && `cold storage ${cold.error}`].filter(Boolean);
+      const obligations = userLiabilities[currency] + unheldWithdrawals[currency] + unclaimedDeposits[currency];
+      const solvencyRatio = obligations > 0 ? onChain / obligations : null;
+
+      return {
+        currency,
+        poolAddress: pool.address || null,
+        onChainBalance: onChain,
+        poolBalance: parseFloat(pool.balance || 0),
+        coldStorageBalance: cold.balance,
+        coldStorage: cold.networks,
+        unsweptDeposits: unsweptDeposits[currency],
+        onChainLive: pool.live === true && cold.live,
+        onChainError: onChainErrors.length > 0 ? onChainErrors.join('; ') : null,
+        userLiabilities: userLiabilities[currency],
+        heldForWithdrawals: heldFunds[currency],
+        pendingWithdrawals: pendingWithdrawals[currency],
+        unheldPendingWithdrawals: unheldWithdrawals[currency],
+        unclaimedDeposits: unclaimedDeposits[currency],
+        totalObligations: obligations,
+        surplus: onChain - obligations,
+        solvencyRatio
+      };
+    });
+
+    return currencies;
+  }
+
+  /**
+   * Run a reconciliation, store the report and alert admins if needed
+   */
+  async runReconciliation(triggeredBy = null) {
+    if (this.running) {
+      throw new Error('A reconciliation run is already in progress');
+    }
+    this.running = true;
+
+    try {
+      console.log('🧮 Running pool reconciliation...');
+
+      const currencies = await this.takeSnapshot();
+
+      // Only currencies read live on-chain can prove or disprove solvency
+      const breaches = currencies.filter(c =>
+        c.onChainLive && c.solvencyRatio !== null && c.solvencyRatio < this.solvencyThreshold
+      );
+      const unverified = currencies.filter(c => !c.onChainLive && c.totalObligations > 0);
+      const ratios = currencies
+        .filter(c => c.onChainLive && c.solvencyRatio !== null)
+        .map(c => c.solvencyRatio);
+      const minSolvencyRatio = ratios.length > 0 ? Math.min(...ratios) : null;
+
+      const status = breaches.length > 0 ? 'alert' : (unverified.length > 0 ? 'partial' : 'ok');
+
+      const result = await query(
+        `INSERT INTO reconciliation_reports (status, solvency_threshold, min_solvency_ratio, currencies, triggered_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [status, this.solvencyThreshold, minSolvencyRatio, JSON.stringify(currencies), triggeredBy]
+      );
+      const report = result.rows[0];
+
+      if (breaches.length > 0) {
+        notificationService.notifyAdmins({
+          type: 'error',
+          title: 'Pool Solvency Alert',
+          message: breaches
+            .map(c => `${c.currency}: on-chain ${c.onChainBalance} vs obligations ${c.totalObligations} (ratio ${c.solvencyRatio.toFixed(4)})`)
+            .join('; '),
+          data: {
+            reportId: report.id,
+            threshold: this.solvencyThreshold,
+            currencies: breaches.map(c => c.currency)
+          },
+          action: {
+            label: 'View Reconciliation',
+            url: '/admin/pool/reconciliation',
+          },
+        });
+      }
+
+      console.log(`✅ Reconciliation ${report.id} completed: ${status}${minSolvencyRatio !== null ? ` (min ratio ${minSolvencyRatio.toFixed(4)})` : ''}`);
+
+      return report;
+    } catch (error) {
+      console.error('❌ Reconciliation error:', error);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Get stored reconciliation reports (newest first)
+   */
+  async getReports({ limit = 30, offset = 0, status = null } = {}) {
+    const params = [limit, offset];
+    let where = '';
+    if (status) {
+      params.push(status);
+      where = 'WHERE status = $3';
+    }
+
+    const result = await query(
+      `SELECT r.*, u.full_name AS triggered_by_name
+       FROM reconciliation_reports r
+       LEFT JOIN users u ON u.id = r.triggered_by
+       ${where}
+       ORDER BY r.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a single reconciliation report
+   */
+  async getReport(id) {
+    const result = await query('SELECT * FROM reconciliation_reports WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Start scheduled reconciliation (daily by default)
+   */
+  startScheduledReconciliation(intervalMs = 24 * 60 * 60 * 1000) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.runReconciliation().catch(err => {
+        console.error('Scheduled reconciliation error:', err.message);
+      });
+    }, intervalMs);
+
+    console.log('✅ Pool reconciliation scheduled (every', intervalMs / 3600000, 'hours)');
+  }
+
+  /**
+   * Stop scheduled reconciliation
+   */
+  stopScheduledReconciliation() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
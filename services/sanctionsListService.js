@@ -0,0 +1,491 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files read from SANCTIONS_LIST_DIR and the parser for each; any other *.json file is
+// read as a normalised list (see parseJsonList)
+const LIST_FILES = {
+  'ofac_sdn.csv': 'ofac',
+  'un_consolidated.xml': 'un',
+  'eu_consolidated.xml': 'eu'
+};
+const OFAC_ALT_FILE = 'ofac_alt.csv';
+
+// Names shorter than this (after normalising) are too generic to screen on their own
+const MIN_NAME_LENGTH = 4;
+const MAX_MATCHES = 10;
+
+/**
+ * Split CSV text into rows of fields (quoted fields may contain commas, quotes and newlines)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const xmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : '';
+};
+
+const xmlTags = (xml, tag) => {
+  return [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+};
+
+const xmlAttributes = (xml, tag, attribute) => {
+  return [...xml.matchAll(new RegExp(`<${tag}\\s[^>]*\\b${attribute}="([^"]*)"`, 'g'))].map(match => decodeXml(match[1]));
+};
+
+/**
+ * Lower-case ASCII tokens of a name: accents stripped, punctuation dropped
+ */
+const nameTokens = (name) => {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token.length > 1);
+};
+
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Uint8Array(a.length);
+  const bMatched = new Uint8Array(b.length);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = 1;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const sortedName = (tokens) => [...tokens].sort().join(' ');
+
+/**
+ * Similarity of two tokenised names from 0 to 1: the better of the whole names compared
+ * with their words sorted, and the average of each word's best match in the other name
+ * (both ways). Word order does not matter and a missing middle name only costs part of the score.
+ */
+const nameSimilarity = (a, b, aSorted = sortedName(a), bSorted = sortedName(b)) => {
+  if (!a.length || !b.length) return 0;
+
+  const bestA = new Float64Array(a.length);
+  const bestB = new Float64Array(b.length);
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const score = jaroWinkler(a[i], b[j]);
+      if (score > bestA[i]) bestA[i] = score;
+      if (score > bestB[j]) bestB[j] = score;
+    }
+  }
+  const average = (scores) => scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const tokens = (average(bestA) + average(bestB)) / 2;
+
+  return Math.max(jaroWinkler(aSorted, bSorted), tokens);
+};
+
+// Addresses compare as written, except hex (0x) addresses whose case is only a checksum
+const addressKey = (address) => {
+  const trimmed = String(address || '').trim();
+  return /^0x[0-9a-f]+$/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+/**
+ * Sanctions and PEP lists
+ *
+ * Loads the lists from local files in SANCTIONS_LIST_DIR (default ./data/sanctions) and
+ * matches names and crypto addresses against them:
+ *
+ *   ofac_sdn.csv (+ ofac_alt.csv)  OFAC SDN list in its CSV form; digital currency addresses
+ *                                  are read from the remarks
+ *   un_consolidated.xml            UN Security Council consolidated list
+ *   eu_consolidated.xml            EU financial sanctions consolidated list (XML export)
+ *   <name>.json                    any other list, e.g. a PEP list, already normalised:
+ *                                  { "category": "pep", "entries": [{ "id", "name", "aliases",
+ *                                  "type", "programs", "addresses": [{ "currency", "address" }] }] }
+ *
+ * Names are fuzzy-matched (Jaro-Winkler per word, order-insensitive) and reported at or
+ * above SANCTIONS_MATCH_THRESHOLD (default 0.88); addresses must match exactly. `version`
+ * is a hash of the list files, so a change to any of them is noticed.
+ */
+class SanctionsListService {
+  constructor() {
+    this.dir = path.resolve(process.env.SANCTIONS_LIST_DIR || './data/sanctions');
+    this.threshold = parseFloat(process.env.SANCTIONS_MATCH_THRESHOLD) || 0.88;
+    this.entries = [];
+    this.names = [];
+    this.nameIndex = new Map();
+    this.addresses = new Map();
+    this.sources = {};
+    this.version = null;
+    this.loadedAt = null;
+    this.fileStamp = null;
+  }
+
+  listFiles() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter(file => LIST_FILES[file] || file === OFAC_ALT_FILE || file.endsWith('.json'))
+      .sort();
+  }
+
+  // Names, sizes and modification times: cheap to compare before hashing the files again
+  currentFileStamp() {
+    return this.listFiles()
+      .map(file => {
+        const stat = fs.statSync(path.join(this.dir, file));
+        return `${file}:${stat.size}:${stat.mtimeMs}`;
+      })
+      .join('|');
+  }
+
+  /**
+   * Load the lists unless they are loaded and unchanged. Resolves with true when
+   * the loaded version changed.
+   */
+  async ensureLoaded() {
+    if (this.loadedAt && this.currentFileStamp() === this.fileStamp) {
+      return false;
+    }
+    const previousVersion = this.version;
+    this.load();
+    return this.version !== previousVersion;
+  }
+
+  /**
+   * Read and index every list file
+   */
+  load() {
+    const files = this.listFiles();
+    const hash = crypto.createHash('sha256');
+    const entries = [];
+    const sources = {};
+
+    if (files.length === 0) {
+      console.warn(`⚠️ No sanctions lists found in ${this.dir}. Screening will not find any matches.`);
+    }
+
+    const contents = {};
+    for (const file of files) {
+      contents[file] = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      hash.update(`${file}\n`).update(contents[file]);
+    }
+
+    for (const file of files) {
+      if (file === OFAC_ALT_FILE) continue;
+
+      let parsed;
+      try {
+        if (LIST_FILES[file] === 'ofac') {
+          parsed = this.parseOfac(contents[file], contents[OFAC_ALT_FILE] || '');
+        } else if (LIST_FILES[file] === 'un') {
+          parsed = this.parseUn(contents[file]);
+        } else if (LIST_FILES[file] === 'eu') {
+          parsed = this.parseEu(contents[file]);
+        } else {
+          parsed = this.parseJsonList(contents[file], path.basename(file, '.json'));
+        }
+      } catch (error) {
+        // One broken file must not empty the other lists
+        console.error(`❌ Could not parse sanctions list ${file}:`, error.message);
+        continue;
+      }
+
+      entries.push(...parsed);
+      const source = LIST_FILES[file] || path.basename(file, '.json');
+      sources[source] = { file, entries: parsed.length };
+    }
+
+    this.index(entries);
+    this.sources = sources;
+    this.version = hash.digest('hex');
+    this.loadedAt = new Date();
+    this.fileStamp = this.currentFileStamp();
+
+    console.log(`🛡️ Sanctions lists loaded: ${entries.length} entries, ${this.names.length} names, ${this.addresses.size} addresses (version ${this.version.slice(0, 12)})`);
+  }
+
+  index(entries) {
+    const names = [];
+    const nameIndex = new Map();
+    const addresses = new Map();
+
+    entries.forEach((entry, entryIndex) => {
+      for (const name of new Set([entry.name, ...entry.aliases])) {
+        const tokens = nameTokens(name);
+        if (tokens.join('').length < MIN_NAME_LENGTH) continue;
+
+        const nameIndexId = names.push({ entryIndex, name, tokens, sorted: sortedName(tokens) }) - 1;
+        // Candidates are looked up by the first two letters of any of their words
+        for (const prefix of new Set(tokens.map(token => token.slice(0, 2)))) {
+          if (!nameIndex.has(prefix)) nameIndex.set(prefix, []);
+          nameIndex.get(prefix).push(nameIndexId);
+        }
+      }
+
+      for (const { address } of entry.addresses) {
+        const key = addressKey(address);
+        if (!key) continue;
+        if (!addresses.has(key)) addresses.set(key, []);
+        addresses.get(key).push(entryIndex);
+      }
+    });
+
+    this.entries = entries;
+    this.names = names;
+    this.nameIndex = nameIndex;
+    this.addresses = addresses;
+  }
+
+  entry({ source, category = 'sanctions', id, name, aliases = [], type = null, programs = [], addresses = [] }) {
+    return {
+      source,
+      category,
+      id: String(id),
+      name: String(name || '').trim(),
+      aliases: aliases.map(alias => String(alias).trim()).filter(Boolean),
+      type,
+      programs: programs.filter(Boolean),
+      addresses
+    };
+  }
+
+  /**
+   * OFAC SDN CSV: ent_num, SDN_Name, SDN_Type, Program, ..., Remarks ("-0-" means empty).
+   * Aliases come from alt.csv: ent_num, alt_num, alt_type, alt_name, alt_remarks.
+   */
+  parseOfac(sdnCsv, altCsv) {
+    const value = (field) => (field || '').trim() === '-0-' ? '' : (field || '').trim();
+
+    const aliases = new Map();
+    for (const row of parseCsv(altCsv)) {
+      const id = value(row[0]);
+      if (!aliases.has(id)) aliases.set(id, []);
+      aliases.get(id).push(value(row[3]));
+    }
+
+    return parseCsv(sdnCsv)
+      .filter(row => value(row[0]) && value(row[1]))
+      .map(row => {
+        const id = value(row[0]);
+        const remarks = value(row[11]);
+        const addresses = [...remarks.matchAll(/Digital Currency Address - ([A-Z0-9]+)\s+([A-Za-z0-9]+)/g)]
+          .map(match => ({ currency: match[1], address: match[2] }));
+
+        return this.entry({
+          source: 'ofac',
+          id,
+          name: value(row[1]),
+          aliases: aliases.get(id) || [],
+          type: value(row[2]) || 'entity',
+          programs: value(row[3]).split(/[\]\[;\s]+/),
+          addresses
+        });
+      });
+  }
+
+  /**
+   * UN consolidated list XML: <INDIVIDUAL> and <ENTITY> records with name parts and aliases
+   */
+  parseUn(xml) {
+    const records = [
+      ...xmlTags(xml, 'INDIVIDUAL').map(record => ({ record, type: 'individual' })),
+      ...xmlTags(xml, 'ENTITY').map(record => ({ record, type: 'entity' }))
+    ];
+
+    return records.map(({ record, type }) => {
+      const name = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME']
+        .map(tag => xmlTag(record, tag))
+        .filter(Boolean)
+        .join(' ');
+      const aliasTag = type === 'individual' ? 'INDIVIDUAL_ALIAS' : 'ENTITY_ALIAS';
+
+      return this.entry({
+        source: 'un',
+        id: xmlTag(record, 'REFERENCE_NUMBER') || xmlTag(record, 'DATAID'),
+        name,
+        aliases: xmlTags(record, aliasTag).map(alias => xmlTag(alias, 'ALIAS_NAME')),
+        type,
+        programs: [xmlTag(record, 'UN_LIST_TYPE')]
+      });
+    }).filter(entry => entry.name);
+  }
+
+  /**
+   * EU consolidated list XML: <sanctionEntity> records with nameAlias wholeName attributes
+   */
+  parseEu(xml) {
+    return [...xml.matchAll(/<sanctionEntity\b([^>]*)>([\s\S]*?)<\/sanctionEntity>/g)].map(([, attributes, record]) => {
+      const names = xmlAttributes(record, 'nameAlias', 'wholeName').filter(Boolean);
+      const id = (attributes.match(/\blogicalId="([^"]*)"/) || [])[1];
+
+      return this.entry({
+        source: 'eu',
+        id,
+        name: names[0],
+        aliases: names.slice(1),
+        type: xmlAttributes(record, 'subjectType', 'code')[0] || null,
+        programs: [...new Set(xmlAttributes(record, 'regulation', 'programme'))]
+      });
+    }).filter(entry => entry.name);
+  }
+
+  /**
+   * Normalised list: an array of entries or { category, entries }
+   */
+  parseJsonList(text, source) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.entries;
+    if (!Array.isArray(list)) {
+      throw new Error('expected an array of entries or { "entries": [...] }');
+    }
+    const category = data.category || (source.startsWith('pep') ? 'pep' : 'sanctions');
+
+    return list.map((item, position) => this.entry({
+      source,
+      category: item.category || category,
+      id: item.id ?? position + 1,
+      name: item.name,
+      aliases: item.aliases || [],
+      type: item.type || null,
+      programs: item.programs || [],
+      addresses: (item.addresses || []).map(address => typeof address === 'string' ? { address } : address)
+    })).filter(entry => entry.name || entry.addresses.length > 0);
+  }
+
+  describe(entryIndex, extra) {
+    const { source, category, id, name, type, programs } = this.entries[entryIndex];
+    return { source, category, entryId: id, name, type, programs, ...extra };
+  }
+
+  /**
+   * Possible matches for a person's or company's name, best first
+   */
+  matchName(name) {
+    const tokens = nameTokens(name);
+    if (tokens.join('').length < MIN_NAME_LENGTH) {
+      return [];
+    }
+
+    const sorted = sortedName(tokens);
+    const candidates = new Set();
+    for (const token of tokens) {
+      for (const nameIndexId of this.nameIndex.get(token.slice(0, 2)) || []) {
+        candidates.add(nameIndexId);
+      }
+    }
+
+    // Best-scoring name per list entry
+    const best = new Map();
+    for (const nameIndexId of candidates) {
+      const candidate = this.names[nameIndexId];
+      const score = nameSimilarity(tokens, candidate.tokens, sorted, candidate.sorted);
+      if (score >= this.threshold && score > (best.get(candidate.entryIndex)?.score || 0)) {
+        best.set(candidate.entryIndex, { score, matchedName: candidate.name });
+      }
+    }
+
+    return [...best.entries()]
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, MAX_MATCHES)
+      .map(([entryIndex, { score, matchedName }]) => this.describe(entryIndex, {
+        matchedName,
+        score: Math.round(score * 10000) / 10000
+      }));
+  }
+
+  /**
+   * List entries that name this exact crypto address
+   */
+  matchAddress(address) {
+    const key = addressKey(address);
+    return (this.addresses.get(key) || []).map(entryIndex => this.describe(entryIndex, {
+      matchedAddress: address,
+      score: 1
+    }));
+  }
+
+  getStatus() {
+    return {
+      directory: this.dir,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      threshold: this.threshold,
+      entries: this.entries.length,
+      names: this.names.length,
+      addresses: this.addresses.size,
+      sources: this.sources
+    };
+  }
+}
+
+module.exports = new SanctionsListService();
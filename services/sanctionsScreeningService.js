@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const sanctionsListService = require('./sanctionsListService');
+const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
+
+const HOLD_MESSAGE = 'Withdrawals are on hold pending a compliance review';
+const RESCREEN_BATCH_SIZE = 500;
+
+/**
+ * Sanctions and PEP screening
+ *
+ * Names are screened at signup and addresses when a withdrawal is requested (see
+ * sanctionsListService for the lists and matching). Every potential hit opens a case in
+ * `screening_cases` for an admin to clear (false positive) or confirm. While a user has an
+ * open or confirmed case their withdrawals are refused; a withdrawal to a listed address
+ * is always refused.
+ *
+ * A case is keyed by user, subject and the list entries it matched, so screening the same
+ * subject again (e.g. after a list update) only opens a new case when the matches change.
+ * rescreenAll() runs every user name and saved withdrawal address against the current
+ * lists; it runs when the lists change (startScheduledChecks) or from
+ * `npm run sanctions:rescreen`.
+ */
+class SanctionsScreeningService {
+  constructor() {
+    this.interval = null;
+    this.running = false;
+  }
+
+  fingerprint(matches) {
+    const ids = matches.map(match => `${match.source}:${match.entryId}`).sort();
+    return crypto.createHash('sha256').update(ids.join('\n')).digest('hex');
+  }
+
+  /**
+   * Open a case for potential matches. Resolves with the new case, or null when the same
+   * matches were already raised for this subject.
+   */
+  async openCase({ userId, subjectType, subjectValue, trigger, matches }) {
+    const result = await query(
+      `INSERT INTO screening_cases (user_id, subject_type, subject_value, triggered_by, matches, top_score, match_fingerprint, list_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, subject_type, subject_value, match_fingerprint) DO NOTHING
+       RETURNING *`,
+      [
+        userId, subjectType, subjectValue, trigger, JSON.stringify(matches),
+        Math.max(...matches.map(match => match.score)),
+        this.fingerprint(matches), sanctionsListService.version
+      ]
+    );
+    const screeningCase = result.rows[0];
+    if (!screeningCase) {
+      return null;
+    }
+
+    await auditLogService.log({
+      action: 'screening.case_opened',
+      targetTable: 'screening_cases',
+      targetId: screeningCase.id,
+      diff: { userId, subjectType, trigger, matches: matches.map(({ source, entryId, score }) => ({ source, entryId, score })) }
+    });
+
+    const best = matches[0];
+    notificationService.notifyAdmins({
+      type: 'warning',
+      title: 'Sanctions Screening Hit',
+      message: `Possible ${best.category === 'pep' ? 'PEP' : 'sanctions'} match on a user ${subjectType}: ${best.name} (${best.source.toUpperCase()}, score ${best.score})`,
+      data: { caseId: screeningCase.id, userId, subjectType, trigger },
+      action: {
+        label: 'Review Case',
+        url: '/admin/screening'
+      }
+    });
+
+    console.log(`🛡️ Screening case ${screeningCase.id} opened for user ${userId} (${subjectType}, ${matches.length} match(es), ${trigger})`);
+    return screeningCase;
+  }
+
+  /**
+   * Screen a user's name; opens a case for potential hits.
+   * Resolves with { matches, screeningCase } (screeningCase is null unless one was opened).
+   */
+  async screenUser(userId, fullName, trigger = 'signup') {
+    await sanctionsListService.ensureLoaded();
+    const matches = sanctionsListService.matchName(fullName);
+    const screeningCase = matches.length > 0
+      ? await this.openCase({ userId, subjectType: 'name', subjectValue: fullName, trigger, matches })
+      : null;
+    return { matches, screeningCase };
+  }
+
+  /**
+   * Screen a withdrawal destination; opens a case for a listed address
+   */
+  async screenAddress(userId, address, trigger = 'withdrawal') {
+    await sanctionsListService.ensureLoaded();
+    const matches = sanctionsListService.matchAddress(address);
+    const screeningCase = matches.length > 0
+      ? await this.openCase({ userId, subjectType: 'address', subjectValue: address, trigger, matches })
+      : null;
+    return { matches, screeningCase };
+  }
+
+  async hasUnresolvedCase(userId) {
+    const result = await query(
+      `SELECT 1 FROM screening_cases WHERE user_id = $1 AND status IN ('open', 'confirmed') LIMIT 1`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Throws when the user is under review or the destination is on a list. The message
+   * does not say which, so a listed person is not tipped off.
+   */
+  async assertWithdrawalAllowed(userId, destinationAddress) {
+    if (await this.hasUnresolvedCase(userId)) {
+      throw new Error(HOLD_MESSAGE);
+    }
+
+    const { matches } = await this.screenAddress(userId, destinationAddress);
+    // An address already cleared by an admin does not block again
+    if (matches.length > 0 && await this.hasUnresolvedCase(userId)) {
+      throw new Error(HOLD_MESSAGE);
+    }
+  }
+
+  /**
+   * Screen every user name and saved withdrawal address against the current lists
+   */
+  async rescreenAll({ trigger = 'manual', actorId = null } = {}) {
+    if (this.running) {
+      throw new Error('A rescreen is already running');
+    }
+    this.running = true;
+
+    let runId = null;
+    try {
+      await sanctionsListService.ensureLoaded();
+      const run = await query(
+        `INSERT INTO screening_runs (list_version, triggered_by, started_by) VALUES ($1, $2, $3) RETURNING id`,
+        [sanctionsListService.version, trigger, actorId]
+      );
+      runId = run.rows[0].id;
+
+      const stats = { usersScreened: 0, addressesScreened: 0, casesOpened: 0 };
+
+      for (let offset = 0; ; offset += RESCREEN_BATCH_SIZE) {
+        const users = await query(
+          'SELECT id, full_name FROM users ORDER BY created_at, id LIMIT $1 OFFSET $2',
+          [RESCREEN_BATCH_SIZE, offset]
+        );
+        if (users.rows.length === 0) break;
+
+        for (const user of users.rows) {
+          const { screeningCase } = await this.screenUser(user.id, user.full_name, 'rescreen');
+          if (screeningCase) stats.casesOpened++;
+          // Matching is CPU-bound; let requests through between users
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        stats.usersScreened += users.rows.length;
+      }
+
+      const addresses = await query(
+        `SELECT DISTINCT user_id, address FROM withdrawal_addresses WHERE status != 'removed'`
+      );
+      for (const row of addresses.rows) {
+        const { screeningCase } = await this.screenAddress(row.user_id, row.address, 'rescreen');
+        if (screeningCase) stats.casesOpened++;
+      }
+      stats.addressesScreened = addresses.rows.length;
+
+      await query(
+        `UPDATE screening_runs
+         SET status = 'completed', users_screened = $2, addresses_screened = $3, cases_opened = $4, finished_at = NOW()
+         WHERE id = $1`,
+        [runId, stats.usersScreened, stats.addressesScreened, stats.casesOpened]
+      );
+
+      console.log(`🛡️ Rescreen complete: ${stats.usersScreened} users, ${stats.addressesScreened} addresses, ${stats.casesOpened} new case(s)`);
+      return { runId, listVersion: sanctionsListService.version, ...stats };
+    } catch (error) {
+      if (runId) {
+        await query(
+          `UPDATE screening_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+          [runId, error.message]
+        ).catch(() => null);
+      }
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Rescreen everyone when the loaded lists differ from the last completed run
+   */
+  async rescreenIfListsChanged() {
+    await sanctionsListService.ensureLoaded();
+    if (!sanctionsListService.version || sanctionsListService.entries.length === 0) {
+      return null;
+    }
+
+    const last = await query(
+      `SELECT list_version FROM screening_runs WHERE status = 'completed' ORDER BY started_at DESC LIMIT 1`
+    );
+    if (last.rows[0]?.list_version === sanctionsListService.version) {
+      return null;
+    }
+
+    console.log('🛡️ Sanctions lists changed, rescreening all users');
+    return this.rescreenAll({ trigger: 'list_update' });
+  }
+
+  /**
+   * Check for updated lists periodically (and once shortly after startup)
+   */
+  startScheduledChecks(intervalMs = 60 * 60 * 1000) {
+    if (this.interval) return;
+
+    const check = () => this.rescreenIfListsChanged().catch(err => {
+      console.error('Scheduled sanctions rescreen error:', err.message);
+    });
+    setTimeout(check, 30 * 1000);
+    this.interval = setInterval(check, intervalMs);
+
+    console.log('✅ Sanctions list checks scheduled (every', intervalMs / 60000, 'minutes)');
+  }
+
+  stopScheduledChecks() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async listCases({ status = 'open', userId = null, limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT c.*, u.full_name, u.email
+       FROM screening_cases c
+       JOIN users u ON c.user_id = u.id
+       WHERE ($1::text IS NULL OR c.status = $1)
+         AND ($2::uuid IS NULL OR c.user_id = $2)
+       ORDER BY c.created_at ${status === 'open' ? 'ASC' : 'DESC'}
+       LIMIT $3 OFFSET $4`,
+      [status, userId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  async getCase(caseId) {
+    const result = await query(
+      `SELECT c.*, u.full_name, u.email
+       FROM screening_cases c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.id = $1`,
+      [caseId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Clear (false positive) or confirm an open case
+   */
+  async resolveCase(caseId, adminId, { decision, notes }, req = null) {
+    if (!['cleared', 'confirmed'].includes(decision)) {
+      throw new Error('Decision must be cleared or confirmed');
+    }
+    if (!notes) {
+      throw new Error('Review notes are required');
+    }
+
+    const result = await query(
+      `UPDATE screening_cases
+       SET status = $1, reviewer_id = $2, review_notes = $3, reviewed_at = NOW()
+       WHERE id = $4 AND status = 'open'
+       RETURNING *`,
+      [decision, adminId, notes, caseId]
+    );
+    const screeningCase = result.rows[0];
+    if (!screeningCase) {
+      const existing = await this.getCase(caseId);
+      throw new Error(existing ? `Screening case is already ${existing.status}` : 'Screening case not found');
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: `screening.${decision}`,
+      targetTable: 'screening_cases',
+      targetId: screeningCase.id,
+      diff: { userId: screeningCase.user_id, subjectType: screeningCase.subject_type, notes },
+      req
+    });
+
+    console.log(`🛡️ Screening case ${screeningCase.id} ${decision} by ${adminId}`);
+    return screeningCase;
+  }
+
+  async listRuns(limit = 20) {
+    const result = await query('SELECT * FROM screening_runs ORDER BY started_at DESC LIMIT $1', [limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new SanctionsScreeningService();
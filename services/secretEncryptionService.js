@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Envelope ciphertexts look like `enc1:<keyId>:<base64>`; anything else is a legacy `iv:hex` string
+const PREFIX = 'enc1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DATA_KEY_BYTES = 32;
+const LEGACY_KEY_ID = 'legacy';
+
+const PLACEHOLDER_KEY = 'your-32-byte-encryption-key-change-this!!';
+
+// Every column holding a wallet secret, and the legacy format its older values were written in
+const SECRET_COLUMNS = [
+  { table: 'user_deposit_addresses', idColumn: 'id', column: 'private_key_encrypted', legacy: 'wallet' },
+  { table: 'pool_addresses', idColumn: 'currency', column: 'private_key_encrypted', legacy: 'pool' },
+  { table: 'wallets', idColumn: 'id', column: 'eth_private_key_encrypted', legacy: 'wallet' }
+];
+
+/**
+ * Versioned envelope encryption for stored wallet secrets
+ *
+ * Each secret is encrypted (AES-256-GCM) with its own random data key, and the data key
+ * is wrapped with a key-encryption key from the keyring. The keyring's id is written into
+ * the ciphertext, so a secret can always be opened with the key that sealed it:
+ *
+ *   WALLET_ENCRYPTION_KEYS     id:secret pairs, comma separated, e.g. "2:new-secret,1:old-secret"
+ *                              (64 hex characters are used as-is, anything else is stretched
+ *                              with scrypt). Unset, WALLET_ENCRYPTION_KEY is key "1".
+ *   WALLET_ENCRYPTION_KEY_ID   key new secrets are sealed with (default: the first listed)
+ *
+ * To rotate, add a key, make it current and run `npm run secrets:reencrypt`; the old key
+ * can be removed once the status report shows nothing left on it. Secrets written before
+ * this format (`iv:hex`, AES-256-CBC under WALLET_ENCRYPTION_KEY) can still be read and are
+ * migrated by the same command.
+ */
+class SecretEncryptionService {
+  constructor() {
+    this.keyring = null;
+    this.currentKeyId = null;
+  }
+
+  /**
+   * Parse the keyring from the environment (once)
+   */
+  loadKeyring() {
+    if (this.keyring) return this.keyring;
+
+    const entries = process.env.WALLET_ENCRYPTION_KEYS
+      ? process.env.WALLET_ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean)
+      : [`1:${process.env.WALLET_ENCRYPTION_KEY || PLACEHOLDER_KEY}`];
+    if (!process.env.WALLET_ENCRYPTION_KEYS && !process.env.WALLET_ENCRYPTION_KEY) {
+      console.warn('⚠️ WALLET_ENCRYPTION_KEY is not set. Wallet secrets are encrypted with a placeholder key.');
+    }
+
+    const keyring = new Map();
+    for (const entry of entries) {
+      const separator = entry.indexOf(':');
+      const id = separator > 0 ? entry.slice(0, separator) : '';
+      const secret = entry.slice(separator + 1);
+      if (!/^[A-Za-z0-9_-]{1,32}$/.test(id) || id === LEGACY_KEY_ID || !secret) {
+        throw new Error('WALLET_ENCRYPTION_KEYS entries must be id:secret with an id of letters, digits, - or _');
+      }
+      if (keyring.has(id)) {
+        throw new Error(`WALLET_ENCRYPTION_KEYS lists key ${id} twice`);
+      }
+      keyring.set(id, /^[0-9a-f]{64}$/i.test(secret)
+        ? Buffer.from(secret, 'hex')
+        : crypto.scryptSync(secret, 'wallet-secrets', 32));
+    }
+
+    const currentKeyId = process.env.WALLET_ENCRYPTION_KEY_ID || keyring.keys().next().value;
+    if (!keyring.has(currentKeyId)) {
+      throw new Error(`WALLET_ENCRYPTION_KEY_ID ${currentKeyId} is not in WALLET_ENCRYPTION_KEYS`);
+    }
+
+    this.keyring = keyring;
+    this.currentKeyId = currentKeyId;
+    return keyring;
+  }
+
+  getKey(keyId) {
+    const key = this.loadKeyring().get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key ${keyId} is not configured`);
+    }
+    return key;
+  }
+
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  open(key, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+    decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  }
+
+  /**
+   * Split an envelope ciphertext into its key id, wrapped data key and sealed secret
+   */
+  parse(stored) {
+    const [prefix, keyId, body] = String(stored).split(':');
+    const blob = Buffer.from(body || '', 'base64');
+    const wrappedLength = IV_BYTES + TAG_BYTES + DATA_KEY_BYTES;
+    if (prefix !== PREFIX || !keyId || blob.length <= wrappedLength + IV_BYTES + TAG_BYTES) {
+      throw new Error('Stored secret is not in a recognised format');
+    }
+    return { keyId, wrappedKey: blob.subarray(0, wrappedLength), sealed: blob.subarray(wrappedLength) };
+  }
+
+  format(keyId, wrappedKey, sealed) {
+    return `${PREFIX}:${keyId}:${Buffer.concat([wrappedKey, sealed]).toString('base64')}`;
+  }
+
+  /**
+   * Encrypt a secret under the current key
+   */
+  encrypt(plaintext) {
+    this.loadKeyring();
+    const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+    const sealed = this.seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+    return this.format(this.currentKeyId, this.seal(this.getKey(this.currentKeyId), dataKey), sealed);
+  }
+
+  /**
+   * Decrypt a secret; `legacy` names the format of pre-envelope values ('wallet' or 'pool')
+   */
+  decrypt(stored, { legacy = 'wallet' } = {}) {
+    if (this.keyIdOf(stored) === LEGACY_KEY_ID) {
+      return this.decryptLegacy(stored, legacy);
+    }
+    const { keyId, wrappedKey, sealed } = this.parse(stored);
+    const dataKey = this.open(this.getKey(keyId), wrappedKey);
+    return this.open(dataKey, sealed).toString('utf8');
+  }
+
+  /**
+   * The two formats used before envelopes: walletAddressService stretched the key with
+   * scrypt, poolWalletService used its 32 characters directly
+   */
+  decryptLegacy(stored, legacy) {
+    const secret = process.env.WALLET_ENCRYPTION_KEY || PLACEHOLDER_KEY;
+    let key;
+    if (legacy === 'wallet') {
+      key = crypto.scryptSync(secret, 'salt', 32);
+    } else if (legacy === 'pool') {
+      key = Buffer.from(secret.length === 32 ? secret : PLACEHOLDER_KEY.padEnd(32, '0').slice(0, 32));
+    } else {
+      throw new Error(`Unknown legacy secret format: ${legacy}`);
+    }
+
+    const [ivHex, ...rest] = String(stored).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(rest.join(':'), 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Key id a stored secret was sealed with ('legacy' for pre-envelope values)
+   */
+  keyIdOf(stored) {
+    const value = String(stored);
+    return value.startsWith(`${PREFIX}:`) ? value.split(':')[1] : LEGACY_KEY_ID;
+  }
+
+  /**
+   * Move a secret to the current key. Envelopes only have their data key re-wrapped.
+   */
+  reencrypt(stored, { legacy = 'wallet' } = {}) {
+    this.loadKeyring();
+    const keyId = this.keyIdOf(stored);
+    if (keyId === this.currentKeyId) {
+      return stored;
+    }
+    if (keyId === LEGACY_KEY_ID) {
+      return this.encrypt(this.decryptLegacy(stored, legacy));
+    }
+
+    const { wrappedKey, sealed } = this.parse(stored);
+    const dataKey = this.open(this.getKey(keyId), wrappedKey);
+    this.open(dataKey, sealed); // Never re-wrap a key for a secret that no longer opens
+    return this.format(this.currentKeyId, this.seal(this.getKey(this.currentKeyId), dataKey), sealed);
+  }
+
+  /**
+   * Secret columns that exist on this install (older databases lack some)
+   */
+  async secretColumns() {
+    const result = await query(
+      `SELECT table_name, column_name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ANY($1) AND column_name = ANY($2)`,
+      [SECRET_COLUMNS.map(location => location.table), SECRET_COLUMNS.map(location => location.column)]
+    );
+    const present = new Set(result.rows.map(row => `${row.table_name}.${row.column_name}`));
+    return SECRET_COLUMNS.filter(location => present.has(`${location.table}.${location.column}`));
+  }
+
+  /**
+   * How many stored secrets each key holds, and how many are not yet on the current one
+   */
+  async getStatus() {
+    this.loadKeyring();
+    const secrets = [];
+    const byKey = {};
+    let total = 0;
+
+    for (const location of await this.secretColumns()) {
+      const result = await query(
+        `SELECT CASE WHEN ${location.column} LIKE '${PREFIX}:%' THEN split_part(${location.column}, ':', 2) ELSE '${LEGACY_KEY_ID}' END AS key_id,
+                COUNT(*)::int AS count
+         FROM ${location.table}
+         WHERE ${location.column} IS NOT NULL AND ${location.column} != ''
+         GROUP BY 1`
+      );
+      const counts = {};
+      for (const row of result.rows) {
+        counts[row.key_id] = row.count;
+        byKey[row.key_id] = (byKey[row.key_id] || 0) + row.count;
+        total += row.count;
+      }
+      secrets.push({ table: location.table, column: location.column, byKey: counts });
+    }
+
+    return {
+      currentKeyId: this.currentKeyId,
+      configuredKeyIds: Array.from(this.keyring.keys()),
+      total,
+      byKey,
+      outdated: total - (byKey[this.currentKeyId] || 0),
+      // Secrets sealed with a key that is no longer configured cannot be read
+      unreadable: Object.entries(byKey)
+        .filter(([keyId]) => keyId !== LEGACY_KEY_ID && !this.keyring.has(keyId))
+        .reduce((sum, [, count]) => sum + count, 0),
+      secrets
+    };
+  }
+
+  /**
+   * Re-encrypt every stored secret that is not on the current key. A row that changed
+   * since it was read is left alone (and picked up by the next run).
+   */
+  async reencryptAll({ dryRun = false, batchSize = 500 } = {}) {
+    this.loadKeyring();
+    const summary = { currentKeyId: this.currentKeyId, migrated: 0, skipped: 0, failed: [] };
+
+    for (const location of await this.secretColumns()) {
+      let after = null;
+      for (;;) {
+        const result = await query(
+          `SELECT ${location.idColumn}::text AS id, ${location.column} AS secret
+           FROM ${location.table}
+           WHERE ${location.column} IS NOT NULL AND ${location.column} != ''
+             AND ${location.column} NOT LIKE $1
+             AND ($2::text IS NULL OR ${location.idColumn}::text > $2)
+           ORDER BY ${location.idColumn}::text
+           LIMIT $3`,
+          [`${PREFIX}:${this.currentKeyId}:%`, after, batchSize]
+        );
+        if (result.rows.length === 0) break;
+        after = result.rows[result.rows.length - 1].id;
+
+        for (const row of result.rows) {
+          let reencrypted;
+          try {
+            reencrypted = this.reencrypt(row.secret, { legacy: location.legacy });
+          } catch (error) {
+            summary.failed.push({ table: location.table, id: row.id, keyId: this.keyIdOf(row.secret), error: error.message });
+            continue;
+          }
+          if (dryRun) {
+            summary.migrated++;
+            continue;
+          }
+
+          const updated = await query(
+            `UPDATE ${location.table} SET ${location.column} = $1
+             WHERE ${location.idColumn}::text = $2 AND ${location.column} = $3`,
+            [reencrypted, row.id, row.secret]
+          );
+          if (updated.rowCount > 0) {
+            summary.migrated++;
+          } else {
+            summary.skipped++;
+          }
+        }
+      }
+    }
+
+    if (!dryRun) {
+      const auditLogService = require('./auditLogService');
+      await auditLogService.log({
+        action: 'secrets.reencrypted',
+        targetTable: 'wallet_secrets',
+        diff: { currentKeyId: summary.currentKeyId, migrated: summary.migrated, skipped: summary.skipped, failed: summary.failed.length }
+      });
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new SecretEncryptionService();
@@ -0,0 +1,151 @@
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * ethers Signer whose transactions are signed by the signer process. Populating
+ * (nonce, gas, chain id) and broadcasting stay here; only the unsigned transaction
+ * goes over the socket.
+ */
+class RemoteEvmSigner extends ethers.AbstractSigner {
+  constructor(client, { address, currency, network, references }, provider = null) {
+    super(provider);
+    this.client = client;
+    this.address = address;
+    this.context = { currency, network, references };
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteEvmSigner(this.client, { address: this.address, ...this.context }, provider);
+  }
+
+  async signTransaction(tx) {
+    let unsigned;
+    if (tx instanceof ethers.Transaction) {
+      unsigned = tx;
+    } else {
+      const { from, ...request } = tx;
+      unsigned = ethers.Transaction.from(request);
+    }
+    const { signedTx } = await this.client.call('signEvm', { ...this.context, unsignedTx: unsigned.unsignedSerialized });
+    return signedTx;
+  }
+
+  async signMessage() {
+    throw new Error('The pool signer only signs transactions');
+  }
+
+  async signTypedData() {
+    throw new Error('The pool signer only signs transactions');
+  }
+}
+
+/**
+ * Client for the pool signer process (signer/server.js)
+ *
+ * Enabled by SIGNER_SOCKET_PATH. Pool sends then get a signer handle from
+ * signerFor() instead of a private key; chain adapters build each transaction, the
+ * signer checks it against its spending policy and returns it signed.
+ */
+class SignerClientService {
+  constructor() {
+    this.socketPath = process.env.SIGNER_SOCKET_PATH ? path.resolve(process.env.SIGNER_SOCKET_PATH) : null;
+    this.authToken = process.env.SIGNER_AUTH_TOKEN || null;
+    this.timeoutMs = parseInt(process.env.SIGNER_TIMEOUT_MS || '15000', 10);
+    this.publicKeys = null;
+    this.nextId = 1;
+  }
+
+  get enabled() {
+    return Boolean(this.socketPath);
+  }
+
+  /**
+   * One request over a fresh connection; rejects with the signer's error message
+   */
+  call(method, params = {}) {
+    if (!this.enabled) {
+      return Promise.reject(new Error('Signer service is not configured (SIGNER_SOCKET_PATH)'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let buffered = '';
+      let settled = false;
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        error ? reject(error) : resolve(result);
+      };
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeoutMs, () => finish(new Error('Signer service timed out')));
+      socket.on('error', error => finish(new Error(`Signer service unavailable: ${error.message}`)));
+      socket.on('connect', () => {
+        socket.write(`${JSON.stringify({ id, token: this.authToken, method, params })}\n`);
+      });
+      socket.on('data', (chunk) => {
+        buffered += chunk;
+        const newline = buffered.indexOf('\n');
+        if (newline === -1) return;
+
+        try {
+          const response = JSON.parse(buffered.slice(0, newline));
+          if (response.error) {
+            finish(new Error(`Signer: ${response.error}`));
+          } else {
+            finish(null, response.result);
+          }
+        } catch (error) {
+          finish(new Error('Signer service sent an invalid response'));
+        }
+      });
+      socket.on('end', () => finish(new Error('Signer service closed the connection')));
+    });
+  }
+
+  async getPublicKeys() {
+    if (!this.publicKeys) {
+      this.publicKeys = await this.call('getPublicKeys');
+    }
+    return this.publicKeys;
+  }
+
+  async getStatus() {
+    return this.call('status');
+  }
+
+  /**
+   * Signer handle for a pool send on `adapter`'s chain. `references` name the
+   * withdrawals being paid, for the signer's log.
+   */
+  async signerFor(adapter, { references = [] } = {}) {
+    const keys = await this.getPublicKeys();
+    const context = { currency: adapter.currency, network: adapter.network, references };
+
+    return {
+      remote: true,
+      publicKey: keys.btc ? keys.btc.publicKey : null,
+      address: keys.evm ? keys.evm.address : null,
+      signBitcoinPsbt: async (psbt) => (await this.call('signBitcoin', { ...context, psbt })).txHex,
+      signTronTransaction: async (transaction) => (await this.call('signTron', {
+        ...context,
+        transaction: { txID: transaction.txID, raw_data_hex: transaction.raw_data_hex }
+      })).signature,
+      evmSigner: (provider) => {
+        if (!keys.evm) {
+          throw new Error('The signer holds no EVM key');
+        }
+        return new RemoteEvmSigner(this, { address: keys.evm.address, ...context }, provider);
+      }
+    };
+  }
+}
+
+module.exports = new SignerClientService();
@@ -1,11 +1,12 @@
 /**
  * TradingView Data Service
- * Fetches real-time gold prices from TradingView's public endpoints
- * NO API KEY REQUIRED - Uses TradingView's public REST API
- * Similar to how TradingView widgets get real-time data
+ * Broadcasts the gold price on a TradingView-friendly schedule
+ * Similar to how TradingView widgets get real-time data; the price itself comes from
+ * goldPriceOracleService, like everywhere else
  */
 
 const axios = require('axios');
+const goldPriceOracleService = require('./goldPriceOracleService');
 
 class TradingViewDataService {
   constructor() {
@@ -36,7 +37,6 @@ class TradingViewDataService {
 
     this.isRunning = true;
     console.log(`🚀 Starting TradingView gold price updates (every ${this.updateFrequency / 1000}s)`);
-    console.log(`💡 Using TradingView's public REST API (NO API KEY REQUIRED)`);
 
     // Fetch immediately
     this.fetchGoldPrice();
@@ -60,98 +60,62 @@ class TradingViewDataService {
   }
 
   /**
-   * Fetch gold price from TradingView's public API
+   * Read the gold price from goldPriceOracleService (which refreshes it once its
+   * GOLD_PRICE_TTL_MS has passed) and broadcast it
    */
   async fetchGoldPrice() {
     try {
-      // TradingView provides public symbol data via their scanner API
-      // We'll use their public quote endpoint
-      const response = await axios.get(`https://scanner.tradingview.com/symbol`, {
-        params: {
-          symbol: this.symbol,
-          exchange: 'FOREX'
-        },
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        timeout: 5000
-      });
-
-      // Alternative: Use TradingView's widget data endpoint
-      // Format: https://www.tradingview.com/symbols/XAUUSD/
-      // But we can't scrape easily, so let's use a free gold price API that mirrors TradingView
-
-      // Actually, the best approach is to use a free WebSocket for gold prices
-      // Or use the Metals.dev API if configured, otherwise use our fallback
-      
-      // For now, let's use exchangerate-api.com which provides XAU (gold) prices
-      // This is free and no API key required
-      const exchangeResponse = await axios.get('https://api.exchangerate-api.com/v4/latest/XAU', {
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-
-      if (exchangeResponse.data && exchangeResponse.data.rates && exchangeResponse.data.rates.USD) {
-        const pricePerOunce = parseFloat(exchangeResponse.data.rates.USD);
-        const pricePerGram = pricePerOunce / 31.1035;
-
-        // Get exchange rates for EUR and GBP
-        let eurRate = 0.85;
-        let gbpRate = 0.78;
-        try {
-          const fiatExchangeResponse = await axios.get('https://api.exchangerate-api.com/v4/latest/USD', {
-            timeout: 3000
-          });
-          if (fiatExchangeResponse.data?.rates) {
-            eurRate = fiatExchangeResponse.data.rates.EUR || 0.85;
-            gbpRate = fiatExchangeResponse.data.rates.GBP || 0.78;
-          }
-        } catch (err) {
-          // Use defaults
-        }
+      const snapshot = await goldPriceOracleService.getPrice();
+      if (!snapshot.pricePerGram) {
+        return;
+      }
 
-        // Calculate 24h change (simplified - would need history for accurate)
-        const change24h = 0; // TradingView would provide this, but we'll calculate from our history
-
-        this.currentPrice = {
-          pricePerGram: parseFloat(pricePerGram.toFixed(2)),
-          pricePerOunce: parseFloat(pricePerOunce.toFixed(2)),
-          eurPricePerGram: parseFloat((pricePerGram * eurRate).toFixed(2)),
-          gbpPricePerGram: parseFloat((pricePerGram * gbpRate).toFixed(2)),
-          change24h: change24h,
-          timestamp: new Date().toISOString()
-        };
-
-        // Broadcast to all connected clients
-        if (this.io) {
-          this.io.emit('gold-price-update', {
-            price: this.currentPrice.pricePerGram,
-            pricePerOunce: this.currentPrice.pricePerOunce,
-            eurPrice: this.currentPrice.eurPricePerGram,
-            gbpPrice: this.currentPrice.gbpPricePerGram,
-            change24h: this.currentPrice.change24h,
-            timestamp: this.currentPrice.timestamp,
-            previousPrice: this.currentPrice.pricePerGram,
-            source: 'tradingview'
-          });
-
-          console.log(`📡 TradingView gold price: USD $${this.currentPrice.pricePerGram}/gram, EUR €${this.currentPrice.eurPricePerGram}/gram, GBP £${this.currentPrice.gbpPricePerGram}/gram`);
+      // Get exchange rates for EUR and GBP
+      let eurRate = 0.85;
+      let gbpRate = 0.78;
+      try {
+        const fiatExchangeResponse = await axios.get('https://api.exchangerate-api.com/v4/latest/USD', {
+          timeout: 3000
+        });
+        if (fiatExchangeResponse.data?.rates) {
+          eurRate = fiatExchangeResponse.data.rates.EUR || 0.85;
+          gbpRate = fiatExchangeResponse.data.rates.GBP || 0.78;
         }
+      } catch (err) {
+        // Use defaults
       }
-    } catch (error) {
-      // exchangerate-api.com doesn't support XAU without payment (expected)
-      // Silently fail - don't log every time to reduce noise
-      // The real-time service will handle price fetching as fallback
-      
-      // Don't log 400, 404, or timeout errors - these are expected
-      const status = error.response && error.response.status;
-      const message = error.message || '';
-      if (status !== 404 && status !== 400 && !message.includes('timeout')) {
-        console.log('⚠️ TradingView/exchangerate-api failed:', message);
+
+      // Calculate 24h change (simplified - would need history for accurate)
+      const change24h = 0; // TradingView would provide this, but we'll calculate from our history
+
+      this.currentPrice = {
+        pricePerGram: snapshot.pricePerGram,
+        pricePerOunce: snapshot.pricePerOunce,
+        eurPricePerGram: parseFloat((snapshot.pricePerGram * eurRate).toFixed(2)),
+        gbpPricePerGram: parseFloat((snapshot.pricePerGram * gbpRate).toFixed(2)),
+        change24h: change24h,
+        timestamp: snapshot.updatedAt,
+        status: snapshot.status
+      };
+
+      // Broadcast to all connected clients
+      if (this.io) {
+        this.io.emit('gold-price-update', {
+          price: this.currentPrice.pricePerGram,
+          pricePerOunce: this.currentPrice.pricePerOunce,
+          eurPrice: this.currentPrice.eurPricePerGram,
+          gbpPrice: this.currentPrice.gbpPricePerGram,
+          change24h: this.currentPrice.change24h,
+          timestamp: this.currentPrice.timestamp,
+          previousPrice: this.currentPrice.pricePerGram,
+          status: this.currentPrice.status,
+          source: 'tradingview'
+        });
+
+        console.log(`📡 TradingView gold price: USD $${this.currentPrice.pricePerGram}/gram, EUR €${this.currentPrice.eurPricePerGram}/gram, GBP £${this.currentPrice.gbpPricePerGram}/gram`);
       }
+    } catch (error) {
+      console.log('⚠️ TradingView gold price update failed:', error.message);
     }
   }
 
@@ -0,0 +1,671 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const poolWalletService = require('./poolWalletService');
+const withdrawalApprovalService = require('./withdrawalApprovalService');
+const broadcastTrackerService = require('./broadcastTrackerService');
+const notificationService = require('./notificationService');
+const auditLogService = require('./auditLogService');
+
+const SETTING_KEY = 'treasury_policy';
+
+/**
+ * Hot/cold wallet tiering
+ *
+ * The pool wallet is the hot wallet. The `treasury_policy` platform setting gives, per
+ * currency (or currency:network), a cold storage address and the band the hot wallet
+ * is kept in, e.g.
+ *
+ *   { "BTC": { "coldAddress": "bc1q...", "min": 2, "target": 5, "max": 10 } }
+ *
+ * What the hot wallet holds beyond approved withdrawals still to be paid is compared
+ * with the band. Above `max` the excess is swept to cold storage, down to `target`.
+ * Below `min` a top-up back to `target` is raised: admins approve it
+ * (TREASURY_TOP_UP_MIN_APPROVALS, at least two by default) and then upload the
+ * cold wallet's transaction, signed offline, which is checked and broadcast here.
+ *
+ * Withdrawals the hot wallet cannot pay wait for liquidity (withdrawalPipelineService);
+ * each check sends those it now can before rebalancing.
+ */
+class TreasuryService {
+  constructor() {
+    this.settingKey = SETTING_KEY;
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+    this.interval = null;
+    this.running = false;
+    this.rebalancing = new Set(); // Adapter keys being rebalanced
+  }
+
+  /**
+   * Check and normalise a policy; throws with a message fit for the admin.
+   * With `ignoreUnknown`, entries for networks that are not enabled here are dropped instead.
+   */
+  validatePolicy(policy, { ignoreUnknown = false } = {}) {
+    if (typeof policy === 'string') {
+      try {
+        policy = JSON.parse(policy);
+      } catch (error) {
+        throw new Error('Treasury policy must be valid JSON');
+      }
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('Treasury policy must be an object keyed by currency or currency:network');
+    }
+
+    const normalized = {};
+    for (const [rawKey, entry] of Object.entries(policy)) {
+      const [currency, network] = rawKey.split(':');
+      if (!chainAdapters.has(currency, network || null)) {
+        if (ignoreUnknown) continue;
+        throw new Error(`Unsupported currency or network in treasury policy: ${rawKey}`);
+      }
+      const key = network
+        ? `${currency.toUpperCase()}:${chainAdapters.normalizeNetwork(network)}`
+        : currency.toUpperCase();
+      // A plain currency entry covers every network the currency is on
+      const adapters = network ? [chainAdapters.get(currency, network)] : chainAdapters.forCurrency(currency);
+
+      const coldAddress = typeof entry?.coldAddress === 'string' ? entry.coldAddress.trim() : '';
+      if (!coldAddress) {
+        throw new Error(`${rawKey}: coldAddress is required`);
+      }
+      for (const adapter of adapters) {
+        if (!adapter.validateAddress(coldAddress)) {
+          throw new Error(`${rawKey}: cold address is not a valid ${adapter.currency} address on ${adapter.network}`);
+        }
+        const poolAddress = adapter.poolAddress(poolWalletService.getPoolAddresses());
+        if (poolAddress && adapter.addressKey(poolAddress) === adapter.addressKey(coldAddress)) {
+          throw new Error(`${rawKey}: the cold address cannot be the hot (pool) wallet`);
+        }
+      }
+
+      const [min, target, max] = ['min', 'target', 'max'].map(field => parseFloat(entry[field]));
+      if (![min, target, max].every(Number.isFinite) || min < 0) {
+        throw new Error(`${rawKey}: min, target and max must be zero or more`);
+      }
+      if (!(min <= target && target <= max) || max <= 0) {
+        throw new Error(`${rawKey}: the band must satisfy min <= target <= max, with max above zero`);
+      }
+
+      normalized[key] = {
+        coldAddress: adapters.length === 1 ? adapters[0].normalizeAddress(coldAddress) : coldAddress,
+        min,
+        target,
+        max
+      };
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Current policy (cached briefly; an unreadable setting means no tiering)
+   */
+  async getPolicy() {
+    if (this.cachedPolicy && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedPolicy;
+    }
+
+    let policy = {};
+    try {
+      const result = await query(
+        'SELECT setting_value FROM platform_settings WHERE setting_key = $1',
+        [this.settingKey]
+      );
+      if (result.rows.length > 0 && result.rows[0].setting_value) {
+        policy = this.validatePolicy(result.rows[0].setting_value, { ignoreUnknown: true });
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load treasury policy, tiering is off:', error.message);
+    }
+
+    this.cachedPolicy = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  clearCache() {
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Cold address and band for an adapter's chain (null if the policy has none)
+   */
+  async chainPolicy(adapter) {
+    const policy = await this.getPolicy();
+    return policy[adapter.key] || policy[adapter.currency] || null;
+  }
+
+  async isColdAddress(adapter, address) {
+    const band = await this.chainPolicy(adapter);
+    return Boolean(band) && adapter.addressKey(band.coldAddress) === adapter.addressKey(address);
+  }
+
+  async getHotBalance(adapter) {
+    const hotAddress = adapter.poolAddress(poolWalletService.getPoolAddresses());
+    if (!hotAddress) {
+      throw new Error(`No pool address for ${adapter.currency} on ${adapter.network}`);
+    }
+    return adapter.getBalance(hotAddress);
+  }
+
+  /**
+   * What the policy's cold addresses hold, per currency:
+   *   { BTC: { balance, live, error, networks: { bitcoin: { address, balance, live } } } }
+   * Swept funds are still the platform's, so reconciliation and proof of reserves count
+   * them. Chains without a cold address are left out; `live` is false if any read failed.
+   */
+  async getColdBalances(currencies = ['BTC', 'ETH', 'USDT']) {
+    const balances = {};
+    for (const currency of currencies) {
+      const entry = { balance: 0, live: true, networks: {} };
+      const errors = [];
+
+      for (const adapter of chainAdapters.forCurrency(currency)) {
+        const band = await this.chainPolicy(adapter);
+        if (!band) continue;
+        try {
+          const balance = await adapter.getBalance(band.coldAddress);
+          entry.networks[adapter.network] = { address: band.coldAddress, balance, live: true };
+          entry.balance += balance;
+        } catch (error) {
+          console.error(`❌ Error fetching ${currency} (${adapter.network}) cold balance:`, error.message);
+          entry.networks[adapter.network] = { address: band.coldAddress, balance: 0, live: false, error: error.message };
+          entry.live = false;
+          errors.push(`${adapter.network}: ${error.message}`);
+        }
+      }
+
+      if (errors.length > 0) {
+        entry.error = errors.join('; ');
+      }
+      balances[currency] = entry;
+    }
+    return balances;
+  }
+
+  /**
+   * Approved withdrawals on a chain that have not left the hot wallet yet: { count, total, waiting }
+   * (`waiting` counts those waiting for liquidity)
+   */
+  async pendingOutflow(adapter) {
+    const isDefaultNetwork = chainAdapters.get(adapter.currency).key === adapter.key;
+    const result = await query(
+      `SELECT COUNT(*) AS count,
+              COALESCE(SUM(COALESCE(net_amount, amount)), 0) AS total,
+              COUNT(*) FILTER (WHERE awaiting_liquidity_since IS NOT NULL) AS waiting
+       FROM withdrawal_requests
+       WHERE status IN ('approved', 'broadcasting') AND batch_id IS NULL
+         AND currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))`,
+      [adapter.currency, adapter.network, isDefaultNetwork]
+    );
+    const row = result.rows[0];
+    return { count: parseInt(row.count, 10), total: parseFloat(row.total), waiting: parseInt(row.waiting, 10) };
+  }
+
+  async findOpenTopUp(adapter) {
+    const result = await query(
+      `SELECT * FROM treasury_top_ups
+       WHERE currency = $1 AND network = $2 AND status IN ('pending', 'approved', 'broadcasting', 'broadcast')
+       ORDER BY created_at DESC LIMIT 1`,
+      [adapter.currency, adapter.network]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findUnconfirmedSweep(adapter) {
+    const result = await query(
+      `SELECT * FROM treasury_sweeps
+       WHERE currency = $1 AND network = $2 AND status IN ('sending', 'broadcast')
+       ORDER BY created_at DESC LIMIT 1`,
+      [adapter.currency, adapter.network]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check every chain: send withdrawals waiting for liquidity, then rebalance
+   */
+  async checkAll() {
+    if (this.running) {
+      console.log('⏭️ Treasury check already in progress');
+      return [];
+    }
+
+    this.running = true;
+    const results = [];
+    try {
+      for (const adapter of chainAdapters.list()) {
+        try {
+          results.push({ currency: adapter.currency, network: adapter.network, ...await this.checkChain(adapter) });
+        } catch (error) {
+          console.error(`❌ Treasury check for ${adapter.currency} (${adapter.network}) failed:`, error.message);
+          results.push({ currency: adapter.currency, network: adapter.network, action: 'error', error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    return results;
+  }
+
+  async checkChain(adapter) {
+    const withdrawalPipelineService = require('./withdrawalPipelineService');
+    const released = await withdrawalPipelineService.sendWaiting(adapter);
+    const result = await this.rebalance(adapter);
+    return { ...result, released: released.length };
+  }
+
+  /**
+   * Sweep the hot wallet's excess to cold storage, or raise a top-up when it runs low.
+   * Resolves with { action: 'none' | 'busy' | 'sweep' | 'top_up', ... }.
+   */
+  async rebalance(adapter) {
+    const band = await this.chainPolicy(adapter);
+    if (!band) {
+      return { action: 'none' };
+    }
+    if (this.rebalancing.has(adapter.key)) {
+      return { action: 'busy' };
+    }
+
+    this.rebalancing.add(adapter.key);
+    try {
+      const hotBalance = await this.getHotBalance(adapter);
+      const outflow = await this.pendingOutflow(adapter);
+      const free = hotBalance - outflow.total;
+      const status = { hotBalance, pendingOutflow: outflow.total, free };
+
+      if (free > band.max) {
+        // A watch-only hot wallet cannot sign a sweep; the excess stays until it is moved by hand.
+        // Otherwise wait for the last sweep to land so the balance it is based on is current.
+        if (poolWalletService.isWatchOnly() || await this.findUnconfirmedSweep(adapter)) {
+          return { action: 'none', ...status };
+        }
+        const sweep = await this.sweep(adapter, band, hotBalance, free - band.target);
+        return { action: 'sweep', sweep, ...status };
+      }
+
+      if (free < band.min) {
+        const open = await this.findOpenTopUp(adapter);
+        if (open) {
+          return { action: 'none', topUp: open, ...status };
+        }
+        const topUp = await this.requestTopUp(adapter.currency, adapter.network, {
+          amount: band.target - free,
+          reason: `Hot wallet holds ${hotBalance} ${adapter.currency} with ${outflow.total} owed to approved withdrawals; the band minimum is ${band.min}`
+        });
+        return { action: 'top_up', topUp, ...status };
+      }
+
+      return { action: 'none', ...status };
+    } finally {
+      this.rebalancing.delete(adapter.key);
+    }
+  }
+
+  /**
+   * Send `amount` from the hot wallet to cold storage
+   */
+  async sweep(adapter, band, hotBalance, amount) {
+    const hotAddress = adapter.poolAddress(poolWalletService.getPoolAddresses());
+    const inserted = await query(
+      `INSERT INTO treasury_sweeps (currency, network, amount, from_address, to_address, hot_balance)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [adapter.currency, adapter.network, amount, hotAddress, band.coldAddress, hotBalance]
+    );
+    const sweep = inserted.rows[0];
+
+    let transactionHash;
+    try {
+      transactionHash = await poolWalletService.sendFromPool(adapter.currency, band.coldAddress, amount, adapter.network, {
+        trackAs: { type: 'treasury_sweep', id: sweep.id }
+      });
+    } catch (error) {
+      await query(
+        `UPDATE treasury_sweeps SET status = 'failed', error_message = $1 WHERE id = $2`,
+        [error.message, sweep.id]
+      );
+      notificationService.notifyAdmins({
+        type: 'error',
+        title: 'Treasury Sweep Failed',
+        message: `Sweeping ${amount} ${adapter.currency} (${adapter.network}) to cold storage failed: ${error.message}`,
+        data: { sweepId: sweep.id, currency: adapter.currency, network: adapter.network }
+      });
+      throw new Error(`Treasury sweep failed: ${error.message}`);
+    }
+
+    const updated = await query(
+      `UPDATE treasury_sweeps SET status = 'broadcast', transaction_hash = $1 WHERE id = $2 RETURNING *`,
+      [transactionHash, sweep.id]
+    );
+
+    await auditLogService.log({
+      action: 'treasury.sweep',
+      targetTable: 'treasury_sweeps',
+      targetId: sweep.id,
+      diff: { currency: adapter.currency, network: adapter.network, amount, toAddress: band.coldAddress, transactionHash }
+    });
+
+    console.log(`🧊 Swept ${amount} ${adapter.currency} (${adapter.network}) to cold storage: ${transactionHash}`);
+    return updated.rows[0];
+  }
+
+  /**
+   * Raise a top-up of the hot wallet from cold storage (automatically, or by an admin)
+   */
+  async requestTopUp(currency, network, { amount, reason = null, requestedBy = null, req = null }) {
+    const adapter = chainAdapters.get(currency, network);
+    amount = parseFloat(amount);
+    if (!(amount > 0)) {
+      throw new Error('Top-up amount must be positive');
+    }
+    const band = await this.chainPolicy(adapter);
+    if (!band) {
+      throw new Error(`No treasury policy for ${adapter.currency} on ${adapter.network}`);
+    }
+
+    let topUp;
+    try {
+      const inserted = await query(
+        `INSERT INTO treasury_top_ups (currency, network, amount, from_address, to_address, reason, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          adapter.currency,
+          adapter.network,
+          amount,
+          band.coldAddress,
+          adapter.poolAddress(poolWalletService.getPoolAddresses()),
+          reason,
+          requestedBy
+        ]
+      );
+      topUp = inserted.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A top-up for ${adapter.currency} on ${adapter.network} is already open`);
+      }
+      throw error;
+    }
+
+    await auditLogService.log({
+      actorUserId: requestedBy,
+      action: 'treasury.top_up_requested',
+      targetTable: 'treasury_top_ups',
+      targetId: topUp.id,
+      diff: { currency: adapter.currency, network: adapter.network, amount, reason },
+      req
+    });
+
+    notificationService.notifyAdmins({
+      type: 'warning',
+      title: 'Hot Wallet Top-Up Needed',
+      message: `${amount} ${adapter.currency} (${adapter.network}) should be moved from cold storage to the hot wallet`,
+      data: { topUpId: topUp.id, currency: adapter.currency, network: adapter.network, amount }
+    });
+
+    console.log(`🔥 Top-up ${topUp.id} raised: ${amount} ${adapter.currency} (${adapter.network}) from cold storage`);
+    return topUp;
+  }
+
+  async getTopUp(topUpId) {
+    const result = await query('SELECT * FROM treasury_top_ups WHERE id = $1', [topUpId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record an admin's approval; once the approvals are in, the top-up waits for its signed transaction
+   */
+  async approveTopUp(topUpId, adminId, { notes = null, req = null } = {}) {
+    const approval = await withdrawalApprovalService.recordApproval('treasury_top_up', topUpId, adminId, { notes });
+
+    let topUp = approval.withdrawal;
+    if (approval.policyMet) {
+      const updated = await query(
+        `UPDATE treasury_top_ups SET status = 'approved', approved_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [topUpId]
+      );
+      topUp = updated.rows[0] || topUp;
+
+      notificationService.notifyAdmins({
+        type: 'info',
+        title: 'Top-Up Approved',
+        message: `${topUp.amount} ${topUp.currency} (${topUp.network}) top-up is approved; upload the transaction signed by the cold wallet`,
+        data: { topUpId, currency: topUp.currency, network: topUp.network }
+      });
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'treasury.top_up_approved',
+      targetTable: 'treasury_top_ups',
+      targetId: topUpId,
+      diff: { approvals: approval.approvalCount, requiredApprovals: approval.requiredApprovals, notes },
+      req
+    });
+
+    return { topUp, approval };
+  }
+
+  /**
+   * Check a transaction signed offline by the cold wallet against an approved top-up and
+   * broadcast it. It may only pay the hot wallet (at least the approved amount) and
+   * change back to the cold address. The top-up is committed as broadcasting before the
+   * transaction is sent and only returns to approved if the broadcast is refused.
+   */
+  async submitSignedTransaction(topUpId, adminId, signedTransaction, { req = null } = {}) {
+    if (!signedTransaction) {
+      throw new Error('signedTransaction is required');
+    }
+
+    const topUp = await transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM treasury_top_ups WHERE id = $1 FOR UPDATE', [topUpId]);
+      const current = locked.rows[0];
+      if (!current) {
+        throw new Error('Top-up not found');
+      }
+      if (current.status !== 'approved') {
+        throw new Error(`Top-up is ${current.status}; only approved top-ups take a signed transaction`);
+      }
+
+      const adapter = chainAdapters.get(current.currency, current.network);
+      const inspected = adapter.inspectSignedTransaction(signedTransaction);
+      const isHot = address => adapter.addressKey(address) === adapter.addressKey(current.to_address);
+      const isCold = address => adapter.addressKey(address) === adapter.addressKey(current.from_address);
+
+      if (inspected.from && !isCold(inspected.from)) {
+        throw new Error('Signed transaction does not spend from the cold address');
+      }
+      const stray = inspected.outputs.find(output => !output.toAddress || (!isHot(output.toAddress) && !isCold(output.toAddress)));
+      if (stray) {
+        throw new Error(`Signed transaction pays ${stray.toAddress || 'a non-address output'}, which is neither the hot wallet nor cold storage`);
+      }
+      const toHot = inspected.outputs.filter(output => isHot(output.toAddress)).reduce((sum, output) => sum + output.amount, 0);
+      if (toHot + 1e-8 < parseFloat(current.amount)) {
+        throw new Error(`Signed transaction pays the hot wallet ${toHot} ${current.currency}, less than the approved ${current.amount}`);
+      }
+
+      // Claimed and committed before the broadcast, so a failure after it can never leave
+      // the top-up open to a second submission
+      const claimed = await client.query(
+        `UPDATE treasury_top_ups
+         SET status = 'broadcasting', transaction_hash = $1, submitted_by = $2, error_message = NULL
+         WHERE id = $3
+         RETURNING *`,
+        [inspected.txHash, adminId, topUpId]
+      );
+      return { ...claimed.rows[0], toHot, inspected };
+    });
+
+    const adapter = chainAdapters.get(topUp.currency, topUp.network);
+    let transactionHash;
+    try {
+      transactionHash = await adapter.broadcastSigned(topUp.inspected);
+    } catch (error) {
+      const message = `Broadcast failed: ${error.response?.data?.message || error.response?.data || error.message}`;
+      await query(
+        `UPDATE treasury_top_ups SET status = 'approved', transaction_hash = NULL, submitted_by = NULL, error_message = $1
+         WHERE id = $2 AND status = 'broadcasting'`,
+        [message, topUp.id]
+      );
+      throw new Error(message);
+    }
+
+    // On-chain from here: a failure below leaves the top-up broadcasting with its hash,
+    // and the broadcast tracker still confirms it
+    try {
+      await broadcastTrackerService.track(adapter, { txHash: transactionHash, fee: null, replacement: null }, {
+        references: [{ type: 'treasury_top_up', id: topUp.id }]
+      });
+    } catch (error) {
+      console.error(`❌ Could not track top-up broadcast ${transactionHash}:`, error.message);
+    }
+
+    const updated = await query(
+      `UPDATE treasury_top_ups
+       SET status = 'broadcast', transaction_hash = $1, broadcast_at = NOW()
+       WHERE id = $2 AND status = 'broadcasting'
+       RETURNING *`,
+      [transactionHash, topUp.id]
+    );
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'treasury.top_up_broadcast',
+      targetTable: 'treasury_top_ups',
+      targetId: topUp.id,
+      diff: { transactionHash, amount: topUp.toHot },
+      req
+    });
+
+    console.log(`📤 Top-up ${topUp.id} broadcast: ${topUp.toHot} ${topUp.currency} (${topUp.network}) to the hot wallet (${transactionHash})`);
+    return updated.rows[0] || { ...await this.getTopUp(topUp.id), transaction_hash: transactionHash };
+  }
+
+  async cancelTopUp(topUpId, adminId, { reason = null, req = null } = {}) {
+    const result = await query(
+      `UPDATE treasury_top_ups SET status = 'cancelled', cancelled_by = $1, cancellation_reason = $2
+       WHERE id = $3 AND status IN ('pending', 'approved')
+       RETURNING *`,
+      [adminId, reason, topUpId]
+    );
+    if (result.rows.length === 0) {
+      const existing = await this.getTopUp(topUpId);
+      throw new Error(existing ? `Top-up is ${existing.status} and cannot be cancelled` : 'Top-up not found');
+    }
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: 'treasury.top_up_cancelled',
+      targetTable: 'treasury_top_ups',
+      targetId: topUpId,
+      diff: { reason },
+      req
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Mark sweeps and top-ups confirmed (called by the broadcast tracker inside its transaction)
+   */
+  async markConfirmed(client, references) {
+    const idsOf = type => references.filter(reference => reference.type === type).map(reference => reference.id);
+
+    const sweepIds = idsOf('treasury_sweep');
+    if (sweepIds.length > 0) {
+      await client.query(
+        `UPDATE treasury_sweeps SET status = 'confirmed', confirmed_at = NOW() WHERE id = ANY($1::uuid[]) AND status = 'broadcast'`,
+        [sweepIds]
+      );
+    }
+
+    const topUpIds = idsOf('treasury_top_up');
+    if (topUpIds.length > 0) {
+      await client.query(
+        `UPDATE treasury_top_ups SET status = 'confirmed', confirmed_at = NOW(), broadcast_at = COALESCE(broadcast_at, NOW())
+         WHERE id = ANY($1::uuid[]) AND status IN ('broadcasting', 'broadcast')`,
+        [topUpIds]
+      );
+    }
+  }
+
+  async listSweeps({ limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      'SELECT * FROM treasury_sweeps ORDER BY created_at DESC LIMIT $1 OFFSET $2',
+      [limit, offset]
+    );
+    return result.rows;
+  }
+
+  async listTopUps({ status = null, limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT * FROM treasury_top_ups
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Band, hot balance, outflow and open top-up per chain that has a policy or waiting withdrawals
+   */
+  async getStatus() {
+    const chains = [];
+    for (const adapter of chainAdapters.list()) {
+      const band = await this.chainPolicy(adapter);
+      const outflow = await this.pendingOutflow(adapter);
+      if (!band && outflow.waiting === 0) continue;
+
+      let hotBalance = null;
+      try {
+        hotBalance = await this.getHotBalance(adapter);
+      } catch (error) {
+        console.error(`⚠️ No hot balance for ${adapter.currency} (${adapter.network}):`, error.message);
+      }
+
+      chains.push({
+        currency: adapter.currency,
+        network: adapter.network,
+        band,
+        hotBalance,
+        pendingOutflow: outflow.total,
+        approvedWithdrawals: outflow.count,
+        waitingWithdrawals: outflow.waiting,
+        openTopUp: await this.findOpenTopUp(adapter),
+        unconfirmedSweep: await this.findUnconfirmedSweep(adapter)
+      });
+    }
+
+    return { topUpMinApprovals: withdrawalApprovalService.target('treasury_top_up').minApprovals, chains };
+  }
+
+  startScheduledChecks(intervalMs = 15 * 60 * 1000) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.checkAll().catch(error => {
+        console.error('❌ Scheduled treasury check failed:', error.message);
+      });
+    }, intervalMs);
+
+    console.log('✅ Treasury checks scheduled (every', intervalMs / 60000, 'minutes)');
+  }
+
+  stopScheduledChecks() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new TreasuryService();
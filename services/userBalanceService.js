@@ -1,5 +1,7 @@
 require('dotenv').config();
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const ledgerService = require('./ledgerService');
+const amlService = require('./amlService');
 
 class UserBalanceService {
   constructor() {
@@ -58,11 +60,12 @@ class UserBalanceService {
   }
 
   // Credit user balance (add funds)
-  async creditUserBalance(userId, currency, amount, description = '') {
+  // options: { entryType, contraAccount, referenceType, referenceId, createdBy, client }
+  async creditUserBalance(userId, currency, amount, description = '', options = {}) {
     try {
       await this.initialize();
       
-      const numericAmount = parseFloat(amount);
+      const numericAmount = ledgerService.roundAmount(parseFloat(amount));
       if (!numericAmount || numericAmount <= 0) {
         throw new Error('Invalid amount');
       }
@@ -73,35 +76,51 @@ class UserBalanceService {
 
       console.log(`💰 Crediting ${numericAmount} ${currency} to user ${userId}`);
 
-      // Insert or update user balance
-      await query(`
-        INSERT INTO user_balances (user_id, currency, balance, available_balance, updated_at)
-        VALUES ($1, $2, $3, $4, NOW())
-        ON CONFLICT (user_id, currency)
-        DO UPDATE SET 
-          balance = user_balances.balance + $3,
-          available_balance = user_balances.available_balance + $4,
-          updated_at = NOW()
-      `, [userId, currency.toUpperCase(), numericAmount, numericAmount]);
-
-      // Log the transaction
-      await query(`
-        INSERT INTO transactions_ledger (
-          user_id, type, currency, amount, reference_id, meta, created_at
-        ) VALUES ($1, 'deposit', $2, $3, $4, $5, NOW())
-      `, [
-        userId, 
-        currency.toUpperCase(), 
-        numericAmount, 
-        `deposit_${Date.now()}`,
-        JSON.stringify({ description, status: 'completed' })
-      ]);
+      await this.runInTransaction(options.client, async (client) => {
+        // Journal the credit against its counterpart (the pool wallet for deposits)
+        await ledgerService.postJournal({
+          entryType: options.entryType || 'deposit',
+          description,
+          referenceType: options.referenceType,
+          referenceId: options.referenceId,
+          createdBy: options.createdBy,
+          postings: [
+            { account: 'user', userId, currency, amount: numericAmount },
+            { account: options.contraAccount || 'pool', currency, amount: -numericAmount }
+          ]
+        }, client);
+
+        // Deposits are monitored for AML (other credits, e.g. refunds, are not)
+        if ((options.entryType || 'deposit') === 'deposit') {
+          await amlService.recordEvent({
+            userId,
+            eventType: 'deposit',
+            currency: currency.toUpperCase(),
+            amount: numericAmount,
+            referenceType: options.referenceType || null,
+            referenceId: options.referenceId || null
+          }, client);
+        }
+
+        // Log the transaction
+        await client.query(`
+          INSERT INTO transactions_ledger (
+            user_id, type, currency, amount, reference_id, meta, created_at
+          ) VALUES ($1, 'deposit', $2, $3, $4, $5, NOW())
+        `, [
+          userId, 
+          currency.toUpperCase(), 
+          numericAmount, 
+          `deposit_${Date.now()}`,
+          JSON.stringify({ description, status: 'completed' })
+        ]);
+      });
 
       console.log(`✅ Successfully credited ${numericAmount} ${currency} to user ${userId}`);
       
       return {
         success: true,
-        newBalance: await this.getUserBalance(userId, currency),
+        newBalance: options.client ? undefined : await this.getUserBalance(userId, currency),
         amount: numericAmount,
         currency: currency.toUpperCase()
       };
@@ -113,11 +132,13 @@ class UserBalanceService {
   }
 
   // Debit user balance (subtract funds)
-  async debitUserBalance(userId, currency, amount, description = '') {
+  // options: { entryType, contraAccount, referenceType, referenceId, createdBy, client, allowNegative }
+  // allowNegative is for reversals (e.g. a reorged deposit) that must be booked even if the funds were spent
+  async debitUserBalance(userId, currency, amount, description = '', options = {}) {
     try {
       await this.initialize();
       
-      const numericAmount = parseFloat(amount);
+      const numericAmount = ledgerService.roundAmount(parseFloat(amount));
       if (!numericAmount || numericAmount <= 0) {
         throw new Error('Invalid amount');
       }
@@ -126,42 +147,50 @@ class UserBalanceService {
         throw new Error('Invalid currency');
       }
 
-      // Check if user has sufficient balance
-      const currentBalance = await this.getUserBalance(userId, currency);
-      if (currentBalance < numericAmount) {
-        throw new Error(`Insufficient balance. Available: ${currentBalance} ${currency}, Required: ${numericAmount} ${currency}`);
-      }
-
       console.log(`💸 Debiting ${numericAmount} ${currency} from user ${userId}`);
 
-      // Update user balance
-      await query(`
-        UPDATE user_balances 
-        SET 
-          balance = balance - $1,
-          available_balance = available_balance - $1,
-          updated_at = NOW()
-        WHERE user_id = $2 AND currency = $3
-      `, [numericAmount, userId, currency.toUpperCase()]);
-
-      // Log the transaction
-      await query(`
-        INSERT INTO transactions_ledger (
-          user_id, type, currency, amount, reference_id, meta, created_at
-        ) VALUES ($1, 'withdrawal', $2, $3, $4, $5, NOW())
-      `, [
-        userId, 
-        currency.toUpperCase(), 
-        numericAmount, 
-        `withdrawal_${Date.now()}`,
-        JSON.stringify({ description, status: 'completed' })
-      ]);
+      await this.runInTransaction(options.client, async (client) => {
+        // The ledger refuses the debit if the available balance would go negative
+        try {
+          await ledgerService.postJournal({
+            entryType: options.entryType || 'withdrawal',
+            description,
+            referenceType: options.referenceType,
+            referenceId: options.referenceId,
+            createdBy: options.createdBy,
+            allowNegative: options.allowNegative || false,
+            postings: [
+              { account: 'user', userId, currency, amount: -numericAmount },
+              { account: options.contraAccount || 'pool', currency, amount: numericAmount }
+            ]
+          }, client);
+        } catch (error) {
+          if (error.message.startsWith('Insufficient')) {
+            const currentBalance = await this.getUserBalance(userId, currency);
+            throw new Error(`Insufficient balance. Available: ${currentBalance} ${currency}, Required: ${numericAmount} ${currency}`);
+          }
+          throw error;
+        }
+
+        // Log the transaction
+        await client.query(`
+          INSERT INTO transactions_ledger (
+            user_id, type, currency, amount, reference_id, meta, created_at
+          ) VALUES ($1, 'withdrawal', $2, $3, $4, $5, NOW())
+        `, [
+          userId, 
+          currency.toUpperCase(), 
+          numericAmount, 
+          `withdrawal_${Date.now()}`,
+          JSON.stringify({ description, status: 'completed' })
+        ]);
+      });
 
       console.log(`✅ Successfully debited ${numericAmount} ${currency} from user ${userId}`);
       
       return {
         success: true,
-        newBalance: await this.getUserBalance(userId, currency),
+        newBalance: options.client ? undefined : await this.getUserBalance(userId, currency),
         amount: numericAmount,
         currency: currency.toUpperCase()
       };
@@ -172,6 +201,14 @@ class UserBalanceService {
     }
   }
 
+  // Run work inside the caller's transaction, or open one
+  async runInTransaction(client, work) {
+    if (client) {
+      return work(client);
+    }
+    return transaction(work);
+  }
+
   // Get user balance for a specific currency
   async getUserBalance(userId, currency) {
     try {
@@ -330,8 +330,17 @@ class VPNDetectionService {
                 req.headers['user-agent'] || 'Unknown'
             ];
 
-            await pool.query(query, values);
+            const result = await pool.query(query, values);
             console.log(`🚫 VPN detected: ${email} from ${location?.country} (${location?.city}) - Provider: ${vpnResult.provider}`);
+
+            await require('./complianceCaseService').recordAlert({
+                source: 'vpn',
+                kind: 'vpn_detected',
+                email,
+                auditLogId: result.rows[0].id,
+                ipAddress: values[4],
+                details: vpnDetails
+            });
         } catch (error) {
             console.error('Failed to log VPN attempt:', error);
         }
@@ -4,16 +4,17 @@ const bip39 = require('bip39');
 const { ethers } = require('ethers');
 const crypto = require('crypto');
 const ecc = require('tiny-secp256k1');
+const { toTronAddress, isTronAddress } = require('./chainAdapters/tronAddress');
+const secretEncryptionService = require('./secretEncryptionService');
 
 // Initialize BIP32 with ecc library
 const bip32 = BIP32Factory(ecc);
 
 class WalletAddressService {
   constructor() {
-    // Encryption key (should be stored securely, preferably in environment variable)
-    this.encryptionKey = process.env.WALLET_ENCRYPTION_KEY || 'your-32-byte-encryption-key-change-this!!';
-    this.encryptionAlgorithm = 'aes-256-cbc';
-    
+    // Derived addresses are only stable across restarts when the seed is configured
+    this.hasConfiguredSeed = Boolean(process.env.MASTER_WALLET_SEED);
+
     // Master seed for deterministic wallet generation (HD Wallet)
     this.masterSeed = process.env.MASTER_WALLET_SEED || bip39.generateMnemonic(256);
   }
@@ -24,6 +25,16 @@ class WalletAddressService {
    * @returns {Object} {address, privateKey}
    */
   async generateBTCAddress(userId) {
+    // Using userId hash as account number for deterministic generation
+    return this.deriveBTCAddress(this.hashUserIdToNumber(userId));
+  }
+
+  /**
+   * Derive the Bitcoin address of an HD account
+   * @param {number} accountIndex - BIP44 account number
+   * @returns {Object} {address, privateKey, derivationPath}
+   */
+  async deriveBTCAddress(accountIndex) {
     try {
       // Generate seed from mnemonic
       const seed = await bip39.mnemonicToSeed(this.masterSeed);
@@ -31,9 +42,7 @@ class WalletAddressService {
       // Create HD wallet root
       const root = bip32.fromSeed(seed, bitcoin.networks.bitcoin);
       
-      // Derive path for this user (BIP44: m/44'/0'/account'/0/index)
-      // Using userId hash as account number for deterministic generation
-      const accountIndex = this.hashUserIdToNumber(userId);
+      // Derive path for this account (BIP44: m/44'/0'/account'/0/index)
       const path = `m/44'/0'/${accountIndex}'/0/0`;
       const child = root.derivePath(path);
       
@@ -63,12 +72,20 @@ class WalletAddressService {
    * @returns {Object} {address, privateKey}
    */
   async generateETHAddress(userId) {
+    return this.deriveETHAddress(this.hashUserIdToNumber(userId));
+  }
+
+  /**
+   * Derive the Ethereum address of an HD account (also used for ERC-20/BEP-20 tokens and Tron)
+   * @param {number} accountIndex - BIP44 account number
+   * @returns {Object} {address, privateKey, derivationPath}
+   */
+  async deriveETHAddress(accountIndex) {
     try {
       // Generate seed from mnemonic
       const seed = await bip39.mnemonicToSeed(this.masterSeed);
       
       // Create HD wallet for Ethereum (BIP44: m/44'/60'/account'/0/0)
-      const accountIndex = this.hashUserIdToNumber(userId);
       const path = `m/44'/60'/${accountIndex}'/0/0`;
       
       const hdNode = ethers.HDNodeWallet.fromSeed(seed);
@@ -108,45 +125,34 @@ class WalletAddressService {
       usdt: {
         address: ethWallet.address, // USDT uses same address as ETH (ERC-20)
         privateKeyEncrypted: this.encrypt(ethWallet.privateKey),
-        derivationPath: ethWallet.derivationPath
+        derivationPath: ethWallet.derivationPath,
+        // The same key receives USDT on every network; only Tron writes the address differently
+        networks: {
+          ethereum: ethWallet.address,
+          bsc: ethWallet.address,
+          tron: toTronAddress(ethWallet.address)
+        }
       }
     };
   }
 
   /**
-   * Encrypt private key
+   * Encrypt private key (under the current wallet encryption key, see secretEncryptionService)
    * @param {string} text - Private key to encrypt
    * @returns {string} Encrypted private key
    */
   encrypt(text) {
-    const iv = crypto.randomBytes(16);
-    const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
-    const cipher = crypto.createCipheriv(this.encryptionAlgorithm, key, iv);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return iv.toString('hex') + ':' + encrypted;
+    return secretEncryptionService.encrypt(text);
   }
 
   /**
    * Decrypt private key
-   * @param {string} encryptedText - Encrypted private key
+   * @param {string} encryptedText - Encrypted private key (any key version)
    * @returns {string} Decrypted private key
    */
   decrypt(encryptedText) {
     try {
-      const parts = encryptedText.split(':');
-      const iv = Buffer.from(parts[0], 'hex');
-      const encrypted = parts[1];
-      
-      const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
-      const decipher = crypto.createDecipheriv(this.encryptionAlgorithm, key, iv);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      return secretEncryptionService.decrypt(encryptedText, { legacy: 'wallet' });
     } catch (error) {
       console.error('Decryption error:', error);
       throw new Error('Failed to decrypt private key');
@@ -187,6 +193,15 @@ class WalletAddressService {
     return ethers.isAddress(address);
   }
 
+  /**
+   * Validate Tron address
+   * @param {string} address - Tron address (T...)
+   * @returns {boolean} Is valid
+   */
+  isValidTronAddress(address) {
+    return isTronAddress(address);
+  }
+
   /**
    * Generate master wallet for platform
    * @param {string} currency - BTC, ETH, or USDT
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const totpService = require('./totpService');
+const emailService = require('./emailService');
+const auditLogService = require('./auditLogService');
+
+/**
+ * Withdrawal address book (whitelist)
+ *
+ * A new address starts `pending` and is confirmed with an emailed code plus the
+ * user's authenticator (TOTP) code. A confirmed address becomes usable after a
+ * cooling-off period (WITHDRAWAL_ADDRESS_COOLING_OFF_HOURS, default 24). With
+ * whitelist-only mode on, withdrawals can only go to usable addresses in the book.
+ * Every change is written to audit_logs and emailed to the user.
+ */
+class WithdrawalAddressService {
+  constructor() {
+    this.coolingOffHours = parseFloat(process.env.WITHDRAWAL_ADDRESS_COOLING_OFF_HOURS || '24');
+    this.codeExpiryMinutes = 15;
+    this.maxConfirmAttempts = 5;
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  async getUser(userId) {
+    const result = await query(
+      `SELECT id, email, full_name, two_factor_enabled, totp_secret, withdrawal_whitelist_only FROM users WHERE id = $1`,
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Audit and email one address book change (neither may fail the change itself)
+   */
+  async recordChange(user, action, details, req = null, code = null) {
+    await auditLogService.log({
+      actorUserId: user.id,
+      action: `withdrawal_address_${action}`,
+      targetTable: details.id ? 'withdrawal_addresses' : 'users',
+      targetId: details.id || user.id,
+      diff: details,
+      req
+    });
+
+    emailService.sendWithdrawalAddressNotice(user.email, user.full_name, { action, code, ...details }).catch((error) => {
+      console.error('❌ Failed to send withdrawal address notice:', error.message);
+    });
+  }
+
+  /**
+   * Address book entries; `usable` is true once confirmed and past the cooling-off period
+   */
+  async listAddresses(userId) {
+    const result = await query(
+      `SELECT id, currency, network, address, label, status, confirmed_at, activates_at, created_at,
+              (status = 'confirmed' AND activates_at <= NOW()) AS usable
+       FROM withdrawal_addresses
+       WHERE user_id = $1 AND status != 'removed'
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add an address (or re-issue the code for one still pending) and email the confirmation code
+   */
+  async addAddress(userId, { currency, network = null, address, label = null }, req = null) {
+    const user = await this.getUser(userId);
+    if (!user.two_factor_enabled || !user.totp_secret) {
+      throw new Error('Enable two-factor authentication before adding withdrawal addresses');
+    }
+
+    if (!chainAdapters.has(currency, network)) {
+      throw new Error(network ? `${currency} is not supported on network ${network}` : 'Invalid currency');
+    }
+    const adapter = chainAdapters.get(currency, network);
+    if (!adapter.validateAddress(address)) {
+      throw new Error(`Invalid ${adapter.currency} address for the ${adapter.network} network`);
+    }
+    const normalized = adapter.normalizeAddress(address);
+
+    const existing = (await query(
+      `SELECT * FROM withdrawal_addresses WHERE user_id = $1 AND currency = $2 AND network = $3 AND status != 'removed'`,
+      [userId, adapter.currency, adapter.network]
+    )).rows.find(row => adapter.addressKey(row.address) === adapter.addressKey(normalized));
+    if (existing && existing.status !== 'pending') {
+      throw new Error('This address is already in your address book');
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    const codeHash = this.hashCode(code);
+
+    const result = existing
+      ? await query(
+        `UPDATE withdrawal_addresses
+         SET code_hash = $1, code_expires_at = NOW() + ($2 || ' minutes')::interval, confirm_attempts = 0,
+             label = COALESCE($3, label), updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [codeHash, String(this.codeExpiryMinutes), label, existing.id]
+      )
+      : await query(
+        `INSERT INTO withdrawal_addresses (user_id, currency, network, address, label, status, code_hash, code_expires_at)
+         VALUES ($1, $2, $3, $4, $5, 'pending', $6, NOW() + ($7 || ' minutes')::interval)
+         RETURNING *`,
+        [userId, adapter.currency, adapter.network, normalized, label, codeHash, String(this.codeExpiryMinutes)]
+      );
+    const entry = result.rows[0];
+
+    await this.recordChange(user, 'added', {
+      id: entry.id,
+      currency: entry.currency,
+      network: entry.network,
+      address: entry.address,
+      label: entry.label
+    }, req, code);
+
+    console.log(`📒 Withdrawal address added for user ${userId}: ${entry.currency} (${entry.network}) ${entry.address}`);
+    return this.publicEntry(entry);
+  }
+
+  /**
+   * Confirm a pending address with the emailed code and a TOTP code; starts the cooling-off period
+   */
+  async confirmAddress(userId, addressId, { emailCode, totpCode }, req = null) {
+    const user = await this.getUser(userId);
+
+    const entry = await transaction(async (client) => {
+      const locked = await client.query(
+        `SELECT * FROM withdrawal_addresses WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+        [addressId, userId]
+      );
+      const row = locked.rows[0];
+      if (!row || row.status !== 'pending') {
+        throw new Error('Pending withdrawal address not found');
+      }
+      if (!row.code_expires_at || new Date(row.code_expires_at) < new Date()) {
+        throw new Error('Confirmation code has expired; add the address again for a new code');
+      }
+      if (row.confirm_attempts >= this.maxConfirmAttempts) {
+        throw new Error('Too many attempts; add the address again for a new code');
+      }
+
+      const emailValid = emailCode && this.hashCode(String(emailCode).trim()) === row.code_hash;
+      const totpValid = totpCode && user.totp_secret && totpService.verifyToken(user.totp_secret, String(totpCode).trim());
+      if (!emailValid || !totpValid) {
+        await client.query(
+          `UPDATE withdrawal_addresses SET confirm_attempts = confirm_attempts + 1 WHERE id = $1`,
+          [addressId]
+        );
+        return null;
+      }
+
+      const updated = await client.query(
+        `UPDATE withdrawal_addresses
+         SET status = 'confirmed', confirmed_at = NOW(), activates_at = NOW() + ($1 || ' hours')::interval,
+             code_hash = NULL, code_expires_at = NULL, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [String(this.coolingOffHours), addressId]
+      );
+      return updated.rows[0];
+    });
+
+    if (!entry) {
+      throw new Error('Invalid email or authenticator code');
+    }
+
+    await this.recordChange(user, 'confirmed', {
+      id: entry.id,
+      currency: entry.currency,
+      network: entry.network,
+      address: entry.address,
+      label: entry.label,
+      activatesAt: entry.activates_at
+    }, req);
+
+    return this.publicEntry(entry);
+  }
+
+  /**
+   * Remove an address from the book
+   */
+  async removeAddress(userId, addressId, req = null) {
+    const user = await this.getUser(userId);
+    const result = await query(
+      `UPDATE withdrawal_addresses SET status = 'removed', removed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status != 'removed'
+       RETURNING *`,
+      [addressId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Withdrawal address not found');
+    }
+    const entry = result.rows[0];
+
+    await this.recordChange(user, 'removed', {
+      id: entry.id,
+      currency: entry.currency,
+      network: entry.network,
+      address: entry.address,
+      label: entry.label
+    }, req);
+
+    return this.publicEntry(entry);
+  }
+
+  /**
+   * Turn whitelist-only mode on or off; turning it off needs a TOTP code
+   */
+  async setWhitelistOnly(userId, enabled, { totpCode } = {}, req = null) {
+    const user = await this.getUser(userId);
+    if (Boolean(user.withdrawal_whitelist_only) === Boolean(enabled)) {
+      return { whitelistOnly: Boolean(enabled) };
+    }
+
+    if (!enabled) {
+      if (!user.two_factor_enabled || !user.totp_secret) {
+        throw new Error('Two-factor authentication is required to change this setting');
+      }
+      if (!totpCode || !totpService.verifyToken(user.totp_secret, String(totpCode).trim())) {
+        throw new Error('Invalid authenticator code');
+      }
+    }
+
+    await query(
+      `UPDATE users SET withdrawal_whitelist_only = $1 WHERE id = $2`,
+      [Boolean(enabled), userId]
+    );
+
+    await this.recordChange(user, enabled ? 'whitelist_enabled' : 'whitelist_disabled', {
+      previous: Boolean(user.withdrawal_whitelist_only),
+      whitelistOnly: Boolean(enabled)
+    }, req);
+
+    return { whitelistOnly: Boolean(enabled) };
+  }
+
+  async isWhitelistOnly(userId) {
+    const result = await query(`SELECT withdrawal_whitelist_only FROM users WHERE id = $1`, [userId]);
+    return Boolean(result.rows[0]?.withdrawal_whitelist_only);
+  }
+
+  /**
+   * Throw if the user's whitelist-only mode forbids withdrawing to this address
+   */
+  async assertWithdrawalAllowed(userId, currency, network, destinationAddress) {
+    if (!await this.isWhitelistOnly(userId)) {
+      return;
+    }
+
+    const adapter = chainAdapters.get(currency, network);
+    const result = await query(
+      `SELECT address, status, activates_at FROM withdrawal_addresses
+       WHERE user_id = $1 AND currency = $2 AND network = $3 AND status = 'confirmed'`,
+      [userId, adapter.currency, adapter.network]
+    );
+    const entry = result.rows.find(row => adapter.addressKey(row.address) === adapter.addressKey(destinationAddress));
+
+    if (!entry) {
+      throw new Error('Withdrawals are limited to confirmed addresses in your address book');
+    }
+    if (new Date(entry.activates_at) > new Date()) {
+      throw new Error(`This address can be used for withdrawals from ${new Date(entry.activates_at).toISOString()}`);
+    }
+  }
+
+  publicEntry(row) {
+    return {
+      id: row.id,
+      currency: row.currency,
+      network: row.network,
+      address: row.address,
+      label: row.label,
+      status: row.status,
+      confirmedAt: row.confirmed_at,
+      activatesAt: row.activates_at,
+      usable: row.status === 'confirmed' && !!row.activates_at && new Date(row.activates_at) <= new Date(),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new WithdrawalAddressService();
@@ -0,0 +1,285 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const cryptoPriceService = require('./cryptoPriceService');
+const notificationService = require('./notificationService');
+
+const SETTING_KEY = 'withdrawal_approval_policy';
+
+// Where each kind of withdrawal lives, who asked for it, where it goes and the status
+// it waits for approvals in (user withdrawals follow withdrawalPipelineService)
+const TARGETS = {
+  withdrawal_request: { table: 'withdrawal_requests', requesterColumn: 'user_id', addressColumn: 'destination_address', awaitingStatus: 'held' },
+  pool_transfer: { table: 'pool_transfers', requesterColumn: 'requested_by', addressColumn: 'to_address', awaitingStatus: 'pending' },
+  // Cold-to-hot top-ups (treasuryService) always need at least two admins, whatever their value
+  treasury_top_up: { table: 'treasury_top_ups', requesterColumn: 'requested_by', addressColumn: 'to_address', awaitingStatus: 'pending', minApprovals: parseInt(process.env.TREASURY_TOP_UP_MIN_APPROVALS || '2', 10) }
+};
+
+const DEFAULT_POLICY = {
+  tiers: [
+    { minUsd: 0, approvals: 1 },
+    { minUsd: 10000, approvals: 2 }
+  ]
+};
+
+/**
+ * Maker-checker approvals for withdrawals
+ *
+ * How many admins must approve a withdrawal, by its USD value, is set in the
+ * `withdrawal_approval_policy` platform setting, e.g.
+ *
+ *   { "tiers": [{ "minUsd": 0, "approvals": 1 }, { "minUsd": 10000, "approvals": 2 }] }
+ *
+ * Each approval is recorded on the withdrawal (`approvals`), and the requirement is
+ * fixed at the first approval (`required_approvals`, `amount_usd`). Whoever requested
+ * a withdrawal can never approve it. poolWalletService.sendFromPool refuses to
+ * broadcast a withdrawal until it has the approvals it needs.
+ */
+class WithdrawalApprovalService {
+  constructor() {
+    this.settingKey = SETTING_KEY;
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  target(referenceType) {
+    const target = TARGETS[referenceType];
+    if (!target) {
+      throw new Error(`Unknown withdrawal type: ${referenceType}`);
+    }
+    return target;
+  }
+
+  /**
+   * Check and normalise a policy; throws with a message fit for the admin
+   */
+  validatePolicy(policy) {
+    if (typeof policy === 'string') {
+      try {
+        policy = JSON.parse(policy);
+      } catch (error) {
+        throw new Error('Withdrawal approval policy must be valid JSON');
+      }
+    }
+    if (!policy || typeof policy !== 'object' || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+      throw new Error('Withdrawal approval policy needs a non-empty "tiers" array');
+    }
+
+    const tiers = policy.tiers.map((tier) => {
+      const minUsd = parseFloat(tier?.minUsd ?? 0);
+      const approvals = parseInt(tier?.approvals, 10);
+      if (!Number.isFinite(minUsd) || minUsd < 0) {
+        throw new Error('minUsd must be zero or more');
+      }
+      if (!Number.isInteger(approvals) || approvals < 1) {
+        throw new Error('approvals must be a whole number of at least 1');
+      }
+      return { minUsd, approvals };
+    }).sort((a, b) => a.minUsd - b.minUsd);
+
+    return { tiers };
+  }
+
+  /**
+   * Current policy (cached briefly; an unreadable setting means the built-in default)
+   */
+  async getPolicy() {
+    if (this.cachedPolicy && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedPolicy;
+    }
+
+    let policy = DEFAULT_POLICY;
+    try {
+      const result = await query(
+        'SELECT setting_value FROM platform_settings WHERE setting_key = $1',
+        [this.settingKey]
+      );
+      if (result.rows.length > 0 && result.rows[0].setting_value) {
+        policy = this.validatePolicy(result.rows[0].setting_value);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load withdrawal approval policy, using the default:', error.message);
+    }
+
+    this.cachedPolicy = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  clearCache() {
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * USD value of an amount (null if no price is available)
+   */
+  async getUsdValue(currency, amount) {
+    try {
+      const prices = await cryptoPriceService.getCurrentPrices();
+      const price = parseFloat(prices?.[currency.toUpperCase()]);
+      return Number.isFinite(price) && price > 0 ? amount * price : null;
+    } catch (error) {
+      console.error(`⚠️ No ${currency} price for withdrawal approval policy:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Approvals a withdrawal of `amountUsd` needs (the strictest tier when the value is unknown)
+   */
+  async getRequiredApprovals(amountUsd) {
+    const { tiers } = await this.getPolicy();
+    if (amountUsd === null) {
+      return Math.max(...tiers.map(tier => tier.approvals));
+    }
+
+    let required = tiers[0].approvals;
+    for (const tier of tiers) {
+      if (amountUsd >= tier.minUsd) {
+        required = tier.approvals;
+      }
+    }
+    return required;
+  }
+
+  /**
+   * Approvals that count: one per admin, never the requester's
+   */
+  countApprovals(withdrawal, requesterColumn) {
+    const approvers = new Set(
+      (withdrawal.approvals || [])
+        .map(approval => String(approval.adminId))
+        .filter(adminId => adminId !== String(withdrawal[requesterColumn]))
+    );
+    return approvers.size;
+  }
+
+  /**
+   * Record an admin's approval of a withdrawal awaiting approval.
+   * Returns the approvals so far and whether the policy is now met.
+   */
+  async recordApproval(referenceType, withdrawalId, adminId, { notes = null } = {}) {
+    const { table, requesterColumn, awaitingStatus, minApprovals = 1 } = this.target(referenceType);
+
+    const result = await transaction(async (client) => {
+      const locked = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [withdrawalId]);
+      const withdrawal = locked.rows[0];
+      if (!withdrawal) {
+        throw new Error('Withdrawal request not found');
+      }
+      if (withdrawal.status !== awaitingStatus) {
+        throw new Error('Withdrawal request is not awaiting approval');
+      }
+      if (String(withdrawal[requesterColumn]) === String(adminId)) {
+        throw new Error('The requester of a withdrawal cannot approve it');
+      }
+
+      const approvals = withdrawal.approvals || [];
+      if (approvals.some(approval => String(approval.adminId) === String(adminId))) {
+        throw new Error('You have already approved this withdrawal');
+      }
+      // Only the approval that completes the policy releases the withdrawal
+      if (withdrawal.required_approvals && this.countApprovals(withdrawal, requesterColumn) >= withdrawal.required_approvals) {
+        throw new Error('Withdrawal already has the approvals it needs');
+      }
+
+      // The requirement is fixed when the first approval comes in, so price moves don't change it midway
+      let requiredApprovals = withdrawal.required_approvals;
+      let amountUsd = withdrawal.amount_usd !== null && withdrawal.amount_usd !== undefined
+        ? parseFloat(withdrawal.amount_usd)
+        : null;
+      if (!requiredApprovals) {
+        amountUsd = await this.getUsdValue(withdrawal.currency, parseFloat(withdrawal.amount));
+        requiredApprovals = Math.max(await this.getRequiredApprovals(amountUsd), minApprovals);
+      }
+
+      approvals.push({ adminId, approvedAt: new Date().toISOString(), notes });
+
+      const updated = await client.query(
+        `UPDATE ${table} SET approvals = $1, required_approvals = $2, amount_usd = $3 WHERE id = $4 RETURNING *`,
+        [JSON.stringify(approvals), requiredApprovals, amountUsd, withdrawalId]
+      );
+      return updated.rows[0];
+    });
+
+    const approvalCount = this.countApprovals(result, requesterColumn);
+    const policyMet = approvalCount >= result.required_approvals;
+
+    console.log(`🖊️ ${referenceType} ${withdrawalId} approved by ${adminId} (${approvalCount}/${result.required_approvals})`);
+
+    if (!policyMet) {
+      notificationService.notifyAdmins({
+        type: 'info',
+        title: 'Withdrawal Awaiting Approval',
+        message: `${result.amount} ${result.currency} withdrawal has ${approvalCount} of ${result.required_approvals} approvals`,
+        data: { referenceType, withdrawalId, approvals: approvalCount, requiredApprovals: result.required_approvals }
+      });
+    }
+
+    return {
+      withdrawal: result,
+      approvals: result.approvals,
+      approvalCount,
+      requiredApprovals: result.required_approvals,
+      amountUsd: result.amount_usd !== null ? parseFloat(result.amount_usd) : null,
+      policyMet
+    };
+  }
+
+  /**
+   * Throw unless the withdrawal has the approvals it needs and matches what is about to be sent
+   */
+  async assertApproved(referenceType, withdrawalId, { currency, network = null, toAddress, amount } = {}) {
+    const { table, requesterColumn, addressColumn, awaitingStatus } = this.target(referenceType);
+
+    const result = await query(`SELECT * FROM ${table} WHERE id = $1`, [withdrawalId]);
+    const withdrawal = result.rows[0];
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found');
+    }
+    // `broadcasting`: claimed by the send that is checking it (withdrawalPipelineService.send)
+    if (![awaitingStatus, 'approved', 'broadcasting'].includes(withdrawal.status)) {
+      throw new Error(`Withdrawal request is ${withdrawal.status}`);
+    }
+
+    const approvalCount = this.countApprovals(withdrawal, requesterColumn);
+    if (!withdrawal.required_approvals || approvalCount < withdrawal.required_approvals) {
+      throw new Error(`Withdrawal needs ${withdrawal.required_approvals || 'more'} approvals; it has ${approvalCount}`);
+    }
+
+    if (currency && currency.toUpperCase() !== withdrawal.currency.toUpperCase()) {
+      throw new Error('Send currency does not match the approved withdrawal');
+    }
+    if (toAddress) {
+      const adapter = chainAdapters.get(withdrawal.currency, network || withdrawal.network || null);
+      if (adapter.addressKey(toAddress) !== adapter.addressKey(withdrawal[addressColumn])) {
+        throw new Error('Send destination does not match the approved withdrawal');
+      }
+    }
+    if (amount !== undefined && amount > parseFloat(withdrawal.amount) + 1e-8) {
+      throw new Error('Send amount exceeds the approved withdrawal');
+    }
+
+    return withdrawal;
+  }
+
+  /**
+   * Pool sends without a withdrawal are only allowed to addresses the platform holds the keys for
+   * (gas top-ups of users' deposit addresses) and to the treasury's cold address
+   */
+  async isInternalAddress(adapter, address) {
+    const treasuryService = require('./treasuryService'); // Required here: it depends on this service
+    if (await treasuryService.isColdAddress(adapter, address)) {
+      return true;
+    }
+
+    const result = await query(
+      `SELECT address FROM user_deposit_addresses WHERE network = $1 AND LOWER(address) = LOWER($2)`,
+      [adapter.network, address]
+    );
+    return result.rows.some(row => adapter.addressKey(row.address) === adapter.addressKey(address));
+  }
+}
+
+module.exports = new WithdrawalApprovalService();
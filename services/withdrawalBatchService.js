@@ -0,0 +1,335 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const poolWalletService = require('./poolWalletService');
+const balanceHoldService = require('./balanceHoldService');
+const withdrawalApprovalService = require('./withdrawalApprovalService');
+
+/**
+ * Withdrawal batching
+ *
+ * With WITHDRAWAL_BATCH_WINDOW_MINUTES set, a withdrawal request that has all its
+ * approvals stays 'approved' with batch_queued_at set (see withdrawalPipelineService)
+ * instead of being sent at once. Every window
+ * the queue is paid per chain in one go: one multi-output transaction on Bitcoin, one
+ * multisend contract call on EVM chains that have one configured, and back-to-back
+ * transfers with consecutive nonces elsewhere. Each request records its batch and
+ * transaction hash; each batch records the network fee it paid and what sending its
+ * withdrawals one by one would have cost, for the fee savings report.
+ *
+ * A batch only takes as much of the queue (oldest first) as the hot wallet covers; the
+ * rest stays queued and waits for liquidity (see withdrawalPipelineService).
+ */
+class WithdrawalBatchService {
+  constructor() {
+    this.windowMinutes = parseFloat(process.env.WITHDRAWAL_BATCH_WINDOW_MINUTES || '0');
+    this.maxBatchSize = parseInt(process.env.WITHDRAWAL_BATCH_MAX_SIZE || '50', 10);
+    this.interval = null;
+    this.running = false;
+  }
+
+  /**
+   * Whether approved withdrawals wait for the next batch instead of being sent immediately
+   * (never with a watch-only pool, where each withdrawal is signed offline on its own)
+   */
+  isEnabled() {
+    return this.windowMinutes > 0 && !poolWalletService.isWatchOnly();
+  }
+
+  /**
+   * Pay every chain's queue once; returns the batches sent
+   */
+  async runBatches() {
+    if (poolWalletService.isWatchOnly()) {
+      console.log('⏭️ Withdrawal batches are off for a watch-only pool; send queued withdrawals one by one');
+      return [];
+    }
+    if (this.running) {
+      console.log('⏭️ Withdrawal batch run already in progress');
+      return [];
+    }
+
+    this.running = true;
+    const batches = [];
+    try {
+      for (const adapter of chainAdapters.list()) {
+        try {
+          const batch = await this.runBatch(adapter);
+          if (batch) batches.push(batch);
+        } catch (error) {
+          console.error(`❌ ${adapter.currency} (${adapter.network}) withdrawal batch failed:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    return batches;
+  }
+
+  /**
+   * Claim up to maxBatchSize queued withdrawals on one chain (as many as the hot wallet
+   * covers) and pay them together
+   */
+  async runBatch(adapter) {
+    const isDefaultNetwork = chainAdapters.get(adapter.currency).key === adapter.key;
+    const available = await adapter.getBalance(adapter.poolAddress(poolWalletService.getPoolAddresses()));
+    let short = [];
+
+    const claimed = await transaction(async (client) => {
+      const queued = await client.query(
+        `SELECT * FROM withdrawal_requests
+         WHERE status = 'approved' AND batch_queued_at IS NOT NULL AND batch_id IS NULL
+           AND currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))
+         ORDER BY batch_queued_at
+         LIMIT $4
+         FOR UPDATE SKIP LOCKED`,
+        [adapter.currency, adapter.network, isDefaultNetwork, this.maxBatchSize]
+      );
+      // The oldest withdrawals the hot wallet covers; the first that does not fit and everything after it wait
+      let total = 0;
+      let fits = 0;
+      while (fits < queued.rows.length && total + this.sendAmount(queued.rows[fits]) <= available) {
+        total += this.sendAmount(queued.rows[fits]);
+        fits++;
+      }
+      short = queued.rows.slice(fits).map(row => row.id);
+      if (fits === 0) {
+        return null;
+      }
+
+      const batch = await client.query(
+        `INSERT INTO withdrawal_batches (currency, network, status, withdrawal_count, total_amount)
+         VALUES ($1, $2, 'sending', $3, $4)
+         RETURNING *`,
+        [adapter.currency, adapter.network, fits, total]
+      );
+      await client.query(
+        `UPDATE withdrawal_requests SET batch_id = $1 WHERE id = ANY($2::uuid[])`,
+        [batch.rows[0].id, queued.rows.slice(0, fits).map(row => row.id)]
+      );
+      return { batch: batch.rows[0], withdrawals: queued.rows.slice(0, fits) };
+    });
+
+    if (short.length > 0) {
+      await this.waitForLiquidity(short, `Hot wallet holds ${available} ${adapter.currency} on ${adapter.network}`);
+    }
+    if (!claimed) {
+      return null;
+    }
+
+    const { batch } = claimed;
+    const withdrawals = [];
+    for (const withdrawal of claimed.withdrawals) {
+      // Anything that can no longer be paid drops out here rather than failing the whole batch
+      try {
+        const hold = await balanceHoldService.findHold('withdrawal_request', withdrawal.id);
+        if (hold && hold.status !== 'active') {
+          throw new Error(`Withdrawal hold is ${hold.status}`);
+        }
+        await withdrawalApprovalService.assertApproved('withdrawal_request', withdrawal.id, {
+          currency: adapter.currency,
+          network: adapter.network,
+          toAddress: withdrawal.destination_address,
+          amount: this.sendAmount(withdrawal)
+        });
+        withdrawals.push(withdrawal);
+      } catch (error) {
+        await this.failWithdrawal(withdrawal, error.message);
+      }
+    }
+
+    if (withdrawals.length === 0) {
+      return this.finishBatch(batch.id, { status: 'failed', errorMessage: 'No withdrawal in the batch could be paid' });
+    }
+
+    // What the same withdrawals would have cost sent one by one
+    const estimates = await Promise.all(withdrawals.map(withdrawal =>
+      adapter.estimateFee(this.sendAmount(withdrawal), withdrawal.destination_address).catch(() => null)
+    ));
+    const feeCurrency = estimates.find(Boolean)?.currency || adapter.currency;
+
+    let result;
+    try {
+      result = await poolWalletService.sendBatchFromPool(
+        adapter.currency,
+        adapter.network,
+        withdrawals.map(withdrawal => ({
+          toAddress: withdrawal.destination_address,
+          amount: this.sendAmount(withdrawal),
+          referenceType: 'withdrawal_request',
+          referenceId: withdrawal.id
+        })),
+        { batchId: batch.id }
+      );
+    } catch (error) {
+      if (error.message.startsWith('Insufficient pool balance')) {
+        // Nothing was sent: the withdrawals go back to the queue and wait for liquidity
+        await query('UPDATE withdrawal_requests SET batch_id = NULL WHERE batch_id = $1', [batch.id]);
+        await this.waitForLiquidity(withdrawals.map(withdrawal => withdrawal.id), error.message);
+        return this.finishBatch(batch.id, { status: 'failed', errorMessage: error.message });
+      }
+      for (const withdrawal of withdrawals) {
+        await this.failWithdrawal(withdrawal, `Batch send failed: ${error.message}`);
+      }
+      return this.finishBatch(batch.id, { status: 'failed', errorMessage: error.message });
+    }
+
+    const sentIndexes = [];
+    for (const tx of result.transactions) {
+      for (const index of tx.outputs) {
+        await this.settleWithdrawal(withdrawals[index], tx.txHash, batch.id);
+        sentIndexes.push(index);
+      }
+    }
+    for (const failure of result.failures) {
+      for (const index of failure.outputs) {
+        await this.failWithdrawal(withdrawals[index], `Batch send failed: ${failure.error}`);
+      }
+    }
+
+    const fees = result.transactions.map(tx => tx.fee);
+    const individualEstimates = sentIndexes.map(index => estimates[index]);
+    const sentCount = sentIndexes.length;
+
+    const finished = await this.finishBatch(batch.id, {
+      status: sentCount === 0 ? 'failed' : result.failures.length > 0 ? 'partial' : 'completed',
+      method: result.method,
+      fee: fees.length > 0 && fees.every(fee => fee !== null) ? fees.reduce((sum, fee) => sum + fee, 0) : null,
+      feeCurrency,
+      individualFeeEstimate: individualEstimates.length > 0 && individualEstimates.every(Boolean)
+        ? individualEstimates.reduce((sum, estimate) => sum + estimate.amount, 0)
+        : null,
+      transactionHashes: result.transactions.map(tx => tx.txHash),
+      errorMessage: result.failures.length > 0 ? result.failures.map(failure => failure.error).join('; ') : null
+    });
+
+    console.log(`📦 ${adapter.currency} (${adapter.network}) batch ${batch.id}: ${sentCount}/${withdrawals.length} withdrawal(s) in ${result.transactions.length} transaction(s) via ${result.method}`);
+    return finished;
+  }
+
+  /**
+   * Amount that leaves the pool (the platform fee stays behind)
+   */
+  sendAmount(withdrawal) {
+    return parseFloat(withdrawal.net_amount ?? withdrawal.amount);
+  }
+
+  async finishBatch(batchId, { status, method = null, fee = null, feeCurrency = null, individualFeeEstimate = null, transactionHashes = [], errorMessage = null }) {
+    const result = await query(
+      `UPDATE withdrawal_batches
+       SET status = $1, method = $2, fee = $3, fee_currency = $4, individual_fee_estimate = $5,
+           transaction_hashes = $6, error_message = $7, broadcast_at = CASE WHEN $1 = 'failed' THEN NULL ELSE NOW() END
+       WHERE id = $8
+       RETURNING *`,
+      [status, method, fee, feeCurrency, individualFeeEstimate, JSON.stringify(transactionHashes), errorMessage, batchId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a withdrawal broadcast and settle its held funds (see withdrawalPipelineService)
+   */
+  async settleWithdrawal(withdrawal, transactionHash, batchId) {
+    const withdrawalPipelineService = require('./withdrawalPipelineService');
+    await withdrawalPipelineService.markBroadcast(withdrawal, transactionHash, { batchId });
+  }
+
+  /**
+   * Leave queued withdrawals the hot wallet cannot cover for a later batch (see withdrawalPipelineService)
+   */
+  async waitForLiquidity(withdrawalIds, reason) {
+    const withdrawalPipelineService = require('./withdrawalPipelineService');
+    try {
+      await withdrawalPipelineService.waitForLiquidity(withdrawalIds, reason);
+    } catch (error) {
+      console.error('❌ Could not mark batched withdrawals as waiting for liquidity:', error.message);
+    }
+  }
+
+  /**
+   * Mark a withdrawal failed and give the held funds back
+   */
+  async failWithdrawal(withdrawal, reason) {
+    const withdrawalPipelineService = require('./withdrawalPipelineService');
+    try {
+      await withdrawalPipelineService.fail(withdrawal.id, reason);
+    } catch (error) {
+      console.error(`❌ Could not fail batched withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Recent batches with the withdrawals each transaction paid (admin view)
+   */
+  async listBatches({ limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT b.*,
+              COALESCE(json_agg(json_build_object(
+                'id', wr.id,
+                'userId', wr.user_id,
+                'amount', wr.net_amount,
+                'destinationAddress', wr.destination_address,
+                'status', wr.status,
+                'transactionHash', wr.transaction_hash
+              ) ORDER BY wr.batch_queued_at) FILTER (WHERE wr.id IS NOT NULL), '[]') AS withdrawals
+       FROM withdrawal_batches b
+       LEFT JOIN withdrawal_requests wr ON wr.batch_id = b.id
+       GROUP BY b.id
+       ORDER BY b.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Queue size and fees saved by batching, per chain
+   */
+  async getStats() {
+    const queued = await query(
+      `SELECT currency, network, COUNT(*) AS count, SUM(COALESCE(net_amount, amount)) AS total_amount
+       FROM withdrawal_requests
+       WHERE status = 'approved' AND batch_queued_at IS NOT NULL AND batch_id IS NULL
+       GROUP BY currency, network`
+    );
+
+    const savings = await query(
+      `SELECT currency, network, fee_currency,
+              COUNT(*) AS batches,
+              SUM(withdrawal_count) AS withdrawals,
+              SUM(fee) AS fees_paid,
+              SUM(individual_fee_estimate) AS individual_fee_estimate,
+              SUM(individual_fee_estimate - fee) AS fee_savings
+       FROM withdrawal_batches
+       WHERE status IN ('completed', 'partial') AND fee IS NOT NULL AND individual_fee_estimate IS NOT NULL
+       GROUP BY currency, network, fee_currency`
+    );
+
+    return {
+      enabled: this.isEnabled(),
+      windowMinutes: this.windowMinutes,
+      queued: queued.rows,
+      savings: savings.rows
+    };
+  }
+
+  startScheduledBatches() {
+    if (this.interval || !this.isEnabled()) return;
+
+    this.interval = setInterval(() => {
+      this.runBatches().catch(error => {
+        console.error('❌ Scheduled withdrawal batch run failed:', error.message);
+      });
+    }, this.windowMinutes * 60 * 1000);
+
+    console.log('✅ Withdrawal batches scheduled (every', this.windowMinutes, 'minutes)');
+  }
+
+  stopScheduledBatches() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = new WithdrawalBatchService();
@@ -0,0 +1,288 @@
+const { pool, query } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const withdrawalApprovalService = require('./withdrawalApprovalService');
+const auditLogService = require('./auditLogService');
+
+const SETTING_KEY = 'withdrawal_limit_policy';
+
+// Rolling windows the limits apply to
+const PERIODS = [
+  { period: 'daily', interval: '1 day' },
+  { period: 'weekly', interval: '7 days' },
+  { period: 'monthly', interval: '30 days' }
+];
+
+const DEFAULT_POLICY = {
+  levels: [
+    { level: 0, daily: 1000, weekly: 5000, monthly: 10000 },
+    { level: 1, daily: 10000, weekly: 50000, monthly: 100000 },
+    { level: 2, daily: 100000, weekly: 500000, monthly: 1000000 }
+  ]
+};
+
+// Withdrawals that no longer count against the limits
+const RELEASED_STATUSES = ['rejected', 'failed'];
+
+/**
+ * Per-user withdrawal limits in USD
+ *
+ * Each user may withdraw up to a daily, weekly and monthly USD amount per currency
+ * (rolling 24 hours, 7 days and 30 days). The amounts depend on the user's verification
+ * level (`users.kyc_level`) and are set in the `withdrawal_limit_policy` platform setting:
+ *
+ *   { "levels": [{ "level": 0, "daily": 1000, "weekly": 5000, "monthly": 10000 }, ...] }
+ *
+ * A user gets the highest level at or below their own; a null amount means no limit.
+ * Admins can override any of the amounts for one user (`users.withdrawal_limit_override`).
+ * Every withdrawal in withdrawal_requests that was not rejected or failed counts, valued
+ * at the price when it was requested (`requested_amount_usd`).
+ */
+class WithdrawalLimitService {
+  constructor() {
+    this.settingKey = SETTING_KEY;
+    this.periods = PERIODS.map(({ period }) => period);
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Check one set of period amounts; missing periods are left out, null means no limit
+   */
+  validateLimits(limits, label) {
+    const validated = {};
+    for (const period of this.periods) {
+      if (limits?.[period] === undefined) continue;
+      if (limits[period] === null) {
+        validated[period] = null;
+        continue;
+      }
+      const amount = parseFloat(limits[period]);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(`${label} ${period} limit must be zero or more (or null for no limit)`);
+      }
+      validated[period] = amount;
+    }
+    return validated;
+  }
+
+  /**
+   * Check and normalise a policy; throws with a message fit for the admin
+   */
+  validatePolicy(policy) {
+    if (typeof policy === 'string') {
+      try {
+        policy = JSON.parse(policy);
+      } catch (error) {
+        throw new Error('Withdrawal limit policy must be valid JSON');
+      }
+    }
+    if (!policy || typeof policy !== 'object' || !Array.isArray(policy.levels) || policy.levels.length === 0) {
+      throw new Error('Withdrawal limit policy needs a non-empty "levels" array');
+    }
+
+    const levels = policy.levels.map((entry) => {
+      const level = parseInt(entry?.level, 10);
+      if (!Number.isInteger(level) || level < 0) {
+        throw new Error('level must be a whole number of at least 0');
+      }
+      return { daily: null, weekly: null, monthly: null, ...this.validateLimits(entry, `Level ${level}`), level };
+    }).sort((a, b) => a.level - b.level);
+
+    if (new Set(levels.map(entry => entry.level)).size !== levels.length) {
+      throw new Error('Each level may only appear once');
+    }
+
+    return { levels };
+  }
+
+  /**
+   * Current policy (cached briefly; an unreadable setting means the built-in default)
+   */
+  async getPolicy() {
+    if (this.cachedPolicy && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedPolicy;
+    }
+
+    let policy = DEFAULT_POLICY;
+    try {
+      const result = await query(
+        'SELECT setting_value FROM platform_settings WHERE setting_key = $1',
+        [this.settingKey]
+      );
+      if (result.rows.length > 0 && result.rows[0].setting_value) {
+        policy = this.validatePolicy(result.rows[0].setting_value);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load withdrawal limit policy, using the default:', error.message);
+    }
+
+    this.cachedPolicy = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  clearCache() {
+    this.cachedPolicy = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * The limits that apply to a user: their level's amounts with any admin override on top
+   */
+  async getUserLimits(userId, client = null) {
+    const result = await (client || pool).query(
+      'SELECT kyc_level, withdrawal_limit_override FROM users WHERE id = $1',
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const kycLevel = result.rows[0].kyc_level || 0;
+    const override = result.rows[0].withdrawal_limit_override || null;
+    const { levels } = await this.getPolicy();
+    const tier = levels.filter(entry => entry.level <= kycLevel).pop() || levels[0];
+
+    const limits = {};
+    for (const period of this.periods) {
+      limits[period] = override && override[period] !== undefined ? override[period] : tier[period];
+    }
+
+    return { kycLevel, level: tier.level, limits, override };
+  }
+
+  /**
+   * USD a user has withdrawn in a currency over each period. Requests from before
+   * limits existed have no recorded value and are priced at `price` (the current price).
+   */
+  async getUsage(userId, currency, price, client = null) {
+    const columns = PERIODS.map(({ period, interval }) =>
+      `COALESCE(SUM(usd) FILTER (WHERE created_at > NOW() - INTERVAL '${interval}'), 0) AS ${period}`
+    ).join(', ');
+
+    const result = await (client || pool).query(
+      `SELECT ${columns}
+       FROM (
+         SELECT COALESCE(requested_amount_usd, amount * $3) AS usd, created_at
+         FROM withdrawal_requests
+         WHERE user_id = $1 AND UPPER(currency) = $2 AND status <> ALL($4::text[])
+           AND created_at > NOW() - INTERVAL '30 days'
+       ) recent`,
+      [userId, currency.toUpperCase(), price || 0, RELEASED_STATUSES]
+    );
+
+    const usage = {};
+    for (const period of this.periods) {
+      usage[period] = parseFloat(result.rows[0]?.[period] || 0);
+    }
+    return usage;
+  }
+
+  /**
+   * Limits, usage and what is left for each period of one currency
+   */
+  async getAllowance(userId, currency) {
+    const upperCurrency = currency.toUpperCase();
+    const { kycLevel, level, limits, override } = await this.getUserLimits(userId);
+    const price = await withdrawalApprovalService.getUsdValue(upperCurrency, 1);
+    const usage = await this.getUsage(userId, upperCurrency, price);
+
+    return {
+      currency: upperCurrency,
+      kycLevel,
+      level,
+      overridden: !!override,
+      periods: this.periods.map((period) => {
+        const limitUsd = limits[period];
+        return {
+          period,
+          limitUsd,
+          usedUsd: parseFloat(usage[period].toFixed(2)),
+          remainingUsd: limitUsd === null ? null : parseFloat(Math.max(limitUsd - usage[period], 0).toFixed(2)),
+          // What is left in the currency itself at the current price
+          remaining: limitUsd === null || !price ? null : parseFloat((Math.max(limitUsd - usage[period], 0) / price).toFixed(8))
+        };
+      })
+    };
+  }
+
+  /**
+   * Allowances for every currency the platform can send
+   */
+  async getAllowances(userId) {
+    const currencies = [...new Set(chainAdapters.list().map(adapter => adapter.currency))];
+    const allowances = [];
+    for (const currency of currencies) {
+      allowances.push(await this.getAllowance(userId, currency));
+    }
+    return allowances;
+  }
+
+  /**
+   * Throw unless a new withdrawal fits within all of the user's limits; resolves with its USD value.
+   * Run it inside the transaction that creates the withdrawal: the user row is locked so
+   * concurrent requests are counted one after the other. `price` (USD per unit) is looked up
+   * by the caller before the transaction, so the lock is not held across a price request.
+   */
+  async assertWithinLimits(userId, currency, amount, price, client) {
+    const upperCurrency = currency.toUpperCase();
+    if (!price) {
+      throw new Error(`Withdrawal limits cannot be checked without a ${upperCurrency} price. Please try again shortly.`);
+    }
+
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const { limits } = await this.getUserLimits(userId, client);
+
+    const amountUsd = amount * price;
+    const usage = await this.getUsage(userId, upperCurrency, price, client);
+    for (const period of this.periods) {
+      const limitUsd = limits[period];
+      if (limitUsd === null) continue;
+      if (usage[period] + amountUsd > limitUsd + 0.005) {
+        const remaining = Math.max(limitUsd - usage[period], 0);
+        throw new Error(
+          `Withdrawal limit exceeded: your ${period} ${upperCurrency} limit is $${limitUsd.toFixed(2)} ` +
+          `and $${remaining.toFixed(2)} remains (this withdrawal is $${amountUsd.toFixed(2)})`
+        );
+      }
+    }
+
+    return parseFloat(amountUsd.toFixed(2));
+  }
+
+  /**
+   * Set (or with null, remove) a user's override; amounts left out keep their level's value
+   */
+  async setOverride(userId, override, adminId, { reason = null, req = null } = {}) {
+    let stored = null;
+    if (override !== null) {
+      stored = this.validateLimits(override, 'Override');
+      if (Object.keys(stored).length === 0) {
+        throw new Error('Override needs at least one of daily, weekly or monthly');
+      }
+      stored = { ...stored, reason, setBy: adminId, setAt: new Date().toISOString() };
+    }
+
+    const { override: previous } = await this.getUserLimits(userId);
+    await query(
+      `UPDATE users SET withdrawal_limit_override = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [stored ? JSON.stringify(stored) : null, userId]
+    );
+
+    await auditLogService.log({
+      actorUserId: adminId,
+      action: stored ? 'withdrawal_limits.override_set' : 'withdrawal_limits.override_removed',
+      targetTable: 'users',
+      targetId: userId,
+      diff: { before: previous, after: stored },
+      req
+    });
+
+    console.log(`🎚️ Withdrawal limit override for user ${userId} ${stored ? 'set' : 'removed'} by ${adminId}`);
+    return this.getUserLimits(userId);
+  }
+}
+
+module.exports = new WithdrawalLimitService();
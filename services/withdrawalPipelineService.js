@@ -0,0 +1,751 @@
+const { query, transaction } = require('../config/database');
+const chainAdapters = require('./chainAdapters');
+const poolWalletService = require('./poolWalletService');
+const balanceHoldService = require('./balanceHoldService');
+const ledgerService = require('./ledgerService');
+const withdrawalApprovalService = require('./withdrawalApprovalService');
+const withdrawalAddressService = require('./withdrawalAddressService');
+const withdrawalLimitService = require('./withdrawalLimitService');
+const sanctionsScreeningService = require('./sanctionsScreeningService');
+const amlService = require('./amlService');
+const amlCaseService = require('./amlCaseService');
+const complianceCaseService = require('./complianceCaseService');
+const withdrawalBatchService = require('./withdrawalBatchService');
+const treasuryService = require('./treasuryService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+
+// Legal moves between withdrawal states (mirrored by the withdrawal_requests trigger)
+const TRANSITIONS = {
+  requested: ['held', 'rejected', 'failed'],
+  held: ['approved', 'rejected', 'failed'],
+  approved: ['broadcasting', 'broadcast', 'failed'],
+  broadcasting: ['approved', 'broadcast', 'failed'],
+  broadcast: ['confirmed'],
+  confirmed: [],
+  failed: [],
+  rejected: []
+};
+
+// Columns a transition may set alongside the status
+const TRANSITION_FIELDS = ['admin_id', 'admin_notes', 'rejection_reason', 'transaction_hash', 'batch_queued_at', 'batch_id'];
+
+// Timestamp column stamped when a withdrawal enters a state
+const STATE_TIMESTAMPS = {
+  approved: 'approved_at',
+  broadcast: 'broadcast_at',
+  confirmed: 'confirmed_at'
+};
+
+/**
+ * Withdrawal pipeline
+ *
+ * Every user withdrawal lives in `withdrawal_requests` and moves through one state machine:
+ *
+ *   requested -> held -> approved -> (broadcasting) -> broadcast -> confirmed
+ *        \          \         \
+ *         rejected / failed    failed
+ *
+ * A request is `held` once its amount is reserved on the user's balance, `approved` once
+ * it meets the approval policy (and, with batching on, waits there for its batch),
+ * `broadcast` once it has left the pool wallet and `confirmed` when the broadcast tracker
+ * sees it mined. A withdrawal sent on its own is first claimed (`broadcasting`), so only one
+ * caller can broadcast it; once its transaction exists it never fails and its funds are
+ * never released. Each move is checked against TRANSITIONS, kept in `status_history`, and
+ * enforced again by a database trigger. All withdrawal routes (user and admin) go through
+ * this service.
+ *
+ * An approved withdrawal the hot wallet cannot cover stays approved with
+ * `awaiting_liquidity_since` set, and the treasury is asked to top the wallet up;
+ * treasuryService sends the waiting withdrawals, oldest first, once it can.
+ *
+ * With a watch-only pool (POOL_WALLET_MODE=watch_only) sending an approved withdrawal
+ * prepares an unsigned transaction instead; the withdrawal stays approved until the
+ * offline-signed transaction is uploaded (submitSignedTransaction) and broadcast.
+ *
+ * Rows migrated from pool_withdrawals and the legacy withdrawals table keep their id and
+ * record where they came from in `source`; those created before balance holds settle
+ * their funds the way their original stack did (see settleFunds / releaseFunds).
+ */
+class WithdrawalPipelineService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.states = Object.keys(TRANSITIONS);
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move a withdrawal to another state inside the caller's transaction; `fields` may set
+   * any of TRANSITION_FIELDS. Throws on an illegal move.
+   */
+  async transition(client, withdrawalId, to, { actorId = null, note = null, fields = {} } = {}) {
+    const locked = await client.query('SELECT * FROM withdrawal_requests WHERE id = $1 FOR UPDATE', [withdrawalId]);
+    const withdrawal = locked.rows[0];
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found');
+    }
+    if (!this.canTransition(withdrawal.status, to)) {
+      throw new Error(`Withdrawal request is ${withdrawal.status} and cannot become ${to}`);
+    }
+
+    const entry = { from: withdrawal.status, to, at: new Date().toISOString(), actorId, note };
+    const sets = ['status = $1', 'status_history = COALESCE(status_history, \'[]\'::jsonb) || $2::jsonb', 'updated_at = NOW()'];
+    const values = [to, JSON.stringify([entry])];
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (!TRANSITION_FIELDS.includes(column)) {
+        throw new Error(`Unknown withdrawal field: ${column}`);
+      }
+      values.push(value);
+      sets.push(`${column} = $${values.length}`);
+    }
+    if (STATE_TIMESTAMPS[to]) {
+      sets.push(`${STATE_TIMESTAMPS[to]} = NOW()`);
+    }
+    if (TRANSITIONS[to].length === 0) {
+      sets.push('completed_at = NOW()');
+    }
+
+    values.push(withdrawalId);
+    const updated = await client.query(
+      `UPDATE withdrawal_requests SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    return updated.rows[0];
+  }
+
+  async get(withdrawalId) {
+    const result = await query(
+      `SELECT wr.*, u.full_name, u.email
+       FROM withdrawal_requests wr
+       JOIN users u ON wr.user_id = u.id
+       WHERE wr.id = $1`,
+      [withdrawalId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Withdrawals for the admin views; `status` may list several states ("held,approved")
+   */
+  async list({ status = null, userId = null, limit = 100, offset = 0, oldestFirst = false } = {}) {
+    const statuses = status ? String(status).split(',') : null;
+    const result = await query(
+      `SELECT wr.*, u.full_name, u.email
+       FROM withdrawal_requests wr
+       JOIN users u ON wr.user_id = u.id
+       WHERE ($1::text[] IS NULL OR wr.status = ANY($1))
+         AND ($2::uuid IS NULL OR wr.user_id = $2)
+       ORDER BY wr.created_at ${oldestFirst ? 'ASC' : 'DESC'}
+       LIMIT $3 OFFSET $4`,
+      [statuses, userId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create a withdrawal for a user: validate it, check the address book and limits,
+   * then record it and hold the amount on the user's available balance
+   */
+  async create(userId, { currency, amount, destinationAddress, network = null }) {
+    amount = parseFloat(amount);
+    if (!(amount > 0)) {
+      throw new Error('Withdrawal amount must be positive.');
+    }
+    if (!chainAdapters.has(currency, network)) {
+      throw new Error(network ? `${currency} is not supported on network ${network}` : 'Invalid currency');
+    }
+
+    // Fees are set per currency and network on the chain adapter
+    const adapter = chainAdapters.get(currency, network);
+    if (!adapter.validateAddress(destinationAddress)) {
+      throw new Error(`Invalid ${adapter.currency} address for the ${adapter.network} network`);
+    }
+    await withdrawalAddressService.assertWithdrawalAllowed(userId, adapter.currency, adapter.network, destinationAddress);
+    await complianceCaseService.assertAccountNotFrozen(userId);
+    await sanctionsScreeningService.assertWithdrawalAllowed(userId, destinationAddress);
+
+    const fee = amount * adapter.withdrawalFeeRate;
+    const netAmount = amount - fee;
+    if (netAmount <= 0) {
+      throw new Error('Amount too small after fee. Net amount must be positive.');
+    }
+
+    const price = await withdrawalApprovalService.getUsdValue(adapter.currency, 1);
+    const withdrawal = await transaction(async (client) => {
+      const requestedAmountUsd = await withdrawalLimitService.assertWithinLimits(userId, adapter.currency, amount, price, client);
+
+      const inserted = await client.query(
+        `INSERT INTO withdrawal_requests (user_id, currency, network, amount, destination_address, fee, net_amount, requested_amount_usd, status, status_history)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'requested', $9)
+         RETURNING *`,
+        [
+          userId, adapter.currency, adapter.network, amount, destinationAddress, fee, netAmount, requestedAmountUsd,
+          JSON.stringify([{ from: null, to: 'requested', at: new Date().toISOString(), actorId: userId, note: null }])
+        ]
+      );
+
+      await balanceHoldService.placeHold({
+        userId,
+        currency: adapter.currency,
+        amount,
+        reason: 'withdrawal',
+        referenceType: 'withdrawal_request',
+        referenceId: inserted.rows[0].id,
+        // Kept however long approval, batching or liquidity take; released only when the
+        // withdrawal is rejected or fails
+        expiresInHours: null,
+        createdBy: userId
+      }, client);
+
+      await amlService.recordEvent({
+        userId,
+        eventType: 'withdrawal',
+        currency: adapter.currency,
+        amount,
+        amountUsd: requestedAmountUsd,
+        referenceType: 'withdrawal_request',
+        referenceId: inserted.rows[0].id
+      }, client);
+
+      return this.transition(client, inserted.rows[0].id, 'held', { actorId: userId });
+    });
+
+    await this.logActivity(withdrawal, 'withdrawal_request', `Withdrawal request for ${amount} ${adapter.currency}`);
+
+    const user = await query('SELECT full_name FROM users WHERE id = $1', [userId]);
+    notificationService.notifyPendingWithdrawal(userId, user.rows[0]?.full_name || 'Unknown User', adapter.currency, amount, withdrawal.id);
+
+    console.log(`📤 Withdrawal ${withdrawal.id} held: user ${userId} requested ${amount} ${adapter.currency} (${adapter.network})`);
+    return withdrawal;
+  }
+
+  /**
+   * Record an admin's approval. Once the policy is met the withdrawal is approved and
+   * either queued for its batch or sent straight away.
+   * Resolves with { withdrawal, approval, queued }.
+   */
+  async approve(withdrawalId, adminId, { notes = null } = {}) {
+    const withdrawal = await this.get(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found');
+    }
+    if (withdrawal.status !== 'held') {
+      throw new Error(`Withdrawal request is ${withdrawal.status}, not awaiting approval`);
+    }
+    if (await amlCaseService.hasBlockingCase(withdrawal.user_id)) {
+      throw new Error('Withdrawal cannot be approved while a high-severity AML case on this user is unresolved');
+    }
+    if (await complianceCaseService.isAccountFrozen(withdrawal.user_id)) {
+      throw new Error('Withdrawal cannot be approved while a compliance case has frozen this account');
+    }
+
+    // The held funds must still be reserved before anything leaves the pool
+    const hold = await balanceHoldService.findHold('withdrawal_request', withdrawal.id);
+    if (hold && hold.status !== 'active') {
+      await this.fail(withdrawal.id, `Withdrawal hold is ${hold.status}`, { actorId: adminId });
+      throw new Error(`Withdrawal hold is ${hold.status}; the user must submit a new request`);
+    }
+
+    // Maker-checker: the withdrawal stays held until enough admins have approved it
+    const approval = await withdrawalApprovalService.recordApproval('withdrawal_request', withdrawal.id, adminId, { notes });
+    if (!approval.policyMet) {
+      return { withdrawal: approval.withdrawal, approval, queued: false };
+    }
+
+    const queued = withdrawalBatchService.isEnabled();
+    const approved = await transaction(client => this.transition(client, withdrawal.id, 'approved', {
+      actorId: adminId,
+      note: notes,
+      fields: {
+        admin_id: adminId,
+        ...(notes ? { admin_notes: notes } : {}),
+        // With batching on, the withdrawal is paid with the next batch instead of on its own
+        ...(queued ? { batch_queued_at: new Date() } : {})
+      }
+    }));
+
+    if (queued) {
+      console.log(`🧺 Withdrawal ${withdrawal.id} approved and queued for the next ${approved.currency} batch`);
+      return { withdrawal: approved, approval, queued: true };
+    }
+
+    const sent = await this.send(withdrawal.id, adminId);
+    return { withdrawal: sent, approval, queued: false };
+  }
+
+  /**
+   * Response body for the admin approve routes
+   */
+  summarizeApproval({ withdrawal, approval, queued }) {
+    let message = 'Withdrawal approved and broadcast.';
+    if (!approval.policyMet) {
+      message = `Approval recorded (${approval.approvalCount} of ${approval.requiredApprovals}). Awaiting further approval.`;
+    } else if (queued) {
+      message = 'Withdrawal approved and queued for the next batch.';
+    } else if (withdrawal.status === 'approved' && withdrawal.awaiting_liquidity_since) {
+      message = 'Withdrawal approved. It will be sent once the hot wallet has been topped up.';
+    } else if (withdrawal.status === 'approved') {
+      message = 'Withdrawal approved. Sign its unsigned transaction offline and upload it to broadcast.';
+    }
+
+    return {
+      message,
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status,
+      approvals: approval.approvals,
+      requiredApprovals: approval.requiredApprovals,
+      transactionHash: withdrawal.transaction_hash || null,
+      netAmount: this.sendAmount(withdrawal)
+    };
+  }
+
+  /**
+   * Send an approved withdrawal on its own from the pool wallet. If the hot wallet cannot
+   * cover it the withdrawal stays approved and waits for liquidity; any other failed send
+   * fails the withdrawal and releases its funds. A watch-only pool prepares the unsigned
+   * transaction (replacing any earlier one) and the withdrawal stays approved.
+   *
+   * The withdrawal is claimed (approved -> broadcasting) before anything is signed, so two
+   * callers (an admin and the treasury's sendWaiting) cannot both broadcast it. If
+   * recording the broadcast fails the withdrawal stays broadcasting with its transaction
+   * hash; sending it again finishes the recording.
+   */
+  async send(withdrawalId, adminId) {
+    const withdrawal = await this.get(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found');
+    }
+    if (withdrawal.status === 'broadcasting' && withdrawal.transaction_hash) {
+      return this.markBroadcast(withdrawal, withdrawal.transaction_hash, { actorId: adminId });
+    }
+    if (withdrawal.status !== 'approved') {
+      throw new Error(`Withdrawal request is ${withdrawal.status}; only approved withdrawals can be sent`);
+    }
+    if (withdrawal.batch_id) {
+      throw new Error('Withdrawal request is being paid by a batch');
+    }
+    if (poolWalletService.isWatchOnly()) {
+      return this.prepareUnsigned(withdrawal, adminId);
+    }
+
+    const claimed = await transaction(async (client) => {
+      const updated = await this.transition(client, withdrawal.id, 'broadcasting', { actorId: adminId });
+      if (updated.batch_id) {
+        throw new Error('Withdrawal request is being paid by a batch');
+      }
+      return updated;
+    });
+
+    let transactionHash;
+    try {
+      const hold = await balanceHoldService.findHold('withdrawal_request', withdrawal.id);
+      if (hold && hold.status !== 'active') {
+        throw new Error(`Withdrawal hold is ${hold.status}`);
+      }
+      transactionHash = await poolWalletService.sendFromPool(
+        withdrawal.currency,
+        withdrawal.destination_address,
+        this.sendAmount(withdrawal),
+        withdrawal.network,
+        { referenceType: 'withdrawal_request', referenceId: withdrawal.id }
+      );
+    } catch (error) {
+      // Nothing was broadcast: hand the claim back, or fail the withdrawal
+      if (error.message.startsWith('Insufficient pool balance')) {
+        await transaction(client => this.transition(client, withdrawal.id, 'approved', { actorId: adminId, note: error.message }));
+        await this.waitForLiquidity([withdrawal.id], error.message);
+        return this.get(withdrawal.id);
+      }
+      await this.fail(withdrawal.id, `Send failed: ${error.message}`, { actorId: adminId });
+      throw new Error(`Failed to process withdrawal: ${error.message}`);
+    }
+
+    try {
+      return await this.markBroadcast(claimed, transactionHash, { actorId: adminId });
+    } catch (error) {
+      // The funds have left: keep the claim and the hold, and keep the hash to finish with
+      await query(
+        'UPDATE withdrawal_requests SET transaction_hash = $2, updated_at = NOW() WHERE id = $1',
+        [withdrawal.id, transactionHash]
+      ).catch(updateError => console.error(`❌ Could not store hash ${transactionHash} on withdrawal ${withdrawal.id}:`, updateError.message));
+      notificationService.notifyAdmins({
+        type: 'error',
+        title: 'Withdrawal Broadcast Not Recorded',
+        message: `Withdrawal ${withdrawal.id} was broadcast (${transactionHash}) but could not be recorded: ${error.message}. Send it again to finish recording it.`,
+        data: { withdrawalId: withdrawal.id, transactionHash }
+      });
+      throw new Error(`Withdrawal was broadcast (${transactionHash}) but could not be recorded: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prepare the unsigned transaction of an approved withdrawal (watch-only pool). Paid for
+   * as far as liquidity goes; what is left is the offline signature.
+   */
+  async prepareUnsigned(withdrawal, adminId) {
+    try {
+      const hold = await balanceHoldService.findHold('withdrawal_request', withdrawal.id);
+      if (hold && hold.status !== 'active') {
+        throw new Error(`Withdrawal hold is ${hold.status}`);
+      }
+      await poolWalletService.prepareUnsignedFromPool(
+        withdrawal.currency,
+        withdrawal.destination_address,
+        this.sendAmount(withdrawal),
+        withdrawal.network,
+        { referenceType: 'withdrawal_request', referenceId: withdrawal.id, createdBy: adminId }
+      );
+    } catch (error) {
+      if (error.message.startsWith('Insufficient pool balance')) {
+        await this.waitForLiquidity([withdrawal.id], error.message);
+        return this.get(withdrawal.id);
+      }
+      await this.fail(withdrawal.id, `Send failed: ${error.message}`, { actorId: adminId });
+      throw new Error(`Failed to process withdrawal: ${error.message}`);
+    }
+
+    const result = await query(
+      `UPDATE withdrawal_requests SET awaiting_liquidity_since = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [withdrawal.id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Broadcast the offline-signed transaction of an approved withdrawal (watch-only pool).
+   * `signedTransaction` must be the unsigned transaction prepared for it, signed.
+   */
+  async submitSignedTransaction(withdrawalId, adminId, signedTransaction) {
+    const withdrawal = await this.get(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found');
+    }
+    if (withdrawal.status !== 'approved') {
+      throw new Error(`Withdrawal request is ${withdrawal.status}; only approved withdrawals take a signed transaction`);
+    }
+    const unsigned = await poolWalletService.getOpenUnsignedTransaction('withdrawal_request', withdrawal.id);
+    if (!unsigned) {
+      throw new Error('No unsigned transaction is awaiting a signature for this withdrawal');
+    }
+    const hold = await balanceHoldService.findHold('withdrawal_request', withdrawal.id);
+    if (hold && hold.status !== 'active') {
+      throw new Error(`Withdrawal hold is ${hold.status}`);
+    }
+
+    const submitted = await poolWalletService.submitSignedFromPool(unsigned.id, signedTransaction, { submittedBy: adminId });
+    return this.markBroadcast(withdrawal, submitted.tx_hash, { actorId: adminId });
+  }
+
+  /**
+   * Mark approved withdrawals as waiting for the hot wallet. The first time a withdrawal
+   * starts waiting the admins are told and the treasury rebalances its chain.
+   */
+  async waitForLiquidity(withdrawalIds, reason) {
+    const result = await query(
+      `UPDATE withdrawal_requests
+       SET awaiting_liquidity_since = NOW(), updated_at = NOW()
+       WHERE id = ANY($1::uuid[]) AND status = 'approved' AND awaiting_liquidity_since IS NULL
+       RETURNING *`,
+      [withdrawalIds]
+    );
+
+    const chains = new Map();
+    for (const withdrawal of result.rows) {
+      console.log(`⏳ Withdrawal ${withdrawal.id} waiting for liquidity: ${reason}`);
+      notificationService.notifyAdmins({
+        type: 'warning',
+        title: 'Withdrawal Waiting For Liquidity',
+        message: `${this.sendAmount(withdrawal)} ${withdrawal.currency} withdrawal is approved but the hot wallet cannot pay it yet`,
+        data: { withdrawalId: withdrawal.id, currency: withdrawal.currency, network: withdrawal.network, reason }
+      });
+      const adapter = chainAdapters.get(withdrawal.currency, withdrawal.network);
+      chains.set(adapter.key, adapter);
+    }
+
+    for (const adapter of chains.values()) {
+      treasuryService.rebalance(adapter).catch(error => {
+        console.error(`❌ Treasury rebalance for ${adapter.key} failed:`, error.message);
+      });
+    }
+    return result.rows;
+  }
+
+  /**
+   * Send the withdrawals waiting for liquidity on one chain, oldest first, while the hot
+   * wallet covers them (batched ones wait for their batch instead). Returns those sent.
+   */
+  async sendWaiting(adapter) {
+    const isDefaultNetwork = chainAdapters.get(adapter.currency).key === adapter.key;
+    const waiting = await query(
+      `SELECT id, currency, network, amount, net_amount FROM withdrawal_requests
+       WHERE status = 'approved' AND awaiting_liquidity_since IS NOT NULL
+         AND batch_queued_at IS NULL AND batch_id IS NULL
+         AND currency = $1 AND (network = $2 OR (network IS NULL AND $3::boolean))
+       ORDER BY awaiting_liquidity_since, created_at`,
+      [adapter.currency, adapter.network, isDefaultNetwork]
+    );
+    if (waiting.rows.length === 0) {
+      return [];
+    }
+
+    let available = await treasuryService.getHotBalance(adapter);
+    const sent = [];
+    for (const withdrawal of waiting.rows) {
+      // Strictly first come, first served: a large withdrawal is not overtaken by smaller ones
+      if (this.sendAmount(withdrawal) > available) break;
+
+      try {
+        // Still waiting means the wallet could not cover it after all (a watch-only pool
+        // leaves it approved but no longer waiting, with its unsigned transaction)
+        const result = await this.send(withdrawal.id, null);
+        if (result.status === 'approved' && result.awaiting_liquidity_since) break;
+        available -= this.sendAmount(withdrawal);
+        sent.push(result);
+      } catch (error) {
+        console.error(`❌ Waiting withdrawal ${withdrawal.id} could not be sent:`, error.message);
+      }
+    }
+
+    if (sent.length > 0) {
+      const verb = poolWalletService.isWatchOnly() ? 'Prepared unsigned transactions for' : 'Sent';
+      console.log(`💧 ${verb} ${sent.length} withdrawal(s) that were waiting for ${adapter.currency} (${adapter.network}) liquidity`);
+    }
+    return sent;
+  }
+
+  /**
+   * Record that an approved withdrawal has left the pool (on its own or in a batch)
+   * and settle its held funds against the pool wallet
+   */
+  async markBroadcast(withdrawal, transactionHash, { actorId = null, batchId = null } = {}) {
+    const broadcast = await transaction(async (client) => {
+      const updated = await this.transition(client, withdrawal.id, 'broadcast', {
+        actorId,
+        fields: { transaction_hash: transactionHash }
+      });
+      await this.settleFunds(client, updated, transactionHash, { createdBy: actorId || updated.admin_id, batchId });
+      return updated;
+    });
+
+    await this.logActivity(broadcast, 'withdrawal_completed', `Withdrawal sent: ${broadcast.amount} ${broadcast.currency}`, {
+      transaction_hash: transactionHash
+    });
+
+    // Recorded; telling the user must not make the send look failed
+    try {
+      notificationService.notifyWithdrawalApproval(broadcast.user_id, broadcast.currency, this.sendAmount(broadcast), transactionHash);
+      const user = await query('SELECT full_name, email FROM users WHERE id = $1', [broadcast.user_id]);
+      if (user.rows[0]) {
+        emailService.sendWithdrawalApproval(
+          user.rows[0].email,
+          user.rows[0].full_name,
+          broadcast.currency,
+          this.sendAmount(broadcast),
+          broadcast.destination_address,
+          transactionHash
+        ).catch(error => console.error('Withdrawal sent email error:', error.message));
+      }
+    } catch (error) {
+      console.error('Withdrawal sent notification error:', error.message);
+    }
+
+    console.log(`✅ Withdrawal ${broadcast.id} broadcast: ${this.sendAmount(broadcast)} ${broadcast.currency} to ${broadcast.destination_address} (${transactionHash})`);
+    return broadcast;
+  }
+
+  /**
+   * Mark broadcast withdrawals confirmed (called by the broadcast tracker inside its transaction)
+   */
+  async markConfirmed(client, withdrawalIds, confirmedHash) {
+    for (const withdrawalId of withdrawalIds) {
+      const current = await client.query('SELECT status FROM withdrawal_requests WHERE id = $1', [withdrawalId]);
+      if (current.rows[0]?.status !== 'broadcast') continue;
+      await this.transition(client, withdrawalId, 'confirmed', { note: confirmedHash });
+    }
+  }
+
+  /**
+   * Reject a withdrawal that has not been approved yet and give the funds back
+   */
+  async reject(withdrawalId, adminId, reason) {
+    if (!reason) {
+      throw new Error('Rejection reason is required');
+    }
+
+    const rejected = await transaction(async (client) => {
+      const updated = await this.transition(client, withdrawalId, 'rejected', {
+        actorId: adminId,
+        note: reason,
+        fields: { admin_id: adminId, rejection_reason: reason, admin_notes: reason }
+      });
+      await this.releaseFunds(client, updated, reason, adminId);
+      return updated;
+    });
+
+    await this.logActivity(rejected, 'withdrawal_rejected', `Withdrawal rejected: ${rejected.amount} ${rejected.currency}`, {
+      admin_notes: reason
+    });
+
+    notificationService.notifyWithdrawalRejection(rejected.user_id, rejected.currency, rejected.amount, reason);
+    const user = await query('SELECT full_name, email FROM users WHERE id = $1', [rejected.user_id]);
+    if (user.rows[0]) {
+      emailService.sendWithdrawalRejection(
+        user.rows[0].email,
+        user.rows[0].full_name,
+        rejected.currency,
+        rejected.amount,
+        reason
+      ).catch(error => console.error('Withdrawal rejection email error:', error.message));
+    }
+
+    console.log(`❌ Withdrawal ${rejected.id} rejected: ${rejected.amount} ${rejected.currency} - ${reason}`);
+    return rejected;
+  }
+
+  /**
+   * Fail a withdrawal that could not be sent and give the funds back. Refused once the
+   * withdrawal has a transaction hash: its funds have left the pool.
+   */
+  async fail(withdrawalId, reason, { actorId = null } = {}) {
+    const failed = await transaction(async (client) => {
+      const current = await client.query('SELECT transaction_hash FROM withdrawal_requests WHERE id = $1 FOR UPDATE', [withdrawalId]);
+      if (current.rows[0]?.transaction_hash) {
+        throw new Error(`Withdrawal request was broadcast (${current.rows[0].transaction_hash}) and cannot fail`);
+      }
+      const updated = await this.transition(client, withdrawalId, 'failed', {
+        actorId,
+        note: reason,
+        fields: { admin_notes: reason }
+      });
+      await this.releaseFunds(client, updated, reason, actorId);
+      await client.query(
+        `UPDATE pool_unsigned_transactions SET status = 'cancelled'
+         WHERE reference_type = 'withdrawal_request' AND reference_id = $1 AND status = 'awaiting_signature'`,
+        [withdrawalId]
+      );
+      return updated;
+    });
+
+    console.error(`❌ Withdrawal ${failed.id} failed: ${reason}`);
+    return failed;
+  }
+
+  /**
+   * Amount that leaves the pool (the platform fee stays behind)
+   */
+  sendAmount(withdrawal) {
+    return parseFloat(withdrawal.net_amount ?? withdrawal.amount);
+  }
+
+  /**
+   * Capture the user's hold against the pool wallet (net to the pool, fee to the platform).
+   * Older withdrawals without a hold settle as their original stack did: withdrawal_requests
+   * and pool_withdrawals (debited when requested) out of suspense, legacy `withdrawals` by
+   * debiting the user now.
+   */
+  async settleFunds(client, withdrawal, transactionHash, { createdBy = null, batchId = null } = {}) {
+    const description = `Withdrawal sent: ${withdrawal.amount} ${withdrawal.currency}`;
+    const meta = { transaction_hash: transactionHash, destination_address: withdrawal.destination_address, ...(batchId ? { batch_id: batchId } : {}) };
+
+    const captured = await balanceHoldService.captureForReference('withdrawal_request', withdrawal.id, {
+      entryType: 'withdrawal',
+      contraAccount: 'pool',
+      fee: parseFloat(withdrawal.fee || 0),
+      description,
+      createdBy,
+      meta
+    }, client);
+    if (captured) return;
+
+    if (['withdrawal_request', 'pool_withdrawal'].includes(withdrawal.source)) {
+      await ledgerService.postJournal({
+        entryType: 'withdrawal_settled',
+        description,
+        referenceType: 'withdrawal_request',
+        referenceId: withdrawal.id,
+        createdBy,
+        meta,
+        postings: [
+          { account: 'suspense', currency: withdrawal.currency, amount: -parseFloat(withdrawal.amount) },
+          { account: 'pool', currency: withdrawal.currency, amount: parseFloat(withdrawal.amount) }
+        ]
+      }, client);
+    } else if (withdrawal.source === 'withdrawals') {
+      // The funds have already left on-chain, so the debit must be recorded even if it overdraws
+      await ledgerService.postJournal({
+        entryType: 'withdrawal',
+        description,
+        referenceType: 'withdrawal_request',
+        referenceId: withdrawal.id,
+        createdBy,
+        meta,
+        allowNegative: true,
+        postings: [
+          { account: 'user', userId: withdrawal.user_id, currency: withdrawal.currency, amount: -parseFloat(withdrawal.amount) },
+          { account: 'pool', currency: withdrawal.currency, amount: parseFloat(withdrawal.amount) }
+        ]
+      }, client);
+    }
+  }
+
+  /**
+   * Release the user's hold. Older withdrawals without a hold were debited when requested
+   * and are refunded out of suspense through the ledger, in the caller's transaction;
+   * legacy `withdrawals` (never debited) are not refunded at all.
+   */
+  async releaseFunds(client, withdrawal, note, createdBy = null) {
+    const released = await balanceHoldService.releaseForReference('withdrawal_request', withdrawal.id, { note }, client);
+    if (released) return;
+
+    if (['withdrawal_request', 'pool_withdrawal'].includes(withdrawal.source)) {
+      await ledgerService.postJournal({
+        entryType: 'withdrawal_rejected',
+        description: `Withdrawal released: ${withdrawal.amount} ${withdrawal.currency}`,
+        referenceType: 'withdrawal_request',
+        referenceId: withdrawal.id,
+        createdBy,
+        postings: [
+          { account: 'suspense', currency: withdrawal.currency, amount: -parseFloat(withdrawal.amount) },
+          { account: 'user', userId: withdrawal.user_id, currency: withdrawal.currency, amount: parseFloat(withdrawal.amount) }
+        ]
+      }, client);
+    }
+  }
+
+  /**
+   * Recent-activity entry for the user (never fails the withdrawal)
+   */
+  async logActivity(withdrawal, type, description, meta = {}) {
+    try {
+      await query(
+        `INSERT INTO transactions_ledger (user_id, type, currency, amount, reference_id, meta, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [
+          withdrawal.user_id,
+          type,
+          withdrawal.currency,
+          parseFloat(withdrawal.amount),
+          withdrawal.id,
+          JSON.stringify({
+            description,
+            status: withdrawal.status,
+            destination_address: withdrawal.destination_address,
+            network: withdrawal.network,
+            withdrawal_id: withdrawal.id,
+            ...meta
+          })
+        ]
+      );
+    } catch (error) {
+      console.error('Error logging withdrawal activity:', error.message);
+    }
+  }
+}
+
+module.exports = new WithdrawalPipelineService();
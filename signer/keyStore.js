@@ -0,0 +1,70 @@
+const bitcoin = require('bitcoinjs-lib');
+const { BIP32Factory } = require('bip32');
+const bip39 = require('bip39');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const { ethers } = require('ethers');
+
+const bip32 = BIP32Factory(ecc);
+const ECPair = ECPairFactory(ecc);
+
+// Same derivation paths poolWalletService has always used for the pool wallets
+const BTC_PATH = `m/44'/0'/0'/0/0`;
+const EVM_PATH = `m/44'/60'/0'/0/0`;
+
+/**
+ * Pool keys held by the signer process
+ *
+ * Keys come from SIGNER_BTC_WIF / SIGNER_EVM_PRIVATE_KEY, or are derived from
+ * SIGNER_MASTER_SEED (falling back to MASTER_WALLET_SEED) on the pool wallet paths.
+ * One EVM key controls the pool on Ethereum, BSC and Tron. Only public keys ever
+ * leave this module.
+ */
+class KeyStore {
+  constructor() {
+    this.btc = null; // ECPair
+    this.evm = null; // ethers.SigningKey
+  }
+
+  async load() {
+    let btcWif = process.env.SIGNER_BTC_WIF || null;
+    let evmKey = process.env.SIGNER_EVM_PRIVATE_KEY || null;
+
+    const mnemonic = process.env.SIGNER_MASTER_SEED || process.env.MASTER_WALLET_SEED;
+    if ((!btcWif || !evmKey) && mnemonic) {
+      const root = bip32.fromSeed(await bip39.mnemonicToSeed(mnemonic), bitcoin.networks.bitcoin);
+      btcWif = btcWif || root.derivePath(BTC_PATH).toWIF();
+      evmKey = evmKey || `0x${Buffer.from(root.derivePath(EVM_PATH).privateKey).toString('hex')}`;
+    }
+
+    if (!btcWif && !evmKey) {
+      throw new Error('No pool keys configured: set SIGNER_MASTER_SEED or SIGNER_BTC_WIF / SIGNER_EVM_PRIVATE_KEY');
+    }
+
+    this.btc = btcWif ? ECPair.fromWIF(btcWif, [bitcoin.networks.bitcoin, bitcoin.networks.testnet]) : null;
+    this.evm = evmKey ? new ethers.SigningKey(evmKey) : null;
+    return this.publicKeys();
+  }
+
+  /**
+   * What the API process may know: the BTC public key and the EVM address
+   */
+  publicKeys() {
+    return {
+      btc: this.btc ? { publicKey: Buffer.from(this.btc.publicKey).toString('hex') } : null,
+      evm: this.evm ? { address: ethers.computeAddress(this.evm.publicKey) } : null
+    };
+  }
+
+  requireBtc() {
+    if (!this.btc) throw new Error('The signer holds no BTC key');
+    return this.btc;
+  }
+
+  requireEvm() {
+    if (!this.evm) throw new Error('The signer holds no EVM key');
+    return this.evm;
+  }
+}
+
+module.exports = new KeyStore();
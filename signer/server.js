@@ -0,0 +1,164 @@
+require('dotenv').config();
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chainAdapters = require('../services/chainAdapters');
+const keyStore = require('./keyStore');
+const spendingPolicy = require('./spendingPolicy');
+const { prepareBitcoin, prepareEvm, prepareTron } = require('./transactions');
+
+const MAX_REQUEST_BYTES = 1024 * 1024;
+
+/**
+ * Pool transaction signer
+ *
+ * A separate process that holds the pool private keys, so the API process never sees
+ * them. It listens on a Unix socket (SIGNER_SOCKET_PATH, mode 0600) for newline-delimited
+ * JSON requests, { id, token, method, params }, and answers { id, result } or { id, error }.
+ *
+ *   status                                      policies and today's spend
+ *   getPublicKeys                               BTC public key and EVM address
+ *   signBitcoin { currency, network, psbt }     -> { txHex }
+ *   signEvm     { currency, network, unsignedTx } -> { signedTx }
+ *   signTron    { currency, network, transaction } -> { signature }
+ *
+ * Sign requests may carry `references` (the withdrawals being paid), which are logged.
+ * Every transaction is decoded here and checked against the spending policy before it is
+ * signed. Anything that speaks this protocol (an HSM or KMS bridge) can stand in for it.
+ *
+ * Run with `npm run signer`.
+ */
+
+const SIGNERS = {
+  signBitcoin: { prepare: prepareBitcoin, accepts: adapter => adapter instanceof chainAdapters.BtcAdapter },
+  signEvm: { prepare: prepareEvm, accepts: adapter => adapter instanceof chainAdapters.EthAdapter },
+  signTron: { prepare: prepareTron, accepts: adapter => adapter instanceof chainAdapters.Trc20Adapter }
+};
+
+// No token is only allowed outside production (main() refuses to start without one there)
+function checkToken(token) {
+  const expected = process.env.SIGNER_AUTH_TOKEN;
+  if (!expected) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SIGNER_AUTH_TOKEN is not configured');
+    }
+    return;
+  }
+
+  const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(expected))) {
+    throw new Error('Invalid signer token');
+  }
+}
+
+function sign(method, params = {}) {
+  const adapter = chainAdapters.get(params.currency, params.network);
+  if (!SIGNERS[method].accepts(adapter)) {
+    throw new Error(`${method} cannot sign ${adapter.currency} on ${adapter.network}`);
+  }
+
+  const { spend, sign: signPrepared } = SIGNERS[method].prepare(adapter, keyStore, params);
+  spendingPolicy.authorize(spend);
+  const result = signPrepared();
+  spendingPolicy.record(spend);
+
+  const references = (params.references || []).map(reference => `${reference.type}:${reference.id}`).join(', ');
+  console.log(`✍️ Signed ${spend.amount} ${spend.currency} (${spend.network}) to ${spend.destinations.map(d => d.address).join(', ') || 'no payee'}${references ? ` for ${references}` : ''}`);
+  return result;
+}
+
+function handle(request) {
+  checkToken(request.token);
+
+  switch (request.method) {
+    case 'status':
+      return { publicKeys: keyStore.publicKeys(), policies: spendingPolicy.summary() };
+    case 'getPublicKeys':
+      return keyStore.publicKeys();
+    case 'signBitcoin':
+    case 'signEvm':
+    case 'signTron':
+      return sign(request.method, request.params);
+    default:
+      throw new Error(`Unknown signer method: ${request.method}`);
+  }
+}
+
+function serve(socketPath) {
+  const server = net.createServer((socket) => {
+    let buffered = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      buffered += chunk;
+      if (buffered.length > MAX_REQUEST_BYTES) {
+        socket.end(`${JSON.stringify({ id: null, error: 'Request too large' })}\n`);
+        return;
+      }
+
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+
+        let request = {};
+        let response;
+        try {
+          request = JSON.parse(line);
+          response = { id: request.id, result: handle(request) };
+        } catch (error) {
+          console.error(`❌ Signer refused ${request.method || 'request'}:`, error.message);
+          response = { id: request.id ?? null, error: error.message };
+        }
+        socket.write(`${JSON.stringify(response)}\n`);
+      }
+    });
+
+    socket.on('error', (error) => console.error('Signer connection error:', error.message));
+  });
+
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+  fs.rmSync(socketPath, { force: true }); // Stale socket from a previous run
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      fs.chmodSync(socketPath, 0o600);
+      resolve(server);
+    });
+  });
+}
+
+async function main() {
+  // Without a token any process that can reach the socket could ask for signatures
+  if (!process.env.SIGNER_AUTH_TOKEN) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SIGNER_AUTH_TOKEN is not configured');
+    }
+    console.warn('⚠️ SIGNER_AUTH_TOKEN is not set. Requests are not authenticated (development only).');
+  }
+
+  const socketPath = path.resolve(process.env.SIGNER_SOCKET_PATH || './storage/signer/signer.sock');
+  const publicKeys = await keyStore.load();
+  spendingPolicy.load();
+
+  const server = await serve(socketPath);
+  console.log(`🔐 Signer listening on ${socketPath}`);
+  console.log(`   BTC key: ${publicKeys.btc ? publicKeys.btc.publicKey : 'none'}`);
+  console.log(`   EVM key: ${publicKeys.evm ? publicKeys.evm.address : 'none'}`);
+  console.log(`   Policies: ${Object.keys(spendingPolicy.policies).join(', ') || 'none'}`);
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Signer failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { handle, serve };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-currency spending policy, enforced before anything is signed
+ *
+ * The policy is JSON from SIGNER_POLICY_FILE (or SIGNER_POLICY), keyed by currency:
+ *
+ *   {
+ *     "BTC":  { "maxPerTransaction": 1, "maxPerDay": 5, "maxNetworkFee": { "bitcoin": 0.002 } },
+ *     "USDT": { "maxPerTransaction": 50000, "maxPerDay": 250000, "maxNetworkFee": { "tron": 100 } }
+ *   }
+ *
+ * Amounts are in whole units of the currency; maxNetworkFee is optional, per network and
+ * in that network's fee currency. A currency without a policy cannot be spent.
+ *
+ * The day limit is a rolling 24 hours over the spend log (SIGNER_STATE_FILE), which
+ * survives restarts. A spend is keyed by what it consumes (BTC inputs, an EVM nonce, a
+ * Tron transaction id), so re-signing it with a higher fee replaces the logged amount
+ * instead of adding to it.
+ */
+class SpendingPolicy {
+  constructor() {
+    this.policies = {};
+    this.spends = new Map(); // spend key -> { currency, network, amount, at }
+    this.stateFile = path.resolve(process.env.SIGNER_STATE_FILE || './storage/signer/spend-log.jsonl');
+  }
+
+  load() {
+    const raw = process.env.SIGNER_POLICY_FILE
+      ? fs.readFileSync(path.resolve(process.env.SIGNER_POLICY_FILE), 'utf8')
+      : process.env.SIGNER_POLICY;
+    if (!raw) {
+      throw new Error('No spending policy configured: set SIGNER_POLICY_FILE or SIGNER_POLICY');
+    }
+
+    const parsed = JSON.parse(raw);
+    this.policies = {};
+    for (const [currency, policy] of Object.entries(parsed)) {
+      for (const field of ['maxPerTransaction', 'maxPerDay']) {
+        if (!(Number(policy[field]) >= 0)) {
+          throw new Error(`Spending policy for ${currency}: ${field} must be a non-negative number`);
+        }
+      }
+      this.policies[currency.toUpperCase()] = {
+        maxPerTransaction: Number(policy.maxPerTransaction),
+        maxPerDay: Number(policy.maxPerDay),
+        maxNetworkFee: policy.maxNetworkFee || {}
+      };
+    }
+
+    this.loadSpendLog();
+    return this.policies;
+  }
+
+  loadSpendLog() {
+    this.spends.clear();
+    if (!fs.existsSync(this.stateFile)) return;
+
+    const cutoff = Date.now() - DAY_MS;
+    for (const line of fs.readFileSync(this.stateFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (entry.at >= cutoff) {
+        this.spends.set(entry.key, entry);
+      }
+    }
+
+    // Keep the log to the entries that still count
+    const kept = Array.from(this.spends.values()).map(entry => `${JSON.stringify(entry)}\n`).join('');
+    fs.writeFileSync(this.stateFile, kept, { mode: 0o600 });
+  }
+
+  /**
+   * Spent in the last 24 hours, not counting `excludeKey`
+   */
+  spentToday(currency, excludeKey = null) {
+    const cutoff = Date.now() - DAY_MS;
+    let total = 0;
+    for (const [key, entry] of this.spends) {
+      if (entry.at < cutoff) {
+        this.spends.delete(key);
+      } else if (entry.currency === currency && key !== excludeKey) {
+        total += entry.amount;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Throws unless the policy allows a spend: { key, currency, network, amount, fee }
+   */
+  authorize({ key, currency, network, amount, fee }) {
+    const policy = this.policies[currency];
+    if (!policy) {
+      throw new Error(`Policy: no spending policy for ${currency}`);
+    }
+    if (amount > policy.maxPerTransaction) {
+      throw new Error(`Policy: ${amount} ${currency} exceeds the per-transaction limit of ${policy.maxPerTransaction}`);
+    }
+
+    const spent = this.spentToday(currency, key);
+    if (spent + amount > policy.maxPerDay) {
+      throw new Error(`Policy: ${amount} ${currency} would exceed the daily limit of ${policy.maxPerDay} (${spent} spent)`);
+    }
+
+    const maxFee = policy.maxNetworkFee[network];
+    if (maxFee !== undefined && fee > Number(maxFee)) {
+      throw new Error(`Policy: network fee ${fee} exceeds the ${currency} limit of ${maxFee} on ${network}`);
+    }
+  }
+
+  /**
+   * Log a signed spend (a re-signed key keeps the larger amount)
+   */
+  record({ key, currency, network, amount }) {
+    const previous = this.spends.get(key);
+    const entry = {
+      key,
+      currency,
+      network,
+      amount: previous ? Math.max(previous.amount, amount) : amount,
+      at: previous ? previous.at : Date.now()
+    };
+    this.spends.set(key, entry);
+
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(this.stateFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Limits and today's usage, for the status call
+   */
+  summary() {
+    return Object.fromEntries(Object.entries(this.policies).map(([currency, policy]) => [
+      currency,
+      { ...policy, spentToday: this.spentToday(currency) }
+    ]));
+  }
+}
+
+module.exports = new SpendingPolicy();
@@ -0,0 +1,198 @@
+const bitcoin = require('bitcoinjs-lib');
+const { ethers } = require('ethers');
+const { toTronAddress } = require('../services/chainAdapters/tronAddress');
+const { decodeTrc20Transfer } = require('../services/chainAdapters/tronTransaction');
+
+const SATOSHIS_PER_BTC = 100000000;
+
+/**
+ * Decoding and signing of pool transactions
+ *
+ * The signer never takes the API process's word for what a transaction does. Each
+ * prepare*() decodes the unsigned transaction itself and returns
+ *   { spend: { key, currency, network, amount, fee, destinations }, sign() }
+ * so the spending policy can be checked before sign() is called. Anything the decoder
+ * does not recognise as a plain payment from the pool is refused.
+ */
+
+const units = (value, decimals) => parseFloat(ethers.formatUnits(value, decimals));
+
+/**
+ * A PSBT spending only the pool's BTC outputs. Outputs back to the pool key are change;
+ * the spend is everything else, and the fee is what the inputs do not account for.
+ */
+function prepareBitcoin(adapter, keyStore, { psbt: psbtBase64 }) {
+  const keyPair = keyStore.requireBtc();
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network: adapter.btcNetwork });
+  const ownScripts = [
+    bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: adapter.btcNetwork }).output,
+    bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey, network: adapter.btcNetwork }).output
+  ];
+  const isOwn = (script) => ownScripts.some(own => Buffer.from(own).equals(Buffer.from(script)));
+
+  let inputTotal = 0;
+  const outpoints = psbt.txInputs.map((txInput, index) => {
+    const input = psbt.data.inputs[index];
+    const txid = Buffer.from(txInput.hash).reverse().toString('hex');
+    let previous;
+    if (input.witnessUtxo) {
+      previous = input.witnessUtxo;
+    } else if (input.nonWitnessUtxo) {
+      const previousTx = bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo);
+      if (previousTx.getId() !== txid) {
+        throw new Error(`PSBT input ${index} carries the wrong previous transaction`);
+      }
+      previous = previousTx.outs[txInput.index];
+    }
+    if (!previous || !isOwn(previous.script)) {
+      throw new Error(`PSBT input ${index} is not a pool output`);
+    }
+    inputTotal += Number(previous.value);
+    return `${txid}:${txInput.index}`;
+  });
+
+  let change = 0;
+  let paid = 0;
+  const destinations = [];
+  for (const output of psbt.txOutputs) {
+    if (isOwn(output.script)) {
+      change += Number(output.value);
+    } else {
+      paid += Number(output.value);
+      destinations.push({ address: output.address || Buffer.from(output.script).toString('hex'), amount: Number(output.value) / SATOSHIS_PER_BTC });
+    }
+  }
+  const fee = inputTotal - change - paid;
+  if (fee < 0) {
+    throw new Error('PSBT pays out more than its inputs');
+  }
+
+  return {
+    spend: {
+      key: `btc:${adapter.network}:${outpoints.sort().join(',')}`,
+      currency: adapter.currency,
+      network: adapter.network,
+      amount: paid / SATOSHIS_PER_BTC,
+      fee: fee / SATOSHIS_PER_BTC,
+      destinations
+    },
+    sign() {
+      psbt.signAllInputs(keyPair);
+      psbt.finalizeAllInputs();
+      return { txHex: psbt.extractTransaction().toHex() };
+    }
+  };
+}
+
+/**
+ * An unsigned EVM transaction for the adapter's chain that is one of: a native transfer, a
+ * token transfer, a multisend call through the adapter's multisend contract, or a token
+ * approval for it
+ */
+function prepareEvm(adapter, keyStore, { unsignedTx }) {
+  const signingKey = keyStore.requireEvm();
+  const tx = ethers.Transaction.from(unsignedTx);
+  if (!adapter.chainId) {
+    throw new Error(`No chain id is configured for ${adapter.network}`);
+  }
+  if (tx.chainId !== BigInt(adapter.chainId)) {
+    throw new Error(`Transaction is for chain ${tx.chainId}, but ${adapter.network} is chain ${adapter.chainId}`);
+  }
+  const to = (tx.to || '').toLowerCase();
+  const data = tx.data && tx.data !== '0x' ? tx.data : null;
+  const token = adapter.contractAddress ? adapter.contractAddress.toLowerCase() : null;
+  const multisend = adapter.multisendAddress ? adapter.multisendAddress.toLowerCase() : null;
+
+  let payments = [];
+  if (!data) {
+    if (token) {
+      throw new Error(`A native transfer cannot be signed as ${adapter.currency}`);
+    }
+    payments = [{ to: tx.to, value: tx.value }];
+  } else if (multisend && to === multisend) {
+    const call = adapter.multisend(null).interface.parseTransaction({ data, value: tx.value });
+    if (call?.name === 'disperseEther' && !token) {
+      const total = call.args.values.reduce((sum, value) => sum + value, 0n);
+      if (total !== tx.value) {
+        throw new Error('Multisend value does not match its payments');
+      }
+    } else if (call?.name === 'disperseToken' && token && call.args.token.toLowerCase() === token && tx.value === 0n) {
+      // Tokens only; nothing native is sent
+    } else {
+      throw new Error('Unrecognised multisend call');
+    }
+    payments = call.args.recipients.map((recipient, index) => ({ to: recipient, value: call.args.values[index] }));
+  } else if (token && to === token && tx.value === 0n) {
+    const call = adapter.interface.parseTransaction({ data });
+    if (call?.name === 'transfer') {
+      payments = [{ to: call.args.to, value: call.args.amount }];
+    } else if (call?.name === 'approve' && multisend && call.args.spender.toLowerCase() === multisend) {
+      payments = []; // Lets the multisend contract pull a batch; the batch itself is checked
+    } else {
+      throw new Error(`Unrecognised ${adapter.currency} contract call`);
+    }
+  } else {
+    throw new Error('Transaction calls a contract the signer does not know');
+  }
+
+  const decimals = token ? adapter.decimals : 18;
+  const amount = payments.reduce((sum, payment) => sum + units(payment.value, decimals), 0);
+  const from = ethers.computeAddress(signingKey.publicKey);
+
+  return {
+    spend: {
+      key: `evm:${tx.chainId}:${from.toLowerCase()}:${tx.nonce}`,
+      currency: adapter.currency,
+      network: adapter.network,
+      amount,
+      fee: units(tx.gasLimit * (tx.maxFeePerGas ?? tx.gasPrice ?? 0n), 18),
+      destinations: payments.map(payment => ({ address: payment.to, amount: units(payment.value, decimals) }))
+    },
+    sign() {
+      tx.signature = signingKey.sign(tx.unsignedHash);
+      return { signedTx: tx.serialized };
+    }
+  };
+}
+
+/**
+ * A Tron transaction with one TriggerSmartContract calling transfer() on the adapter's
+ * token from the pool account. The id must be the hash of the raw data that is decoded.
+ */
+function prepareTron(adapter, keyStore, { transaction }) {
+  const signingKey = keyStore.requireEvm();
+  const rawHex = transaction?.raw_data_hex;
+  if (!rawHex || ethers.sha256(`0x${rawHex}`).slice(2) !== transaction.txID) {
+    throw new Error('Transaction id does not match its raw data');
+  }
+
+  const transfer = decodeTrc20Transfer(rawHex);
+  const pool = toTronAddress(ethers.computeAddress(signingKey.publicKey));
+  if (transfer.owner !== pool) {
+    throw new Error('Tron transaction is not from the pool account');
+  }
+  if (transfer.contract !== adapter.contractAddress) {
+    throw new Error(`Tron transaction does not call the ${adapter.currency} contract`);
+  }
+  if (transfer.callValue !== 0n) {
+    throw new Error('Tron transaction sends TRX with the call');
+  }
+  const amount = units(transfer.value, adapter.decimals);
+
+  return {
+    spend: {
+      key: `tron:${transaction.txID}`,
+      currency: adapter.currency,
+      network: adapter.network,
+      amount,
+      fee: Number(transfer.feeLimit) / 1000000, // fee_limit, in TRX
+      destinations: [{ address: transfer.to, amount }]
+    },
+    sign() {
+      const signature = signingKey.sign(`0x${transaction.txID}`);
+      return { signature: `${signature.r.slice(2)}${signature.s.slice(2)}0${signature.yParity}` };
+    }
+  };
+}
+
+module.exports = { prepareBitcoin, prepareEvm, prepareTron };
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeChainAdapter = require('../services/chainAdapters/FakeChainAdapter');
+
+describe('FakeChainAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new FakeChainAdapter({ currency: 'BTC' });
+  });
+
+  it('reports mined deposits with their confirmations', async () => {
+    const txHash = adapter.deposit('pool', 1.5);
+    adapter.mineBlocks(2);
+
+    const [deposit] = await adapter.scanDeposits('pool', { fromBlock: 1, toBlock: adapter.height });
+    assert.equal(deposit.txHash, txHash);
+    assert.equal(deposit.amount, 1.5);
+    assert.equal(deposit.confirmations, 3);
+    assert.equal(deposit.blockHash, await adapter.getBlockHash(deposit.blockNumber));
+    assert.equal(await adapter.getBalance('pool'), 1.5);
+  });
+
+  it('leaves unmined deposits out of scans', async () => {
+    const txHash = adapter.deposit('pool', 1, { mined: false });
+    assert.deepEqual(await adapter.scanDeposits('pool', { fromBlock: 0, toBlock: 10 }), []);
+    assert.equal(await adapter.getConfirmations(txHash), 0);
+    assert.equal(await adapter.getConfirmations('unknown'), null);
+  });
+
+  it('orphans transactions in reorged blocks', async () => {
+    adapter.mineBlocks(5);
+    const txHash = adapter.deposit('pool', 2);
+    const oldHash = await adapter.getBlockHash(adapter.height);
+
+    const forkBlock = adapter.reorg(2);
+    assert.equal(forkBlock, adapter.height - 1);
+    assert.notEqual(await adapter.getBlockHash(adapter.height), oldHash);
+    assert.equal(await adapter.getTransactionBlock(txHash), null);
+    assert.equal(await adapter.getBalance('pool'), 0);
+  });
+
+  it('sends from funded addresses and fails on request', async () => {
+    adapter.deposit('pool', 1);
+    const txHash = await adapter.send({ fromAddress: 'pool', toAddress: 'user', amount: 0.4 });
+    assert.deepEqual(adapter.sent, [{ txHash, fromAddress: 'pool', toAddress: 'user', amount: 0.4 }]);
+    assert.equal(await adapter.getBalance('user'), 0.4);
+
+    await assert.rejects(adapter.send({ fromAddress: 'pool', toAddress: 'user', amount: 5 }), /Insufficient fake BTC balance/);
+    adapter.failNext('node down');
+    await assert.rejects(adapter.send({ fromAddress: 'pool', toAddress: 'user', amount: 0.1 }), /node down/);
+  });
+
+  it('broadcasts the unsigned transaction it built', async () => {
+    adapter.deposit('cold', 3);
+    const unsigned = await adapter.buildUnsignedTransaction({ fromAddress: 'cold', outputs: [{ toAddress: 'hot', amount: 2 }] });
+    const inspected = adapter.inspectSignedTransaction(unsigned.payload);
+    assert.equal(inspected.fingerprint, unsigned.fingerprint);
+    assert.deepEqual(inspected.outputs, [{ toAddress: 'hot', amount: 2 }]);
+
+    assert.equal(await adapter.broadcastSigned(inspected), inspected.txHash);
+    assert.equal(await adapter.getBalance('hot'), 2);
+    assert.equal(await adapter.getBalance('cold'), 1);
+  });
+});
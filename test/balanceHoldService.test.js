@@ -0,0 +1,193 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory balances, holds and withdrawals behind a pg client that answers the hold service's queries
+const db = { balances: new Map(), holds: [], withdrawals: new Map(), postings: [] };
+
+const balanceOf = (userId, currency) => db.balances.get(`${userId}:${currency}`);
+
+const fakeClient = {
+  async query(sql, params = []) {
+    if (sql.includes('available_balance = available_balance - $3')) {
+      const row = balanceOf(params[0], params[1]);
+      if (!row || row.available < Number(params[2])) return { rows: [] };
+      row.available -= Number(params[2]);
+      return { rows: [{ available_balance: String(row.available) }] };
+    }
+    if (sql.includes('SET available_balance = available_balance + $3')) {
+      balanceOf(params[0], params[1]).available += Number(params[2]);
+      return { rows: [] };
+    }
+    if (sql.includes('SET balance = balance + $3')) {
+      // The ledger projection, with its non-negative guard
+      const row = balanceOf(params[0], params[1]);
+      const amount = Number(params[2]);
+      if (!params[3] && amount < 0 && row.available + amount < 0) return { rows: [] };
+      row.balance += amount;
+      row.available += amount;
+      return { rows: [{ balance: String(row.balance), available_balance: String(row.available) }] };
+    }
+    if (sql.includes('INSERT INTO balance_holds')) {
+      const hold = {
+        id: `h${db.holds.length + 1}`,
+        user_id: params[0],
+        currency: params[1],
+        amount: String(params[2]),
+        reason: params[3],
+        reference_type: params[4],
+        reference_id: params[5],
+        status: 'active',
+        expires_at: params[6] === null ? null : new Date(Date.now() + Number(params[6]) * 3600 * 1000),
+        created_at: new Date()
+      };
+      db.holds.push(hold);
+      return { rows: [{ ...hold }] };
+    }
+    if (sql.includes('SET reference_type = $2')) {
+      const hold = db.holds.find(candidate => candidate.id === params[0]);
+      Object.assign(hold, { reference_type: params[1], reference_id: params[2] });
+      return { rows: [{ ...hold }] };
+    }
+    if (sql.includes('UPDATE balance_holds')) {
+      const hold = db.holds.find(candidate => candidate.id === params[0] && candidate.status === 'active');
+      if (!hold) return { rows: [] };
+      hold.status = sql.includes("status = 'captured'") ? 'captured' : params[1];
+      return { rows: [{ ...hold }] };
+    }
+    if (sql.includes('SELECT h.id FROM balance_holds h')) {
+      const liveStatuses = sql.match(/wr\.status IN \(([^)]*)\)/)[1].split(',').map(status => status.trim().replace(/'/g, ''));
+      const rows = db.holds.filter(hold => {
+        if (hold.status !== 'active' || !hold.expires_at || hold.expires_at > new Date()) return false;
+        const withdrawal = hold.reference_type === 'withdrawal_request' && db.withdrawals.get(hold.reference_id);
+        return !(withdrawal && liveStatuses.includes(withdrawal.status));
+      });
+      return { rows: rows.map(hold => ({ id: hold.id })) };
+    }
+    if (sql.includes('FROM balance_holds')) {
+      const rows = db.holds.filter(hold => hold.reference_type === params[0] && hold.reference_id === params[1]);
+      return { rows: rows.slice(-1).map(hold => ({ ...hold })) };
+    }
+    if (sql.includes('INSERT INTO ledger_journal_entries')) {
+      return { rows: [{ id: 'journal-1', entry_type: params[0] }] };
+    }
+    if (sql.includes('FROM ledger_accounts')) {
+      const [type, ...rest] = params[0].split(':');
+      return { rows: [{ id: params[0], account_code: params[0], account_type: type, user_id: type === 'user' ? rest[0] : null }] };
+    }
+    if (sql.includes('INSERT INTO ledger_postings')) {
+      db.postings.push({ account: params[1], amount: params[3] });
+      return { rows: [{ account_id: params[1], amount: params[3] }] };
+    }
+    return { rows: [] };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: (sql, params) => fakeClient.query(sql, params), transaction: fn => fn(fakeClient) }
+};
+
+const balanceHoldService = require('../services/balanceHoldService');
+
+const hold = (fields = {}) => balanceHoldService.placeHold({ userId: 'u1', currency: 'btc', amount: 0.4, reason: 'withdrawal', ...fields });
+
+// Push a hold past its expiry
+const age = (placed) => {
+  db.holds.find(candidate => candidate.id === placed.id).expires_at = new Date(Date.now() - 1000);
+};
+
+describe('balanceHoldService', () => {
+  beforeEach(() => {
+    db.balances = new Map([['u1:BTC', { balance: 1, available: 1 }]]);
+    db.holds = [];
+    db.withdrawals.clear();
+    db.postings = [];
+  });
+
+  it('places a hold against the available balance only', async () => {
+    const placed = await hold();
+    assert.equal(placed.status, 'active');
+    assert.equal(placed.currency, 'BTC');
+    assert.ok(placed.expires_at > new Date());
+    assert.deepEqual(balanceOf('u1', 'BTC'), { balance: 1, available: 0.6 });
+  });
+
+  it('refuses a hold the available balance does not cover', async () => {
+    await hold({ amount: 0.75 });
+    await assert.rejects(hold({ amount: 0.3 }), /Insufficient BTC balance/);
+    await assert.rejects(hold({ amount: 0 }), /Hold amount must be positive/);
+    assert.equal(db.holds.length, 1);
+    assert.equal(balanceOf('u1', 'BTC').available, 0.25);
+  });
+
+  it('places a hold that never expires', async () => {
+    const placed = await hold({ expiresInHours: null });
+    assert.equal(placed.expires_at, null);
+  });
+
+  it('releases a hold once', async () => {
+    const placed = await hold();
+    const released = await balanceHoldService.releaseHold(placed.id, { note: 'Cancelled' });
+    assert.equal(released.status, 'released');
+    assert.deepEqual(balanceOf('u1', 'BTC'), { balance: 1, available: 1 });
+    await assert.rejects(balanceHoldService.releaseHold(placed.id), /Hold not found or already resolved/);
+  });
+
+  it('captures a hold through the ledger, fee included', async () => {
+    const placed = await hold({ referenceType: 'withdrawal_request', referenceId: 'w1' });
+    const { hold: captured } = await balanceHoldService.captureHold(placed.id, { entryType: 'withdrawal', fee: 0.01 });
+    assert.equal(captured.status, 'captured');
+    assert.deepEqual(db.postings, [
+      { account: 'user:u1:BTC', amount: '-0.40000000' },
+      { account: 'pool:BTC', amount: '0.39000000' },
+      { account: 'fee:BTC', amount: '0.01000000' }
+    ]);
+    assert.deepEqual(balanceOf('u1', 'BTC'), { balance: 0.6, available: 0.6 });
+    await assert.rejects(balanceHoldService.captureForReference('withdrawal_request', 'w1'), /Hold already captured/);
+  });
+
+  it('expires holds past their expiry', async () => {
+    const expiring = await hold();
+    await hold();
+    age(expiring);
+
+    assert.equal(await balanceHoldService.expireHolds(), 1);
+    assert.deepEqual(db.holds.map(candidate => candidate.status), ['expired', 'active']);
+    assert.equal(balanceOf('u1', 'BTC').available, 0.6);
+  });
+
+  it('keeps the expired hold of a withdrawal that is still live', async () => {
+    db.withdrawals.set('w1', { id: 'w1', status: 'approved' });
+    db.withdrawals.set('w2', { id: 'w2', status: 'rejected' });
+    const live = await hold({ referenceType: 'withdrawal_request', referenceId: 'w1' });
+    const finished = await hold({ referenceType: 'withdrawal_request', referenceId: 'w2' });
+    age(live);
+    age(finished);
+
+    assert.equal(await balanceHoldService.expireHolds(), 1);
+    assert.deepEqual(db.holds.map(candidate => candidate.status), ['active', 'expired']);
+  });
+
+  it('captures a lapsed hold only if the available balance still covers it', async () => {
+    const placed = await hold({ referenceType: 'withdrawal_request', referenceId: 'w1' });
+    age(placed);
+    await balanceHoldService.expireHolds();
+
+    // The reservation went back and was spent elsewhere
+    balanceOf('u1', 'BTC').available = 0.1;
+    await assert.rejects(
+      balanceHoldService.captureForReference('withdrawal_request', 'w1', { entryType: 'withdrawal' }),
+      /Insufficient BTC balance/
+    );
+
+    balanceOf('u1', 'BTC').available = 1;
+    const { hold: lapsed } = await balanceHoldService.captureForReference('withdrawal_request', 'w1', { entryType: 'withdrawal' });
+    assert.equal(lapsed.status, 'expired');
+    assert.deepEqual(balanceOf('u1', 'BTC'), { balance: 0.6, available: 0.6 });
+  });
+
+  it('has nothing to capture or release for records without a hold', async () => {
+    assert.equal(await balanceHoldService.captureForReference('withdrawal_request', 'legacy'), null);
+    assert.equal(await balanceHoldService.releaseForReference('withdrawal_request', 'legacy'), null);
+  });
+});
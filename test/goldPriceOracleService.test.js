@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const goldPriceOracleService = require('../services/goldPriceOracleService');
+
+// Answer with these prices per ounce (an Error is thrown instead)
+const useQuotes = (quotes) => {
+  goldPriceOracleService.sourceNames = Object.keys(quotes);
+  for (const [name, quote] of Object.entries(quotes)) {
+    goldPriceOracleService.registerSource({
+      name,
+      fetchPricePerOunce: async () => {
+        if (quote instanceof Error) throw quote;
+        return quote;
+      }
+    });
+  }
+};
+
+describe('goldPriceOracleService', () => {
+  beforeEach(() => {
+    Object.assign(goldPriceOracleService, {
+      price: null,
+      lastCheck: null,
+      refreshing: null,
+      refreshDue: false,
+      maxDeviationPercent: 1,
+      minSources: 1,
+      staleSeconds: 900,
+      refreshMs: 300000
+    });
+  });
+
+  it('quotes the median of the agreeing sources', async () => {
+    useQuotes({ a: 2000, b: 2010, c: 2004 });
+    const snapshot = await goldPriceOracleService.refresh();
+    assert.equal(snapshot.status, 'ok');
+    assert.equal(snapshot.pricePerOunce, 2004);
+    assert.equal(snapshot.pricePerGram, parseFloat((2004 / 31.1035).toFixed(2)));
+    assert.deepEqual(snapshot.sources, ['a', 'b', 'c']);
+  });
+
+  it('averages the middle two of an even number of quotes', async () => {
+    useQuotes({ a: 2000, b: 2010 });
+    assert.equal((await goldPriceOracleService.refresh()).pricePerOunce, 2005);
+  });
+
+  it('rejects quotes too far from the median', async () => {
+    useQuotes({ a: 2000, b: 2001, c: 2002, outlier: 2500 });
+    const snapshot = await goldPriceOracleService.refresh();
+    assert.equal(snapshot.status, 'ok');
+    assert.deepEqual(snapshot.sources, ['a', 'b', 'c']);
+    assert.equal(snapshot.pricePerOunce, 2001);
+    const outlier = goldPriceOracleService.lastCheck.quotes.find(quote => quote.source === 'outlier');
+    assert.equal(outlier.accepted, false);
+  });
+
+  it('ignores sources that fail or answer nonsense', async () => {
+    useQuotes({ a: 2000, down: new Error('timeout'), zero: 0, text: 'n/a' });
+    const snapshot = await goldPriceOracleService.refresh();
+    assert.equal(snapshot.status, 'ok');
+    assert.deepEqual(snapshot.sources, ['a']);
+    const down = goldPriceOracleService.lastCheck.quotes.find(quote => quote.source === 'down');
+    assert.equal(down.error, 'timeout');
+  });
+
+  it('is contested when too few sources agree', async () => {
+    goldPriceOracleService.minSources = 2;
+    useQuotes({ a: 2000, b: new Error('down') });
+    const snapshot = await goldPriceOracleService.refresh();
+    assert.equal(snapshot.status, 'contested');
+    assert.match(snapshot.reason, /only 1 of 2/);
+  });
+
+  it('is contested when no majority agrees, and keeps the last agreed price', async () => {
+    useQuotes({ a: 2000, b: 2001 });
+    await goldPriceOracleService.refresh();
+
+    useQuotes({ a: 2000, b: 2100, c: 2200 });
+    const snapshot = await goldPriceOracleService.refresh();
+    assert.equal(snapshot.status, 'contested');
+    assert.equal(snapshot.reason, 'gold price sources disagree');
+    assert.equal(snapshot.pricePerOunce, 2000.5);
+  });
+
+  it('is stale before the first price and once the price is too old', async () => {
+    useQuotes({ a: new Error('down') });
+    assert.equal((await goldPriceOracleService.refresh()).status, 'stale');
+
+    useQuotes({ a: 2000 });
+    await goldPriceOracleService.refresh();
+    goldPriceOracleService.price.updatedAt -= 901 * 1000;
+    const snapshot = goldPriceOracleService.getSnapshot();
+    assert.equal(snapshot.status, 'stale');
+    assert.match(snapshot.reason, /is 901s old/);
+  });
+
+  it('refreshes only when due, forced or expired', async () => {
+    let calls = 0;
+    goldPriceOracleService.sourceNames = ['counted'];
+    goldPriceOracleService.registerSource({ name: 'counted', fetchPricePerOunce: async () => { calls++; return 2000; } });
+
+    await goldPriceOracleService.getPrice();
+    await goldPriceOracleService.getPrice();
+    assert.equal(calls, 1);
+
+    goldPriceOracleService.expire();
+    await goldPriceOracleService.getPrice();
+    await goldPriceOracleService.getPrice({ force: true });
+    assert.equal(calls, 3);
+  });
+
+  it('shares one refresh between concurrent callers', async () => {
+    let calls = 0;
+    goldPriceOracleService.sourceNames = ['counted'];
+    goldPriceOracleService.registerSource({ name: 'counted', fetchPricePerOunce: async () => { calls++; return 2000; } });
+
+    await Promise.all([goldPriceOracleService.refresh(), goldPriceOracleService.refresh()]);
+    assert.equal(calls, 1);
+  });
+
+  it('only registers sources that can fetch a price', () => {
+    assert.throws(() => goldPriceOracleService.registerSource({ name: 'broken' }), /fetchPricePerOunce/);
+  });
+});
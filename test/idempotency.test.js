@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+// In-memory idempotency_keys behind the middleware's queries
+const keys = new Map();
+const queries = [];
+
+const database = {
+  async query(sql, params = []) {
+    queries.push(sql);
+    if (sql.includes('INSERT INTO idempotency_keys')) {
+      const storeKey = `${params[0]}:${params[1]}`;
+      if (keys.has(storeKey)) return { rows: [] };
+      const record = { id: `k${keys.size + 1}`, user_id: params[0], idempotency_key: params[1], request_path: params[3], request_hash: params[4], status: 'in_progress', locked_at: Date.now() };
+      keys.set(storeKey, record);
+      return { rows: [{ id: record.id }] };
+    }
+    const record = [...keys.values()].find(candidate => candidate.id === params[0]);
+    if (sql.includes('SELECT * FROM idempotency_keys')) {
+      const found = keys.get(`${params[0]}:${params[1]}`);
+      return { rows: found ? [{ ...found }] : [] };
+    }
+    if (sql.includes('SET locked_at = NOW()')) {
+      if (!record || record.status !== 'in_progress') return { rows: [], rowCount: 0 };
+      // A takeover also needs the lock to have lapsed; a heartbeat just refreshes it
+      if (sql.includes('locked_at <') && Date.now() - record.locked_at <= Number(params[1]) * 1000) return { rows: [], rowCount: 0 };
+      record.locked_at = Date.now();
+      return { rows: [{ id: record.id }], rowCount: 1 };
+    }
+    if (sql.includes("SET status = 'completed'")) {
+      Object.assign(record, { status: 'completed', response_status: params[1], response_body: JSON.parse(params[2]) });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('DELETE FROM idempotency_keys WHERE id')) {
+      if (record) keys.delete(`${record.user_id}:${record.idempotency_key}`);
+      return { rows: [], rowCount: record ? 1 : 0 };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: database.query, transaction: fn => fn(database) }
+};
+
+const { idempotency } = require('../middleware/idempotency');
+
+const request = (body = { amount: 1 }, key = 'key-1') => ({
+  method: 'POST',
+  baseUrl: '/api/wallet',
+  path: '/withdraw',
+  body,
+  user: { id: 'u1' },
+  get: header => (header === 'idempotency-key' ? key : undefined)
+});
+
+// Just enough of an Express response for the middleware
+const response = () => {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    status(code) { res.statusCode = code; return res; },
+    set(name, value) { res.headers[name] = value; return res; },
+    json(body) { res.body = body; return res.end(); },
+    send(body) { res.body = body; return res.end(); },
+    end() { res.ended = true; res.emit('finish'); return res; }
+  });
+  return res;
+};
+
+// Run a request through the middleware; `handler` plays the route
+const run = async (req, handler = () => {}) => {
+  const res = response();
+  let handled = false;
+  await idempotency()(req, res, () => {
+    handled = true;
+    handler(res);
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    keys.clear();
+    queries.length = 0;
+    // The replay log line trips up the test runner's output parsing
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('stores the first response and replays it on a retry', async () => {
+    const first = await run(request(), res => res.status(201).json({ id: 'w1' }));
+    assert.equal(first.handled, true);
+    assert.equal(keys.get('u1:key-1').status, 'completed');
+
+    const retry = await run(request(), () => assert.fail('handler ran twice'));
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.body, { id: 'w1' });
+    assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('ignores property order when fingerprinting the body', async () => {
+    await run(request({ amount: 1, currency: 'BTC' }), res => res.json({ id: 'w1' }));
+    const retry = await run(request({ currency: 'BTC', amount: 1 }));
+    assert.equal(retry.handled, false);
+    assert.deepEqual(retry.res.body, { id: 'w1' });
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await run(request({ amount: 1 }), res => res.json({ id: 'w1' }));
+    const reused = await run(request({ amount: 2 }));
+    assert.equal(reused.handled, false);
+    assert.equal(reused.res.statusCode, 422);
+  });
+
+  it('releases the key after a server error', async () => {
+    await run(request(), res => res.status(503).json({ message: 'Unavailable' }));
+    assert.equal(keys.size, 0);
+    assert.equal((await run(request(), res => res.json({ id: 'w1' }))).handled, true);
+  });
+
+  it('releases the key after a response that is not JSON', async () => {
+    await run(request(), res => res.send('ok'));
+    assert.equal(keys.size, 0);
+  });
+
+  it('turns a retry away while the first request is still running', async () => {
+    await run(request());
+    const retry = await run(request());
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 409);
+  });
+
+  it('keeps the lock of a slow request alive', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const slow = await run(request());
+
+    // Far past the lock timeout, but the handler is still running and refreshing its lock
+    keys.get('u1:key-1').locked_at = Date.now() - 301 * 1000;
+    mock.timers.tick(60 * 1000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal((await run(request())).res.statusCode, 409);
+
+    // Once it has responded the heartbeat stops
+    slow.res.status(201).json({ id: 'w1' });
+    await new Promise(resolve => setImmediate(resolve));
+    const refreshes = queries.filter(sql => sql.startsWith('UPDATE idempotency_keys SET locked_at')).length;
+    mock.timers.tick(5 * 60 * 1000);
+    assert.equal(queries.filter(sql => sql.startsWith('UPDATE idempotency_keys SET locked_at')).length, refreshes);
+  });
+
+  it('takes over a key whose request was abandoned', async () => {
+    await run(request());
+    // The process that held it died: the lock was never refreshed again
+    keys.get('u1:key-1').locked_at = Date.now() - 301 * 1000;
+
+    const retry = await run(request(), res => res.status(201).json({ id: 'w2' }));
+    assert.equal(retry.handled, true);
+    assert.equal(keys.get('u1:key-1').status, 'completed');
+    assert.deepEqual(keys.get('u1:key-1').response_body, { id: 'w2' });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ledgerService = require('../services/ledgerService');
+
+// A pg client that answers the ledger's queries from memory
+const fakeClient = ({ insufficient = false } = {}) => {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes('INSERT INTO ledger_journal_entries')) {
+        return { rows: [{ id: 'journal-1', entry_type: params[0] }] };
+      }
+      if (sql.includes('FROM ledger_accounts')) {
+        const [type, ...rest] = params[0].split(':');
+        return { rows: [{ id: params[0], account_code: params[0], account_type: type, user_id: type === 'user' ? rest[0] : null }] };
+      }
+      if (sql.includes('INSERT INTO ledger_postings')) {
+        return { rows: [{ journal_id: params[0], account_id: params[1], currency: params[2], amount: params[3] }] };
+      }
+      if (sql.includes('UPDATE user_balances')) {
+        return { rows: insufficient && parseFloat(params[2]) < 0 ? [] : [{ balance: '0', available_balance: '0' }] };
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+describe('ledgerService amounts', () => {
+  it('converts amounts to exact ledger units and back', () => {
+    assert.equal(ledgerService.toUnits(1.5), 150000000n);
+    assert.equal(ledgerService.toUnits(-0.00000001), -1n);
+    assert.equal(ledgerService.toUnits(0.1) + ledgerService.toUnits(0.2), ledgerService.toUnits(0.3));
+    assert.equal(ledgerService.fromUnits(-150000001n), '-1.50000001');
+    assert.equal(ledgerService.roundAmount(0.123456789), 0.12345679);
+  });
+
+  it('rejects amounts that are not numbers', () => {
+    assert.throws(() => ledgerService.toUnits('abc'), /Invalid ledger amount/);
+  });
+});
+
+describe('ledgerService.postJournal', () => {
+  const entry = (postings, extra = {}) => ({ entryType: 'buy_gold', postings, ...extra });
+
+  it('posts a balanced entry and updates the user projection', async () => {
+    const client = fakeClient();
+    const journal = await ledgerService.postJournal(entry([
+      { account: 'user', userId: 'u1', currency: 'btc', amount: -0.5 },
+      { account: 'treasury', currency: 'BTC', amount: 0.4 },
+      { account: 'fee', currency: 'BTC', amount: 0.1 }
+    ]), client);
+
+    assert.equal(journal.id, 'journal-1');
+    assert.deepEqual(journal.postings.map(posting => [posting.account_code, posting.amount]), [
+      ['user:u1:BTC', '-0.50000000'],
+      ['treasury:BTC', '0.40000000'],
+      ['fee:BTC', '0.10000000']
+    ]);
+    const projections = client.queries.filter(({ sql }) => sql.includes('UPDATE user_balances'));
+    assert.equal(projections.length, 1);
+    assert.deepEqual(projections[0].params.slice(0, 3), ['u1', 'BTC', '-0.50000000']);
+  });
+
+  it('balances each currency separately', async () => {
+    await assert.rejects(
+      ledgerService.postJournal(entry([
+        { account: 'user', userId: 'u1', currency: 'BTC', amount: -1 },
+        { account: 'treasury', currency: 'ETH', amount: 1 }
+      ]), fakeClient()),
+      /Unbalanced journal entry: BTC postings net to -1\.00000000/
+    );
+  });
+
+  it('does not let floating point error unbalance an entry', async () => {
+    await ledgerService.postJournal(entry([
+      { account: 'user', userId: 'u1', currency: 'USDT', amount: 0.3 },
+      { account: 'treasury', currency: 'USDT', amount: -0.1 },
+      { account: 'pool', currency: 'USDT', amount: -0.2 }
+    ]), fakeClient());
+  });
+
+  it('rejects malformed entries before writing anything', async () => {
+    const client = fakeClient();
+    await assert.rejects(ledgerService.postJournal({ postings: [] }, client), /type is required/);
+    await assert.rejects(ledgerService.postJournal(entry([{ account: 'pool', currency: 'BTC', amount: 1 }]), client), /at least two postings/);
+    await assert.rejects(ledgerService.postJournal(entry([
+      { account: 'pool', currency: 'BTC', amount: 0 },
+      { account: 'treasury', currency: 'BTC', amount: 0 }
+    ]), client), /must be non-zero/);
+    await assert.rejects(ledgerService.postJournal(entry([
+      { account: 'pool', amount: 1 },
+      { account: 'treasury', currency: 'BTC', amount: -1 }
+    ]), client), /currency is required/);
+    assert.equal(client.queries.length, 0);
+  });
+
+  it('refuses to take a user balance below zero', async () => {
+    await assert.rejects(
+      ledgerService.postJournal(entry([
+        { account: 'user', userId: 'u1', currency: 'BTC', amount: -1 },
+        { account: 'treasury', currency: 'BTC', amount: 1 }
+      ]), fakeClient({ insufficient: true })),
+      /Insufficient BTC balance/
+    );
+  });
+
+  it('needs a user id for user accounts', () => {
+    assert.throws(() => ledgerService.accountCode('user', 'BTC'), /require a userId/);
+    assert.throws(() => ledgerService.accountCode('nonsense', 'BTC'), /Unknown ledger account type/);
+  });
+});
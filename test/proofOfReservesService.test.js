@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Liabilities in, snapshot and leaves out: a pg client that answers the snapshot queries from memory
+const db = {
+  balances: [
+    { user_id: 'u1', currency: 'BTC', balance: '1.5' },
+    { user_id: 'u2', currency: 'BTC', balance: '0.25' },
+    { user_id: 'u3', currency: 'BTC', balance: '2' },
+    { user_id: 'u4', currency: 'BTC', balance: '-0.5' },
+    { user_id: 'u5', currency: 'BTC', balance: '0.00000001' }
+  ],
+  gold: [{ user_id: 'u1', grams: '10' }],
+  snapshots: [],
+  leaves: []
+};
+
+const fakeClient = {
+  async query(sql, params = []) {
+    if (sql.includes('FROM user_balances')) {
+      return { rows: db.balances };
+    }
+    if (sql.includes('FROM gold_holdings')) {
+      return { rows: db.gold };
+    }
+    if (sql.includes('INSERT INTO reserves_snapshots')) {
+      const snapshot = { id: `s${db.snapshots.length + 1}`, assets: {}, created_at: new Date() };
+      db.snapshots.push(snapshot);
+      return { rows: [snapshot] };
+    }
+    if (sql.includes('UPDATE reserves_snapshots SET assets')) {
+      const snapshot = db.snapshots.find(candidate => candidate.id === params[0]);
+      snapshot.assets = JSON.parse(params[1]);
+      return { rows: [snapshot] };
+    }
+    if (sql.includes('INSERT INTO reserves_snapshot_leaves')) {
+      const [snapshotId, asset, leafIndex, userId, nonce, amountUnits] = params;
+      db.leaves.push({ snapshot_id: snapshotId, asset, leaf_index: leafIndex, user_id: userId, nonce, amount_units: amountUnits });
+      return { rows: [] };
+    }
+    if (sql.includes('FROM reserves_snapshots ORDER BY created_at DESC LIMIT 1')) {
+      return { rows: db.snapshots.slice(-1) };
+    }
+    if (sql.includes('FROM reserves_snapshot_leaves') && sql.includes('user_id = $2')) {
+      return { rows: db.leaves.filter(leaf => leaf.snapshot_id === params[0] && leaf.user_id === params[1]) };
+    }
+    if (sql.includes('FROM reserves_snapshot_leaves') && sql.includes('asset = $2')) {
+      return { rows: db.leaves.filter(leaf => leaf.snapshot_id === params[0] && leaf.asset === params[1]).sort((a, b) => a.leaf_index - b.leaf_index) };
+    }
+    return { rows: [] };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: (sql, params) => fakeClient.query(sql, params), transaction: fn => fn(fakeClient) }
+};
+
+const proofOfReservesService = require('../services/proofOfReservesService');
+const poolWalletService = require('../services/poolWalletService');
+const treasuryService = require('../services/treasuryService');
+
+poolWalletService.initializePoolWallets = async () => {};
+poolWalletService.getPoolAddresses = () => ({ BTC: 'bc1-pool' });
+poolWalletService.getNetworkPoolAddresses = () => ({});
+treasuryService.getColdBalances = async () => ({});
+
+const verifier = path.join(__dirname, '../scripts/verify-reserves-proof.js');
+
+describe('proofOfReservesService Merkle sum tree', () => {
+  it('commits to the sum of its leaves, padding odd levels', () => {
+    const leaves = [5n, 7n, 11n].map((units, index) => ({ hash: proofOfReservesService.leafHash('BTC', `user-${index}`, units), sum: units }));
+    const levels = proofOfReservesService.buildTree(leaves);
+    const root = levels[levels.length - 1][0];
+
+    assert.equal(levels.length, 3);
+    assert.equal(root.sum, 23n);
+    assert.equal(levels[1][1].hash, proofOfReservesService.parentNode(leaves[2], proofOfReservesService.emptyNode).hash);
+
+    // Walking the last leaf's path reproduces the root
+    let node = leaves[2];
+    for (const step of proofOfReservesService.buildProofPath(levels, 2)) {
+      const sibling = { hash: step.hash, sum: BigInt(step.sum) };
+      node = step.position === 'left' ? proofOfReservesService.parentNode(sibling, node) : proofOfReservesService.parentNode(node, sibling);
+    }
+    assert.deepEqual(node, root);
+  });
+
+  it('has an empty root when nobody holds the asset', () => {
+    const levels = proofOfReservesService.buildTree([]);
+    assert.deepEqual(levels[0][0], proofOfReservesService.emptyNode);
+  });
+});
+
+describe('proofOfReservesService snapshots', () => {
+  let snapshot;
+  let dir;
+
+  before(async () => {
+    snapshot = await proofOfReservesService.generateSnapshot('admin');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserves-proof-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Run the offline verifier on a proof (and the published snapshot)
+  const verify = (proof) => {
+    const proofFile = path.join(dir, 'proof.json');
+    const publishedFile = path.join(dir, 'published.json');
+    fs.writeFileSync(proofFile, JSON.stringify(proof));
+    fs.writeFileSync(publishedFile, JSON.stringify({ snapshotId: snapshot.id, assets: snapshot.assets }));
+    return spawnSync(process.execPath, [verifier, proofFile, publishedFile], { encoding: 'utf8' });
+  };
+
+  it('leaves negative balances out of the liabilities', () => {
+    const btc = snapshot.assets.BTC;
+    assert.equal(btc.leafCount, 4);
+    assert.equal(btc.excludedNegative, 1);
+    assert.equal(btc.total, '3.75000001');
+    assert.equal(snapshot.assets.GOLD.total, '10.00000000');
+    assert.equal(db.leaves.some(leaf => leaf.user_id === 'u4'), false);
+  });
+
+  it('gives a user with a negative balance no proof for it', async () => {
+    const proof = await proofOfReservesService.getUserProof('u4');
+    assert.deepEqual(proof.proofs, []);
+  });
+
+  it('builds inclusion proofs the offline verifier accepts', async () => {
+    const proof = await proofOfReservesService.getUserProof('u1');
+    assert.deepEqual(proof.proofs.map(assetProof => [assetProof.asset, assetProof.leaf.amount]).sort(), [['BTC', '1.50000000'], ['GOLD', '10.00000000']]);
+
+    const result = verify(proof);
+    assert.equal(result.status, 0, result.stdout);
+    assert.match(result.stdout, /✅ BTC: 1\.50000000 included \(total liabilities 3\.75000001\)/);
+  });
+
+  it('fails verification of a proof with an altered balance', async () => {
+    const proof = await proofOfReservesService.getUserProof('u2');
+    const [btc] = proof.proofs;
+    btc.leaf.amountUnits = '100000000';
+    delete btc.leaf.hash;
+
+    const result = verify(proof);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /❌ BTC: computed root .* does not match/);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const secretEncryptionService = require('../services/secretEncryptionService');
+
+const originalEnv = {
+  WALLET_ENCRYPTION_KEYS: process.env.WALLET_ENCRYPTION_KEYS,
+  WALLET_ENCRYPTION_KEY_ID: process.env.WALLET_ENCRYPTION_KEY_ID,
+  WALLET_ENCRYPTION_KEY: process.env.WALLET_ENCRYPTION_KEY
+};
+
+// Reload the keyring from `keys` (and the current key id, if given)
+const useKeys = (keys, currentKeyId) => {
+  process.env.WALLET_ENCRYPTION_KEYS = keys;
+  if (currentKeyId) {
+    process.env.WALLET_ENCRYPTION_KEY_ID = currentKeyId;
+  } else {
+    delete process.env.WALLET_ENCRYPTION_KEY_ID;
+  }
+  secretEncryptionService.keyring = null;
+  secretEncryptionService.loadKeyring();
+};
+
+describe('secretEncryptionService', () => {
+  beforeEach(() => useKeys(`1:first-secret,2:${'ab'.repeat(32)}`));
+
+  after(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    secretEncryptionService.keyring = null;
+  });
+
+  it('round-trips a secret through an enc1 envelope', () => {
+    const stored = secretEncryptionService.encrypt('0xprivate-key');
+    assert.match(stored, /^enc1:1:[A-Za-z0-9+/]+=*$/);
+    assert.equal(secretEncryptionService.keyIdOf(stored), '1');
+    assert.equal(secretEncryptionService.decrypt(stored), '0xprivate-key');
+  });
+
+  it('uses a fresh data key and IV for every secret', () => {
+    assert.notEqual(secretEncryptionService.encrypt('same'), secretEncryptionService.encrypt('same'));
+  });
+
+  it('opens secrets sealed with an older key after rotation', () => {
+    const stored = secretEncryptionService.encrypt('rotated');
+    useKeys(`1:first-secret,2:${'ab'.repeat(32)}`, '2');
+    assert.equal(secretEncryptionService.decrypt(stored), 'rotated');
+
+    const reencrypted = secretEncryptionService.reencrypt(stored);
+    assert.equal(secretEncryptionService.keyIdOf(reencrypted), '2');
+    assert.equal(secretEncryptionService.decrypt(reencrypted), 'rotated');
+    assert.equal(secretEncryptionService.reencrypt(reencrypted), reencrypted);
+  });
+
+  it('refuses tampered envelopes', () => {
+    const stored = secretEncryptionService.encrypt('secret');
+    const [prefix, keyId, body] = stored.split(':');
+    const blob = Buffer.from(body, 'base64');
+    blob[blob.length - 1] ^= 1;
+    assert.throws(() => secretEncryptionService.decrypt(`${prefix}:${keyId}:${blob.toString('base64')}`));
+    assert.throws(() => secretEncryptionService.decrypt('enc1:1:AAAA'), /not in a recognised format/);
+  });
+
+  it('refuses envelopes sealed with a key that is not configured', () => {
+    const stored = secretEncryptionService.encrypt('secret');
+    useKeys('3:another-secret');
+    assert.throws(() => secretEncryptionService.decrypt(stored), /Encryption key 1 is not configured/);
+  });
+
+  it('reads and migrates legacy iv:hex secrets', () => {
+    process.env.WALLET_ENCRYPTION_KEY = 'legacy-secret';
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', crypto.scryptSync('legacy-secret', 'salt', 32), iv);
+    const legacy = `${iv.toString('hex')}:${Buffer.concat([cipher.update('old-key'), cipher.final()]).toString('hex')}`;
+
+    assert.equal(secretEncryptionService.keyIdOf(legacy), 'legacy');
+    assert.equal(secretEncryptionService.decrypt(legacy), 'old-key');
+    const migrated = secretEncryptionService.reencrypt(legacy);
+    assert.equal(secretEncryptionService.keyIdOf(migrated), '1');
+    assert.equal(secretEncryptionService.decrypt(migrated), 'old-key');
+  });
+
+  it('rejects malformed keyrings', () => {
+    assert.throws(() => useKeys('no-separator'), /must be id:secret/);
+    assert.throws(() => useKeys('1:a,1:b'), /lists key 1 twice/);
+    assert.throws(() => useKeys('1:a', '9'), /WALLET_ENCRYPTION_KEY_ID 9 is not in/);
+  });
+});
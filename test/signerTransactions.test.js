@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const EthAdapter = require('../services/chainAdapters/EthAdapter');
+const { prepareEvm } = require('../signer/transactions');
+
+const signingKey = new ethers.SigningKey(ethers.id('signer test key'));
+const keyStore = { requireEvm: () => signingKey };
+const recipient = ethers.computeAddress(new ethers.SigningKey(ethers.id('recipient')).publicKey);
+
+const unsignedTransfer = (fields = {}) => ethers.Transaction.from({
+  type: 2,
+  chainId: 1,
+  to: recipient,
+  value: ethers.parseEther('0.5'),
+  nonce: 7,
+  gasLimit: 21000n,
+  maxFeePerGas: ethers.parseUnits('20', 'gwei'),
+  maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+  ...fields
+}).unsignedSerialized;
+
+describe('signer prepareEvm', () => {
+  const adapter = new EthAdapter({ provider: null, chainId: 1 });
+
+  it('decodes a native transfer on the adapter chain', () => {
+    const { spend, sign } = prepareEvm(adapter, keyStore, { unsignedTx: unsignedTransfer() });
+    const from = ethers.computeAddress(signingKey.publicKey).toLowerCase();
+    assert.equal(spend.key, `evm:1:${from}:7`);
+    assert.equal(spend.amount, 0.5);
+    assert.deepEqual(spend.destinations, [{ address: recipient, amount: 0.5 }]);
+    assert.equal(ethers.Transaction.from(sign().signedTx).from, ethers.computeAddress(signingKey.publicKey));
+  });
+
+  it('refuses a transaction for another chain', () => {
+    assert.throws(
+      () => prepareEvm(adapter, keyStore, { unsignedTx: unsignedTransfer({ chainId: 11155111 }) }),
+      /Transaction is for chain 11155111, but ethereum is chain 1/
+    );
+  });
+
+  it('refuses to sign when the adapter has no chain id configured', () => {
+    assert.throws(
+      () => prepareEvm(new EthAdapter({ provider: null }), keyStore, { unsignedTx: unsignedTransfer() }),
+      /No chain id is configured for ethereum/
+    );
+  });
+});
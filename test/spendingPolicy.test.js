@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const spendingPolicy = require('../signer/spendingPolicy');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spending-policy-'));
+
+const loadPolicy = (policy) => {
+  process.env.SIGNER_POLICY = JSON.stringify(policy);
+  return spendingPolicy.load();
+};
+
+describe('spendingPolicy', () => {
+  beforeEach(() => {
+    delete process.env.SIGNER_POLICY_FILE;
+    spendingPolicy.stateFile = path.join(stateDir, `${Date.now()}-${Math.random()}.jsonl`);
+    loadPolicy({
+      btc: { maxPerTransaction: 1, maxPerDay: 2, maxNetworkFee: { bitcoin: 0.001 } },
+      USDT: { maxPerTransaction: 1000, maxPerDay: 1500 }
+    });
+  });
+
+  after(() => {
+    delete process.env.SIGNER_POLICY;
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  const spend = (overrides = {}) => ({ key: 'k1', currency: 'BTC', network: 'bitcoin', amount: 0.5, fee: 0.0001, ...overrides });
+
+  it('allows spends within the policy', () => {
+    spendingPolicy.authorize(spend());
+  });
+
+  it('refuses currencies without a policy', () => {
+    assert.throws(() => spendingPolicy.authorize(spend({ currency: 'ETH' })), /no spending policy for ETH/);
+  });
+
+  it('enforces the per-transaction limit', () => {
+    assert.throws(() => spendingPolicy.authorize(spend({ amount: 1.01 })), /per-transaction limit of 1/);
+  });
+
+  it('enforces the network fee limit only where one is set', () => {
+    assert.throws(() => spendingPolicy.authorize(spend({ fee: 0.002 })), /network fee 0\.002 exceeds/);
+    spendingPolicy.authorize(spend({ currency: 'USDT', network: 'tron', amount: 10, fee: 500 }));
+  });
+
+  it('counts logged spends against the daily limit', () => {
+    spendingPolicy.record(spend({ key: 'a', amount: 1 }));
+    spendingPolicy.record(spend({ key: 'b', amount: 0.75 }));
+    assert.equal(spendingPolicy.spentToday('BTC'), 1.75);
+    spendingPolicy.authorize(spend({ key: 'c', amount: 0.25 }));
+    assert.throws(() => spendingPolicy.authorize(spend({ key: 'c', amount: 0.5 })), /daily limit of 2 \(1\.75 spent\)/);
+  });
+
+  it('does not count a re-signed spend twice', () => {
+    spendingPolicy.record(spend({ key: 'a', amount: 1 }));
+    spendingPolicy.authorize(spend({ key: 'a', amount: 1 }));
+    spendingPolicy.record(spend({ key: 'a', amount: 0.8 }));
+    assert.equal(spendingPolicy.spentToday('BTC'), 1);
+  });
+
+  it('forgets spends older than a day', () => {
+    spendingPolicy.record(spend({ key: 'a', amount: 1 }));
+    spendingPolicy.spends.get('a').at = Date.now() - 25 * 60 * 60 * 1000;
+    assert.equal(spendingPolicy.spentToday('BTC'), 0);
+  });
+
+  it('keeps the spend log across restarts', () => {
+    spendingPolicy.record(spend({ key: 'a', amount: 1.5 }));
+    spendingPolicy.load();
+    assert.equal(spendingPolicy.spentToday('BTC'), 1.5);
+  });
+
+  it('rejects policies without limits', () => {
+    assert.throws(() => loadPolicy({ BTC: { maxPerTransaction: 1 } }), /maxPerDay must be a non-negative number/);
+    delete process.env.SIGNER_POLICY;
+    assert.throws(() => spendingPolicy.load(), /No spending policy configured/);
+  });
+});
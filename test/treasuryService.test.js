@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory treasury_top_ups behind a pg client that answers the top-up queries
+const topUps = new Map();
+
+const fakeClient = {
+  async query(sql, params = []) {
+    if (sql.startsWith('SELECT * FROM treasury_top_ups WHERE id = $1')) {
+      const row = topUps.get(params[0]);
+      return { rows: row ? [{ ...row }] : [] };
+    }
+    if (sql.includes('SET approvals = $1, required_approvals = $2, amount_usd = $3')) {
+      const row = topUps.get(params[3]);
+      Object.assign(row, { approvals: JSON.parse(params[0]), required_approvals: params[1], amount_usd: params[2] });
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('UPDATE treasury_top_ups')) {
+      // Every status change names the status it moves to and, if guarded, the one it moves from
+      const to = sql.match(/SET status = '(\w+)'/)[1];
+      const from = sql.match(/AND status = '(\w+)'/)?.[1];
+      const id = params[params.length - 1];
+      const row = topUps.get(id);
+      if (!row || (from && row.status !== from)) return { rows: [] };
+      row.status = to;
+      if (to === 'broadcasting') Object.assign(row, { transaction_hash: params[0], submitted_by: params[1] });
+      if (to === 'approved' && from === 'broadcasting') Object.assign(row, { transaction_hash: null, error_message: params[0] });
+      if (to === 'broadcast') row.transaction_hash = params[0];
+      return { rows: [{ ...row }] };
+    }
+    return { rows: [] };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: (sql, params) => fakeClient.query(sql, params), transaction: fn => fn(fakeClient) }
+};
+
+const chainAdapters = require('../services/chainAdapters');
+const FakeChainAdapter = require('../services/chainAdapters/FakeChainAdapter');
+const treasuryService = require('../services/treasuryService');
+const withdrawalApprovalService = require('../services/withdrawalApprovalService');
+const broadcastTrackerService = require('../services/broadcastTrackerService');
+const notificationService = require('../services/notificationService');
+const auditLogService = require('../services/auditLogService');
+
+const adapter = new FakeChainAdapter({ currency: 'FAKE' });
+chainAdapters.register(adapter);
+
+const signed = (amount = 5) => JSON.stringify({ fromAddress: 'cold', outputs: [{ toAddress: 'hot', amount }] });
+
+const addTopUp = (fields = {}) => {
+  const topUp = {
+    id: `t${topUps.size + 1}`,
+    currency: 'FAKE',
+    network: 'fake',
+    amount: '5',
+    from_address: 'cold',
+    to_address: 'hot',
+    status: 'pending',
+    requested_by: null,
+    approvals: [],
+    required_approvals: null,
+    amount_usd: null,
+    ...fields
+  };
+  topUps.set(topUp.id, topUp);
+  return topUp;
+};
+
+describe('treasuryService top-ups', () => {
+  beforeEach(() => {
+    topUps.clear();
+    adapter.reset();
+    adapter.credit('cold', 100);
+    withdrawalApprovalService.clearCache();
+    withdrawalApprovalService.getUsdValue = async () => 50;
+    broadcastTrackerService.track = async () => null;
+    notificationService.notifyAdmins = () => {};
+    auditLogService.log = async () => null;
+  });
+
+  it('needs a second admin before the signed transaction is taken', async () => {
+    const topUp = addTopUp();
+
+    const first = await treasuryService.approveTopUp(topUp.id, 'admin-1');
+    assert.equal(first.approval.policyMet, false);
+    assert.equal(first.approval.requiredApprovals, 2);
+    await assert.rejects(treasuryService.submitSignedTransaction(topUp.id, 'admin-1', signed()), /Top-up is pending/);
+    await assert.rejects(treasuryService.approveTopUp(topUp.id, 'admin-1'), /already approved/);
+
+    const second = await treasuryService.approveTopUp(topUp.id, 'admin-2');
+    assert.equal(second.approval.policyMet, true);
+    assert.equal(topUps.get(topUp.id).status, 'approved');
+
+    const broadcast = await treasuryService.submitSignedTransaction(topUp.id, 'admin-2', signed());
+    assert.equal(broadcast.status, 'broadcast');
+    assert.equal(await adapter.getBalance('hot'), 5);
+  });
+
+  it('does not let the requester approve their own top-up', async () => {
+    const topUp = addTopUp({ requested_by: 'admin-1' });
+    await assert.rejects(treasuryService.approveTopUp(topUp.id, 'admin-1'), /requester of a withdrawal cannot approve it/);
+  });
+
+  it('claims the top-up before broadcasting, so it cannot be submitted twice', async () => {
+    const topUp = addTopUp({ status: 'approved' });
+    const broadcastSigned = adapter.broadcastSigned.bind(adapter);
+    let broadcasts = 0;
+    adapter.broadcastSigned = async (inspected) => {
+      broadcasts++;
+      assert.equal(topUps.get(topUp.id).status, 'broadcasting');
+      await assert.rejects(
+        treasuryService.submitSignedTransaction(topUp.id, 'admin-2', signed()),
+        /Top-up is broadcasting; only approved top-ups take a signed transaction/
+      );
+      return broadcastSigned(inspected);
+    };
+
+    try {
+      const broadcast = await treasuryService.submitSignedTransaction(topUp.id, 'admin-1', signed());
+      assert.equal(broadcasts, 1);
+      assert.equal(broadcast.status, 'broadcast');
+      assert.equal(await adapter.getBalance('hot'), 5);
+    } finally {
+      delete adapter.broadcastSigned;
+    }
+  });
+
+  it('returns the top-up to approved when the broadcast is refused', async () => {
+    const topUp = addTopUp({ status: 'approved' });
+    adapter.credit('cold', -100);
+
+    await assert.rejects(treasuryService.submitSignedTransaction(topUp.id, 'admin-1', signed()), /Broadcast failed: Insufficient fake FAKE balance/);
+    assert.equal(topUps.get(topUp.id).status, 'approved');
+    assert.equal(topUps.get(topUp.id).transaction_hash, null);
+  });
+
+  it('refuses a signed transaction that does not pay the hot wallet in full', async () => {
+    const topUp = addTopUp({ status: 'approved' });
+    await assert.rejects(treasuryService.submitSignedTransaction(topUp.id, 'admin-1', signed(4)), /pays the hot wallet 4 FAKE, less than the approved 5/);
+    await assert.rejects(
+      treasuryService.submitSignedTransaction(topUp.id, 'admin-1', JSON.stringify({ fromAddress: 'cold', outputs: [{ toAddress: 'elsewhere', amount: 5 }] })),
+      /pays elsewhere, which is neither the hot wallet nor cold storage/
+    );
+    assert.equal(topUps.get(topUp.id).status, 'approved');
+  });
+});
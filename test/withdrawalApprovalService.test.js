@@ -0,0 +1,70 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const withdrawalApprovalService = require('../services/withdrawalApprovalService');
+
+// Use `policy` instead of reading the platform setting
+const usePolicy = (policy) => {
+  withdrawalApprovalService.cachedPolicy = withdrawalApprovalService.validatePolicy(policy);
+  withdrawalApprovalService.cachedAt = Date.now();
+};
+
+describe('withdrawalApprovalService.validatePolicy', () => {
+  it('sorts tiers by their USD threshold', () => {
+    const { tiers } = withdrawalApprovalService.validatePolicy({
+      tiers: [{ minUsd: 50000, approvals: 3 }, { approvals: 1 }, { minUsd: '10000', approvals: '2' }]
+    });
+    assert.deepEqual(tiers, [
+      { minUsd: 0, approvals: 1 },
+      { minUsd: 10000, approvals: 2 },
+      { minUsd: 50000, approvals: 3 }
+    ]);
+  });
+
+  it('accepts the policy as JSON', () => {
+    assert.deepEqual(
+      withdrawalApprovalService.validatePolicy('{"tiers":[{"minUsd":0,"approvals":2}]}'),
+      { tiers: [{ minUsd: 0, approvals: 2 }] }
+    );
+  });
+
+  it('rejects unusable policies', () => {
+    assert.throws(() => withdrawalApprovalService.validatePolicy('{'), /valid JSON/);
+    assert.throws(() => withdrawalApprovalService.validatePolicy({ tiers: [] }), /non-empty "tiers"/);
+    assert.throws(() => withdrawalApprovalService.validatePolicy({ tiers: [{ minUsd: -1, approvals: 1 }] }), /minUsd/);
+    assert.throws(() => withdrawalApprovalService.validatePolicy({ tiers: [{ minUsd: 0, approvals: 0 }] }), /at least 1/);
+    assert.throws(() => withdrawalApprovalService.validatePolicy({ tiers: [{ minUsd: 0, approvals: 'two' }] }), /whole number/);
+  });
+});
+
+describe('withdrawalApprovalService.getRequiredApprovals', () => {
+  beforeEach(() => {
+    usePolicy({ tiers: [{ minUsd: 0, approvals: 1 }, { minUsd: 10000, approvals: 2 }, { minUsd: 100000, approvals: 3 }] });
+  });
+
+  it('uses the highest tier the value reaches', async () => {
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(0), 1);
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(9999.99), 1);
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(10000), 2);
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(250000), 3);
+  });
+
+  it('uses the strictest tier when the value is unknown', async () => {
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(null), 3);
+  });
+
+  it('uses the lowest tier below its threshold', async () => {
+    usePolicy({ tiers: [{ minUsd: 500, approvals: 2 }] });
+    assert.equal(await withdrawalApprovalService.getRequiredApprovals(100), 2);
+  });
+});
+
+describe('withdrawalApprovalService.countApprovals', () => {
+  it('counts each admin once and never the requester', () => {
+    const withdrawal = {
+      user_id: 'requester',
+      approvals: [{ adminId: 'a1' }, { adminId: 'a1' }, { adminId: 'requester' }, { adminId: 'a2' }]
+    };
+    assert.equal(withdrawalApprovalService.countApprovals(withdrawal, 'user_id'), 2);
+    assert.equal(withdrawalApprovalService.countApprovals({ requested_by: 'x' }, 'requested_by'), 0);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory queued withdrawals and batches behind a pg client that answers the batch queries
+const db = { withdrawals: new Map(), batches: new Map() };
+
+const fakeClient = {
+  async query(sql, params = []) {
+    if (sql.includes('FROM withdrawal_requests') && sql.includes('batch_queued_at IS NOT NULL')) {
+      // Rows another batch run holds locked are skipped, not waited for
+      const rows = [...db.withdrawals.values()]
+        .filter(row => row.status === 'approved' && row.batch_queued_at && !row.batch_id && row.currency === params[0])
+        .filter(row => !(row.locked && sql.includes('SKIP LOCKED')))
+        .sort((a, b) => a.batch_queued_at - b.batch_queued_at)
+        .slice(0, params[3]);
+      return { rows: rows.map(row => ({ ...row })) };
+    }
+    if (sql.includes('INSERT INTO withdrawal_batches')) {
+      const batch = { id: `b${db.batches.size + 1}`, currency: params[0], network: params[1], status: 'sending', withdrawal_count: params[2], total_amount: params[3] };
+      db.batches.set(batch.id, batch);
+      return { rows: [{ ...batch }] };
+    }
+    if (sql.includes('SET batch_id = $1 WHERE id = ANY')) {
+      params[1].forEach(id => { db.withdrawals.get(id).batch_id = params[0]; });
+      return { rows: [] };
+    }
+    if (sql.includes('SET batch_id = NULL WHERE batch_id = $1')) {
+      [...db.withdrawals.values()].filter(row => row.batch_id === params[0]).forEach(row => { row.batch_id = null; });
+      return { rows: [] };
+    }
+    if (sql.includes('SET awaiting_liquidity_since = NOW()')) {
+      const rows = params[0].map(id => db.withdrawals.get(id)).filter(row => row.status === 'approved' && !row.awaiting_liquidity_since);
+      rows.forEach(row => { row.awaiting_liquidity_since = new Date(); });
+      return { rows: rows.map(row => ({ ...row })) };
+    }
+    if (sql.includes('UPDATE withdrawal_batches')) {
+      const batch = db.batches.get(params[7]);
+      Object.assign(batch, { status: params[0], method: params[1], error_message: params[6] });
+      return { rows: [{ ...batch }] };
+    }
+    return { rows: [] };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: (sql, params) => fakeClient.query(sql, params), transaction: fn => fn(fakeClient) }
+};
+
+const chainAdapters = require('../services/chainAdapters');
+const FakeChainAdapter = require('../services/chainAdapters/FakeChainAdapter');
+const withdrawalBatchService = require('../services/withdrawalBatchService');
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const withdrawalApprovalService = require('../services/withdrawalApprovalService');
+const balanceHoldService = require('../services/balanceHoldService');
+const poolWalletService = require('../services/poolWalletService');
+const treasuryService = require('../services/treasuryService');
+const notificationService = require('../services/notificationService');
+
+const adapter = new FakeChainAdapter({ currency: 'FAKE' });
+chainAdapters.register(adapter);
+
+const queue = (amount, fields = {}) => {
+  const withdrawal = {
+    id: `w${db.withdrawals.size + 1}`,
+    currency: 'FAKE',
+    network: 'fake',
+    amount: String(amount),
+    net_amount: String(amount),
+    destination_address: `payee-${db.withdrawals.size + 1}`,
+    status: 'approved',
+    batch_queued_at: db.withdrawals.size + 1,
+    batch_id: null,
+    awaiting_liquidity_since: null,
+    ...fields
+  };
+  db.withdrawals.set(withdrawal.id, withdrawal);
+  return withdrawal;
+};
+
+describe('withdrawalBatchService.runBatch', () => {
+  let sent;
+
+  // One transaction that pays every output
+  const sendAll = async (currency, network, outputs) => {
+    sent.push(...outputs.map(output => output.referenceId));
+    return { method: 'fake', transactions: [{ txHash: '0xbatch', fee: 0.001, outputs: outputs.map((output, index) => index) }], failures: [] };
+  };
+
+  beforeEach(() => {
+    db.withdrawals.clear();
+    db.batches.clear();
+    adapter.reset();
+    sent = [];
+    poolWalletService.getPoolAddresses = () => ({ FAKE: 'pool' });
+    poolWalletService.sendBatchFromPool = sendAll;
+    balanceHoldService.findHold = async () => ({ status: 'active' });
+    withdrawalApprovalService.assertApproved = async () => true;
+    withdrawalPipelineService.markBroadcast = async (withdrawal, txHash) => {
+      Object.assign(db.withdrawals.get(withdrawal.id), { status: 'broadcast', transaction_hash: txHash });
+    };
+    treasuryService.rebalance = async () => null;
+    notificationService.notifyAdmins = () => {};
+  });
+
+  it('pays the oldest withdrawals the hot wallet covers and leaves the rest waiting', async () => {
+    adapter.credit('pool', 3);
+    const first = queue(2);
+    const second = queue(2);
+
+    const batch = await withdrawalBatchService.runBatch(adapter);
+    assert.equal(batch.status, 'completed');
+    assert.deepEqual(sent, [first.id]);
+    assert.equal(db.withdrawals.get(first.id).status, 'broadcast');
+
+    const waiting = db.withdrawals.get(second.id);
+    assert.equal(waiting.status, 'approved');
+    assert.equal(waiting.batch_id, null);
+    assert.ok(waiting.awaiting_liquidity_since);
+  });
+
+  it('skips withdrawals another batch run has locked', async () => {
+    adapter.credit('pool', 10);
+    const locked = queue(1, { locked: true });
+    const free = queue(1);
+
+    await withdrawalBatchService.runBatch(adapter);
+    assert.deepEqual(sent, [free.id]);
+    assert.equal(db.withdrawals.get(locked.id).batch_id, null);
+    assert.equal(db.withdrawals.get(locked.id).status, 'approved');
+  });
+
+  it('sends the claimed withdrawals back to approved when the pool runs short at send time', async () => {
+    adapter.credit('pool', 10);
+    const withdrawals = [queue(2), queue(3)];
+    poolWalletService.sendBatchFromPool = async () => {
+      throw new Error('Insufficient pool balance on fake. Available: 1 FAKE, Requested: 5 FAKE');
+    };
+
+    const batch = await withdrawalBatchService.runBatch(adapter);
+    assert.equal(batch.status, 'failed');
+    for (const { id } of withdrawals) {
+      const withdrawal = db.withdrawals.get(id);
+      assert.equal(withdrawal.status, 'approved');
+      assert.equal(withdrawal.batch_id, null);
+      assert.ok(withdrawal.awaiting_liquidity_since);
+    }
+
+    // They are claimed again by the next run once the hot wallet is topped up
+    poolWalletService.sendBatchFromPool = sendAll;
+    assert.equal((await withdrawalBatchService.runBatch(adapter)).status, 'completed');
+    assert.deepEqual(sent, withdrawals.map(withdrawal => withdrawal.id));
+  });
+
+  it('does nothing when the hot wallet covers none of the queue', async () => {
+    const withdrawal = queue(1);
+    assert.equal(await withdrawalBatchService.runBatch(adapter), null);
+    assert.equal(db.batches.size, 0);
+    assert.ok(db.withdrawals.get(withdrawal.id).awaiting_liquidity_since);
+  });
+});
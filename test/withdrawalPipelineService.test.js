@@ -0,0 +1,202 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Legal moves as the withdrawal_requests trigger allows them
+const schema = fs.readFileSync(path.join(__dirname, '../database/init-production.sql'), 'utf8');
+const trigger = schema.slice(schema.indexOf('CREATE FUNCTION enforce_withdrawal_transition()'));
+const triggerMoves = {};
+for (const match of trigger.slice(0, trigger.indexOf('RAISE EXCEPTION')).matchAll(/OLD\.status = '(\w+)' AND NEW\.status (?:IN )?\(?([^)\n]*)\)/g)) {
+  triggerMoves[match[1]] = match[2].split(',').map(status => status.trim().replace(/^= /, '').replace(/'/g, ''));
+}
+
+// In-memory rows behind a pg client that answers the pipeline's queries
+const db = { withdrawals: new Map(), holds: [], postings: [], queries: [] };
+
+const fakeClient = {
+  async query(sql, params = []) {
+    db.queries.push(sql);
+    if (/FROM withdrawal_requests.*WHERE (wr\.)?id = \$1/s.test(sql) && sql.trim().startsWith('SELECT')) {
+      const row = db.withdrawals.get(params[0]);
+      return { rows: row ? [{ ...row }] : [] };
+    }
+    if (sql.startsWith('UPDATE withdrawal_requests SET status = $1')) {
+      const row = db.withdrawals.get(params[params.length - 1]);
+      const to = params[0];
+      // The trigger's check, as Postgres would run it
+      if (row.status !== to && !(triggerMoves[row.status] || []).includes(to)) {
+        throw new Error(`Illegal withdrawal status transition: ${row.status} -> ${to}`);
+      }
+      for (const [, column, index] of sql.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (column !== 'status' && column !== 'id') row[column] = params[index - 1];
+      }
+      row.status = to;
+      row.status_history = [...(row.status_history || []), ...JSON.parse(params[1])];
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('SET awaiting_liquidity_since = NOW()')) {
+      const rows = params[0].map(id => db.withdrawals.get(id)).filter(row => row.status === 'approved' && !row.awaiting_liquidity_since);
+      rows.forEach(row => { row.awaiting_liquidity_since = new Date(); });
+      return { rows: rows.map(row => ({ ...row })) };
+    }
+    if (sql.includes('UPDATE balance_holds')) {
+      const hold = db.holds.find(candidate => candidate.id === params[0] && candidate.status === 'active');
+      if (hold) hold.status = params[1] || 'captured';
+      return { rows: hold ? [{ ...hold }] : [] };
+    }
+    if (sql.includes('FROM balance_holds')) {
+      return { rows: db.holds.filter(hold => hold.reference_id === params[1]) };
+    }
+    if (sql.includes('INSERT INTO ledger_journal_entries')) {
+      return { rows: [{ id: 'journal-1', entry_type: params[0] }] };
+    }
+    if (sql.includes('FROM ledger_accounts')) {
+      const [type, ...rest] = params[0].split(':');
+      return { rows: [{ id: params[0], account_code: params[0], account_type: type, user_id: type === 'user' ? rest[0] : null }] };
+    }
+    if (sql.includes('INSERT INTO ledger_postings')) {
+      db.postings.push({ account: params[1], amount: params[3] });
+      return { rows: [{ account_id: params[1], amount: params[3] }] };
+    }
+    if (sql.includes('UPDATE user_balances')) {
+      return { rows: [{ balance: '0', available_balance: '0' }] };
+    }
+    return { rows: [] };
+  }
+};
+
+require.cache[require.resolve('../config/database')] = {
+  loaded: true,
+  exports: { pool: {}, query: (sql, params) => fakeClient.query(sql, params), transaction: fn => fn(fakeClient) }
+};
+
+const withdrawalPipelineService = require('../services/withdrawalPipelineService');
+const poolWalletService = require('../services/poolWalletService');
+const treasuryService = require('../services/treasuryService');
+
+const addWithdrawal = (fields = {}) => {
+  const withdrawal = {
+    id: `w${db.withdrawals.size + 1}`,
+    user_id: 'u1',
+    currency: 'BTC',
+    network: null,
+    amount: '1',
+    fee: '0.01',
+    net_amount: '0.99',
+    destination_address: 'bc1-destination',
+    status: 'approved',
+    source: null,
+    transaction_hash: null,
+    batch_id: null,
+    awaiting_liquidity_since: null,
+    ...fields
+  };
+  db.withdrawals.set(withdrawal.id, withdrawal);
+  return withdrawal;
+};
+
+describe('withdrawalPipelineService', () => {
+  beforeEach(() => {
+    db.withdrawals.clear();
+    db.holds = [];
+    db.postings = [];
+    db.queries = [];
+    poolWalletService.mode = 'hot';
+    poolWalletService.sendFromPool = async () => '0xsent';
+    treasuryService.rebalance = async () => null;
+  });
+
+  it('allows the same moves as the database trigger', () => {
+    const moves = Object.fromEntries(Object.entries(withdrawalPipelineService.transitions).filter(([, to]) => to.length > 0));
+    assert.deepEqual(triggerMoves, moves);
+  });
+
+  it('rejects an illegal transition', async () => {
+    const withdrawal = addWithdrawal({ status: 'held' });
+    await assert.rejects(
+      withdrawalPipelineService.transition(fakeClient, withdrawal.id, 'broadcast'),
+      /is held and cannot become broadcast/
+    );
+    assert.equal(db.withdrawals.get(withdrawal.id).status, 'held');
+    await assert.rejects(withdrawalPipelineService.transition(fakeClient, withdrawal.id, 'approved', { fields: { amount: 5 } }), /Unknown withdrawal field: amount/);
+  });
+
+  it('records each move in the status history', async () => {
+    const withdrawal = addWithdrawal({ status: 'held' });
+    const approved = await withdrawalPipelineService.transition(fakeClient, withdrawal.id, 'approved', { actorId: 'admin', fields: { admin_id: 'admin' } });
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.admin_id, 'admin');
+    assert.match(db.queries.at(-1), /approved_at = NOW\(\)/);
+    assert.deepEqual(approved.status_history.map(entry => [entry.from, entry.to, entry.actorId]), [['held', 'approved', 'admin']]);
+  });
+
+  it('puts the withdrawal back to approved when the pool balance is too low', async () => {
+    const withdrawal = addWithdrawal({ source: 'withdrawal_request' });
+    poolWalletService.sendFromPool = async () => {
+      throw new Error('Insufficient pool balance on bitcoin. Available: 0.1 BTC, Requested: 0.99 BTC');
+    };
+
+    const result = await withdrawalPipelineService.send(withdrawal.id, 'admin');
+    assert.equal(result.status, 'approved');
+    assert.ok(result.awaiting_liquidity_since);
+    assert.deepEqual(db.withdrawals.get(withdrawal.id).status_history.map(entry => entry.to), ['broadcasting', 'approved']);
+    assert.equal(db.postings.length, 0);
+  });
+
+  it('claims the withdrawal before sending, so it cannot be sent twice', async () => {
+    const withdrawal = addWithdrawal({ source: 'withdrawal_request' });
+    let sends = 0;
+    poolWalletService.sendFromPool = async () => {
+      sends++;
+      assert.equal(db.withdrawals.get(withdrawal.id).status, 'broadcasting');
+      await assert.rejects(withdrawalPipelineService.send(withdrawal.id, 'other-admin'), /is broadcasting; only approved/);
+      return '0xsent';
+    };
+
+    const result = await withdrawalPipelineService.send(withdrawal.id, 'admin');
+    assert.equal(sends, 1);
+    assert.equal(result.status, 'broadcast');
+    assert.equal(result.transaction_hash, '0xsent');
+  });
+
+  it('refuses to fail a withdrawal once a transaction hash exists', async () => {
+    const withdrawal = addWithdrawal({ status: 'broadcasting', transaction_hash: '0xsent', source: 'withdrawal_request' });
+    await assert.rejects(withdrawalPipelineService.fail(withdrawal.id, 'timeout'), /was broadcast \(0xsent\) and cannot fail/);
+    assert.equal(db.withdrawals.get(withdrawal.id).status, 'broadcasting');
+    assert.equal(db.postings.length, 0);
+  });
+
+  it('settles a legacy withdrawal without a hold out of suspense', async () => {
+    const withdrawal = addWithdrawal({ source: 'pool_withdrawal' });
+    await withdrawalPipelineService.settleFunds(fakeClient, withdrawal, '0xsent');
+    assert.deepEqual(db.postings, [
+      { account: 'suspense:BTC', amount: '-1.00000000' },
+      { account: 'pool:BTC', amount: '1.00000000' }
+    ]);
+  });
+
+  it('refunds a legacy withdrawal without a hold out of suspense', async () => {
+    const withdrawal = addWithdrawal({ status: 'held', source: 'withdrawal_request' });
+    await withdrawalPipelineService.reject(withdrawal.id, 'admin', 'Wrong address');
+    assert.equal(db.withdrawals.get(withdrawal.id).status, 'rejected');
+    assert.deepEqual(db.postings, [
+      { account: 'suspense:BTC', amount: '-1.00000000' },
+      { account: 'user:u1:BTC', amount: '1.00000000' }
+    ]);
+  });
+
+  it('does not refund legacy withdrawals that were never debited', async () => {
+    const withdrawal = addWithdrawal({ status: 'held', source: 'withdrawals' });
+    await withdrawalPipelineService.releaseFunds(fakeClient, withdrawal, 'Wrong address');
+    assert.equal(db.postings.length, 0);
+  });
+
+  it('releases the hold of a withdrawal that has one', async () => {
+    const withdrawal = addWithdrawal({ status: 'held', source: 'withdrawal_request' });
+    db.holds.push({ id: 'h1', reference_id: withdrawal.id, status: 'active', user_id: 'u1', currency: 'BTC', amount: '1' });
+    await withdrawalPipelineService.releaseFunds(fakeClient, withdrawal, 'Wrong address');
+    assert.equal(db.holds[0].status, 'released');
+    assert.equal(db.postings.length, 0);
+  });
+});